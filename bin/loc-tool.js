@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+// Command-line scanner for CI: reports hidden characters, bidi problems and spoofing in
+// locale and text files, and exits with 1 when a --fail-on rule matches a finding.
+
+import { readFile, readdir, stat } from 'node:fs/promises'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import { analyzeFile, decodeFile, getResourceFormat, markSpecialChars } from '../src/core/index.js'
+import { parseRules, ruleApplies } from '../src/core/rules.js'
+
+const EXIT_OK = 0
+const EXIT_FAILED_RULES = 1
+const EXIT_ERROR = 2
+
+// Line breaks and tabs are expected in most files; --ignore= reports them too
+const DEFAULT_IGNORE = ['TAB', 'LF', 'CR']
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git'])
+
+const HELP = `Usage: loc-tool [options] <file | directory | glob>...
+
+Scans resource files (JSON, ARB, PO, .strings, .properties, RESX) entry by entry
+and any other file as plain text. Directories are searched for resource and .txt files.
+
+Options:
+  -f, --format <text|json>  Output format (default: text)
+      --fail-on <rules>     Exit with 1 when a finding matches; repeatable or comma-separated
+      --ignore <rules>      Leave matching findings out (default: ${DEFAULT_IGNORE.join(',')})
+  -c, --config <file>       JSON file with "failOn" and "ignore" rule lists
+  -h, --help                Show this help
+
+Rules:
+  RLO, ZWSP, NBSP, ...      A character by its abbreviation, or TAB, LF, CR
+  U+202E                    A character by code point
+  bidi, space, joiner, ...  Every character in a category
+  any                       Every hidden character
+  bidi-issues               Unbalanced or mismatched bidi controls
+  trojan-source             Bidi controls that reorder visible text
+  confusables               Letters from another script that look like Latin ones
+  <rule>@keys, <rule>@values  Only in resource keys or values
+
+Example:
+  loc-tool --fail-on RLO,LRO,trojan-source --fail-on ZWSP@keys 'locales/**/*.json'
+
+Exit codes: 0 no rule matched, 1 a --fail-on rule matched, 2 usage or file error`
+
+const toPosix = (file) => file.split(path.sep).join('/')
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Supports *, **, ? and {a,b}
+const globToRegExp = (pattern) => {
+  let source = ''
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/'
+      source += slash ? '(?:.*/)?' : '.*'
+      i += slash ? 2 : 1
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '{' && pattern.indexOf('}', i) !== -1) {
+      const end = pattern.indexOf('}', i)
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`
+      i = end
+    } else {
+      source += escapeRegExp(char)
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+const isGlob = (pattern) => /[*?{]/.test(pattern)
+
+const listFiles = async (directory) =>
+  (await readdir(directory, { recursive: true, withFileTypes: true }))
+    .filter((entry) => entry.isFile())
+    .map((entry) => path.join(entry.parentPath ?? entry.path, entry.name))
+    .filter((file) => !path.relative(directory, file).split(path.sep).some((part) => SKIPPED_DIRECTORIES.has(part)))
+
+const isScannable = (file) => Boolean(getResourceFormat(file)) || file.toLowerCase().endsWith('.txt')
+
+const expandInput = async (input) => {
+  if (isGlob(input)) {
+    const pattern = toPosix(input)
+    const parts = pattern.split('/')
+    const base = parts.slice(0, parts.findIndex(isGlob)).join('/') || '.'
+    const matcher = globToRegExp(pattern.startsWith('./') ? pattern.slice(2) : pattern)
+    return (await listFiles(base)).filter((file) => matcher.test(toPosix(path.normalize(file))))
+  }
+  if ((await stat(input)).isDirectory()) return (await listFiles(input)).filter(isScannable)
+  return [input]
+}
+
+const loadConfig = async (file) => {
+  if (!file) return {}
+  const config = JSON.parse(await readFile(file, 'utf8'))
+  return {
+    failOn: Array.isArray(config.failOn) ? config.failOn : [],
+    ignore: Array.isArray(config.ignore) ? config.ignore : undefined,
+  }
+}
+
+const scanFile = async (file, failRules, ignoreRules) => {
+  try {
+    const { text } = decodeFile(await readFile(file))
+    const { format, findings } = analyzeFile(file, text)
+    return {
+      file: toPosix(file),
+      format,
+      findings: findings
+        .filter((finding) => !ignoreRules.some((rule) => ruleApplies(rule, finding)))
+        .map((finding) => ({
+          ...finding,
+          failedRules: failRules.filter((rule) => ruleApplies(rule, finding)).map((rule) => rule.spec),
+        })),
+    }
+  } catch (error) {
+    return { file: toPosix(file), format: null, findings: [], error: error.message }
+  }
+}
+
+const formatLocation = (finding) => {
+  if (finding.key === null) return `${finding.line}:${finding.column}`
+  // Keys can hold the very characters being reported, so show them as markers
+  return `${finding.line ?? '?'} ${markSpecialChars(finding.key)}${finding.scope === 'key' ? ' (key)' : ''}`
+}
+
+const printText = (results) => {
+  results.forEach(({ file, format, findings, error }) => {
+    if (error) {
+      console.log(`${file}\n  error: ${error}\n`)
+      return
+    }
+    if (findings.length === 0) return
+    console.log(`${file} (${format})`)
+    findings.forEach((finding) => {
+      const failed = finding.failedRules.length > 0 ? `  ✖ ${finding.failedRules.join(', ')}` : ''
+      const what = finding.kind === 'char' ? `${finding.name} ${finding.code}` : finding.kind
+      console.log(`  ${formatLocation(finding)}  ${what}  ${finding.message}${failed}`)
+    })
+    console.log('')
+  })
+}
+
+const summarize = (results) => ({
+  files: results.length,
+  findings: results.reduce((sum, result) => sum + result.findings.length, 0),
+  failed: results.reduce((sum, result) => sum + result.findings.filter((finding) => finding.failedRules.length > 0).length, 0),
+  errors: results.filter((result) => result.error).length,
+})
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'text' },
+      'fail-on': { type: 'string', multiple: true },
+      ignore: { type: 'string', multiple: true },
+      config: { type: 'string', short: 'c' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  })
+  if (values.help) {
+    console.log(HELP)
+    return EXIT_OK
+  }
+  if (positionals.length === 0) throw new Error('No files given; see --help')
+  if (!['text', 'json'].includes(values.format)) throw new Error(`Unknown format "${values.format}"; use text or json`)
+
+  const config = await loadConfig(values.config)
+  const failRules = parseRules([...(config.failOn || []), ...(values['fail-on'] || [])])
+  const ignoreRules = parseRules(values.ignore || config.ignore || DEFAULT_IGNORE)
+
+  const files = [...new Set((await Promise.all(positionals.map(expandInput))).flat())]
+  if (files.length === 0) throw new Error(`No files match ${positionals.join(' ')}`)
+  const results = []
+  for (const file of files) results.push(await scanFile(file, failRules, ignoreRules))
+
+  const summary = summarize(results)
+  if (values.format === 'json') {
+    console.log(JSON.stringify({ summary, files: results }, null, 2))
+  } else {
+    printText(results)
+    const count = (number, noun) => `${number} ${noun}${number === 1 ? '' : 's'}`
+    console.log(`${count(summary.files, 'file')} scanned, ${count(summary.findings, 'finding')}, ${summary.failed} failing${summary.errors ? `, ${summary.errors} unreadable` : ''}`)
+  }
+
+  if (summary.errors > 0) return EXIT_ERROR
+  return summary.failed > 0 ? EXIT_FAILED_RULES : EXIT_OK
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code
+  })
+  .catch((error) => {
+    console.error(`loc-tool: ${error.message}`)
+    process.exitCode = EXIT_ERROR
+  })
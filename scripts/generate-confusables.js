@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Regenerates src/utils/confusablesData.js from the Unicode confusables data (UTS #39).
+//
+//   npm run confusables                    latest confusables.txt from unicode.org
+//   npm run confusables -- 16.0.0          a given version
+//   npm run confusables -- ./confusables.txt
+
+import { readFile, writeFile } from 'node:fs/promises'
+
+const OUTPUT = new URL('../src/utils/confusablesData.js', import.meta.url)
+const ENTRIES_PER_LINE = 10
+
+const readSource = async (source) => {
+  if (/\.txt$/i.test(source)) return readFile(source, 'utf8')
+  const url = `https://www.unicode.org/Public/security/${source}/confusables.txt`
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`${url}: ${response.status} ${response.statusText}`)
+  return response.text()
+}
+
+// Lines look like `0430 ;	0061 ;	MA	# ( а → a ) CYRILLIC SMALL LETTER A → LATIN SMALL LETTER A`
+const parseConfusables = (source) => {
+  const entries = []
+  source.split(/\r?\n/).forEach((line) => {
+    const data = line.replace(/#.*/, '').trim()
+    if (!data) return
+    const [from, to] = data.split(';').map((field) => field.trim().toLowerCase())
+    entries.push(`${from}:${to.split(/\s+/).join('.')}`)
+  })
+  return entries
+}
+
+const main = async () => {
+  const source = process.argv[2] || 'latest'
+  const text = await readSource(source)
+  const version = text.match(/^#\s*Version:\s*(\S+)/m)?.[1]
+  if (!version) throw new Error('No "# Version:" line; is this confusables.txt?')
+  const entries = parseConfusables(text)
+
+  const lines = []
+  for (let i = 0; i < entries.length; i += ENTRIES_PER_LINE) {
+    lines.push(entries.slice(i, i + ENTRIES_PER_LINE).join(' '))
+  }
+  await writeFile(OUTPUT, `// Generated by scripts/generate-confusables.js from confusables.txt, Unicode ${version}.
+// Do not edit; run \`npm run confusables\` to update. Each entry is source:prototype as hex
+// code points, with the code points of a multi-character prototype joined by dots.
+
+export const CONFUSABLES_VERSION = '${version}'
+
+export const CONFUSABLES_DATA = \`
+${lines.join('\n')}
+\`
+`)
+  console.log(`Wrote ${entries.length} confusables from Unicode ${version}`)
+}
+
+main().catch((error) => {
+  console.error(error.message)
+  process.exitCode = 1
+})
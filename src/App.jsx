@@ -1,11 +1,80 @@
-import { useState } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import './App.css'
 import TextAnalyzer from './components/TextAnalyzer'
 import TextDiff from './components/TextDiff'
+import WorkspacePanel from './components/WorkspacePanel'
+import WatchListManager from './components/WatchListManager'
+import { loadWorkspace, saveWorkspace, getActiveDocument, setView, updateDocumentState, addSharedDocument, addAnalyzerDocument } from './utils/workspace'
+import { readShareFragment, decodeShareState } from './utils/share'
+import { applyWatchList } from './utils/specialChars'
+import { loadWatchList, saveWatchList } from './utils/watchList'
+
+const AUTOSAVE_DELAY = 500
 
 function App() {
-  const [activeView, setActiveView] = useState('analyzer')
+  const [workspace, setWorkspace] = useState(loadWorkspace)
+  const [saveFailed, setSaveFailed] = useState(false)
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false)
+  const [shareError, setShareError] = useState(null)
+  // The registry has to know the watch list before anything renders with it
+  const [watchList, setWatchList] = useState(() => {
+    const entries = loadWatchList()
+    applyWatchList(entries)
+    return entries
+  })
+  const [watchListSaveFailed, setWatchListSaveFailed] = useState(false)
+  const [showWatchList, setShowWatchList] = useState(false)
+
+  const activeView = workspace.view
+  const setActiveView = (view) => setWorkspace(setView(workspace, view))
+  const analyzerDocument = getActiveDocument(workspace, 'analyzer')
+  const diffDocument = getActiveDocument(workspace, 'diff')
+
+  const handleWatchListChange = (entries) => {
+    applyWatchList(entries)
+    setWatchList(entries)
+    setWatchListSaveFailed(!saveWatchList(entries))
+  }
+
+  const handleStateChange = useCallback((id, state) => {
+    setWorkspace((current) => updateDocumentState(current, id, state))
+  }, [])
+
+  // A share link opens as a new document; the fragment is then dropped so a reload does not add it again
+  useEffect(() => {
+    let cancelled = false
+    const openShareLink = () => {
+      const payload = readShareFragment(window.location.hash)
+      if (!payload) return
+      decodeShareState(payload)
+        .then((shared) => {
+          if (cancelled) return
+          setWorkspace((current) => addSharedDocument(current, shared))
+          setShareError(null)
+        })
+        .catch((error) => {
+          if (!cancelled) setShareError(error.message)
+        })
+        .finally(() => window.history.replaceState(null, '', window.location.pathname + window.location.search))
+    }
+    openShareLink()
+    window.addEventListener('hashchange', openShareLink)
+    return () => {
+      cancelled = true
+      window.removeEventListener('hashchange', openShareLink)
+    }
+  }, [])
+
+  useEffect(() => {
+    const save = () => setSaveFailed(!saveWorkspace(workspace))
+    const timer = setTimeout(save, AUTOSAVE_DELAY)
+    // Closing the page before the timer fires still saves
+    window.addEventListener('pagehide', save)
+    return () => {
+      clearTimeout(timer)
+      window.removeEventListener('pagehide', save)
+    }
+  }, [workspace])
 
   return (
     <div className="app-shell">
@@ -33,6 +102,15 @@ function App() {
             </button>
           </nav>
 
+          <WorkspacePanel workspace={workspace} saveFailed={saveFailed} onChange={setWorkspace} />
+
+          <section className="watch-list-panel" aria-label="Watch list">
+            <span>Watch list: {watchList.length} {watchList.length === 1 ? 'character' : 'characters'}</span>
+            <button className="btn btn-sm btn-secondary" onClick={() => setShowWatchList(true)}>
+              Manage
+            </button>
+          </section>
+
           <div className="sidebar-footer">
             <div className="made-by">
               Made by Naji
@@ -53,9 +131,41 @@ function App() {
       </button>
 
       <div className="main-area">
-        {activeView === 'analyzer' && <TextAnalyzer />}
-        {activeView === 'diff' && <TextDiff />}
+        {shareError && (
+          <div className="share-notice" role="alert">
+            {shareError}
+            <button className="document-action" onClick={() => setShareError(null)} aria-label="Dismiss">×</button>
+          </div>
+        )}
+        {activeView === 'analyzer' && (
+          <TextAnalyzer
+            key={analyzerDocument.id}
+            documentId={analyzerDocument.id}
+            initialState={analyzerDocument.state}
+            watchList={watchList}
+            onStateChange={handleStateChange}
+          />
+        )}
+        {activeView === 'diff' && (
+          <TextDiff
+            key={diffDocument.id}
+            documentId={diffDocument.id}
+            initialState={diffDocument.state}
+            watchList={watchList}
+            onStateChange={handleStateChange}
+            onOpenInAnalyzer={(text) => setWorkspace((current) => addAnalyzerDocument(current, `${diffDocument.name} merged`, text))}
+          />
+        )}
       </div>
+
+      {showWatchList && (
+        <WatchListManager
+          entries={watchList}
+          saveFailed={watchListSaveFailed}
+          onChange={handleWatchListChange}
+          onClose={() => setShowWatchList(false)}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,70 @@
+import { useMemo } from 'react'
+import {
+  validateBidi,
+  fixBidiIssues,
+  hasLegacyEmbeddings,
+  convertEmbeddingsToIsolates,
+  issueLabels,
+  BIDI_CONTROL_REGEX
+} from '../utils/bidi'
+
+function BidiValidator({ text, baseDirection, onChange }) {
+  const issues = useMemo(
+    () => validateBidi(text, { baseLevel: baseDirection === 'rtl' ? 1 : 0 }),
+    [text, baseDirection]
+  )
+
+  if (!BIDI_CONTROL_REGEX.test(text)) return null
+
+  const fixableIssues = issues.filter((issue) => issue.edit)
+
+  return (
+    <div className="special-chars-section" role="region" aria-label="Bidi control validation">
+      <div className="section-header section-header-row">
+        <h3>Bidi Controls {issues.length > 0 ? `(${issues.length} ${issues.length === 1 ? 'issue' : 'issues'})` : ''}</h3>
+        <div className="section-header-actions">
+          {hasLegacyEmbeddings(text) && (
+            <button
+              className="btn btn-secondary"
+              onClick={() => onChange(convertEmbeddingsToIsolates(text))}
+              title="Replace LRE/RLE with LRI/RLI and their PDF with PDI"
+            >
+              Convert embeddings to isolates
+            </button>
+          )}
+          {fixableIssues.length > 0 && (
+            <button
+              className="btn btn-primary"
+              onClick={() => onChange(fixBidiIssues(text, fixableIssues))}
+            >
+              Fix all ({fixableIssues.length})
+            </button>
+          )}
+        </div>
+      </div>
+      {issues.length === 0 ? (
+        <p className="issue-empty">All embeddings, overrides and isolates are properly closed.</p>
+      ) : (
+        <ul className="issue-list">
+          {issues.map((issue, i) => (
+            <li key={`${issue.type}-${issue.index}-${i}`} className={`issue-item issue-${issue.type}`}>
+              <span className="issue-location">Ln {issue.line}, Col {issue.column}</span>
+              <span className="issue-type">{issueLabels[issue.type]}</span>
+              <span className="issue-message">{issue.message}</span>
+              {issue.edit && (
+                <button
+                  className="btn btn-sm btn-secondary"
+                  onClick={() => onChange(fixBidiIssues(text, [issue]))}
+                >
+                  {issue.edit.label}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default BidiValidator
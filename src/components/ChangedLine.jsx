@@ -0,0 +1,21 @@
+import MarkedText from './MarkedText'
+import { splitChangedLine } from '../utils/lineDiff'
+
+// One side of a changed line with its changed middle highlighted. leadingContext cuts the
+// unchanged start of long lines down to the characters just before the change.
+function ChangedLine({ text, otherText, side, leadingContext = Infinity, onMarkerClick }) {
+  const parts = side === 'left' ? splitChangedLine(text, otherText) : splitChangedLine(otherText, text)
+  const changed = side === 'left' ? parts.removed : parts.added
+  const prefix = parts.prefix.length > leadingContext ? `…${parts.prefix.slice(-leadingContext)}` : parts.prefix
+  return (
+    <>
+      <MarkedText text={prefix} onMarkerClick={onMarkerClick} />
+      <span className={side === 'left' ? 'virtual-diff-removed-text' : 'virtual-diff-added-text'}>
+        <MarkedText text={changed} onMarkerClick={onMarkerClick} />
+      </span>
+      <MarkedText text={parts.suffix} onMarkerClick={onMarkerClick} />
+    </>
+  )
+}
+
+export default ChangedLine
@@ -0,0 +1,76 @@
+import { useState, useMemo } from 'react'
+import MarkedText from './MarkedText'
+import { DIFFERENCE_TYPES } from '../utils/diffSummary'
+
+const MAX_DIFFERENCES = 200
+
+function DifferenceSummary({ differences, activeDifference, ignoring, onSelect, onMarkerClick }) {
+  const [filter, setFilter] = useState(null)
+
+  const counts = useMemo(() => {
+    const result = {}
+    differences.forEach(({ type }) => {
+      result[type] = (result[type] || 0) + 1
+    })
+    return result
+  }, [differences])
+
+  // A filter for a type that no longer occurs shows everything again
+  const activeFilter = counts[filter] ? filter : null
+  const listed = activeFilter ? differences.filter((difference) => difference.type === activeFilter) : differences
+
+  return (
+    <div className="special-chars-section" role="region" aria-label="Difference summary">
+      <div className="section-header">
+        <h3>Difference Summary {differences.length > 0 ? `(${differences.length})` : ''}</h3>
+      </div>
+      {differences.length === 0 ? (
+        <p className="issue-empty">
+          {ignoring ? 'No differences remain once the ignored ones are left out.' : 'The texts are identical.'}
+        </p>
+      ) : (
+        <>
+          <div className="badge-row" role="group" aria-label="Show one type of difference">
+            {Object.entries(DIFFERENCE_TYPES).filter(([type]) => counts[type]).map(([type, label]) => (
+              <button
+                key={type}
+                className={`difference-filter ${activeFilter === type ? 'active' : ''}`}
+                onClick={() => setFilter(activeFilter === type ? null : type)}
+                aria-pressed={activeFilter === type}
+              >
+                {label} <span className={`char-count-badge ${type === 'visible' ? '' : 'active'}`}>{counts[type]}</span>
+              </button>
+            ))}
+          </div>
+          <ul className="issue-list">
+            {listed.slice(0, MAX_DIFFERENCES).map((difference, i) => {
+              const position = difference.right ?? difference.left
+              return (
+                <li key={i}>
+                  <button
+                    className={`issue-item difference-item ${difference.type === 'visible' ? '' : 'severity-high'} ${difference === activeDifference ? 'active' : ''}`}
+                    onClick={() => onSelect(difference)}
+                    title="Show in the visual differences"
+                  >
+                    <span className="issue-location" title={difference.right ? 'Position in Text 2' : 'Position in Text 1'}>
+                      Ln {position.line}, Col {position.column}
+                    </span>
+                    <span className="issue-type">{DIFFERENCE_TYPES[difference.type]}</span>
+                    <span className="issue-message">
+                      <MarkedText text={difference.message} onMarkerClick={onMarkerClick} />
+                    </span>
+                  </button>
+                </li>
+              )
+            })}
+            {listed.length > MAX_DIFFERENCES && (
+              <li className="issue-empty">…and {listed.length - MAX_DIFFERENCES} more</li>
+            )}
+          </ul>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default DifferenceSummary
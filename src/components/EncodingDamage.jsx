@@ -0,0 +1,69 @@
+import { useMemo } from 'react'
+import { findEncodingDamage, repairEncodingDamage, describeChain, findingLabels } from '../utils/mojibake'
+
+const severities = {
+  mojibake: 'medium',
+  bom: 'medium',
+  replacement: 'high',
+}
+
+function EncodingDamage({ text, onChange }) {
+  const findings = useMemo(() => findEncodingDamage(text), [text])
+  const repairable = findings.filter((finding) => finding.replacement !== null)
+  const preview = useMemo(() => repairEncodingDamage(text, findings), [text, findings])
+
+  if (findings.length === 0) return null
+
+  return (
+    <div className="special-chars-section" role="region" aria-label="Encoding damage">
+      <div className="section-header section-header-row">
+        <h3>Encoding Damage ({findings.length} {findings.length === 1 ? 'finding' : 'findings'})</h3>
+        <div className="section-header-actions">
+          {repairable.length > 0 && (
+            <button
+              className="btn btn-primary"
+              onClick={() => onChange(preview)}
+              title="Apply every repair as one step; undo restores the original"
+            >
+              Repair all ({repairable.length})
+            </button>
+          )}
+        </div>
+      </div>
+      <ul className="issue-list">
+        {findings.map((finding) => (
+          <li key={`${finding.type}-${finding.index}`} className={`issue-item severity-${severities[finding.type]}`}>
+            <span className="issue-location">Ln {finding.line}, Col {finding.column}</span>
+            <span className="issue-type">{findingLabels[finding.type]}</span>
+            <span className="issue-message">
+              {finding.message}
+              <span className="issue-details">
+                <code>{finding.type === 'bom' ? 'U+FEFF' : finding.text}</code>
+                {finding.replacement !== null && (
+                  <> → {finding.replacement ? <code>{finding.replacement}</code> : 'removed'}</>
+                )}
+                {finding.chain.length > 0 && <> · {describeChain(finding.chain)}</>}
+              </span>
+            </span>
+            {finding.replacement !== null && (
+              <button
+                className="btn btn-sm btn-secondary"
+                onClick={() => onChange(repairEncodingDamage(text, [finding]))}
+              >
+                Repair
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {repairable.length > 0 && (
+        <>
+          <h4 className="security-group-title repair-preview-title">Preview after repair</h4>
+          <div className="repair-preview">{preview}</div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default EncodingDamage
@@ -0,0 +1,195 @@
+import { useState, useMemo } from 'react'
+import MarkedText from './MarkedText'
+import { specialChars, customChars } from '../utils/specialChars'
+import { findMatches, applyMatches, toEscape } from '../utils/findReplace'
+
+const MAX_PREVIEW = 500
+
+function CharacterPicker({ onPick, extraOptions }) {
+  return (
+    <select
+      className="replace-dropdown"
+      value=""
+      onChange={(e) => e.target.value && onPick(e.target.value)}
+    >
+      <option value="">-- Insert character --</option>
+      {extraOptions}
+      <optgroup label="Special Characters">
+        {Object.entries(specialChars).map(([char, info]) => (
+          <option key={char} value={toEscape(char)}>
+            {info.display} - {info.desc}
+          </option>
+        ))}
+      </optgroup>
+      {Object.keys(customChars).length > 0 && (
+        <optgroup label="Watch List">
+          {Object.entries(customChars).map(([char, info]) => (
+            <option key={char} value={toEscape(char)}>
+              {info.display} - {info.desc}
+            </option>
+          ))}
+        </optgroup>
+      )}
+    </select>
+  )
+}
+
+function FindReplace({ text, initialFind, onApply, onClose }) {
+  const [query, setQuery] = useState({ find: initialFind || '', replace: '', regex: false, matchCase: true, unicodeSets: false })
+  const [excluded, setExcluded] = useState(new Set())
+
+  const result = useMemo(() => findMatches(text, query), [text, query])
+  const included = result.matches.filter((match) => !excluded.has(match.index))
+
+  // Offsets change with the query, so start again from every match included
+  const updateQuery = (changes) => {
+    setQuery({ ...query, ...changes })
+    setExcluded(new Set())
+  }
+
+  const toggleMatch = (index) => {
+    const next = new Set(excluded)
+    if (next.has(index)) next.delete(index)
+    else next.add(index)
+    setExcluded(next)
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal find-replace-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Find & Replace</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="modal-content">
+          <div className="modal-section">
+            <h3>Find:</h3>
+            <div className="replace-options">
+              <div className="replace-input-row">
+                <input
+                  type="text"
+                  className="replace-input find-replace-field"
+                  value={query.find}
+                  onChange={(e) => updateQuery({ find: e.target.value })}
+                  placeholder={query.regex ? 'Regular expression, e.g. \\p{Zs}' : 'Text, or \\u{A0} for a code point'}
+                  spellCheck={false}
+                  autoFocus
+                />
+                <CharacterPicker onPick={(escape) => updateQuery({ find: query.find + escape })} />
+              </div>
+              <div className="find-replace-flags">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={query.regex}
+                    onChange={(e) => updateQuery({ regex: e.target.checked })}
+                  />
+                  Regular expression
+                </label>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={query.matchCase}
+                    onChange={(e) => updateQuery({ matchCase: e.target.checked })}
+                  />
+                  Match case
+                </label>
+                <label title="Set notation such as [\p{Zs}--[ ]] (v flag instead of u)">
+                  <input
+                    type="checkbox"
+                    checked={query.unicodeSets}
+                    disabled={!query.regex}
+                    onChange={(e) => updateQuery({ unicodeSets: e.target.checked })}
+                  />
+                  Unicode sets
+                </label>
+              </div>
+            </div>
+          </div>
+          <div className="modal-section">
+            <h3>Replace with:</h3>
+            <div className="replace-input-row">
+              <input
+                type="text"
+                className="replace-input find-replace-field"
+                value={query.replace}
+                onChange={(e) => updateQuery({ replace: e.target.value })}
+                placeholder={query.regex ? '$1, $<name>, $& or \\u{20}' : 'Empty to delete, \\u{20} for a space'}
+                spellCheck={false}
+              />
+              <CharacterPicker
+                onPick={(escape) => updateQuery({ replace: query.replace + escape })}
+                extraOptions={<option value=" ">Regular Space</option>}
+              />
+            </div>
+          </div>
+          <div className="modal-section">
+            {result.error ? (
+              <p className="find-replace-error">{result.error}</p>
+            ) : query.find && (
+              <>
+                <div className="find-replace-summary">
+                  <span>
+                    {result.matches.length}{result.truncated ? '+' : ''} {result.matches.length === 1 ? 'match' : 'matches'}, {included.length} selected
+                  </span>
+                  <button className="btn btn-sm btn-secondary" onClick={() => setExcluded(new Set())}>
+                    Select all
+                  </button>
+                  <button
+                    className="btn btn-sm btn-secondary"
+                    onClick={() => setExcluded(new Set(result.matches.map((match) => match.index)))}
+                  >
+                    Select none
+                  </button>
+                </div>
+                {result.matches.length > 0 && (
+                  <ul className="find-replace-matches">
+                    {result.matches.slice(0, MAX_PREVIEW).map((match) => (
+                      <li key={match.index}>
+                        <label className="find-replace-match">
+                          <input
+                            type="checkbox"
+                            checked={!excluded.has(match.index)}
+                            onChange={() => toggleMatch(match.index)}
+                          />
+                          <span className="issue-location">Ln {match.line}, Col {match.column}</span>
+                          <span className="find-replace-context">
+                            <MarkedText text={match.before} tooltipId="special-tooltip" />
+                            <del><MarkedText text={match.text} tooltipId="special-tooltip" /></del>
+                            <ins><MarkedText text={match.replacement} tooltipId="special-tooltip" /></ins>
+                            <MarkedText text={match.after} tooltipId="special-tooltip" />
+                          </span>
+                        </label>
+                      </li>
+                    ))}
+                    {result.matches.length > MAX_PREVIEW && (
+                      <li className="issue-empty">…and {result.matches.length - MAX_PREVIEW} more, replaced unless you select none</li>
+                    )}
+                  </ul>
+                )}
+              </>
+            )}
+          </div>
+          <div className="modal-section">
+            <div className="modal-actions">
+              <button
+                className="btn btn-primary"
+                onClick={() => onApply(applyMatches(text, included))}
+                disabled={included.length === 0}
+              >
+                Replace {included.length}
+              </button>
+              <button className="btn btn-secondary" onClick={onClose}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default FindReplace
@@ -0,0 +1,139 @@
+import { useState, useMemo } from 'react'
+import { analyzeIcu, formatIcu, getPluralSamples, isLocaleSupported, PLURAL_CATEGORIES } from '../utils/icu'
+
+const COMMON_LOCALES = ['en', 'fr', 'de', 'es', 'it', 'pt', 'ru', 'pl', 'cs', 'uk', 'ar', 'he', 'ja', 'zh', 'ko', 'tr', 'ga', 'cy']
+
+const isNumeric = (arg) => arg.type === 'plural' || arg.type === 'selectordinal' || arg.argType === 'number'
+
+const defaultValue = (arg) => {
+  if (isNumeric(arg)) return '1'
+  if (arg.type === 'select') return arg.options.find((option) => option !== 'other') || 'other'
+  if (arg.argType === 'date' || arg.argType === 'time') return new Date().toISOString().slice(0, 16)
+  return arg.name
+}
+
+// Inputs are strings; numeric arguments are formatted as numbers
+const toValues = (args, inputs) =>
+  Object.fromEntries(args.map((arg) => {
+    const value = inputs[arg.name] ?? defaultValue(arg)
+    return [arg.name, isNumeric(arg) ? Number(value) : value]
+  }))
+
+function IcuMessage({ text }) {
+  const [locale, setLocale] = useState('en')
+  const [inputs, setInputs] = useState({})
+
+  const localeSupported = isLocaleSupported(locale)
+  const effectiveLocale = localeSupported ? locale : 'en'
+  const analysis = useMemo(() => analyzeIcu(text, effectiveLocale), [text, effectiveLocale])
+  const values = toValues(analysis.arguments, inputs)
+  const errorCount = analysis.issues.filter((issue) => issue.severity === 'error').length
+
+  const pluralArgs = analysis.arguments.filter((arg) => arg.type === 'plural' || arg.type === 'selectordinal')
+
+  return (
+    <div className="special-chars-section" role="region" aria-label="ICU message">
+      <div className="section-header section-header-row">
+        <h3>ICU Message {errorCount > 0 ? `(${errorCount} ${errorCount === 1 ? 'error' : 'errors'})` : ''}</h3>
+        <div className="section-header-actions">
+          <label className="resource-filter">
+            Locale
+            <input
+              className="icu-locale-input"
+              list="icu-locales"
+              value={locale}
+              onChange={(e) => setLocale(e.target.value.trim())}
+              aria-invalid={!localeSupported}
+            />
+            <datalist id="icu-locales">
+              {COMMON_LOCALES.map((code) => <option key={code} value={code} />)}
+            </datalist>
+          </label>
+        </div>
+      </div>
+
+      {!localeSupported && (
+        <p className="issue-empty">"{locale}" is not a locale this browser knows; using en plural rules.</p>
+      )}
+
+      {analysis.issues.length === 0 ? (
+        <p className="issue-empty">The message parses cleanly and covers every plural category for {effectiveLocale}.</p>
+      ) : (
+        <ul className="issue-list">
+          {analysis.issues.map((issue, i) => (
+            <li key={`${issue.index}-${issue.code}-${i}`} className={`issue-item severity-${issue.severity === 'error' ? 'high' : 'medium'}`}>
+              <span className="issue-location">Ln {issue.line}, Col {issue.column}</span>
+              <span className="issue-type">{issue.code.startsWith('hidden') ? 'hidden char' : issue.severity}</span>
+              <span className="issue-message">{issue.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {analysis.ast && analysis.arguments.length > 0 && (
+        <>
+          <h4 className="security-group-title icu-preview-title">Preview</h4>
+          <div className="icu-arguments">
+            {analysis.arguments.map((arg) => (
+              <label key={arg.name} className="icu-argument">
+                <span className="icu-argument-name">{arg.name}</span>
+                {arg.type === 'select' ? (
+                  <select
+                    className="bidi-select"
+                    value={values[arg.name]}
+                    onChange={(e) => setInputs({ ...inputs, [arg.name]: e.target.value })}
+                  >
+                    {arg.options.map((option) => <option key={option} value={option}>{option}</option>)}
+                  </select>
+                ) : (
+                  <input
+                    className="icu-argument-input"
+                    type={isNumeric(arg) ? 'number' : arg.argType === 'date' || arg.argType === 'time' ? 'datetime-local' : 'text'}
+                    value={inputs[arg.name] ?? defaultValue(arg)}
+                    onChange={(e) => setInputs({ ...inputs, [arg.name]: e.target.value })}
+                  />
+                )}
+              </label>
+            ))}
+          </div>
+          <div className="icu-output">{formatIcu(analysis.ast, values, effectiveLocale)}</div>
+
+          {pluralArgs.map((arg) => {
+            const samples = getPluralSamples(effectiveLocale, arg.type)
+            const exact = arg.options.filter((option) => option.startsWith('='))
+            const rows = [
+              ...exact.map((option) => [option, Number(option.slice(1))]),
+              ...PLURAL_CATEGORIES.filter((category) => category in samples).map((category) => [category, samples[category]]),
+            ]
+            return (
+              <div key={arg.name} className="resource-table-wrapper icu-branches">
+                <table className="resource-table">
+                  <thead>
+                    <tr>
+                      <th>{arg.name} ({arg.type})</th>
+                      <th>Sample</th>
+                      <th>Output</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(([category, sample]) => (
+                      <tr key={category}>
+                        <td className="resource-key">{category}</td>
+                        <td className="resource-line">{sample}</td>
+                        <td className="resource-value">
+                          {formatIcu(analysis.ast, { ...values, [arg.name]: sample }, effectiveLocale)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )
+          })}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default IcuMessage
@@ -0,0 +1,153 @@
+import MarkedText from './MarkedText'
+import { CONSTRAINT_UNITS, MAX_CHECKED_LENGTH } from '../utils/constraints'
+
+const MAX_LISTED_LINES = 50
+
+const parseLimit = (value) => (value === '' ? null : Math.max(Number(value), 0) || null)
+
+const formatLength = (length, unit) => (unit === 'pixels' ? Math.ceil(length) : length)
+
+function ConstraintBadge({ passed, children }) {
+  return (
+    <span className={`stat-badge ${passed ? 'constraint-pass' : 'constraint-fail'}`}>
+      {passed ? '✓' : '✗'} {children}
+    </span>
+  )
+}
+
+function LengthConstraints({ text, constraints, check, onChange, onSelectOverflow }) {
+  if (!text) return null
+
+  const { unit, maxLength, maxLines } = constraints
+  const update = (changes) => onChange({ ...constraints, ...changes })
+  const unitLabel = CONSTRAINT_UNITS[unit].toLowerCase()
+
+  return (
+    <div className="special-chars-section" role="region" aria-label="Length constraints">
+      <div className="section-header section-header-row">
+        <h3>Length Constraints</h3>
+        <div className="section-header-actions">
+          <label className="resource-filter">
+            Max length
+            <input
+              className="icu-argument-input constraint-input"
+              type="number"
+              min="1"
+              value={maxLength ?? ''}
+              onChange={(e) => update({ maxLength: parseLimit(e.target.value) })}
+              placeholder="none"
+            />
+          </label>
+          <select
+            className="bidi-select"
+            value={unit}
+            onChange={(e) => update({ unit: e.target.value })}
+            aria-label="Length unit"
+          >
+            {Object.entries(CONSTRAINT_UNITS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          {unit === 'pixels' && (
+            <>
+              <input
+                className="icu-argument-input constraint-font-input"
+                value={constraints.fontFamily}
+                onChange={(e) => update({ fontFamily: e.target.value })}
+                aria-label="Font family"
+                title="CSS font family; the font must be installed or already loaded by the page"
+              />
+              <label className="resource-filter">
+                <input
+                  className="icu-argument-input constraint-input"
+                  type="number"
+                  min="1"
+                  value={constraints.fontSize}
+                  onChange={(e) => update({ fontSize: parseLimit(e.target.value) ?? constraints.fontSize })}
+                  aria-label="Font size in pixels"
+                />
+                px
+              </label>
+            </>
+          )}
+          <label className="resource-filter">
+            Max lines
+            <input
+              className="icu-argument-input constraint-input"
+              type="number"
+              min="1"
+              value={maxLines ?? ''}
+              onChange={(e) => update({ maxLines: parseLimit(e.target.value) })}
+              placeholder="none"
+            />
+          </label>
+        </div>
+      </div>
+
+      {!maxLength && !maxLines ? (
+        <p className="issue-empty">Set a maximum length or number of lines to check whether the text fits.</p>
+      ) : text.length > MAX_CHECKED_LENGTH ? (
+        <p className="issue-empty">Constraints are checked for texts up to {MAX_CHECKED_LENGTH.toLocaleString()} characters, the size of UI strings.</p>
+      ) : !check ? (
+        <p className="issue-empty">This browser cannot measure text on a canvas, so pixel widths are not available.</p>
+      ) : (
+        <>
+          <div className="badge-row">
+            {maxLength && (
+              <ConstraintBadge passed={check.lengthPassed}>
+                {maxLines ? 'Widest line' : unit === 'pixels' ? 'Width' : 'Length'}: {formatLength(check.length, unit)} / {maxLength} {unitLabel}
+              </ConstraintBadge>
+            )}
+            {maxLines && (
+              <ConstraintBadge passed={check.linesPassed}>
+                Lines: {check.lines.length} / {maxLines}
+              </ConstraintBadge>
+            )}
+            {check.truncation !== null && (
+              <button
+                className="btn btn-secondary btn-sm"
+                onClick={() => onSelectOverflow(check.truncation)}
+                title="Select everything from the truncation point on in the editor"
+              >
+                Select overflow
+              </button>
+            )}
+          </div>
+          <p className="resource-summary">
+            {maxLines
+              ? 'Lines wrap after spaces, ZWSP, soft hyphens and hyphens, between CJK characters and between Thai words, but not at a no-break space or word joiner.'
+              : 'Add a maximum number of lines to wrap the text to the maximum length.'}
+            {check.truncation !== null && ' The highlighted output marks where the text gets cut off.'}
+          </p>
+          {check.lines.length > 1 && (
+            <div className="resource-table-wrapper">
+              <table className="resource-table">
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Text as displayed</th>
+                    <th>{CONSTRAINT_UNITS[unit]}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {check.lines.slice(0, MAX_LISTED_LINES).map((line, i) => (
+                    <tr key={line.start} className={(maxLines && i >= maxLines) || (maxLength && line.length > maxLength) ? 'constraint-overflow' : undefined}>
+                      <td className="resource-line">{i + 1}</td>
+                      <td className="resource-value"><MarkedText text={line.text} tooltipId="special-tooltip" /></td>
+                      <td className="text-stats-value">{formatLength(line.length, unit)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {check.lines.length > MAX_LISTED_LINES && (
+            <p className="issue-empty">…and {check.lines.length - MAX_LISTED_LINES} more lines</p>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default LengthConstraints
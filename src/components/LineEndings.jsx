@@ -0,0 +1,128 @@
+import { useState, useMemo } from 'react'
+import { LINE_ENDINGS, analyzeLineEndings, convertLineEndings, escapeLineSeparators } from '../utils/lineEndings'
+import { downloadFile } from '../utils/download'
+
+const MAX_CHANGES = 50
+const CONVERSION_TARGETS = ['lf', 'crlf', 'cr']
+
+// Files whose strings end up in JSON or JavaScript string literals
+const isScriptBound = (fileName) => /\.(json|arb|js|mjs|cjs|ts)$/i.test(fileName || '')
+
+function LineEndings({ text, fileName, onChange }) {
+  const report = useMemo(() => analyzeLineEndings(text), [text])
+  const [target, setTarget] = useState('lf')
+
+  if (report.total === 0) return null
+
+  const separators = report.counts.ls + report.counts.ps
+
+  return (
+    <div className="special-chars-section" role="region" aria-label="Line endings">
+      <div className="section-header section-header-row">
+        <h3>Line Endings {report.mixed ? '(mixed)' : ''}</h3>
+        <div className="section-header-actions">
+          <select
+            className="bidi-select"
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            aria-label="Target line ending"
+          >
+            {CONVERSION_TARGETS.map((style) => (
+              <option key={style} value={style}>{LINE_ENDINGS[style].label} ({LINE_ENDINGS[style].description})</option>
+            ))}
+          </select>
+          {target === 'lf' ? (
+            <button
+              className="btn btn-primary"
+              onClick={() => onChange(convertLineEndings(text, target))}
+              disabled={report.styles.length === 1 && report.styles[0] === target}
+              title="Convert every line break, including LS and PS"
+            >
+              Convert all to LF
+            </button>
+          ) : (
+            <>
+              <button
+                className="btn btn-secondary"
+                onClick={() => navigator.clipboard.writeText(convertLineEndings(text, target))}
+                title="Copy the text with every line break, including LS and PS, converted"
+              >
+                Copy as {LINE_ENDINGS[target].label}
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => downloadFile(`text-${target}.txt`, convertLineEndings(text, target), 'text/plain')}
+                title="Download the text with every line break, including LS and PS, converted"
+              >
+                Download as {LINE_ENDINGS[target].label}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="badge-row">
+        {Object.entries(LINE_ENDINGS).map(([style, { label, description }]) => (
+          <span
+            key={style}
+            className={`char-count-badge ${report.counts[style] > 0 ? 'active' : ''}`}
+            title={description}
+          >
+            {label} {report.counts[style]}
+          </span>
+        ))}
+      </div>
+
+      {(target !== 'lf' || report.counts.crlf + report.counts.cr > 0) && (
+        <p className="resource-summary">
+          The text box always uses LF: editing in it turns every CRLF and CR back into LF. CRLF and CR
+          line endings are therefore copied or downloaded with the converted text rather than applied to it.
+        </p>
+      )}
+
+      {separators > 0 && (
+        <ul className="issue-list line-ending-warnings">
+          <li className={`issue-item severity-${isScriptBound(fileName) ? 'high' : 'medium'}`}>
+            <span className="issue-type">JSON / JS</span>
+            <span className="issue-message">
+              {separators} LS/PS {separators === 1 ? 'character' : 'characters'} (U+2028/U+2029).{' '}
+              {isScriptBound(fileName)
+                ? `${fileName} is bound for JSON or JavaScript, so escape them:`
+                : 'Escape them if this text goes into JSON or JavaScript string literals:'}
+              {' '}they end string literals in pre-ES2019 engines and break JSONP.
+            </span>
+            <button
+              className="btn btn-sm btn-secondary"
+              onClick={() => onChange(escapeLineSeparators(text))}
+            >
+              Escape as {'\\u2028 / \\u2029'}
+            </button>
+          </li>
+        </ul>
+      )}
+
+      {report.changes.length === 0 ? (
+        <p className="issue-empty">
+          All {report.total} line {report.total === 1 ? 'break uses' : 'breaks use'} {LINE_ENDINGS[report.dominant].label}.
+        </p>
+      ) : (
+        <ul className="issue-list">
+          {report.changes.slice(0, MAX_CHANGES).map((change) => (
+            <li key={change.index} className="issue-item severity-medium">
+              <span className="issue-location">Ln {change.line}</span>
+              <span className="issue-type">{LINE_ENDINGS[change.from].label} → {LINE_ENDINGS[change.to].label}</span>
+              <span className="issue-message">
+                Line {change.line} ends with {LINE_ENDINGS[change.to].label} after {LINE_ENDINGS[change.from].label} on the previous line
+              </span>
+            </li>
+          ))}
+          {report.changes.length > MAX_CHANGES && (
+            <li className="issue-empty">…and {report.changes.length - MAX_CHANGES} more changes</li>
+          )}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default LineEndings
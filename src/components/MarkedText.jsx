@@ -0,0 +1,34 @@
+import { specialCharRegex, getCharInfo } from '../utils/specialChars'
+
+// Renders text with the same special-character markers as the diff viewer
+function MarkedText({ text, onMarkerClick, tooltipId = 'diff-special-tooltip' }) {
+  const parts = []
+  let lastIndex = 0
+  for (const match of text.matchAll(specialCharRegex)) {
+    if (match.index > lastIndex) {
+      parts.push(text.slice(lastIndex, match.index))
+    }
+    const char = match[0]
+    const info = getCharInfo(char)
+    parts.push(
+      <span
+        key={match.index}
+        className="special-char-marker"
+        data-tooltip-id={tooltipId}
+        data-tooltip-content={`${info.desc} (${info.code})`}
+        onClick={onMarkerClick && (() => onMarkerClick(char))}
+      >
+        {info.display}
+      </span>
+    )
+    // Keep the line break itself so multi-line text still wraps where it should
+    if (char === '\n') parts.push('\n')
+    lastIndex = match.index + char.length
+  }
+  if (lastIndex < text.length) {
+    parts.push(text.slice(lastIndex))
+  }
+  return <>{parts}</>
+}
+
+export default MarkedText
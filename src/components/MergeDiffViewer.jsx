@@ -0,0 +1,34 @@
+import { Children, cloneElement, isValidElement } from 'react'
+import ReactDiffViewer from 'react-diff-viewer'
+
+// ReactDiffViewer with something rendered after the content of chosen lines. The viewer
+// only hands the text of a line to renderContent, so the line numbers come from its
+// renderLine, which gets them along with the prefix (L or R) of the side they belong to.
+// renderLineActions({ left, right }) receives the line numbers of the row, or null.
+//
+// renderLine is internal to react-diff-viewer, which package.json pins to 3.1.1 for it. If it
+// is missing or its lines take another shape, the viewer renders as it is and the actions
+// are only in the Merge list.
+class MergeDiffViewer extends ReactDiffViewer {
+  constructor(props) {
+    super(props)
+    const renderLine = this.renderLine
+    if (typeof renderLine !== 'function') return
+    this.renderLine = (lineNumber, type, prefix, value, additionalLineNumber, additionalPrefix) => {
+      const line = renderLine(lineNumber, type, prefix, value, additionalLineNumber, additionalPrefix)
+      // Lines only on the right come with their number as the additional one in the unified view
+      const left = prefix === 'L' ? lineNumber : null
+      const right = prefix === 'R' ? lineNumber ?? additionalLineNumber : additionalPrefix === 'R' ? additionalLineNumber : null
+      const actions = this.props.renderLineActions?.({ left: left || null, right: right || null })
+      if (!actions || !isValidElement(line)) return line
+
+      // Gutters, the +/- marker and last the content cell
+      const cells = Children.toArray(line.props.children)
+      const content = cells.pop()
+      if (!isValidElement(content)) return line
+      return cloneElement(line, null, ...cells, cloneElement(content, null, content.props.children, actions))
+    }
+  }
+}
+
+export default MergeDiffViewer
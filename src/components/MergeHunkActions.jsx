@@ -0,0 +1,22 @@
+import { MERGE_CHOICES } from '../utils/merge'
+
+// Take left / take right / take both for one merge hunk
+function MergeHunkActions({ index, label, choice, onChoose }) {
+  return (
+    <span className="merge-hunk-actions" role="group" aria-label={`Hunk ${index + 1}`}>
+      {label && <span className="merge-hunk-label">{label}</span>}
+      {Object.entries(MERGE_CHOICES).map(([side, text]) => (
+        <button
+          key={side}
+          className={`btn btn-sm ${choice === side ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={() => onChoose([index], side)}
+          aria-pressed={choice === side}
+        >
+          {text}
+        </button>
+      ))}
+    </span>
+  )
+}
+
+export default MergeHunkActions
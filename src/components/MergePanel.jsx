@@ -0,0 +1,126 @@
+import { useMemo, useEffect, useRef } from 'react'
+import MarkedText from './MarkedText'
+import MergeHunkActions from './MergeHunkActions'
+import { DIFFERENCE_TYPES } from '../utils/diffSummary'
+import { applyMergeChoices } from '../utils/merge'
+import { downloadFile } from '../utils/download'
+
+const MAX_HUNKS = 200
+
+function HunkText({ text, onMarkerClick }) {
+  if (!text) return <span className="xliff-untranslated">nothing</span>
+  return <MarkedText text={text} onMarkerClick={onMarkerClick} />
+}
+
+// Builds a merged text from Text 2, taking Text 1, Text 2 or both for each hunk. The
+// choices come from useMergeChoices, shared with the actions in the visual differences.
+function MergePanel({ text2, hunks, merge, inViewer, activeHunk, onSelect, onMarkerClick, onOpenInAnalyzer }) {
+  const listRef = useRef(null)
+
+  const { choices, choose } = merge
+  const mergedText = useMemo(() => applyMergeChoices(text2, hunks, choices), [text2, hunks, choices])
+  const taken = Object.values(choices).filter((choice) => choice !== 'right').length
+
+  const allIndexes = hunks.map((_, i) => i)
+  const invisibleIndexes = allIndexes.filter((i) => hunks[i].type !== 'visible')
+
+  // A line number clicked in the visual differences brings its hunk into view
+  useEffect(() => {
+    listRef.current?.querySelector('.merge-hunk.active')?.scrollIntoView({ block: 'nearest', behavior: 'smooth' })
+  }, [activeHunk])
+
+  if (hunks.length === 0) return null
+
+  return (
+    <div className="special-chars-section" role="region" aria-label="Merge">
+      <div className="section-header section-header-row">
+        <h3>Merge ({hunks.length})</h3>
+        <div className="section-header-actions">
+          <button className="btn btn-secondary btn-sm" onClick={() => choose(allIndexes, 'left')}>
+            Take all left
+          </button>
+          <button className="btn btn-secondary btn-sm" onClick={() => choose(allIndexes, 'right')}>
+            Take all right
+          </button>
+          <button
+            className="btn btn-secondary btn-sm"
+            onClick={() => choose(invisibleIndexes, 'left')}
+            disabled={invisibleIndexes.length === 0}
+            title="Take Text 1 for every hunk that only differs in whitespace, invisible or watched characters, line endings or normalization"
+          >
+            Restore invisible characters
+          </button>
+        </div>
+      </div>
+      <p className="resource-summary">
+        The merge starts from Text 2 and works on the texts as typed, whatever differences the comparison ignores.
+      </p>
+      <ul className="issue-list merge-hunks" ref={listRef}>
+        {hunks.slice(0, MAX_HUNKS).map((hunk, i) => {
+          const position = hunk.right ?? hunk.left
+          const choice = choices[i] ?? 'right'
+          return (
+            <li
+              key={i}
+              className={`issue-item merge-hunk ${hunk.type === 'visible' ? '' : 'severity-high'} ${hunk === activeHunk ? 'active' : ''}`}
+            >
+              <button
+                className="issue-location merge-hunk-location"
+                onClick={() => onSelect(hunk)}
+                title={inViewer ? 'Show in the visual differences' : undefined}
+              >
+                Ln {position.line}, Col {position.column}
+              </button>
+              <span className="issue-type">{DIFFERENCE_TYPES[hunk.type]}</span>
+              <span className="issue-message">
+                <span className="virtual-diff-removed-text"><HunkText text={hunk.leftText} onMarkerClick={onMarkerClick} /></span>
+                {' → '}
+                <span className="virtual-diff-added-text"><HunkText text={hunk.rightText} onMarkerClick={onMarkerClick} /></span>
+              </span>
+              <MergeHunkActions index={i} choice={choice} onChoose={choose} />
+            </li>
+          )
+        })}
+        {hunks.length > MAX_HUNKS && (
+          <li className="issue-empty">…and {hunks.length - MAX_HUNKS} more; the bulk actions cover them too</li>
+        )}
+      </ul>
+
+      <div className="section-header section-header-row merge-result-header">
+        <h3>Merged Result</h3>
+        <div className="section-header-actions">
+          <button className="utility-icon-btn" onClick={merge.undo} disabled={!merge.canUndo} title="Undo" aria-label="Undo">
+            ↶
+          </button>
+          <button
+            className="utility-icon-btn"
+            onClick={merge.redo}
+            disabled={!merge.canRedo}
+            title="Redo"
+            aria-label="Redo"
+          >
+            ↷
+          </button>
+          <button className="btn btn-secondary btn-sm" onClick={() => navigator.clipboard.writeText(mergedText)}>
+            Copy
+          </button>
+          <button className="btn btn-secondary btn-sm" onClick={() => downloadFile('merged.txt', mergedText, 'text/plain')}>
+            Export
+          </button>
+          <button className="btn btn-primary btn-sm" onClick={() => onOpenInAnalyzer(mergedText)}>
+            Open in Text Analyzer
+          </button>
+        </div>
+      </div>
+      <div className="badge-row">
+        <span className="stat-badge">{taken} of {hunks.length} hunks changed from Text 2</span>
+        <span className="stat-badge">{mergedText.length} Characters</span>
+      </div>
+      <pre className="merge-result">
+        <MarkedText text={mergedText} onMarkerClick={onMarkerClick} />
+      </pre>
+    </div>
+  )
+}
+
+export default MergePanel
@@ -0,0 +1,52 @@
+import { describeCodePoints } from '../utils/normalization'
+
+const kindLabels = {
+  canonical: 'canonically equivalent',
+  compatibility: 'compatibility equivalent',
+}
+
+function NormalizationDiff({ classification }) {
+  const { form, kind, differences } = classification
+
+  return (
+    <div className="special-chars-section" role="region" aria-label="Normalization-only difference">
+      <div className="section-header">
+        <h3>Normalization-only Difference</h3>
+      </div>
+      <p className="normalization-summary">
+        The texts are {kindLabels[kind]}: they become identical after {form} normalization.
+        {kind === 'compatibility' && ' Some characters differ by more than composition (ligatures, width or compatibility forms).'}
+      </p>
+      {differences.length > 0 && (
+        <div className="resource-table-wrapper">
+          <table className="resource-table">
+            <thead>
+              <tr>
+                <th>Ln, Col</th>
+                <th>Text 1</th>
+                <th>Text 2</th>
+              </tr>
+            </thead>
+            <tbody>
+              {differences.map((difference) => (
+                <tr key={difference.index}>
+                  <td className="resource-line">{difference.line}, {difference.column}</td>
+                  <td>
+                    <span className="normalization-sequence">{difference.text1}</span>
+                    <span className="resource-line"> {describeCodePoints(difference.text1)}</span>
+                  </td>
+                  <td>
+                    <span className="normalization-sequence">{difference.text2}</span>
+                    <span className="resource-line"> {describeCodePoints(difference.text2)}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NormalizationDiff
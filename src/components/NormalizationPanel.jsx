@@ -0,0 +1,103 @@
+import { useState, useMemo } from 'react'
+import {
+  NORMALIZATION_FORMS,
+  getNormalizationStatus,
+  findNormalizationCandidates,
+  normalizeText,
+  describeCodePoints,
+  candidateKinds
+} from '../utils/normalization'
+
+function FormCell({ sequence, original }) {
+  return (
+    <td className={sequence === original ? 'normalization-unchanged' : undefined}>
+      <span className="normalization-sequence">{sequence}</span>
+      <span className="resource-line"> {describeCodePoints(sequence)}</span>
+    </td>
+  )
+}
+
+function NormalizationPanel({ text, selection, onChange }) {
+  const [targetForm, setTargetForm] = useState('NFC')
+  const status = useMemo(() => getNormalizationStatus(text), [text])
+  const candidates = useMemo(() => findNormalizationCandidates(text), [text])
+
+  if (candidates.length === 0) return null
+
+  const hasSelection = selection.end > selection.start && selection.end <= text.length
+
+  return (
+    <div className="special-chars-section" role="region" aria-label="Unicode normalization">
+      <div className="section-header section-header-row">
+        <h3>Normalization</h3>
+        <div className="section-header-actions">
+          <select
+            className="bidi-select"
+            value={targetForm}
+            onChange={(e) => setTargetForm(e.target.value)}
+            aria-label="Target normalization form"
+          >
+            {Object.entries(NORMALIZATION_FORMS).map(([form, label]) => (
+              <option key={form} value={form}>{form} – {label}</option>
+            ))}
+          </select>
+          <button
+            className="btn btn-secondary"
+            onClick={() => onChange(normalizeText(text, targetForm, selection.start, selection.end))}
+            disabled={!hasSelection}
+            title="Normalize only the text selected in the editor"
+          >
+            Convert selection
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={() => onChange(normalizeText(text, targetForm))}
+            disabled={status[targetForm]}
+          >
+            Convert text to {targetForm}
+          </button>
+        </div>
+      </div>
+
+      <div className="badge-row">
+        {Object.keys(NORMALIZATION_FORMS).map((form) => (
+          <span key={form} className={`char-count-badge ${status[form] ? 'active' : ''}`}>
+            {form} {status[form] ? '✓' : '✗'}
+          </span>
+        ))}
+      </div>
+
+      <div className="resource-table-wrapper">
+        <table className="resource-table">
+          <thead>
+            <tr>
+              <th>Ln, Col</th>
+              <th>As written</th>
+              <th>Kind</th>
+              {Object.keys(NORMALIZATION_FORMS).map((form) => <th key={form}>{form}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {candidates.map((candidate) => (
+              <tr key={candidate.sequence}>
+                <td className="resource-line">
+                  {candidate.line}, {candidate.column}{candidate.count > 1 ? ` (×${candidate.count})` : ''}
+                </td>
+                <td>
+                  <span className="normalization-sequence">{candidate.sequence}</span>
+                  <span className="resource-line"> {describeCodePoints(candidate.sequence)}</span>
+                </td>
+                <td>{candidateKinds[candidate.kind]}</td>
+                {Object.keys(NORMALIZATION_FORMS).map((form) => (
+                  <FormCell key={form} sequence={candidate.forms[form]} original={candidate.sequence} />
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default NormalizationPanel
@@ -0,0 +1,58 @@
+import { useMemo } from 'react'
+import { comparePlaceholders, placeholderTypes } from '../utils/placeholders'
+
+const issueLabels = {
+  broken: 'Broken',
+  missing: 'Missing',
+  extra: 'Extra',
+  duplicated: 'Duplicated',
+  reordered: 'Reordered',
+}
+
+function PlaceholderSummary({ label, placeholders }) {
+  return (
+    <p className="issue-details">
+      {label}:{' '}
+      {placeholders.length === 0
+        ? 'none'
+        : placeholders.map((placeholder, i) => (
+            <code key={`${placeholder.index}-${i}`} title={placeholderTypes[placeholder.type]}>
+              {placeholder.raw}
+            </code>
+          ))}
+    </p>
+  )
+}
+
+function PlaceholderCheck({ text1, text2 }) {
+  const { placeholders1, placeholders2, issues } = useMemo(() => comparePlaceholders(text1, text2), [text1, text2])
+
+  if (placeholders1.length === 0 && placeholders2.length === 0 && issues.length === 0) return null
+
+  return (
+    <div className="special-chars-section" role="region" aria-label="Placeholder check">
+      <div className="section-header">
+        <h3>Placeholders {issues.length > 0 ? `(${issues.length} ${issues.length === 1 ? 'issue' : 'issues'})` : ''}</h3>
+      </div>
+      <PlaceholderSummary label="Text 1" placeholders={placeholders1} />
+      <PlaceholderSummary label="Text 2" placeholders={placeholders2} />
+      {issues.length === 0 ? (
+        <p className="issue-empty">Both texts use the same placeholders.</p>
+      ) : (
+        <ul className="issue-list">
+          {issues.map((issue, i) => (
+            <li key={`${issue.type}-${issue.key}-${i}`} className={`issue-item severity-${issue.severity}`}>
+              <span className="issue-location">
+                Text {issue.text}{issue.line !== null && `, Ln ${issue.line}, Col ${issue.column}`}
+              </span>
+              <span className="issue-type">{issueLabels[issue.type]}</span>
+              <span className="issue-message">{issue.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default PlaceholderCheck
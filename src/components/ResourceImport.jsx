@@ -0,0 +1,128 @@
+import { useState, useMemo } from 'react'
+import { countSpecialChars, getCharInfo, getCharColor } from '../utils/specialChars'
+import { resourceFormats, getResourceFormat } from '../utils/resourceParsers'
+import { LINE_ENDINGS } from '../utils/lineEndings'
+
+function CharChips({ counts }) {
+  return (
+    <div className="resource-chips">
+      {Object.entries(counts).map(([char, count]) => {
+        const info = getCharInfo(char)
+        const color = getCharColor(char)
+        return (
+          <span
+            key={char}
+            className="resource-chip"
+            style={{ backgroundColor: color, borderColor: `${color}aa` }}
+            data-tooltip-id="special-tooltip"
+            data-tooltip-content={`${info.desc} (${info.code})`}
+          >
+            {info.display}{count > 1 ? ` ×${count}` : ''}
+          </span>
+        )
+      })}
+    </div>
+  )
+}
+
+function ResourceImport({ resource, onOpenEntry, onClose }) {
+  const [onlyFlagged, setOnlyFlagged] = useState(true)
+
+  const rows = useMemo(
+    () => resource.entries.map((entry) => ({
+      ...entry,
+      keyChars: countSpecialChars(entry.key),
+      valueChars: countSpecialChars(entry.value)
+    })),
+    [resource.entries]
+  )
+
+  const flaggedRows = rows.filter((row) => Object.keys(row.keyChars).length > 0 || Object.keys(row.valueChars).length > 0)
+  const visibleRows = onlyFlagged ? flaggedRows : rows
+  const format = getResourceFormat(resource.fileName)
+
+  return (
+    <div className="special-chars-section" role="region" aria-label="Imported resource file">
+      <div className="section-header section-header-row">
+        <h3>
+          {resource.fileName}
+          {format && <span className="resource-format"> · {resourceFormats[format].label}</span>}
+          {resource.encoding && <span className="resource-format"> · {resource.encoding}</span>}
+        </h3>
+        <div className="section-header-actions">
+          {!resource.error && (
+            <label className="resource-filter">
+              <input
+                type="checkbox"
+                checked={onlyFlagged}
+                onChange={(e) => setOnlyFlagged(e.target.checked)}
+              />
+              Only entries with hidden characters
+            </label>
+          )}
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      {resource.error ? (
+        <p className="issue-empty">Could not read this file: {resource.error}</p>
+      ) : (
+        <>
+          <p className="resource-summary">
+            {rows.length} entries, {flaggedRows.length} with hidden characters
+          </p>
+          {resource.lineEndings && resource.lineEndings.mixed && (
+            <p className="issue-item severity-medium resource-warning">
+              Mixed line endings:{' '}
+              {resource.lineEndings.styles.map((style) => `${resource.lineEndings.counts[style]} ${LINE_ENDINGS[style].label}`).join(', ')}
+              {' '}(style changes at {resource.lineEndings.changes.length === 1 ? 'line' : 'lines'}{' '}
+              {resource.lineEndings.changes.slice(0, 10).map((change) => change.line).join(', ')}
+              {resource.lineEndings.changes.length > 10 ? ', …' : ''})
+            </p>
+          )}
+          {visibleRows.length > 0 && (
+            <div className="resource-table-wrapper">
+              <table className="resource-table">
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Key</th>
+                    <th>Value</th>
+                    <th>Hidden characters</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleRows.map((row, i) => (
+                    <tr key={`${row.key}-${i}`}>
+                      <td className="resource-line">{row.line ?? '–'}</td>
+                      <td className="resource-key">
+                        {row.key}
+                        {Object.keys(row.keyChars).length > 0 && <CharChips counts={row.keyChars} />}
+                      </td>
+                      <td className="resource-value">{row.value}</td>
+                      <td><CharChips counts={row.valueChars} /></td>
+                      <td>
+                        <button
+                          className="btn btn-sm btn-primary"
+                          onClick={() => onOpenEntry(row)}
+                          title="Open this value in the analyzer"
+                        >
+                          Open
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ResourceImport
@@ -0,0 +1,72 @@
+import { CONFUSABLES_VERSION } from '../utils/confusables'
+
+function FindingList({ title, findings, emptyText, renderDetails }) {
+  return (
+    <div className="security-group">
+      <h4 className="security-group-title">
+        {title} <span className={`char-count-badge ${findings.length > 0 ? 'active' : ''}`}>{findings.length}</span>
+      </h4>
+      {findings.length === 0 ? (
+        <p className="issue-empty">{emptyText}</p>
+      ) : (
+        <ul className="issue-list">
+          {findings.map((finding, i) => (
+            <li key={`${finding.index}-${i}`} className={`issue-item severity-${finding.severity}`}>
+              <span className="issue-location">Ln {finding.line}, Col {finding.column}</span>
+              <span className="issue-type">{finding.severity}</span>
+              <span className="issue-message">
+                {finding.message}
+                {renderDetails(finding)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+const renderSkeleton = (finding) => (
+  <span className="issue-details">
+    <code>{finding.token}</code> → skeleton <code>{finding.skeleton}</code>
+    {finding.collisions.length > 0 && (
+      <> · same skeleton as {finding.collisions.map((other) => <code key={other}>{other}</code>)}</>
+    )}
+  </span>
+)
+
+function SecurityScan({ report }) {
+  const total = report.reordering.length + report.confusables.length + report.mixedScript.length
+
+  return (
+    <div className="special-chars-section" role="region" aria-label="Security scan">
+      <div className="section-header">
+        <h3>Security Scan {total > 0 ? `(${total} ${total === 1 ? 'finding' : 'findings'})` : ''}</h3>
+      </div>
+      <FindingList
+        title="Reordering bidi controls"
+        findings={report.reordering}
+        emptyText="No override, embedding or isolate reorders visible text."
+        renderDetails={(finding) => finding.preview !== null && (
+          <span className="issue-details">
+            displays roughly as <code>{finding.preview}</code>
+          </span>
+        )}
+      />
+      <FindingList
+        title={`Confusable characters (Unicode ${CONFUSABLES_VERSION} confusables)`}
+        findings={report.confusables}
+        emptyText="No lookalike characters found inside Latin text."
+        renderDetails={renderSkeleton}
+      />
+      <FindingList
+        title="Mixed-script tokens"
+        findings={report.mixedScript}
+        emptyText="Every word uses a single script (or an allowed CJK combination)."
+        renderDetails={renderSkeleton}
+      />
+    </div>
+  )
+}
+
+export default SecurityScan
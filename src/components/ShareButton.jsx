@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react'
+import { buildShareUrl } from '../utils/share'
+
+const STATUS_DURATION = 4000
+// Links longer than this get cut off by some chat tools and mail clients
+const LONG_URL_LENGTH = 2000
+
+function ShareButton({ state }) {
+  const [status, setStatus] = useState(null)
+
+  useEffect(() => {
+    if (!status) return
+    const timer = setTimeout(() => setStatus(null), STATUS_DURATION)
+    return () => clearTimeout(timer)
+  }, [status])
+
+  const handleShare = async () => {
+    const url = await buildShareUrl(state)
+    try {
+      await navigator.clipboard.writeText(url)
+      setStatus(url.length > LONG_URL_LENGTH
+        ? `Link copied (${url.length.toLocaleString()} characters, too long for some chat tools)`
+        : 'Link copied')
+    } catch {
+      // Clipboard blocked: let the user copy it by hand
+      window.prompt('Copy this link', url)
+    }
+  }
+
+  return (
+    <>
+      <button
+        className="utility-icon-btn"
+        onClick={handleShare}
+        title="Copy a link that opens this exact text and view"
+        aria-label="Copy share link"
+      >
+        🔗
+      </button>
+      <span className="share-status" role="status">{status}</span>
+    </>
+  )
+}
+
+export default ShareButton
@@ -1,353 +1,196 @@
-import { useState, useMemo } from 'react'
+import { useState, useMemo, useEffect, Fragment } from 'react'
 import { Tooltip } from 'react-tooltip'
+import BidiValidator from './BidiValidator'
+import NormalizationPanel from './NormalizationPanel'
+import EncodingDamage from './EncodingDamage'
+import LineEndings from './LineEndings'
+import SecurityScan from './SecurityScan'
+import IcuMessage from './IcuMessage'
+import ResourceImport from './ResourceImport'
+import FindReplace from './FindReplace'
+import TypographyCheck from './TypographyCheck'
+import ShareButton from './ShareButton'
+import VirtualText from './VirtualText'
+import TextStats from './TextStats'
+import LengthConstraints from './LengthConstraints'
+import { getListedChars, charRegistry, charCategories, specialCharRegex, getCharInfo, getCharColor } from '../utils/specialChars'
+import { scanSecurity } from '../utils/security'
+import { parseResourceFile, RESOURCE_FILE_ACCEPT } from '../utils/resourceParsers'
+import { decodeFile } from '../utils/encoding'
+import { analyzeLineEndings } from '../utils/lineEndings'
+import { buildReport, describeOccurrences, reportFormats } from '../utils/report'
+import { downloadFile } from '../utils/download'
+import { toEscape } from '../utils/findReplace'
+import { checkTypography } from '../utils/typography'
+import { MAX_CHECKED_LENGTH, normalizeConstraints, createPixelMeasure, getMeasure, checkConstraints } from '../utils/constraints'
+import { scanText, findSpecialMarks, markSpecialChars } from '../core'
+import useAnalysisJob from '../hooks/useAnalysisJob'
+import { WATCH_SEVERITIES } from '../utils/watchList'
 
-const specialChars = {
-  '\t': { 
-    desc: 'Tab', 
-    code: 'U+0009', 
-    display: '→', 
-    fullText: 'Tab', 
-    example: 'Product Name\tPrice\tQuantity\nLaptop Computer\t$899.99\t5\nWireless Mouse\t$24.99\t50', 
-    usage: 'Creates horizontal spacing, typically 4-8 spaces wide. Common in TSV files and code indentation.' 
-  },
-  '\n': { 
-    desc: 'Line Feed', 
-    code: 'U+000A', 
-    display: '↵', 
-    fullText: 'Line Feed (new line)', 
-    example: '123 Main Street\nApartment 4B\nSpringfield, IL 62701\nUnited States of America', 
-    usage: 'Standard line break on Unix/Linux/Mac systems. In localization, watch for platform-specific line endings.' 
-  },
-  '\r': { 
-    desc: 'Carriage Return', 
-    code: 'U+000D', 
-    display: '⏎', 
-    fullText: 'Carriage Return', 
-    example: 'Windows line ending example:\r\nFirst line of text\r\nSecond line of text\r\nThird line of text', 
-    usage: 'Part of Windows line ending (\\r\\n). Rarely used alone in modern text. May cause issues in cross-platform files.' 
-  },
-  '\u00A0': { 
-    desc: 'Non-breaking Space', 
-    code: 'U+00A0', 
-    display: 'NBSP', 
-    fullText: 'Non-breaking Space', 
-    example: 'Speed: 100\u00A0km/h\nPrice: $\u00A01,299.99\nMr.\u00A0John\u00A0Smith\nMarch\u00A025,\u00A02024', 
-    usage: 'Prevents line breaks between words/numbers. Critical for: units (100 km/h), currency ($ 1,299.99), titles (Mr. Smith), dates (March 25, 2024).' 
-  },
-  '\u200B': { 
-    desc: 'Zero-width Space', 
-    code: 'U+200B', display: 'ZWSP', 
-    fullText: 'Zero-width Space', 
-    example: 'https://www.\u200Bvery\u200Blong\u200Bexample\u200Bwebsite\u200Burl\u200Baddress.\u200Bcom/path/to/resource\nsuper\u200Bcali\u200Bfragil\u200Bistic\u200Bexpi\u200Bali\u200Bdocious', 
-    usage: 'Allows line breaking in long URLs, compound words, or CJK text without visible space. Invisible but affects layout.' 
-  },
-  '\u00AD': { 
-    desc: 'Soft Hyphen', 
-    code: 'U+00AD', 
-    display: 'SHY', 
-    fullText: 'Soft Hyphen', 
-    example: 'This is a very long German word: Donau\u00ADdampf\u00ADschiff\u00ADfahrts\u00ADgesell\u00ADschafts\u00ADkapitän\nAnd another: Rechts\u00ADschutz\u00ADversiche\u00ADrungs\u00ADgesell\u00ADschaften', 
-    usage: 'Shows hyphen only when word breaks across lines. Essential for long words in German, Dutch, Finnish localization.' 
-  },
-  '\u2028': { 
-    desc: 'Line Separator', 
-    code: 'U+2028', 
-    display: 'LS', 
-    fullText: 'Line Separator', 
-    example: 'This is the first semantic line of a paragraph that continues.\u2028This is the second semantic line within the same paragraph.\u2028And here is a third semantic line.', 
-    usage: 'Unicode-specific line break within paragraphs. May appear in JSON strings or international text processing.' 
-  },
-  '\u2029': { 
-    desc: 'Paragraph Separator', 
-    code: 'U+2029', 
-    display: 'PS', 
-    fullText: 'Paragraph Separator', 
-    example: 'This is the complete first paragraph with several words to make it substantial.\u2029This is the second paragraph that follows after the Unicode paragraph separator.\u2029And here begins the third distinct paragraph.', 
-    usage: 'Unicode paragraph boundary marker. Semantic separator for structured text, distinct from simple line breaks.' 
-  },
-  '\u200C': { 
-    desc: 'Zero-width Non-joiner', 
-    code: 'U+200C', 
-    display: 'ZWNJ', 
-    fullText: 'Zero-width Non-joiner', 
-    example: 'Persian example: من می\u200Cخواهم (I want) vs میخواهم (wrong)\nHindi example: क्\u200Cय vs क्य (ligature difference)\nFarsi word: نمی\u200Cدانم (I don\'t know)', 
-    usage: 'Critical for Persian, Arabic, Devanagari scripts. Prevents unwanted letter joining while maintaining proper spacing.' 
-  },
-  '\u200D': { 
-    desc: 'Zero-width Joiner', 
-    code: 'U+200D', 
-    display: 'ZWJ', 
-    fullText: 'Zero-width Joiner', 
-    example: 'Family emoji: 👨\u200D👩\u200D👧\u200D👦 (man+woman+girl+boy)\nProfession: 👨\u200D⚕️ (doctor) vs 👨 ⚕️ (separate)\nArabic: ل\u200Dا creates ligature', 
-    usage: 'Forms complex emoji sequences and ligatures. Essential for emoji families, skin tones, and connecting Arabic characters.' 
-  },
-  '\u200E': { 
-    desc: 'Left-to-right Mark', 
-    code: 'U+200E', 
-    display: 'LRM', 
-    fullText: 'Left-to-right Mark', 
-    example: 'Arabic with number: مرحبا\u200E 123 (correct) vs مرحبا 123 (may reverse)\nEmail in RTL: البريد: user@\u200Eexample.com\nMixed: שלום\u200E, how are you?', 
-    usage: 'Forces LTR direction for numbers, emails, URLs in RTL text (Arabic, Hebrew). Prevents display corruption.' 
-  },
-  '\u200F': { 
-    desc: 'Right-to-left Mark', 
-    code: 'U+200F', 
-    display: 'RLM', 
-    fullText: 'Right-to-left Mark', 
-    example: 'Price in Hebrew: המחיר:\u200F $99.99 (keeps $ on right)\nEnglish with RTL punctuation: Hello\u200F, שלום\nDate: התאריך:\u200F 23/11/2024', 
-    usage: 'Forces RTL direction for punctuation and numbers in bidirectional text. Critical for Hebrew/Arabic localization.' 
-  },
-  '\u202A': { 
-    desc: 'Left-to-right Embedding', 
-    code: 'U+202A', 
-    display: 'LRE', 
-    fullText: 'Left-to-right Embedding', 
-    example: 'Arabic text with URL: زيارة \u202Ahttps://example.com/page\u202C للمزيد\nRTL with LTR: العنوان \u202A123 Main Street\u202C في المدينة', 
-    usage: 'Embeds LTR text section within RTL content. Must be closed with PDF (U+202C). Use for URLs in Arabic text.' 
-  },
-  '\u202B': { 
-    desc: 'Right-to-left Embedding', 
-    code: 'U+202B', 
-    display: 'RLE', 
-    fullText: 'Right-to-left Embedding', 
-    example: 'English with Hebrew quote: He said \u202Bשלום עולם\u202C which means "hello world"\nLTR with RTL: The word is \u202Bمرحبا\u202C in Arabic', 
-    usage: 'Embeds RTL text section within LTR content. Requires PDF (U+202C) to close. Use for Hebrew/Arabic quotes.' 
-  },
-  '\u202C': { 
-    desc: 'Pop Directional Formatting', 
-    code: 'U+202C', 
-    display: 'PDF', 
-    fullText: 'Pop Directional Formatting', 
-    example: 'Normal text \u202AMixed direction content here\u202C back to normal\nNested: Start \u202BLTR \u202ARTL inside\u202C end LTR\u202C back to start', 
-    usage: 'Closes LRE, RLE, LRO, or RLO. Essential pair with bidirectional formatting. Missing PDF causes layout issues.' 
-  },
-  '\u202D': { 
-    desc: 'Left-to-right Override', 
-    code: 'U+202D', 
-    display: 'LRO', 
-    fullText: 'Left-to-right Override', 
-    example: 'Force Hebrew LTR: \u202D!שלום עולם\u202C shows as !םלוע םולש (reversed)\nOverride Arabic: \u202Dمرحبا 123\u202C all displays left-to-right', 
-    usage: 'Forces all text LTR regardless of character properties. Stronger than LRM. Use with caution, always close with PDF.' 
-  },
-  '\u202E': { 
-    desc: 'Right-to-left Override', 
-    code: 'U+202E', 
-    display: 'RLO', 
-    fullText: 'Right-to-left Override', 
-    example: 'Reverse English: \u202EHello World!\u202C displays as !dlroW olleH\nReverse URL: \u202Eexample.com\u202C shows as moc.elpmaxe (security risk!)', 
-    usage: 'Forces all text RTL regardless of properties. Can reverse entire strings. Security risk if misused (spoofing).' 
-  },
-  '\uFEFF': { 
-    desc: 'Zero-width No-break Space', 
-    code: 'U+FEFF', 
-    display: 'BOM', 
-    fullText: 'Zero-width No-break Space (BOM)', 
-    example: '\uFEFF<?xml version="1.0" encoding="UTF-8"?>\n\uFEFF{"name": "config", "type": "UTF-8"}\nFile starts with BOM: \uFEFFThis is the first line', 
-    usage: 'Byte Order Mark at file start signals UTF encoding. Also prevents word breaks. May cause parsing errors if unexpected.' 
-  },
-  '\u2060': { 
-    desc: 'Word Joiner', 
-    code: 'U+2060', 
-    display: 'WJ', 
-    fullText: 'Word Joiner', 
-    example: 'Keep\u2060together without visible space\nVersion\u20601.0.2\nISBN\u2060978-3-16-148410-0', 
-    usage: 'Zero-width non-breaking character. Prevents line breaks without adding visible space. Useful in technical docs and version numbers.' 
-  },
-  '\u2007': { 
-    desc: 'Figure Space', 
-    code: 'U+2007', 
-    display: 'FIGSP', 
-    fullText: 'Figure Space', 
-    example: 'Align numbers:\n\u2007\u2007123.45\n\u20071,234.56\n123,456.78', 
-    usage: 'Same width as digits (0-9). Used to align numbers in tables and financial data. Essential for tabular localization.' 
-  },
-  '\u2009': { 
-    desc: 'Thin Space', 
-    code: 'U+2009', 
-    display: 'THNSP', 
-    fullText: 'Thin Space', 
-    example: 'French punctuation\u2009: «\u2009Bonjour\u2009»\nQuestion\u2009?\nExclamation\u2009!', 
-    usage: 'Narrower than normal space. Standard in French typography before punctuation (? ! ; :) and inside guillemets.' 
-  },
-  '\u202F': { 
-    desc: 'Narrow No-break Space', 
-    code: 'U+202F', 
-    display: 'NNBSP', 
-    fullText: 'Narrow No-break Space', 
-    example: 'French: 123\u202F456\u202F789\nPercentage: 99\u202F%\nTime: 14\u202Fh\u202F30\nPrice: 1\u202F234,56\u202F€', 
-    usage: 'Required in French localization for: thousand separators (123 456), percentages (99 %), units (14 h), currency.' 
-  },
-  '\u180E': { 
-    desc: 'Mongolian Vowel Separator', 
-    code: 'U+180E', 
-    display: 'MVS', 
-    fullText: 'Mongolian Vowel Separator', 
-    example: 'Mongolian text with vowel separator\u180E(invisible formatting)', 
-    usage: 'Mongolian script-specific character. Indicates vowel separation. Rarely needed but critical for Mongolian localization.' 
-  },
-  '\u2002': { 
-    desc: 'En Space', 
-    code: 'U+2002', 
-    display: 'ENSP', 
-    fullText: 'En Space', 
-    example: 'Typography:\u2002En-width spacing\nDates:\u2002Jan\u20021–15,\u20022024', 
-    usage: 'Width of lowercase "n". Used in professional typography and publishing. Common in date ranges and lists.' 
-  },
-  '\u2003': { 
-    desc: 'Em Space', 
-    code: 'U+2003', 
-    display: 'EMSP', 
-    fullText: 'Em Space', 
-    example: 'Typography:\u2003Em-width spacing (wider)\nParagraph:\u2003Indented first line', 
-    usage: 'Width of uppercase "M". Widest standard space. Used for paragraph indentation and professional typesetting.' 
-  },
-  '\u2004': { 
-    desc: 'Three-Per-Em Space', 
-    code: 'U+2004', 
-    display: '3/M', 
-    fullText: 'Three-Per-Em Space', 
-    example: 'Fine\u2004spacing\u2004control\nList:\u2004Item\u20041,\u2004Item\u20042', 
-    usage: 'One-third of an em width. Precise spacing control in professional typography and desktop publishing.' 
-  },
-  '\u2005': { 
-    desc: 'Four-Per-Em Space', 
-    code: 'U+2005', 
-    display: '4/M', 
-    fullText: 'Four-Per-Em Space', 
-    example: 'Tighter\u2005spacing\u2005control\nNumbers:\u20051,234\u2005567', 
-    usage: 'One-quarter of an em width. Fine-grained spacing for professional layouts and justified text.' 
-  },
-  '\u2006': { 
-    desc: 'Six-Per-Em Space', 
-    code: 'U+2006', 
-    display: '6/M', 
-    fullText: 'Six-Per-Em Space', 
-    example: 'Very\u2006fine\u2006spacing\nAbbrev.:\u2006Dr.\u2006Smith', 
-    usage: 'One-sixth of an em width. Finest spacing control in professional typography. Used in abbreviations and initials.' 
-  },
-  '\u2066': { 
-    desc: 'Left-to-right Isolate', 
-    code: 'U+2066', 
-    display: 'LRI', 
-    fullText: 'Left-to-right Isolate', 
-    example: 'Modern RTL: Arabic text \u2066LTR content here\u2069 continues\nURL in RTL: Visit \u2066example.com\u2069 now', 
-    usage: 'Modern replacement for LRE (U+202A). Better isolation of LTR text in RTL context. Requires PDI (U+2069) to close.' 
-  },
-  '\u2067': { 
-    desc: 'Right-to-left Isolate', 
-    code: 'U+2067', 
-    display: 'RLI', 
-    fullText: 'Right-to-left Isolate', 
-    example: 'Modern LTR: English text \u2067مرحبا بك\u2069 continues\nQuote: He said \u2067שלום\u2069 to everyone', 
-    usage: 'Modern replacement for RLE (U+202B). Better isolation of RTL text in LTR context. Requires PDI (U+2069) to close.' 
-  },
-  '\u2068': { 
-    desc: 'First Strong Isolate', 
-    code: 'U+2068', 
-    display: 'FSI', 
-    fullText: 'First Strong Isolate', 
-    example: 'Auto-detect: \u2068Could be LTR or RTL\u2069 text\nSmart: \u2068مرحبا\u2069 or \u2068Hello\u2069', 
-    usage: 'Automatically detects text direction from first strong directional character. Most flexible modern bidirectional control.' 
-  },
-  '\u2069': { 
-    desc: 'Pop Directional Isolate', 
-    code: 'U+2069', 
-    display: 'PDI', 
-    fullText: 'Pop Directional Isolate', 
-    example: 'Close isolate: \u2066LTR text\u2069 back to normal\nNested: \u2067RTL \u2066inner LTR\u2069 back to RTL\u2069 normal', 
-    usage: 'Closes LRI, RLI, or FSI. Modern replacement for PDF (U+202C). Essential pair with Unicode 6.3+ isolate characters.' 
-  },
-}
+const MAX_LISTED_OCCURRENCES = 200
 
-// Generate colors for each special character - more distinguishable
-const colors = [
-  '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', '#98D8C8',
-  '#F7DC6F', '#BB8FCE', '#85C1E9', '#F8C471', '#82E0AA', '#F1948A', '#85C1E9',
-  '#D7BDE2', '#AED6F1', '#A3E4D7', '#F9E79F', '#D2B4DE', '#FF8C94', '#A8E6CF',
-  '#FFD3B6', '#FFAAA5', '#FF8B94', '#C7CEEA', '#B5EAD7', '#E2F0CB', '#FFDAC1',
-  '#D4A5A5', '#9CADCE', '#E8DFF5'
-]
-
-function TextAnalyzer() {
-  const [text, setText] = useState('')
-  const [history, setHistory] = useState([''])
-  const [historyIndex, setHistoryIndex] = useState(0)
+function TextAnalyzer({ documentId, initialState, watchList, onStateChange }) {
+  const [text, setText] = useState(initialState.text)
+  const [history, setHistory] = useState(initialState.history)
+  const [historyIndex, setHistoryIndex] = useState(initialState.historyIndex)
   const [cursorPosition, setCursorPosition] = useState(0)
-  const [highlightVisibility, setHighlightVisibility] = useState({})
+  const [selectionEnd, setSelectionEnd] = useState(0)
+  const [highlightVisibility, setHighlightVisibility] = useState(initialState.highlightVisibility)
   const [showInfoModal, setShowInfoModal] = useState(false)
   const [selectedChar, setSelectedChar] = useState(null)
   const [contextMenu, setContextMenu] = useState({ visible: false, x: 0, y: 0 })
   const [textareaRef, setTextareaRef] = useState(null)
-  const [replaceModal, setReplaceModal] = useState({ visible: false, char: null })
-  const [replaceWith, setReplaceWith] = useState('')
-  const [bidiPreview, setBidiPreview] = useState('ltr')
-  const [showCharSelector, setShowCharSelector] = useState(false)
+  const [activeOccurrence, setActiveOccurrence] = useState(null)
+  const [openOccurrences, setOpenOccurrences] = useState(null)
+  const [findReplace, setFindReplace] = useState(null)
+  const [bidiPreview, setBidiPreview] = useState(initialState.bidiPreview)
+  const [constraints, setConstraints] = useState(() => normalizeConstraints(initialState.constraints))
   const [showInsertMenu, setShowInsertMenu] = useState(false)
+  const [securityMode, setSecurityMode] = useState(false)
+  const [icuMode, setIcuMode] = useState(false)
+  const [typographyProfile, setTypographyProfile] = useState('')
+  const [resourceImport, setResourceImport] = useState(null)
+  const [openedEntry, setOpenedEntry] = useState(null)
 
-  const highlightedText = useMemo(() => {
-    if (!text) return text
-    const parts = []
-    let lastIndex = 0
-    const regex = /[\t\n\r\u00A0\u200B\u00AD\u2028\u2029\u200C\u200D\u200E\u200F\u202A\u202B\u202C\u202D\u202E\uFEFF\u2060\u2007\u2009\u202F\u180E\u2002\u2003\u2004\u2005\u2006\u2066\u2067\u2068\u2069]/g
-    let match
-    let colorIndex = 0
-    while ((match = regex.exec(text)) !== null) {
-      if (match.index > lastIndex) {
-        parts.push(text.slice(lastIndex, match.index))
-      }
-      const char = match[0]
-      const info = specialChars[char] || { desc: 'Special Character', code: `U+${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`, display: char }
-      const isVisible = highlightVisibility[char] !== false
-      if (isVisible) {
-        const charIndex = Object.keys(specialChars).indexOf(char)
-        const color = colors[charIndex % colors.length]
-        parts.push(
-          <span
-            key={match.index}
-            className="special-char"
-            data-tooltip-id="special-tooltip"
-            data-tooltip-content={`${info.desc} (${info.code}) - Click for info`}
-            onClick={() => {
-              setSelectedChar(char)
-              setShowInfoModal(true)
-            }}
-            style={{ backgroundColor: color, border: `1px solid ${color}aa`, borderRadius: '2px', cursor: 'pointer' }}
-          >
-            {info.display}
-          </span>
-        )
-      } else {
-        parts.push(char)
-      }
-      lastIndex = regex.lastIndex
+  // Hand every change to the workspace, which autosaves it
+  useEffect(() => {
+    onStateChange(documentId, { text, history, historyIndex, highlightVisibility, bidiPreview, constraints })
+  }, [documentId, onStateChange, text, history, historyIndex, highlightVisibility, bidiPreview, constraints])
+
+  const securityReport = useMemo(() => (securityMode ? scanSecurity(text) : null), [text, securityMode])
+  const typographyViolations = useMemo(() => checkTypography(text, typographyProfile), [text, typographyProfile])
+
+  // Whether the text fits its length and line limits, and where it gets cut off if not
+  const { unit, maxLength, maxLines, fontFamily, fontSize } = constraints
+  const pixelMeasure = useMemo(
+    () => (unit === 'pixels' ? createPixelMeasure({ fontFamily, fontSize }) : null),
+    [unit, fontFamily, fontSize]
+  )
+  const constraintCheck = useMemo(() => {
+    const measure = getMeasure(unit, pixelMeasure)
+    if ((!maxLength && !maxLines) || !measure || text.length > MAX_CHECKED_LENGTH) return null
+    return checkConstraints(text, { unit, maxLength, maxLines }, measure)
+  }, [text, unit, maxLength, maxLines, pixelMeasure])
+
+  // Large texts are scanned in the worker; until it answers, the output shows the last scanned text
+  const scanPayload = useMemo(() => ({ text, watchList }), [text, watchList])
+  const scan = useAnalysisJob('scan', scanPayload, text.length)
+  const scannedText = scan.payload?.text ?? ''
+  const listedChars = getListedChars()
+
+  const specialMarks = useMemo(
+    () => findSpecialMarks(scannedText, scan.result?.offsets ?? []),
+    [scannedText, scan.result]
+  )
+
+  // Security and typography findings belong to the current text, so they wait for the scan to catch up
+  const marks = useMemo(() => {
+    if (scan.pending) return specialMarks
+    const found = scanText(scannedText, { specialMarks, securityReport, typographyViolations })
+    const truncation = constraintCheck?.truncation ?? null
+    if (truncation === null) return found
+    // An empty mark, so the character at the truncation point keeps its own mark after it
+    const at = found.findIndex((mark) => mark.index >= truncation)
+    const mark = { index: truncation, char: '', kind: 'truncation', message: 'The text is cut off from here' }
+    return at === -1 ? [...found, mark] : [...found.slice(0, at), mark, ...found.slice(at)]
+  }, [scannedText, scan.pending, specialMarks, securityReport, typographyViolations, constraintCheck])
+
+  const charCounts = scan.result?.counts ?? {}
+
+  // Length in graphemes and the other units platforms limit strings by
+  const statsPayload = useMemo(() => ({ text }), [text])
+  const stats = useAnalysisJob('stats', statsPayload, text.length).result
+
+  const occurrencesByChar = useMemo(() => {
+    const groups = {}
+    specialMarks.forEach(({ index, char }) => {
+      groups[char] = groups[char] || []
+      groups[char].push({ offset: index, char })
+    })
+    return groups
+  }, [specialMarks])
+
+  // Line, column and context only for the list that is open
+  const listedOccurrences = useMemo(() => {
+    const occurrences = occurrencesByChar[openOccurrences] || []
+    return describeOccurrences(scannedText, occurrences.slice(0, MAX_LISTED_OCCURRENCES).map((o) => o.offset))
+  }, [scannedText, occurrencesByChar, openOccurrences])
+
+  const renderMark = ({ index, char, kind, message }) => {
+    if (kind === 'suspicious') {
+      return (
+        <span
+          key={index}
+          className="suspicious-char"
+          data-tooltip-id="special-tooltip"
+          data-tooltip-content={message}
+        >
+          {char}
+        </span>
+      )
     }
-    if (lastIndex < text.length) {
-      parts.push(text.slice(lastIndex))
+    if (kind === 'truncation') {
+      return (
+        <span
+          key={`truncation-${index}`}
+          className="truncation-point"
+          data-offset={index}
+          data-length={scannedText.length - index}
+          data-tooltip-id="special-tooltip"
+          data-tooltip-content={`${message} - Click to select the overflow in the editor`}
+        />
+      )
     }
-    return parts
-  }, [text, highlightVisibility])
-
-  const charCounts = useMemo(() => {
-    const counts = {}
-    for (const char of text) {
-      if (specialChars[char] && /[\t\n\r\u00A0\u200B\u00AD\u2028\u2029\u200C\u200D\u200E\u200F\u202A\u202B\u202C\u202D\u202E\uFEFF\u2060\u2007\u2009\u202F\u180E\u2002\u2003\u2004\u2005\u2006\u2066\u2067\u2068\u2069]/.test(char)) {
-        counts[char] = (counts[char] || 0) + 1
-      }
+    if (kind === 'typography') {
+      return (
+        <span
+          key={index}
+          className="typography-issue"
+          data-offset={index}
+          data-length={char.length}
+          data-tooltip-id="special-tooltip"
+          data-tooltip-content={message}
+        >
+          {char}
+        </span>
+      )
     }
-    return counts
-  }, [text])
+    if (highlightVisibility[char] === false) return char
+    const info = getCharInfo(char)
+    const color = getCharColor(char)
+    return (
+      <Fragment key={index}>
+        <span
+          className={`special-char ${activeOccurrence === index ? 'special-char-active' : ''}`}
+          data-offset={index}
+          data-length={char.length}
+          data-tooltip-id="special-tooltip"
+          data-tooltip-content={`${info.desc} (${info.code}) - Click to select in editor, double-click for info`}
+          style={{ backgroundColor: color, border: `1px solid ${color}aa`, borderRadius: '2px', cursor: 'pointer' }}
+        >
+          {info.display}
+        </span>
+        {/* Keep the line break itself so the output lines up with the editor */}
+        {char === '\n' && '\n'}
+      </Fragment>
+    )
+  }
 
-  const insertSpecialChar = (char) => {
-    const newText = text.slice(0, cursorPosition) + char + text.slice(cursorPosition)
+  // Replace the text and record it as one undo/redo step
+  const commitText = (newText) => {
     setText(newText)
-    const newCursorPos = cursorPosition + char.length
-    setCursorPosition(newCursorPos)
-    
-    // Add to history for undo/redo
+    setActiveOccurrence(null)
     const newHistory = history.slice(0, historyIndex + 1)
     newHistory.push(newText)
     setHistory(newHistory)
     setHistoryIndex(newHistory.length - 1)
+  }
+
+  const insertSpecialChar = (char) => {
+    const newText = text.slice(0, cursorPosition) + char + text.slice(cursorPosition)
+    commitText(newText)
+    const newCursorPos = cursorPosition + char.length
+    setCursorPosition(newCursorPos)
     
     // Set cursor position in the textarea after state updates
     setTimeout(() => {
@@ -358,6 +201,49 @@ function TextAnalyzer() {
     }, 0)
   }
 
+  // Select one occurrence in the editor and bring it into view in both panels
+  const selectOccurrence = (offset, length) => {
+    setActiveOccurrence(offset)
+    setCursorPosition(offset)
+    setSelectionEnd(offset + length)
+    if (textareaRef) {
+      // Focusing after the selection is set makes the browser scroll the textarea to it
+      textareaRef.blur()
+      textareaRef.setSelectionRange(offset, offset + length)
+      textareaRef.focus()
+    }
+  }
+
+  // Highlighted spans carry their offset in the source text
+  const findHighlightedChar = (target, selector = '[data-offset]') => {
+    const span = target.closest(selector)
+    if (!span) return null
+    return { offset: Number(span.dataset.offset), length: Number(span.dataset.length) }
+  }
+
+  const handleHighlightClick = (e) => {
+    const found = findHighlightedChar(e.target)
+    if (found) selectOccurrence(found.offset, found.length)
+  }
+
+  const handleHighlightDoubleClick = (e) => {
+    const found = findHighlightedChar(e.target, '.special-char')
+    if (!found) return
+    setSelectedChar(scannedText.slice(found.offset, found.offset + found.length))
+    setShowInfoModal(true)
+  }
+
+  // Move to the next or previous occurrence of a character, relative to the cursor
+  const stepOccurrence = (char, direction) => {
+    const occurrences = occurrencesByChar[char] || []
+    if (occurrences.length === 0) return
+    const target = direction > 0
+      ? occurrences.find((o) => o.offset > cursorPosition) || occurrences[0]
+      : occurrences.findLast((o) => o.offset < cursorPosition) || occurrences[occurrences.length - 1]
+    setOpenOccurrences(char)
+    selectOccurrence(target.offset, target.char.length)
+  }
+
   const toggleHighlight = (char) => {
     setHighlightVisibility(prev => ({
       ...prev,
@@ -366,15 +252,8 @@ function TextAnalyzer() {
   }
 
   const handleTextChange = (e) => {
-    const newText = e.target.value
-    setText(newText)
+    commitText(e.target.value)
     setCursorPosition(e.target.selectionStart)
-    
-    // Add to history for undo/redo
-    const newHistory = history.slice(0, historyIndex + 1)
-    newHistory.push(newText)
-    setHistory(newHistory)
-    setHistoryIndex(newHistory.length - 1)
   }
 
   const handleUndo = () => {
@@ -397,32 +276,63 @@ function TextAnalyzer() {
 
   const handleCopyHighlighted = () => {
     // Copy the text with special character markers
-    let textWithMarkers = text
-    Object.entries(specialChars).forEach(([char, info]) => {
-      const regex = new RegExp(char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g')
-      textWithMarkers = textWithMarkers.replace(regex, `[${info.display}]`)
-    })
-    navigator.clipboard.writeText(textWithMarkers)
+    navigator.clipboard.writeText(markSpecialChars(text))
+  }
+
+  const handleExportReport = (format) => {
+    const { build, mimeType } = reportFormats[format]
+    const baseName = openedEntry ? openedEntry.fileName.replace(/\.[^.]+$/, '') : 'text'
+    downloadFile(`${baseName}-special-chars.${format}`, build(buildReport(text), text), mimeType)
   }
 
   const openReplaceModal = (char) => {
-    setReplaceModal({ visible: true, char })
-    setReplaceWith('')
+    setFindReplace({ find: toEscape(char) })
+  }
+
+  // Start from the selected text, with hidden characters written as escapes
+  const openFindReplace = () => {
+    const selected = text.slice(cursorPosition, selectionEnd)
+    setFindReplace({ find: selected.replace(specialCharRegex, toEscape) })
+  }
+
+  const handleApplyReplace = (newText) => {
+    commitText(newText)
+    setFindReplace(null)
   }
 
-  const handleReplaceAll = () => {
-    if (replaceModal.char && replaceWith !== undefined) {
-      const newText = text.split(replaceModal.char).join(replaceWith)
-      setText(newText)
-      
-      // Add to history
-      const newHistory = history.slice(0, historyIndex + 1)
-      newHistory.push(newText)
-      setHistory(newHistory)
-      setHistoryIndex(newHistory.length - 1)
-      
-      setReplaceModal({ visible: false, char: null })
-      setReplaceWith('')
+  const handleImportFile = async (file) => {
+    const { text: source, encoding } = decodeFile(await file.arrayBuffer())
+    // Plain text goes straight into the editor
+    if (file.name.toLowerCase().endsWith('.txt')) {
+      commitText(source)
+      setOpenedEntry({ key: file.name, fileName: file.name, line: null, encoding: encoding.label })
+      return
+    }
+    try {
+      setResourceImport({
+        fileName: file.name,
+        entries: parseResourceFile(file.name, source),
+        encoding: encoding.label,
+        lineEndings: analyzeLineEndings(source),
+        error: null
+      })
+    } catch (error) {
+      setResourceImport({ fileName: file.name, entries: [], encoding: encoding.label, error: error.message })
+    }
+  }
+
+  const handleFileDrop = (e) => {
+    if (e.dataTransfer.files.length === 0) return
+    e.preventDefault()
+    handleImportFile(e.dataTransfer.files[0])
+  }
+
+  const handleOpenEntry = (entry) => {
+    commitText(entry.value)
+    setOpenedEntry({ key: entry.key, fileName: resourceImport.fileName, line: entry.line, encoding: resourceImport.encoding })
+    if (textareaRef) {
+      textareaRef.focus()
+      textareaRef.scrollIntoView({ behavior: 'smooth', block: 'center' })
     }
   }
 
@@ -482,7 +392,7 @@ function TextAnalyzer() {
               </button>
               {showInsertMenu && (
                 <div className="insert-dropdown" onClick={(e) => e.stopPropagation()}>
-                  {Object.entries(specialChars).map(([char, info]) => (
+                  {Object.entries(listedChars).map(([char, info]) => (
                     <div
                       key={char}
                       className="insert-dropdown-item"
@@ -497,11 +407,35 @@ function TextAnalyzer() {
             </div>
             <button 
               className="utility-icon-btn icon-search" 
-              onClick={() => setShowCharSelector(!showCharSelector)}
+              onClick={openFindReplace}
               title="Find & Replace"
               aria-label="Find & Replace"
             >
             </button>
+            <label
+              className="utility-icon-btn"
+              title="Open a text file or import a resource file (JSON, PO, .strings, .properties, RESX, ARB)"
+              aria-label="Import resource file"
+            >
+              📂
+              <input
+                type="file"
+                accept={`${RESOURCE_FILE_ACCEPT},.txt`}
+                className="visually-hidden"
+                onChange={(e) => {
+                  if (e.target.files[0]) handleImportFile(e.target.files[0])
+                  e.target.value = ''
+                }}
+              />
+            </label>
+            <ShareButton
+              state={{
+                view: 'analyzer',
+                text,
+                bidiPreview,
+                hidden: Object.keys(highlightVisibility).filter((char) => highlightVisibility[char] === false),
+              }}
+            />
             <div className="utility-divider"></div>
             <button 
               className={`utility-icon-btn icon-align-left ${bidiPreview === 'ltr' ? 'active' : ''}`}
@@ -517,6 +451,24 @@ function TextAnalyzer() {
               aria-label="Right-to-Left"
             >
             </button>
+            <button 
+              className={`utility-icon-btn ${securityMode ? 'active' : ''}`}
+              onClick={() => setSecurityMode(!securityMode)}
+              title="Security scan (Trojan Source and homoglyphs)"
+              aria-label="Security scan"
+              aria-pressed={securityMode}
+            >
+              🛡
+            </button>
+            <button 
+              className={`utility-icon-btn ${icuMode ? 'active' : ''}`}
+              onClick={() => setIcuMode(!icuMode)}
+              title="ICU MessageFormat check and plural preview"
+              aria-label="ICU MessageFormat mode"
+              aria-pressed={icuMode}
+            >
+              {'{…}'}
+            </button>
             <div className="utility-divider"></div>
             <button 
               className="utility-icon-btn" 
@@ -539,7 +491,11 @@ function TextAnalyzer() {
           </div>
         </div>
         <div className="page-header-stats">
-          <span className="stat-badge">{text.length} Characters</span>
+          <span className="stat-badge" title={`Graphemes; ${text.length} UTF-16 code units`}>
+            {stats?.graphemes ?? text.length} Characters
+          </span>
+          {scan.pending && <span className="stat-badge" role="status">Analyzing…</span>}
+          {scan.error && <span className="stat-badge job-error" role="alert" title={scan.error}>Analysis failed</span>}
           {Object.keys(charCounts).length > 0 && (
             <span className="stat-badge">{Object.keys(charCounts).length} Special chars</span>
           )}
@@ -547,11 +503,18 @@ function TextAnalyzer() {
       </header>
 
       <section className="editor-row">
-        <article className="editor-panel">
+        <article className="editor-panel" onDragOver={(e) => e.preventDefault()} onDrop={handleFileDrop}>
           <header className="editor-header">
-            <span className="editor-title">Original text</span>
+            <span className="editor-title">
+              Original text
+              {openedEntry && (
+                <span className="editor-subtitle" title={`${openedEntry.fileName}${openedEntry.line ? `:${openedEntry.line}` : ''}`}>
+                  {' '}· {openedEntry.key}{openedEntry.encoding && ` (${openedEntry.encoding})`}
+                </span>
+              )}
+            </span>
             <div className="editor-header-actions">
-              <span className="editor-hint">Right-click to insert special characters</span>
+              <span className="editor-hint">Right-click to insert special characters, drop a text or resource file to open it</span>
               <button 
                 className="copy-btn" 
                 onClick={handleCopyOriginal}
@@ -567,7 +530,10 @@ function TextAnalyzer() {
             className="editor-textarea"
             value={text}
             onChange={handleTextChange}
-            onSelect={(e) => setCursorPosition(e.target.selectionStart)}
+            onSelect={(e) => {
+              setCursorPosition(e.target.selectionStart)
+              setSelectionEnd(e.target.selectionEnd)
+            }}
             onContextMenu={handleContextMenu}
             placeholder="Paste or type your text here to analyze special characters..."
             aria-label="Original text for analysis"
@@ -579,7 +545,7 @@ function TextAnalyzer() {
           <header className="editor-header">
             <span className="editor-title">Highlighted output</span>
             <div className="editor-header-actions">
-            <span className="editor-hint">Click special characters for more info</span>
+            <span className="editor-hint">Click a special character to select it in the editor, double-click for info</span>
 
               <button 
                 className="copy-btn" 
@@ -591,26 +557,90 @@ function TextAnalyzer() {
               </button>
             </div>
           </header>
-          <div className="highlighted-display" style={{ direction: bidiPreview }}>
-            {highlightedText}
-          </div>
+          <VirtualText
+            className="highlighted-display"
+            text={scannedText}
+            marks={marks}
+            renderMark={renderMark}
+            activeOffset={activeOccurrence}
+            onClick={handleHighlightClick}
+            onDoubleClick={handleHighlightDoubleClick}
+            style={{ direction: bidiPreview }}
+          />
         </article>
       </section>
 
       <section className="extras">
+        {resourceImport && (
+          <ResourceImport
+            resource={resourceImport}
+            onOpenEntry={handleOpenEntry}
+            onClose={() => setResourceImport(null)}
+          />
+        )}
+
+        {securityReport && <SecurityScan report={securityReport} />}
+
+        {icuMode && <IcuMessage text={text} />}
+
+        <TextStats text={text} stats={stats} selection={{ start: cursorPosition, end: selectionEnd }} />
+
+        <LengthConstraints
+          text={text}
+          constraints={constraints}
+          check={constraintCheck}
+          onChange={setConstraints}
+          onSelectOverflow={(offset) => selectOccurrence(offset, text.length - offset)}
+        />
+
+        <EncodingDamage text={text} onChange={commitText} />
+
+        <BidiValidator text={text} baseDirection={bidiPreview} onChange={commitText} />
+
+        <NormalizationPanel
+          text={text}
+          selection={{ start: cursorPosition, end: selectionEnd }}
+          onChange={commitText}
+        />
+
+        <LineEndings text={text} fileName={openedEntry?.fileName} onChange={commitText} />
+
+        <TypographyCheck
+          text={text}
+          profile={typographyProfile}
+          violations={typographyViolations}
+          onProfileChange={setTypographyProfile}
+          onChange={commitText}
+        />
+
         {/* Currently Used Characters */}
         {Object.keys(charCounts).length > 0 && (
           <div className="special-chars-section" role="region" aria-label="Currently used special characters">
-            <div className="section-header">
+            <div className="section-header section-header-row">
               <h3>Currently Used ({Object.keys(charCounts).length})</h3>
+              <div className="section-header-actions">
+                <span className="editor-hint">Export report</span>
+                {Object.entries(reportFormats).map(([format, { label }]) => (
+                  <button
+                    key={format}
+                    className="btn btn-secondary"
+                    onClick={() => handleExportReport(format)}
+                    title={`Download every occurrence with its position as ${label}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
             </div>
             <div className="special-chars-grid">
-              {Object.entries(specialChars)
+              {Object.entries(charRegistry)
                 .filter(([char]) => charCounts[char] > 0)
                 .map(([char, info]) => {
-                  const charIndex = Object.keys(specialChars).indexOf(char)
-                  const color = colors[charIndex % colors.length]
+                  const color = getCharColor(char)
                   const count = charCounts[char] || 0
+                  const occurrences = occurrencesByChar[char] || []
+                  const activeIndex = occurrences.findIndex((o) => o.offset === activeOccurrence)
+                  const listOpen = openOccurrences === char
                   return (
                     <div key={char} className="char-card">
                       <div className="char-card-header">
@@ -622,7 +652,7 @@ function TextAnalyzer() {
                         </span>
                       </div>
                       <div className="char-description">{info.desc}</div>
-                      <div className="char-code">{info.code}</div>
+                      <div className="char-code">{info.code} · {charCategories[info.category].label}{info.severity && ` · ${WATCH_SEVERITIES[info.severity]}`}</div>
                       <div className="char-actions">
                         <button
                           className="btn btn-primary"
@@ -656,6 +686,48 @@ function TextAnalyzer() {
                           {highlightVisibility[char] === false ? 'Show' : 'Hide'}
                         </button>
                       </div>
+                      <div className="occurrence-nav">
+                        <button
+                          className="btn btn-sm btn-secondary"
+                          onClick={() => stepOccurrence(char, -1)}
+                          title="Select the previous occurrence in the editor"
+                        >
+                          ‹ Prev
+                        </button>
+                        <button
+                          className="occurrence-toggle"
+                          onClick={() => setOpenOccurrences(listOpen ? null : char)}
+                          aria-expanded={listOpen}
+                          title={listOpen ? 'Hide occurrences' : 'List occurrences'}
+                        >
+                          {activeIndex >= 0 ? `${activeIndex + 1} of ${occurrences.length}` : `${occurrences.length} found`} {listOpen ? '▴' : '▾'}
+                        </button>
+                        <button
+                          className="btn btn-sm btn-secondary"
+                          onClick={() => stepOccurrence(char, 1)}
+                          title="Select the next occurrence in the editor"
+                        >
+                          Next ›
+                        </button>
+                      </div>
+                      {listOpen && (
+                        <ol className="occurrence-list" aria-label={`Occurrences of ${info.desc}`}>
+                          {listedOccurrences.map((o) => (
+                            <li key={o.offset}>
+                              <button
+                                className={`occurrence-item ${o.offset === activeOccurrence ? 'active' : ''}`}
+                                onClick={() => selectOccurrence(o.offset, o.char.length)}
+                              >
+                                <span className="issue-location">Ln {o.line}, Col {o.column}</span>
+                                <span className="occurrence-context">{o.context}</span>
+                              </button>
+                            </li>
+                          ))}
+                          {occurrences.length > MAX_LISTED_OCCURRENCES && (
+                            <li className="issue-empty">…and {occurrences.length - MAX_LISTED_OCCURRENCES} more, reachable with Next</li>
+                          )}
+                        </ol>
+                      )}
                     </div>
                   )
                 })}
@@ -664,16 +736,15 @@ function TextAnalyzer() {
         )}
 
         {/* Additional Characters */}
-        <div className="special-chars-section" style={{ marginTop: Object.keys(charCounts).length > 0 ? '24px' : '0' }} role="region" aria-label="Additional special characters">
+        <div className="special-chars-section" role="region" aria-label="Additional special characters">
           <div className="section-header">
-            <h3>{Object.keys(charCounts).length > 0 ? `Additional Characters (${Object.keys(specialChars).length - Object.keys(charCounts).length})` : `Special Characters (${Object.keys(specialChars).length})`}</h3>
+            <h3>{Object.keys(charCounts).length > 0 ? `Additional Characters (${Object.keys(listedChars).filter((char) => !charCounts[char]).length})` : `Special Characters (${Object.keys(listedChars).length})`}</h3>
           </div>
           <div className="special-chars-grid">
-            {Object.entries(specialChars)
+            {Object.entries(listedChars)
               .filter(([char]) => !charCounts[char] || charCounts[char] === 0)
               .map(([char, info]) => {
-              const charIndex = Object.keys(specialChars).indexOf(char)
-              const color = colors[charIndex % colors.length]
+              const color = getCharColor(char)
             const count = charCounts[char] || 0
             return (
               <div key={char} className="char-card">
@@ -686,7 +757,7 @@ function TextAnalyzer() {
                   </span>
                 </div>
                 <div className="char-description">{info.desc}</div>
-                <div className="char-code">{info.code}</div>
+                <div className="char-code">{info.code} · {charCategories[info.category].label}{info.severity && ` · ${WATCH_SEVERITIES[info.severity]}`}</div>
                 <div className="char-actions">
                   <button
                     className="btn btn-primary"
@@ -724,7 +795,7 @@ function TextAnalyzer() {
         <div className="modal-overlay" onClick={() => setShowInfoModal(false)}>
           <div className="modal" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h2>{specialChars[selectedChar].fullText}</h2>
+              <h2>{getCharInfo(selectedChar).fullText}</h2>
               <button className="modal-close" onClick={() => setShowInfoModal(false)}>
                 ×
               </button>
@@ -732,20 +803,32 @@ function TextAnalyzer() {
             <div className="modal-content">
               <div className="modal-section">
                 <h3>Unicode</h3>
-                <p>{specialChars[selectedChar].code}</p>
+                <p>{getCharInfo(selectedChar).code}</p>
               </div>
               <div className="modal-section">
-                <h3>Description</h3>
-                <p>{specialChars[selectedChar].desc}</p>
+                <h3>Category</h3>
+                <p>{charCategories[getCharInfo(selectedChar).category].label}</p>
               </div>
+              {getCharInfo(selectedChar).severity && (
+                <div className="modal-section">
+                  <h3>Severity</h3>
+                  <p>{WATCH_SEVERITIES[getCharInfo(selectedChar).severity]}</p>
+                </div>
+              )}
               <div className="modal-section">
-                <h3>Usage</h3>
-                <p>{specialChars[selectedChar].usage}</p>
+                <h3>Description</h3>
+                <p>{getCharInfo(selectedChar).desc}</p>
               </div>
               <div className="modal-section">
-                <h3>Example</h3>
-                <pre className="example-text">{specialChars[selectedChar].example}</pre>
+                <h3>Usage</h3>
+                <p>{getCharInfo(selectedChar).usage}</p>
               </div>
+              {getCharInfo(selectedChar).example && (
+                <div className="modal-section">
+                  <h3>Example</h3>
+                  <pre className="example-text">{getCharInfo(selectedChar).example}</pre>
+                </div>
+              )}
               <div className="modal-section">
                 <div className="modal-button-group">
                   <button
@@ -786,7 +869,7 @@ function TextAnalyzer() {
         >
           <div className="context-menu-header">Insert Special Character</div>
           <div className="context-menu-items">
-            {Object.entries(specialChars).map(([char, info]) => (
+            {Object.entries(listedChars).map(([char, info]) => (
               <div
                 key={char}
                 className="context-menu-item"
@@ -800,136 +883,13 @@ function TextAnalyzer() {
         </div>
       )}
 
-      {replaceModal.visible && replaceModal.char && (
-        <div className="modal-overlay" onClick={() => setReplaceModal({ visible: false, char: null })}>
-          <div className="modal" onClick={(e) => e.stopPropagation()}>
-            <div className="modal-header">
-              <h2>Find & Replace</h2>
-              <button className="modal-close" onClick={() => setReplaceModal({ visible: false, char: null })}>
-                ×
-              </button>
-            </div>
-            <div className="modal-content">
-              <div className="modal-section">
-                <h3>Replace all instances of:</h3>
-                <div className="replace-char-display">
-                  <span className="char-display-large">{specialChars[replaceModal.char].display}</span>
-                  <span className="char-desc">{specialChars[replaceModal.char].desc}</span>
-                  <span className="char-count">Found: {charCounts[replaceModal.char] || 0} times</span>
-                </div>
-              </div>
-              <div className="modal-section">
-                <h3>Replace with:</h3>
-                <div className="replace-options">
-                  <div className="replace-input-row">
-                    <input
-                      type="text"
-                      className="replace-input"
-                      value={replaceWith}
-                      onChange={(e) => setReplaceWith(e.target.value)}
-                      placeholder="Type or select from dropdown"
-                      autoFocus
-                    />
-                    <select 
-                      className="replace-dropdown"
-                      value=""
-                      onChange={(e) => {
-                        if (e.target.value === 'DELETE') {
-                          setReplaceWith('')
-                        } else if (e.target.value === 'SPACE') {
-                          setReplaceWith(' ')
-                        } else {
-                          setReplaceWith(e.target.value)
-                        }
-                      }}
-                    >
-                      <option value="">-- Select character --</option>
-                      <option value="SPACE">Regular Space</option>
-                      <option value="DELETE">Delete (empty)</option>
-                      <optgroup label="Special Characters">
-                        {Object.entries(specialChars).map(([char, info]) => (
-                          <option key={char} value={char}>
-                            {info.display} - {info.desc}
-                          </option>
-                        ))}
-                      </optgroup>
-                    </select>
-                  </div>
-                </div>
-              </div>
-              <div className="modal-section">
-                <div className="modal-actions">
-                  <button
-                    className="btn btn-primary"
-                    onClick={handleReplaceAll}
-                  >
-                    Replace All ({charCounts[replaceModal.char] || 0})
-                  </button>
-                  <button
-                    className="btn btn-secondary"
-                    onClick={() => setReplaceModal({ visible: false, char: null })}
-                  >
-                    Cancel
-                  </button>
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
-      )}
-
-      {showCharSelector && (
-        <div className="modal-overlay" onClick={() => setShowCharSelector(false)}>
-          <div className="modal char-selector-modal" onClick={(e) => e.stopPropagation()}>
-            <div className="modal-header">
-              <h2>Find & Replace Characters</h2>
-              <button className="modal-close" onClick={() => setShowCharSelector(false)}>
-                ×
-              </button>
-            </div>
-            <div className="modal-content">
-              <div className="modal-section">
-                {Object.keys(charCounts).length > 0 ? (
-                  <>
-                    <p>Select a character to find and replace:</p>
-                    <div className="char-selector-grid">
-                      {Object.entries(specialChars)
-                        .filter(([char]) => charCounts[char] > 0)
-                        .map(([char, info]) => {
-                          const count = charCounts[char]
-                          return (
-                            <div key={char} className="char-selector-item">
-                              <div className="char-selector-display">{info.display}</div>
-                              <div className="char-selector-info">
-                                <div className="char-selector-desc">{info.desc}</div>
-                                <div className="char-selector-count">Found: {count}</div>
-                              </div>
-                              <div className="char-selector-actions">
-                                <button
-                                  className="btn btn-sm btn-primary"
-                                  onClick={() => {
-                                    setShowCharSelector(false)
-                                    openReplaceModal(char)
-                                  }}
-                                  title="Find and replace"
-                                >
-                                  Replace
-                                </button>
-                              </div>
-                            </div>
-                          )
-                        })}
-                    </div>
-                  </>
-                ) : (
-                  <p style={{ textAlign: 'center', padding: '20px', color: 'var(--gray-600)' }}>
-                    No special characters found in your text. Type or paste text to begin analysis.
-                  </p>
-                )}
-              </div>
-            </div>
-          </div>
-        </div>
+      {findReplace && (
+        <FindReplace
+          text={text}
+          initialFind={findReplace.find}
+          onApply={handleApplyReplace}
+          onClose={() => setFindReplace(null)}
+        />
       )}
 
       <Tooltip id="special-tooltip" />
@@ -1,66 +1,144 @@
-import { useState, useMemo } from 'react'
-import ReactDiffViewer from 'react-diff-viewer'
+import { useState, useMemo, useEffect, useRef } from 'react'
 import { Tooltip } from 'react-tooltip'
-import levenshtein from 'fast-levenshtein'
 import DOMPurify from 'dompurify'
+import XliffCompare from './XliffCompare'
+import PlaceholderCheck from './PlaceholderCheck'
+import NormalizationDiff from './NormalizationDiff'
+import ShareButton from './ShareButton'
+import VirtualDiff from './VirtualDiff'
+import DifferenceSummary from './DifferenceSummary'
+import ThreeWayCompare from './ThreeWayCompare'
+import MergePanel from './MergePanel'
+import MergeDiffViewer from './MergeDiffViewer'
+import MergeHunkActions from './MergeHunkActions'
+import { specialCharRegex, getCharInfo } from '../utils/specialChars'
+import { compareNormalization } from '../utils/normalization'
+import { DIFF_GRANULARITIES, DIFF_IGNORE_OPTIONS, normalizeDiffOptions, normalizeForComparison } from '../utils/diffOptions'
+import { createThreeWayTexts } from '../utils/threeWay'
+import { computeMergeHunks } from '../utils/merge'
+import useAnalysisJob, { LARGE_TEXT_LENGTH } from '../hooks/useAnalysisJob'
+import useMergeChoices from '../hooks/useMergeChoices'
 
-const specialChars = {
-  '\t': { desc: 'Tab', code: 'U+0009', display: '→', fullText: 'Tab', example: 'Product Name\tPrice\tQuantity\nLaptop Computer\t$899.99\t5\nWireless Mouse\t$24.99\t50', usage: 'Creates horizontal spacing, typically 4-8 spaces wide. Common in TSV files and code indentation.' },
-  '\n': { desc: 'Line Feed', code: 'U+000A', display: '↵', fullText: 'Line Feed (new line)', example: '123 Main Street\nApartment 4B\nSpringfield, IL 62701\nUnited States of America', usage: 'Standard line break on Unix/Linux/Mac systems. In localization, watch for platform-specific line endings.' },
-  '\r': { desc: 'Carriage Return', code: 'U+000D', display: '⏎', fullText: 'Carriage Return', example: 'Windows line ending example:\r\nFirst line of text\r\nSecond line of text\r\nThird line of text', usage: 'Part of Windows line ending (\\r\\n). Rarely used alone in modern text. May cause issues in cross-platform files.' },
-  '\u00A0': { desc: 'Non-breaking Space', code: 'U+00A0', display: 'NBSP', fullText: 'Non-breaking Space', example: 'Speed: 100\u00A0km/h\nPrice: $\u00A01,299.99\nMr.\u00A0John\u00A0Smith\nMarch\u00A025,\u00A02024', usage: 'Prevents line breaks between words/numbers. Critical for: units (100 km/h), currency ($ 1,299.99), titles (Mr. Smith), dates (March 25, 2024).' },
-  '\u200B': { desc: 'Zero-width Space', code: 'U+200B', display: 'ZWSP', fullText: 'Zero-width Space', example: 'https://www.\u200Bvery\u200Blong\u200Bexample\u200Bwebsite\u200Burl\u200Baddress.\u200Bcom/path/to/resource\nsuper\u200Bcali\u200Bfragil\u200Bistic\u200Bexpi\u200Bali\u200Bdocious', usage: 'Allows line breaking in long URLs, compound words, or CJK text without visible space. Invisible but affects layout.' },
-  '\u00AD': { desc: 'Soft Hyphen', code: 'U+00AD', display: 'SHY', fullText: 'Soft Hyphen', example: 'This is a very long German word: Donau\u00ADdampf\u00ADschiff\u00ADfahrts\u00ADgesell\u00ADschafts\u00ADkapitän\nAnd another: Rechts\u00ADschutz\u00ADversiche\u00ADrungs\u00ADgesell\u00ADschaften', usage: 'Shows hyphen only when word breaks across lines. Essential for long words in German, Dutch, Finnish localization.' },
-  '\u2028': { desc: 'Line Separator', code: 'U+2028', display: 'LS', fullText: 'Line Separator', example: 'This is the first semantic line of a paragraph that continues.\u2028This is the second semantic line within the same paragraph.\u2028And here is a third semantic line.', usage: 'Unicode-specific line break within paragraphs. May appear in JSON strings or international text processing.' },
-  '\u2029': { desc: 'Paragraph Separator', code: 'U+2029', display: 'PS', fullText: 'Paragraph Separator', example: 'This is the complete first paragraph with several words to make it substantial.\u2029This is the second paragraph that follows after the Unicode paragraph separator.\u2029And here begins the third distinct paragraph.', usage: 'Unicode paragraph boundary marker. Semantic separator for structured text, distinct from simple line breaks.' },
-  '\u200C': { desc: 'Zero-width Non-joiner', code: 'U+200C', display: 'ZWNJ', fullText: 'Zero-width Non-joiner', example: 'Persian example: من می\u200Cخواهم (I want) vs میخواهم (wrong)\nHindi example: क्\u200Cय vs क्य (ligature difference)\nFarsi word: نمی\u200Cدانم (I don\'t know)', usage: 'Critical for Persian, Arabic, Devanagari scripts. Prevents unwanted letter joining while maintaining proper spacing.' },
-  '\u200D': { desc: 'Zero-width Joiner', code: 'U+200D', display: 'ZWJ', fullText: 'Zero-width Joiner', example: 'Family emoji: 👨\u200D👩\u200D👧\u200D👦 (man+woman+girl+boy)\nProfession: 👨\u200D⚕️ (doctor) vs 👨 ⚕️ (separate)\nArabic: ل\u200Dا creates ligature', usage: 'Forms complex emoji sequences and ligatures. Essential for emoji families, skin tones, and connecting Arabic characters.' },
-  '\u200E': { desc: 'Left-to-right Mark', code: 'U+200E', display: 'LRM', fullText: 'Left-to-right Mark', example: 'Arabic with number: مرحبا\u200E 123 (correct) vs مرحبا 123 (may reverse)\nEmail in RTL: البريد: user@\u200Eexample.com\nMixed: שלום\u200E, how are you?', usage: 'Forces LTR direction for numbers, emails, URLs in RTL text (Arabic, Hebrew). Prevents display corruption.' },
-  '\u200F': { desc: 'Right-to-left Mark', code: 'U+200F', display: 'RLM', fullText: 'Right-to-left Mark', example: 'Price in Hebrew: המחיר:\u200F $99.99 (keeps $ on right)\nEnglish with RTL punctuation: Hello\u200F, שלום\nDate: התאריך:\u200F 23/11/2024', usage: 'Forces RTL direction for punctuation and numbers in bidirectional text. Critical for Hebrew/Arabic localization.' },
-  '\u202A': { desc: 'Left-to-right Embedding', code: 'U+202A', display: 'LRE', fullText: 'Left-to-right Embedding', example: 'Arabic text with URL: زيارة \u202Ahttps://example.com/page\u202C للمزيد\nRTL with LTR: العنوان \u202A123 Main Street\u202C في المدينة', usage: 'Embeds LTR text section within RTL content. Must be closed with PDF (U+202C). Use for URLs in Arabic text.' },
-  '\u202B': { desc: 'Right-to-left Embedding', code: 'U+202B', display: 'RLE', fullText: 'Right-to-left Embedding', example: 'English with Hebrew quote: He said \u202Bשלום עולם\u202C which means "hello world"\nLTR with RTL: The word is \u202Bمرحبا\u202C in Arabic', usage: 'Embeds RTL text section within LTR content. Requires PDF (U+202C) to close. Use for Hebrew/Arabic quotes.' },
-  '\u202C': { desc: 'Pop Directional Formatting', code: 'U+202C', display: 'PDF', fullText: 'Pop Directional Formatting', example: 'Normal text \u202AMixed direction content here\u202C back to normal\nNested: Start \u202BLTR \u202ARTL inside\u202C end LTR\u202C back to start', usage: 'Closes LRE, RLE, LRO, or RLO. Essential pair with bidirectional formatting. Missing PDF causes layout issues.' },
-  '\u202D': { desc: 'Left-to-right Override', code: 'U+202D', display: 'LRO', fullText: 'Left-to-right Override', example: 'Force Hebrew LTR: \u202D!שלום עולם\u202C shows as !םלוע םולש (reversed)\nOverride Arabic: \u202Dمرحبا 123\u202C all displays left-to-right', usage: 'Forces all text LTR regardless of character properties. Stronger than LRM. Use with caution, always close with PDF.' },
-  '\u202E': { desc: 'Right-to-left Override', code: 'U+202E', display: 'RLO', fullText: 'Right-to-left Override', example: 'Reverse English: \u202EHello World!\u202C displays as !dlroW olleH\nReverse URL: \u202Eexample.com\u202C shows as moc.elpmaxe (security risk!)', usage: 'Forces all text RTL regardless of properties. Can reverse entire strings. Security risk if misused (spoofing).' },
-  '\uFEFF': { desc: 'Zero-width No-break Space', code: 'U+FEFF', display: 'BOM', fullText: 'Zero-width No-break Space (BOM)', example: '\uFEFF<?xml version="1.0" encoding="UTF-8"?>\n\uFEFF{"name": "config", "type": "UTF-8"}\nFile starts with BOM: \uFEFFThis is the first line', usage: 'Byte Order Mark at file start signals UTF encoding. Also prevents word breaks. May cause parsing errors if unexpected.' },
-  '\u2060': { desc: 'Word Joiner', code: 'U+2060', display: 'WJ', fullText: 'Word Joiner', example: 'Keep\u2060together without visible space\nVersion\u20601.0.2\nISBN\u2060978-3-16-148410-0', usage: 'Zero-width non-breaking character. Prevents line breaks without adding visible space. Useful in technical docs and version numbers.' },
-  '\u2007': { desc: 'Figure Space', code: 'U+2007', display: 'FIGSP', fullText: 'Figure Space', example: 'Align numbers:\n\u2007\u2007123.45\n\u20071,234.56\n123,456.78', usage: 'Same width as digits (0-9). Used to align numbers in tables and financial data. Essential for tabular localization.' },
-  '\u2009': { desc: 'Thin Space', code: 'U+2009', display: 'THNSP', fullText: 'Thin Space', example: 'French punctuation\u2009: «\u2009Bonjour\u2009»\nQuestion\u2009?\nExclamation\u2009!', usage: 'Narrower than normal space. Standard in French typography before punctuation (? ! ; :) and inside guillemets.' },
-  '\u202F': { desc: 'Narrow No-break Space', code: 'U+202F', display: 'NNBSP', fullText: 'Narrow No-break Space', example: 'French: 123\u202F456\u202F789\nPercentage: 99\u202F%\nTime: 14\u202Fh\u202F30\nPrice: 1\u202F234,56\u202F€', usage: 'Required in French localization for: thousand separators (123 456), percentages (99 %), units (14 h), currency.' },
-  '\u180E': { desc: 'Mongolian Vowel Separator', code: 'U+180E', display: 'MVS', fullText: 'Mongolian Vowel Separator', example: 'Mongolian text with vowel separator\u180E(invisible formatting)', usage: 'Mongolian script-specific character. Indicates vowel separation. Rarely needed but critical for Mongolian localization.' },
-  '\u2002': { desc: 'En Space', code: 'U+2002', display: 'ENSP', fullText: 'En Space', example: 'Typography:\u2002En-width spacing\nDates:\u2002Jan\u20021–15,\u20022024', usage: 'Width of lowercase "n". Used in professional typography and publishing. Common in date ranges and lists.' },
-  '\u2003': { desc: 'Em Space', code: 'U+2003', display: 'EMSP', fullText: 'Em Space', example: 'Typography:\u2003Em-width spacing (wider)\nParagraph:\u2003Indented first line', usage: 'Width of uppercase "M". Widest standard space. Used for paragraph indentation and professional typesetting.' },
-  '\u2004': { desc: 'Three-Per-Em Space', code: 'U+2004', display: '3/M', fullText: 'Three-Per-Em Space', example: 'Fine\u2004spacing\u2004control\nList:\u2004Item\u20041,\u2004Item\u20042', usage: 'One-third of an em width. Precise spacing control in professional typography and desktop publishing.' },
-  '\u2005': { desc: 'Four-Per-Em Space', code: 'U+2005', display: '4/M', fullText: 'Four-Per-Em Space', example: 'Tighter\u2005spacing\u2005control\nNumbers:\u20051,234\u2005567', usage: 'One-quarter of an em width. Fine-grained spacing for professional layouts and justified text.' },
-  '\u2006': { desc: 'Six-Per-Em Space', code: 'U+2006', display: '6/M', fullText: 'Six-Per-Em Space', example: 'Very\u2006fine\u2006spacing\nAbbrev.:\u2006Dr.\u2006Smith', usage: 'One-sixth of an em width. Finest spacing control in professional typography. Used in abbreviations and initials.' },
-  '\u2066': { desc: 'Left-to-right Isolate', code: 'U+2066', display: 'LRI', fullText: 'Left-to-right Isolate', example: 'Modern RTL: Arabic text \u2066LTR content here\u2069 continues\nURL in RTL: Visit \u2066example.com\u2069 now', usage: 'Modern replacement for LRE (U+202A). Better isolation of LTR text in RTL context. Requires PDI (U+2069) to close.' },
-  '\u2067': { desc: 'Right-to-left Isolate', code: 'U+2067', display: 'RLI', fullText: 'Right-to-left Isolate', example: 'Modern LTR: English text \u2067مرحبا بك\u2069 continues\nQuote: He said \u2067שלום\u2069 to everyone', usage: 'Modern replacement for RLE (U+202B). Better isolation of RTL text in LTR context. Requires PDI (U+2069) to close.' },
-  '\u2068': { desc: 'First Strong Isolate', code: 'U+2068', display: 'FSI', fullText: 'First Strong Isolate', example: 'Auto-detect: \u2068Could be LTR or RTL\u2069 text\nSmart: \u2068مرحبا\u2069 or \u2068Hello\u2069', usage: 'Automatically detects text direction from first strong directional character. Most flexible modern bidirectional control.' },
-  '\u2069': { desc: 'Pop Directional Isolate', code: 'U+2069', display: 'PDI', fullText: 'Pop Directional Isolate', example: 'Close isolate: \u2066LTR text\u2069 back to normal\nNested: \u2067RTL \u2066inner LTR\u2069 back to RTL\u2069 normal', usage: 'Closes LRI, RLI, or FSI. Modern replacement for PDF (U+202C). Essential pair with Unicode 6.3+ isolate characters.' },
-}
-
-function TextDiff() {
-  const [text1, setText1] = useState('')
-  const [text2, setText2] = useState('')
+function TextDiff({ documentId, initialState, watchList, onStateChange, onOpenInAnalyzer }) {
+  const [text1, setText1] = useState(initialState.text1)
+  const [text2, setText2] = useState(initialState.text2)
   const [showInfoModal, setShowInfoModal] = useState(false)
   const [selectedChar, setSelectedChar] = useState(null)
+  const [mode, setMode] = useState('text')
+  const [diffOptions, setDiffOptions] = useState(() => normalizeDiffOptions(initialState.diffOptions))
+  const [threeWay, setThreeWay] = useState(() => ({ ...createThreeWayTexts(), ...initialState.threeWay }))
+  const [activeDifference, setActiveDifference] = useState(null)
+  const viewerRef = useRef(null)
+
+  // Hand every change to the workspace, which autosaves it
+  useEffect(() => {
+    onStateChange(documentId, { text1, text2, diffOptions, threeWay })
+  }, [documentId, onStateChange, text1, text2, diffOptions, threeWay])
+
+  const updateDiffOptions = (changes) => setDiffOptions((previous) => ({ ...previous, ...changes }))
+
+  const toggleIgnore = (option, checked) =>
+    setDiffOptions((previous) => ({
+      ...previous,
+      ignore: checked ? [...previous.ignore, option] : previous.ignore.filter((o) => o !== option),
+    }))
+
+  // The viewer and the similarity score both see the texts with the ignored differences removed
+  const compared1 = useMemo(() => normalizeForComparison(text1, diffOptions.ignore), [text1, diffOptions.ignore])
+  const compared2 = useMemo(() => normalizeForComparison(text2, diffOptions.ignore), [text2, diffOptions.ignore])
+
+  // Large inputs get a virtualized line diff from the worker instead of the word-level viewer
+  const size = text1.length + text2.length
+  const large = size >= LARGE_TEXT_LENGTH
+  const comparePayload = useMemo(
+    () => ({ text1: compared1, text2: compared2, withRows: large, watchList }),
+    [compared1, compared2, large, watchList]
+  )
+  const comparison = useAnalysisJob('compare', comparePayload, size)
+  const similarity = comparison.result?.similarity
+  const differences = comparison.result?.differences
+
+  // Merging works on the texts as typed; large texts only get the line diff
+  const mergeHunks = useMemo(
+    () => (large ? null : computeMergeHunks(text1, text2, watchList)),
+    [text1, text2, watchList, large]
+  )
+  const merge = useMergeChoices(mergeHunks)
+  // The hunks are numbered by the texts as typed, the viewer by the texts as compared, so
+  // with differences ignored their lines no longer match and the hunks stay out of the viewer
+  const mergeInViewer = Boolean(mergeHunks) && diffOptions.ignore.length === 0
+
+  // Each hunk's actions go on the line it starts on, in Text 2 unless it only removes lines
+  const hunksByLine = useMemo(() => {
+    const byLine = { left: new Map(), right: new Map() }
+    mergeHunks?.forEach((hunk, i) => {
+      const [side, position] = hunk.right ? ['right', hunk.right] : ['left', hunk.left]
+      byLine[side].set(position.line, [...(byLine[side].get(position.line) ?? []), i])
+    })
+    return byLine
+  }, [mergeHunks])
+
+  const renderLineActions = ({ left, right }) => {
+    const indexes = [...(hunksByLine.left.get(left) ?? []), ...(hunksByLine.right.get(right) ?? [])]
+    if (indexes.length === 0) return null
+    return (
+      <div className="merge-line-actions">
+        {indexes.map((i) => {
+          const { column } = mergeHunks[i].right ?? mergeHunks[i].left
+          return (
+            <MergeHunkActions
+              key={i}
+              index={i}
+              label={indexes.length > 1 ? `Col ${column}` : null}
+              choice={merge.choices[i] ?? 'right'}
+              onChoose={merge.choose}
+            />
+          )
+        })}
+      </div>
+    )
+  }
+
+  // The selected summary item or merge hunk stays highlighted until the texts change under it
+  const activeLines = useMemo(() => {
+    const shown = differences?.includes(activeDifference) || (mergeInViewer && mergeHunks.includes(activeDifference))
+    if (!activeDifference || !shown) return null
+    return { left: activeDifference.left?.line ?? null, right: activeDifference.right?.line ?? null }
+  }, [activeDifference, differences, mergeHunks, mergeInViewer])
+
+  const highlightLines = useMemo(() => {
+    if (!activeLines) return []
+    return [activeLines.left && `L-${activeLines.left}`, activeLines.right && `R-${activeLines.right}`].filter(Boolean)
+  }, [activeLines])
+
+  // The viewer marks highlighted rows with a class labelled highlighted-line
+  useEffect(() => {
+    if (!activeLines || large) return
+    viewerRef.current?.querySelector('[class*="highlighted-line"]')?.scrollIntoView({ block: 'center', behavior: 'smooth' })
+  }, [activeLines, large])
 
   const processedText1 = useMemo(() => {
+    if (large) return ''
     // Replace newlines with a placeholder to preserve them in diff
-    return text1.replace(/\n/g, '␊\n').replace(/\r/g, '␍')
-  }, [text1])
+    return compared1.replace(/\n/g, '␊\n').replace(/\r/g, '␍')
+  }, [compared1, large])
 
   const processedText2 = useMemo(() => {
+    if (large) return ''
     // Replace newlines with a placeholder to preserve them in diff
-    return text2.replace(/\n/g, '␊\n').replace(/\r/g, '␍')
-  }, [text2])
+    return compared2.replace(/\n/g, '␊\n').replace(/\r/g, '␍')
+  }, [compared2, large])
+
+  const normalizationDiff = useMemo(() => compareNormalization(text1, text2), [text1, text2])
 
-  const similarity = useMemo(() => {
-    if (!text1 && !text2) return 100
-    const distance = levenshtein.get(text1, text2)
-    const maxLen = Math.max(text1.length, text2.length)
-    return maxLen === 0 ? 100 : ((maxLen - distance) / maxLen * 100).toFixed(2)
-  }, [text1, text2])
+  // Clicking a line number in the viewer selects the first merge hunk on that line
+  const handleLineNumberClick = (id) => {
+    if (!mergeInViewer) return
+    const [side, line] = id.split('-')
+    const position = side === 'L' ? 'left' : 'right'
+    const hunk = mergeHunks?.find((h) => h[position]?.line === Number(line))
+    if (hunk) setActiveDifference(hunk)
+  }
 
   const handleMarkerClick = (char) => {
     setSelectedChar(char)
@@ -71,121 +149,271 @@ function TextDiff() {
     <>
       <main className="page">
         <header className="page-header">
-          <h1>Text Comparison</h1>
-          <div className="page-header-stats">
-            <span className="stat-badge">Similarity: {similarity}%</span>
+          <div className="page-header-left">
+            <h1>Text Comparison</h1>
+            <div className="utility-icons" role="tablist" aria-label="Comparison mode">
+              <button
+                className={`utility-icon-btn mode-tab ${mode === 'text' ? 'active' : ''}`}
+                onClick={() => setMode('text')}
+                role="tab"
+                aria-selected={mode === 'text'}
+              >
+                Text
+              </button>
+              <button
+                className={`utility-icon-btn mode-tab ${mode === 'three-way' ? 'active' : ''}`}
+                onClick={() => setMode('three-way')}
+                role="tab"
+                aria-selected={mode === 'three-way'}
+                title="Source, previous translation and new translation"
+              >
+                Three-way
+              </button>
+              <button
+                className={`utility-icon-btn mode-tab ${mode === 'xliff' ? 'active' : ''}`}
+                onClick={() => setMode('xliff')}
+                role="tab"
+                aria-selected={mode === 'xliff'}
+              >
+                XLIFF
+              </button>
+            </div>
+            {mode === 'text' && (
+              <div className="utility-icons">
+                <ShareButton state={{ view: 'diff', text1, text2 }} />
+              </div>
+            )}
           </div>
+          {mode === 'text' && (
+            <div className="page-header-stats">
+              {normalizationDiff ? (
+                <span className="stat-badge" title={`Identical after ${normalizationDiff.form} normalization`}>
+                  Normalization-only difference ({normalizationDiff.form})
+                </span>
+              ) : (
+                <span
+                  className="stat-badge"
+                  title={[
+                    similarity?.approximate && 'Estimated from a line diff; the texts are too long for an exact edit distance',
+                    diffOptions.ignore.length > 0 && 'Measured with the ignored differences left out',
+                  ].filter(Boolean).join('. ') || undefined}
+                >
+                  Similarity: {similarity ? `${similarity.approximate ? '≈' : ''}${similarity.value}%` : '…'}
+                </span>
+              )}
+              {comparison.pending && (
+                <span className="stat-badge" role="status">Comparing…</span>
+              )}
+              {comparison.error && (
+                <span className="stat-badge job-error" role="alert" title={comparison.error}>Comparison failed</span>
+              )}
+            </div>
+          )}
         </header>
 
-        <section className="editor-row">
-          <article className="editor-panel">
-            <header className="editor-header">
-              <span className="editor-title">Text 1 (Original)</span>
-            </header>
-            <textarea
-              className="editor-textarea"
-              value={text1}
-              onChange={(e) => setText1(e.target.value)}
-              placeholder="Enter or paste the first text for comparison..."
-              aria-label="Original text for comparison"
-            />
-          </article>
-
-          <article className="editor-panel">
-            <header className="editor-header">
-              <span className="editor-title">Text 2 (Comparison)</span>
-            </header>
-            <textarea
-              className="editor-textarea"
-              value={text2}
-              onChange={(e) => setText2(e.target.value)}
-              placeholder="Enter or paste the second text for comparison..."
-              aria-label="Comparison text"
-            />
-          </article>
-        </section>
+        {mode === 'three-way' && <ThreeWayCompare texts={threeWay} onChange={setThreeWay} onMarkerClick={handleMarkerClick} />}
 
-        <section className="extras">
-          <div className="special-chars-section" role="region" aria-label="Visual diff viewer">
-            <div className="section-header">
-              <h3>Visual Differences</h3>
-            </div>
-            <ReactDiffViewer
-              oldValue={processedText1}
-              newValue={processedText2}
-              splitView={true}
-              compareMethod="diffWords"
-              showDiffOnly={false}
-              useDarkTheme={false}
-              renderContent={(content) => {
-                // Post-process the content to add markers for special chars
-                if (content) {
-                  let processedContent = content
-                  
-                  // First, escape HTML entities
-                  processedContent = processedContent
-                    .replace(/&/g, '&amp;')
-                    .replace(/</g, '&lt;')
-                    .replace(/>/g, '&gt;')
-                    .replace(/"/g, '&quot;')
-                    .replace(/'/g, '&#039;')
-                  
-                  // Replace newline placeholders with markers
-                  processedContent = processedContent
-                    .replace(/␊/g, `<span class="special-char-marker" data-char-key="a" data-tooltip-id="diff-special-tooltip" data-tooltip-content="Line Feed (U+000A)" title="Line Feed">↵</span>`)
-                    .replace(/␍/g, `<span class="special-char-marker" data-char-key="d" data-tooltip-id="diff-special-tooltip" data-tooltip-content="Carriage Return (U+000D)" title="Carriage Return">⏎</span>`)
-                  
-                  // Then add special character markers for other special chars
-                  Object.entries(specialChars).forEach(([char, info]) => {
-                    // Skip line breaks - we handled them above
-                    if (char === '\n' || char === '\r' || char === '\t') return
+        {mode === 'xliff' && <XliffCompare onMarkerClick={handleMarkerClick} />}
+
+        {mode === 'text' && (
+          <>
+            <section className="editor-row">
+              <article className="editor-panel">
+                <header className="editor-header">
+                  <span className="editor-title">Text 1 (Original)</span>
+                </header>
+                <textarea
+                  className="editor-textarea"
+                  value={text1}
+                  onChange={(e) => setText1(e.target.value)}
+                  placeholder="Enter or paste the first text for comparison..."
+                  aria-label="Original text for comparison"
+                />
+              </article>
+
+              <article className="editor-panel">
+                <header className="editor-header">
+                  <span className="editor-title">Text 2 (Comparison)</span>
+                </header>
+                <textarea
+                  className="editor-textarea"
+                  value={text2}
+                  onChange={(e) => setText2(e.target.value)}
+                  placeholder="Enter or paste the second text for comparison..."
+                  aria-label="Comparison text"
+                />
+              </article>
+            </section>
+
+            <section className="extras">
+              {normalizationDiff && <NormalizationDiff classification={normalizationDiff} />}
+              {differences && (
+                <DifferenceSummary
+                  differences={differences}
+                  activeDifference={activeDifference}
+                  ignoring={diffOptions.ignore.length > 0}
+                  onSelect={setActiveDifference}
+                  onMarkerClick={handleMarkerClick}
+                />
+              )}
+              <PlaceholderCheck text1={text1} text2={text2} />
+              <div className="special-chars-section" role="region" aria-label="Visual diff viewer">
+                <div className="section-header section-header-row">
+                  <h3>Visual Differences</h3>
+                  <div className="section-header-actions">
+                    <select
+                      className="bidi-select"
+                      value={large ? 'diffLines' : diffOptions.granularity}
+                      onChange={(e) => updateDiffOptions({ granularity: e.target.value })}
+                      disabled={large}
+                      title={large ? 'Large texts are compared line by line' : undefined}
+                      aria-label="Diff granularity"
+                    >
+                      {Object.entries(DIFF_GRANULARITIES).map(([method, label]) => (
+                        <option key={method} value={method}>{label}</option>
+                      ))}
+                    </select>
+                    <select
+                      className="bidi-select"
+                      value={diffOptions.splitView ? 'split' : 'unified'}
+                      onChange={(e) => updateDiffOptions({ splitView: e.target.value === 'split' })}
+                      aria-label="Diff layout"
+                    >
+                      <option value="split">Side by side</option>
+                      <option value="unified">Unified</option>
+                    </select>
+                  </div>
+                </div>
+                <div className="diff-ignore-options" role="group" aria-label="Differences to ignore">
+                  {Object.entries(DIFF_IGNORE_OPTIONS).map(([option, { label, description }]) => (
+                    <label key={option} title={description}>
+                      <input
+                        type="checkbox"
+                        checked={diffOptions.ignore.includes(option)}
+                        onChange={(e) => toggleIgnore(option, e.target.checked)}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+                {mergeHunks?.length > 0 && !mergeInViewer && (
+                  <p className="resource-summary">
+                    The merge actions are left out of the viewer while differences are ignored, as its line numbers then belong to
+                    the compared texts; use the Merge list below.
+                  </p>
+                )}
+                {large ? (
+                  comparison.result?.rows ? (
+                    <VirtualDiff
+                      rows={comparison.result.rows}
+                      splitView={diffOptions.splitView}
+                      activeLines={activeLines}
+                      onMarkerClick={handleMarkerClick}
+                    />
+                  ) : (
+                    <p className="issue-empty">Comparing…</p>
+                  )
+                ) : (
+                  <div ref={viewerRef}>
+                    <MergeDiffViewer
+                      oldValue={processedText1}
+                      newValue={processedText2}
+                      splitView={diffOptions.splitView}
+                      compareMethod={diffOptions.granularity}
+                      showDiffOnly={false}
+                      highlightLines={highlightLines}
+                      onLineNumberClick={handleLineNumberClick}
+                      renderLineActions={mergeInViewer ? renderLineActions : undefined}
+                      useDarkTheme={false}
+                      renderContent={(content) => {
+                        // Post-process the content to add markers for special chars
+                        if (content) {
+                          let processedContent = content
+                    
+                          // First, escape HTML entities
+                          processedContent = processedContent
+                            .replace(/&/g, '&amp;')
+                            .replace(/</g, '&lt;')
+                            .replace(/>/g, '&gt;')
+                            .replace(/"/g, '&quot;')
+                            .replace(/'/g, '&#039;')
+                    
+                          // Replace newline placeholders with markers
+                          processedContent = processedContent
+                            .replace(/␊/g, `<span class="special-char-marker" data-char-key="a" data-tooltip-id="diff-special-tooltip" data-tooltip-content="Line Feed (U+000A)" title="Line Feed">↵</span>`)
+                            .replace(/␍/g, `<span class="special-char-marker" data-char-key="d" data-tooltip-id="diff-special-tooltip" data-tooltip-content="Carriage Return (U+000D)" title="Carriage Return">⏎</span>`)
                     
-                    const escapedChar = char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-                    const charKey = char.charCodeAt(0).toString(16)
-                    processedContent = processedContent.replace(
-                      new RegExp(escapedChar, 'g'),
-                      `<span class="special-char-marker" data-char-key="${charKey}" data-tooltip-id="diff-special-tooltip" data-tooltip-content="${info.desc} (${info.code})" title="${info.desc}">${info.display}</span>`
-                    )
-                  })
-                  
-                  // Sanitize the HTML with DOMPurify before rendering
-                  const sanitizedContent = DOMPurify.sanitize(processedContent, {
-                    ALLOWED_TAGS: ['span'],
-                    ALLOWED_ATTR: ['class', 'data-char-key', 'data-tooltip-id', 'data-tooltip-content', 'title']
-                  })
-                  
-                  return (
-                    <span 
-                      dangerouslySetInnerHTML={{ __html: sanitizedContent }}
-                      onClick={(e) => {
-                        if (e.target.classList.contains('special-char-marker')) {
-                          const charKey = e.target.getAttribute('data-char-key')
-                          const char = String.fromCharCode(parseInt(charKey, 16))
-                          handleMarkerClick(char)
+                          // Then add special character markers for other special chars
+                          processedContent = processedContent.replace(specialCharRegex, (char) => {
+                            // Skip line breaks - we handled them above
+                            if (char === '\n' || char === '\r' || char === '\t') return char
+
+                            const info = getCharInfo(char)
+                            const charKey = char.codePointAt(0).toString(16)
+                            return `<span class="special-char-marker" data-char-key="${charKey}" data-tooltip-id="diff-special-tooltip" data-tooltip-content="${info.desc} (${info.code})" title="${info.desc}">${info.display}</span>`
+                          })
+                    
+                          // Sanitize the HTML with DOMPurify before rendering
+                          const sanitizedContent = DOMPurify.sanitize(processedContent, {
+                            ALLOWED_TAGS: ['span'],
+                            ALLOWED_ATTR: ['class', 'data-char-key', 'data-tooltip-id', 'data-tooltip-content', 'title']
+                          })
+                    
+                          return (
+                            <span 
+                              dangerouslySetInnerHTML={{ __html: sanitizedContent }}
+                              onClick={(e) => {
+                                if (e.target.classList.contains('special-char-marker')) {
+                                  const charKey = e.target.getAttribute('data-char-key')
+                                  const char = String.fromCodePoint(parseInt(charKey, 16))
+                                  handleMarkerClick(char)
+                                }
+                              }}
+                            />
+                          )
+                        }
+                        return content
+                      }}
+                      styles={{
+                        wordDiff: {
+                          display: 'inline',
+                          whiteSpace: 'pre-wrap'
                         }
                       }}
                     />
-                  )
-                }
-                return content
-              }}
-              styles={{
-                wordDiff: {
-                  display: 'inline',
-                  whiteSpace: 'pre-wrap'
-                }
-              }}
-            />
-          </div>
-        </section>
+                  </div>
+                )}
+              </div>
+              {mergeHunks ? (
+                <MergePanel
+                  text2={text2}
+                  hunks={mergeHunks}
+                  merge={merge}
+                  inViewer={mergeInViewer}
+                  activeHunk={activeDifference}
+                  onSelect={setActiveDifference}
+                  onMarkerClick={handleMarkerClick}
+                  onOpenInAnalyzer={onOpenInAnalyzer}
+                />
+              ) : (
+                <div className="special-chars-section" role="region" aria-label="Merge">
+                  <div className="section-header">
+                    <h3>Merge</h3>
+                  </div>
+                  <p className="issue-empty">Merging is available for texts under {LARGE_TEXT_LENGTH.toLocaleString()} characters in total.</p>
+                </div>
+              )}
+            </section>
+          </>
+        )}
       </main>
       <Tooltip id="diff-special-tooltip" />
 
-      {showInfoModal && selectedChar && specialChars[selectedChar] && (
+      {showInfoModal && selectedChar && (
         <div className="modal-overlay" onClick={() => setShowInfoModal(false)}>
           <div className="modal" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h2>{specialChars[selectedChar].fullText}</h2>
+              <h2>{getCharInfo(selectedChar).fullText}</h2>
               <button className="modal-close" onClick={() => setShowInfoModal(false)}>
                 ×
               </button>
@@ -193,20 +421,22 @@ function TextDiff() {
             <div className="modal-content">
               <div className="modal-section">
                 <h3>Unicode</h3>
-                <p>{specialChars[selectedChar].code}</p>
+                <p>{getCharInfo(selectedChar).code}</p>
               </div>
               <div className="modal-section">
                 <h3>Description</h3>
-                <p>{specialChars[selectedChar].desc}</p>
+                <p>{getCharInfo(selectedChar).desc}</p>
               </div>
               <div className="modal-section">
                 <h3>Usage</h3>
-                <p>{specialChars[selectedChar].usage}</p>
-              </div>
-              <div className="modal-section">
-                <h3>Example</h3>
-                <pre>{specialChars[selectedChar].example}</pre>
+                <p>{getCharInfo(selectedChar).usage}</p>
               </div>
+              {getCharInfo(selectedChar).example && (
+                <div className="modal-section">
+                  <h3>Example</h3>
+                  <pre>{getCharInfo(selectedChar).example}</pre>
+                </div>
+              )}
               <div className="modal-section">
                 <button
                   className="btn btn-primary"
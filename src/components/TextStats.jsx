@@ -0,0 +1,53 @@
+import { useMemo } from 'react'
+import { LENGTH_METRICS, SEGMENT_COUNTS, segmenterSupported } from '../utils/textStats'
+import useAnalysisJob from '../hooks/useAnalysisJob'
+
+const formatCount = (value) => value?.toLocaleString() ?? '–'
+
+function TextStats({ text, stats, selection }) {
+  const selectedText = selection.end > selection.start ? text.slice(selection.start, selection.end) : ''
+  const selectionPayload = useMemo(() => ({ text: selectedText }), [selectedText])
+  const selectionStats = useAnalysisJob('stats', selectionPayload, selectedText.length)
+
+  if (!text) return null
+
+  const rows = [...Object.entries(LENGTH_METRICS), ...Object.entries(SEGMENT_COUNTS)]
+
+  return (
+    <div className="special-chars-section" role="region" aria-label="Text statistics">
+      <div className="section-header section-header-row">
+        <h3>Statistics</h3>
+        <div className="section-header-actions">
+          <span className="editor-hint">
+            {selectedText ? `Selection: ${selection.start}–${selection.end} (UTF-16 offsets)` : 'Select text in the editor to measure the selection'}
+          </span>
+        </div>
+      </div>
+      {!segmenterSupported && (
+        <p className="resource-summary">This browser has no Intl.Segmenter, so graphemes, words and sentences are not counted.</p>
+      )}
+      <div className="resource-table-wrapper">
+        <table className="resource-table text-stats">
+          <thead>
+            <tr>
+              <th>Metric</th>
+              <th>Text</th>
+              <th>Selection</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(([metric, { label, description }]) => (
+              <tr key={metric}>
+                <td title={description}>{label}</td>
+                <td className="text-stats-value">{formatCount(stats?.[metric])}</td>
+                <td className="text-stats-value">{selectedText ? formatCount(selectionStats.result?.[metric]) : ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default TextStats
@@ -0,0 +1,210 @@
+import { useState, useMemo } from 'react'
+import MarkedText from './MarkedText'
+import ChangedLine from './ChangedLine'
+import VirtualDiff from './VirtualDiff'
+import { SEGMENT_STATUSES, reviewTranslationUpdate } from '../utils/threeWay'
+
+const MAX_SEGMENTS = 500
+
+function SegmentText({ text, otherText, side, onMarkerClick }) {
+  if (text === null) return <span className="xliff-untranslated">No line</span>
+  if (otherText === null || otherText === text) return <MarkedText text={text} onMarkerClick={onMarkerClick} />
+  return <ChangedLine text={text} otherText={otherText} side={side} onMarkerClick={onMarkerClick} />
+}
+
+function ThreeWayCompare({ texts, onChange, onMarkerClick }) {
+  const [sourceVersion, setSourceVersion] = useState('source')
+  const [showUpdated, setShowUpdated] = useState(false)
+
+  const review = useMemo(() => reviewTranslationUpdate(texts), [texts])
+  const { segments, lineCounts } = review
+
+  const counts = useMemo(() => {
+    const result = { unrequested: 0, missed: 0, updated: 0 }
+    segments.forEach(({ status }) => result[status]++)
+    return result
+  }, [segments])
+
+  const listed = showUpdated ? segments : segments.filter((segment) => segment.status !== 'updated')
+  const misaligned = (texts.previousTarget && lineCounts.previousTarget !== lineCounts.previousSource) ||
+    (texts.newTarget && lineCounts.newTarget !== lineCounts.source)
+
+  const update = (field, value) => onChange({ ...texts, [field]: value })
+
+  return (
+    <>
+      <section className="editor-row">
+        <article className="editor-panel">
+          <header className="editor-header">
+            <span className="editor-title">Source</span>
+            <div className="utility-icons" role="tablist" aria-label="Source version">
+              <button
+                className={`utility-icon-btn mode-tab ${sourceVersion === 'source' ? 'active' : ''}`}
+                onClick={() => setSourceVersion('source')}
+                role="tab"
+                aria-selected={sourceVersion === 'source'}
+              >
+                Current
+              </button>
+              <button
+                className={`utility-icon-btn mode-tab ${sourceVersion === 'previousSource' ? 'active' : ''}`}
+                onClick={() => setSourceVersion('previousSource')}
+                role="tab"
+                aria-selected={sourceVersion === 'previousSource'}
+                title="The source the previous translation was made from"
+              >
+                Previous
+              </button>
+            </div>
+          </header>
+          <textarea
+            className="editor-textarea"
+            value={texts[sourceVersion]}
+            onChange={(e) => update(sourceVersion, e.target.value)}
+            placeholder={sourceVersion === 'source'
+              ? 'Enter or paste the current source, one segment per line...'
+              : 'Paste the source the previous translation was made from; leave empty if the source did not change...'}
+            aria-label={sourceVersion === 'source' ? 'Current source' : 'Previous source'}
+          />
+        </article>
+
+        <article className="editor-panel">
+          <header className="editor-header">
+            <span className="editor-title">Previous Translation</span>
+          </header>
+          <textarea
+            className="editor-textarea"
+            value={texts.previousTarget}
+            onChange={(e) => update('previousTarget', e.target.value)}
+            placeholder="Enter or paste the previously approved translation..."
+            aria-label="Previous translation"
+          />
+        </article>
+
+        <article className="editor-panel">
+          <header className="editor-header">
+            <span className="editor-title">New Translation</span>
+          </header>
+          <textarea
+            className="editor-textarea"
+            value={texts.newTarget}
+            onChange={(e) => update('newTarget', e.target.value)}
+            placeholder="Enter or paste the new translation..."
+            aria-label="New translation"
+          />
+        </article>
+      </section>
+
+      <section className="extras three-way">
+        <div className="special-chars-section" role="region" aria-label="Translation update review">
+          <div className="section-header section-header-row">
+            <h3>Update Review {segments.length > 0 ? `(${segments.length})` : ''}</h3>
+            <div className="section-header-actions">
+              <label className="resource-filter">
+                <input type="checkbox" checked={showUpdated} onChange={(e) => setShowUpdated(e.target.checked)} />
+                Also list updated segments
+              </label>
+            </div>
+          </div>
+          <div className="badge-row">
+            {Object.entries(SEGMENT_STATUSES).map(([status, { label, description }]) => (
+              <span key={status} className="stat-badge" title={description}>
+                {label}: {counts[status]}
+              </span>
+            ))}
+          </div>
+          <p className="resource-summary">
+            Each line is one segment, and each translation follows its source line by line.
+            {!texts.previousSource && ' Without a previous source the source counts as unchanged, so every translation edit is unrequested.'}
+          </p>
+          {misaligned && (
+            <p className="resource-summary three-way-warning">
+              The line counts do not match (previous: {lineCounts.previousSource} source, {lineCounts.previousTarget} translation; current:{' '}
+              {lineCounts.source} source, {lineCounts.newTarget} translation), so segments after a missing or extra line are paired with the wrong source.
+            </p>
+          )}
+          {listed.length === 0 ? (
+            <p className="issue-empty">
+              {segments.length === 0 ? 'No segment changed.' : 'Every change in the translation follows a change in the source.'}
+            </p>
+          ) : (
+            <div className="resource-table-wrapper">
+              <table className="resource-table">
+                <thead>
+                  <tr>
+                    <th>Ln</th>
+                    <th>Status</th>
+                    <th>Source</th>
+                    <th>Previous translation</th>
+                    <th>New translation</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {listed.slice(0, MAX_SEGMENTS).map((segment) => (
+                    <tr key={segment.line} className={`three-way-${segment.status}`}>
+                      <td className="resource-line">{segment.line}</td>
+                      <td>
+                        <span className="issue-type" title={SEGMENT_STATUSES[segment.status].description}>
+                          {SEGMENT_STATUSES[segment.status].label}
+                        </span>
+                      </td>
+                      <td className="resource-value">
+                        <SegmentText
+                          text={segment.source}
+                          otherText={segment.sourceChange === 'changed' ? segment.previousSource : null}
+                          side="right"
+                          onMarkerClick={onMarkerClick}
+                        />
+                        {segment.sourceChange === 'changed' && (
+                          <span className="issue-details">
+                            was <SegmentText text={segment.previousSource} otherText={segment.source} side="left" onMarkerClick={onMarkerClick} />
+                          </span>
+                        )}
+                        {segment.sourceChange === 'added' && <span className="issue-details">New segment</span>}
+                      </td>
+                      <td className="resource-value">
+                        <SegmentText text={segment.previousTarget} otherText={segment.newTarget} side="left" onMarkerClick={onMarkerClick} />
+                      </td>
+                      <td className="resource-value">
+                        <SegmentText text={segment.newTarget} otherText={segment.previousTarget} side="right" onMarkerClick={onMarkerClick} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {listed.length > MAX_SEGMENTS && (
+            <p className="issue-empty">…and {listed.length - MAX_SEGMENTS} more segments</p>
+          )}
+        </div>
+
+        <div className="special-chars-section" role="region" aria-label="Translation changes">
+          <div className="section-header">
+            <h3>Translation Changes</h3>
+          </div>
+          {texts.previousTarget === texts.newTarget ? (
+            <p className="issue-empty">The two translations are identical.</p>
+          ) : (
+            <VirtualDiff rows={review.targetRows} onMarkerClick={onMarkerClick} />
+          )}
+        </div>
+
+        <div className="special-chars-section" role="region" aria-label="Source changes">
+          <div className="section-header">
+            <h3>Source Changes</h3>
+          </div>
+          {!review.sourceRows ? (
+            <p className="issue-empty">Paste the previous source under Source › Previous to see what changed in it.</p>
+          ) : texts.previousSource === texts.source ? (
+            <p className="issue-empty">The source did not change.</p>
+          ) : (
+            <VirtualDiff rows={review.sourceRows} onMarkerClick={onMarkerClick} />
+          )}
+        </div>
+      </section>
+    </>
+  )
+}
+
+export default ThreeWayCompare
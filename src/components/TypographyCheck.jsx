@@ -0,0 +1,74 @@
+import MarkedText from './MarkedText'
+import { TYPOGRAPHY_PROFILES, typographyRules, fixTypography } from '../utils/typography'
+
+const MAX_VIOLATIONS = 100
+
+function TypographyCheck({ text, profile, violations, onProfileChange, onChange }) {
+  if (!text) return null
+
+  return (
+    <div className="special-chars-section" role="region" aria-label="Locale typography">
+      <div className="section-header section-header-row">
+        <h3>Typography {violations.length > 0 ? `(${violations.length} ${violations.length === 1 ? 'issue' : 'issues'})` : ''}</h3>
+        <div className="section-header-actions">
+          <select
+            className="bidi-select"
+            value={profile}
+            onChange={(e) => onProfileChange(e.target.value)}
+            aria-label="Locale typography profile"
+          >
+            <option value="">Choose a locale…</option>
+            {Object.entries(TYPOGRAPHY_PROFILES).map(([id, { label }]) => (
+              <option key={id} value={id}>{label} ({id})</option>
+            ))}
+          </select>
+          {violations.length > 0 && (
+            <button
+              className="btn btn-primary"
+              onClick={() => onChange(fixTypography(text, violations))}
+              title="Apply every fix as one step; undo restores the original"
+            >
+              Fix all ({violations.length})
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!profile ? (
+        <p className="issue-empty">
+          Choose a locale to check punctuation spacing, quotation marks, decimal and thousands separators and percent signs against its typographic rules.
+        </p>
+      ) : violations.length === 0 ? (
+        <p className="issue-empty">The text follows {TYPOGRAPHY_PROFILES[profile].label} typography.</p>
+      ) : (
+        <ul className="issue-list">
+          {violations.slice(0, MAX_VIOLATIONS).map((violation) => (
+            <li key={`${violation.rule}-${violation.index}-${violation.anchor}`} className="issue-item severity-medium">
+              <span className="issue-location">Ln {violation.line}, Col {violation.column}</span>
+              <span className="issue-type">{typographyRules[violation.rule]}</span>
+              <span className="issue-message">
+                {violation.message}
+                <span className="issue-details">
+                  <code><MarkedText text={violation.original} tooltipId="special-tooltip" /></code>
+                  {' → '}
+                  <code><MarkedText text={violation.fixed} tooltipId="special-tooltip" /></code>
+                </span>
+              </span>
+              <button
+                className="btn btn-sm btn-secondary"
+                onClick={() => onChange(fixTypography(text, [violation]))}
+              >
+                Fix
+              </button>
+            </li>
+          ))}
+          {violations.length > MAX_VIOLATIONS && (
+            <li className="issue-empty">…and {violations.length - MAX_VIOLATIONS} more; Fix all covers them too</li>
+          )}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default TypographyCheck
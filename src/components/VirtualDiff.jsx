@@ -0,0 +1,119 @@
+import { useState, useMemo, useEffect, useRef } from 'react'
+import MarkedText from './MarkedText'
+import ChangedLine from './ChangedLine'
+
+// Line diff for texts too large for the word-level viewer, side by side or unified. Rows
+// have a fixed height, so only the rows in view (plus a margin) are rendered.
+const ROW_HEIGHT = 20
+const OVERSCAN_ROWS = 30
+// Unchanged text kept in front of a change on a long line
+const LEADING_CONTEXT = 40
+
+const rowLabels = { equal: 'Unchanged', changed: 'Changed', removed: 'Removed', added: 'Added' }
+
+// Each run of changes lists its removed lines before its added ones; a changed line keeps
+// the text of the other side for highlighting
+const toUnifiedRows = (rows) => {
+  const result = []
+  let removed = []
+  let added = []
+  const flush = () => {
+    result.push(...removed, ...added)
+    removed = []
+    added = []
+  }
+  rows.forEach((row) => {
+    if (row.type === 'equal') {
+      flush()
+      result.push(row)
+      return
+    }
+    if (row.oldText !== null) removed.push({ ...row, type: 'removed', right: null, newText: null, pairText: row.newText })
+    if (row.newText !== null) added.push({ ...row, type: 'added', left: null, oldText: null, pairText: row.oldText })
+  })
+  flush()
+  return result
+}
+
+function VirtualDiff({ rows: diffRows, splitView = true, activeLines = null, onMarkerClick }) {
+  const [viewport, setViewport] = useState({ top: 0, height: 800 })
+  const containerRef = useRef(null)
+  const rows = useMemo(() => (splitView ? diffRows : toUnifiedRows(diffRows)), [diffRows, splitView])
+
+  const activeIndex = useMemo(() => {
+    if (!activeLines) return -1
+    return rows.findIndex((row) =>
+      (activeLines.left !== null && row.left === activeLines.left) || (activeLines.right !== null && row.right === activeLines.right)
+    )
+  }, [rows, activeLines])
+
+  // Centre the active row; scrolling renders it
+  useEffect(() => {
+    const container = containerRef.current
+    if (activeIndex === -1 || !container) return
+    container.scrollTop = Math.max(0, activeIndex * ROW_HEIGHT - container.clientHeight / 2)
+  }, [activeIndex])
+
+  const first = Math.max(0, Math.floor(viewport.top / ROW_HEIGHT) - OVERSCAN_ROWS)
+  const last = Math.min(rows.length, Math.ceil((viewport.top + viewport.height) / ROW_HEIGHT) + OVERSCAN_ROWS)
+
+  const renderSide = (row, side) => {
+    const text = side === 'left' ? row.oldText : row.newText
+    if (text === null) return null
+    if (row.type === 'changed') {
+      return (
+        <ChangedLine
+          text={text}
+          otherText={side === 'left' ? row.newText : row.oldText}
+          side={side}
+          leadingContext={LEADING_CONTEXT}
+          onMarkerClick={onMarkerClick}
+        />
+      )
+    }
+    return <MarkedText text={text} onMarkerClick={onMarkerClick} />
+  }
+
+  const renderUnified = (row) => {
+    const side = row.oldText === null ? 'right' : 'left'
+    const text = side === 'left' ? row.oldText : row.newText
+    if (row.pairText == null) return <MarkedText text={text} onMarkerClick={onMarkerClick} />
+    return <ChangedLine text={text} otherText={row.pairText} side={side} leadingContext={LEADING_CONTEXT} onMarkerClick={onMarkerClick} />
+  }
+
+  return (
+    <div
+      className={`virtual-diff ${splitView ? '' : 'virtual-diff-unified'}`}
+      ref={containerRef}
+      onScroll={(e) => setViewport({ top: e.currentTarget.scrollTop, height: e.currentTarget.clientHeight })}
+    >
+      <div className="virtual-diff-body" style={{ height: rows.length * ROW_HEIGHT }}>
+        {rows.slice(first, last).map((row, i) => (
+          <div
+            key={first + i}
+            className={`virtual-diff-row virtual-diff-${row.type} ${first + i === activeIndex ? 'virtual-diff-active' : ''}`}
+            style={{ top: (first + i) * ROW_HEIGHT, height: ROW_HEIGHT }}
+            title={rowLabels[row.type]}
+          >
+            {splitView ? (
+              <>
+                <span className="virtual-diff-number">{row.left}</span>
+                <span className="virtual-diff-text">{renderSide(row, 'left')}</span>
+                <span className="virtual-diff-number">{row.right}</span>
+                <span className="virtual-diff-text">{renderSide(row, 'right')}</span>
+              </>
+            ) : (
+              <>
+                <span className="virtual-diff-number">{row.left}</span>
+                <span className="virtual-diff-number">{row.right}</span>
+                <span className="virtual-diff-text">{renderUnified(row)}</span>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default VirtualDiff
@@ -0,0 +1,159 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+
+// The text is cut into chunks of whole lines and only the chunks near the viewport are
+// rendered; the rest is stood in for by spacers of their measured or estimated height.
+const CHUNK_LINES = 50
+// Long lines (minified files) are cut as well
+const CHUNK_LENGTH = 4000
+const ESTIMATED_LINE_HEIGHT = 21
+const ESTIMATED_LINE_LENGTH = 80
+const OVERSCAN = 800
+
+const isHighSurrogate = (code) => code >= 0xD800 && code <= 0xDBFF
+
+const splitIntoChunks = (text) => {
+  const chunks = []
+  let start = 0
+  while (start < text.length) {
+    let end = start
+    let lines = 0
+    for (; lines < CHUNK_LINES && end < text.length; lines++) {
+      const newline = text.indexOf('\n', end)
+      const lineEnd = newline === -1 ? text.length : newline + 1
+      if (lineEnd - start > CHUNK_LENGTH) {
+        if (end === start) {
+          end = start + CHUNK_LENGTH
+          if (isHighSurrogate(text.charCodeAt(end - 1))) end++
+          lines = 1
+        }
+        break
+      }
+      end = lineEnd
+    }
+    chunks.push({ start, end, lines })
+    start = end
+  }
+  return chunks
+}
+
+const estimateHeight = ({ start, end, lines }) =>
+  Math.max(lines, Math.ceil((end - start) / ESTIMATED_LINE_LENGTH)) * ESTIMATED_LINE_HEIGHT
+
+// First mark at or after the offset; marks are sorted by index
+const firstMarkFrom = (marks, offset) => {
+  let low = 0
+  let high = marks.length
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (marks[mid].index < offset) low = mid + 1
+    else high = mid
+  }
+  return low
+}
+
+function VirtualText({ text, marks, renderMark, activeOffset = null, className, style, onClick, onDoubleClick }) {
+  const [container, setContainer] = useState(null)
+  const [viewport, setViewport] = useState({ top: 0, height: 0 })
+  const [heights, setHeights] = useState(() => new Map())
+  const scrolledTo = useRef(null)
+
+  const chunks = useMemo(() => splitIntoChunks(text), [text])
+
+  const tops = useMemo(() => {
+    const result = [0]
+    chunks.forEach((chunk, i) => result.push(result[i] + (heights.get(i) ?? estimateHeight(chunk))))
+    return result
+  }, [chunks, heights])
+
+  let first = 0
+  while (first < chunks.length - 1 && tops[first + 1] < viewport.top - OVERSCAN) first++
+  let last = first
+  while (last < chunks.length - 1 && tops[last + 1] < viewport.top + viewport.height + OVERSCAN) last++
+
+  // Follow the viewport size and measure rendered chunks as they lay out
+  useEffect(() => {
+    if (!container) return
+    const updateViewport = () => setViewport({ top: container.scrollTop, height: container.clientHeight })
+    const resizeObserver = new ResizeObserver((entries) => {
+      setHeights((previous) => {
+        let next = previous
+        entries.forEach(({ target }) => {
+          // Chunks scrolled out of the DOM report a zero size; keep their last height
+          if (!target.dataset.chunk || !target.isConnected) return
+          const index = Number(target.dataset.chunk)
+          const height = target.offsetHeight
+          if (previous.get(index) !== height) {
+            if (next === previous) next = new Map(previous)
+            next.set(index, height)
+          }
+        })
+        return next
+      })
+      updateViewport()
+    })
+    resizeObserver.observe(container)
+    container.querySelectorAll('[data-chunk]').forEach((element) => resizeObserver.observe(element))
+    const mutationObserver = new MutationObserver((records) => {
+      records.forEach((record) => {
+        record.addedNodes.forEach((node) => node.dataset?.chunk && resizeObserver.observe(node))
+        record.removedNodes.forEach((node) => node.dataset?.chunk && resizeObserver.unobserve(node))
+      })
+    })
+    mutationObserver.observe(container, { childList: true })
+    return () => {
+      resizeObserver.disconnect()
+      mutationObserver.disconnect()
+    }
+  }, [container])
+
+  // Bring the active offset into view, rendering its chunk first when it is off screen
+  useEffect(() => {
+    if (activeOffset === null) {
+      scrolledTo.current = null
+      return
+    }
+    if (!container || scrolledTo.current === activeOffset) return
+    const element = container.querySelector(`[data-offset="${activeOffset}"]`)
+    if (element) {
+      element.scrollIntoView({ block: 'nearest' })
+      scrolledTo.current = activeOffset
+      return
+    }
+    const index = chunks.findIndex((chunk) => activeOffset >= chunk.start && activeOffset < chunk.end)
+    if (index !== -1) container.scrollTop = tops[index]
+  }, [container, activeOffset, chunks, tops, first, last])
+
+  const renderChunk = ({ start, end }) => {
+    const parts = []
+    let lastIndex = start
+    for (let i = firstMarkFrom(marks, start); i < marks.length && marks[i].index < end; i++) {
+      const mark = marks[i]
+      if (mark.index > lastIndex) parts.push(text.slice(lastIndex, mark.index))
+      parts.push(renderMark(mark))
+      lastIndex = mark.index + mark.char.length
+    }
+    if (lastIndex < end) parts.push(text.slice(lastIndex, end))
+    return parts
+  }
+
+  return (
+    <div
+      className={className}
+      style={style}
+      ref={setContainer}
+      onScroll={(e) => setViewport({ top: e.currentTarget.scrollTop, height: e.currentTarget.clientHeight })}
+      onClick={onClick}
+      onDoubleClick={onDoubleClick}
+    >
+      {chunks.length > 0 && <div style={{ height: tops[first] }} aria-hidden="true" />}
+      {chunks.slice(first, last + 1).map((chunk, i) => (
+        <div key={first + i} className="virtual-chunk" data-chunk={first + i}>
+          {renderChunk(chunk)}
+        </div>
+      ))}
+      {chunks.length > 0 && <div style={{ height: tops[chunks.length] - tops[last + 1] }} aria-hidden="true" />}
+    </div>
+  )
+}
+
+export default VirtualText
@@ -0,0 +1,233 @@
+import { useState } from 'react'
+import { formatCodePoint, getCharInfo } from '../utils/specialChars'
+import {
+  WATCH_SEVERITIES,
+  createWatchEntry,
+  normalizeWatchEntry,
+  parseCodePoint,
+  exportWatchList,
+  importWatchList
+} from '../utils/watchList'
+import { downloadFile } from '../utils/download'
+
+const emptyDraft = () => ({ ...createWatchEntry(), code: '' })
+
+function WatchListManager({ entries, saveFailed, onChange, onClose }) {
+  const [draft, setDraft] = useState(emptyDraft)
+  const [editingChar, setEditingChar] = useState(null)
+  const [message, setMessage] = useState(null)
+
+  const draftChar = parseCodePoint(draft.code)
+  const duplicate = draftChar && draftChar !== editingChar && entries.some((entry) => entry.char === draftChar)
+  const update = (changes) => setDraft({ ...draft, ...changes })
+
+  // Fields left empty fall back to what the registry knows about the character
+  const handleCodeChange = (code) => {
+    const char = parseCodePoint(code)
+    const known = char && getCharInfo(char)
+    update({
+      code,
+      display: draft.display || (known && !known.display.startsWith('U+') ? known.display : ''),
+      desc: draft.desc || (known && !known.desc.endsWith(' Character') ? known.desc : ''),
+    })
+  }
+
+  const handleSave = () => {
+    const entry = normalizeWatchEntry({ ...draft, char: undefined })
+    onChange(editingChar
+      ? entries.map((existing) => (existing.char === editingChar ? entry : existing))
+      : [...entries, entry])
+    setDraft(emptyDraft())
+    setEditingChar(null)
+  }
+
+  const handleEdit = (entry) => {
+    setDraft({ ...entry, code: formatCodePoint(entry.char.codePointAt(0)) })
+    setEditingChar(entry.char)
+  }
+
+  const handleRemove = (entry) => {
+    onChange(entries.filter((existing) => existing.char !== entry.char))
+    if (editingChar === entry.char) {
+      setDraft(emptyDraft())
+      setEditingChar(null)
+    }
+  }
+
+  const handleImport = async (file) => {
+    try {
+      const { entries: imported, count } = importWatchList(entries, await file.text())
+      onChange(imported)
+      setMessage(`Imported ${count} ${count === 1 ? 'character' : 'characters'} from ${file.name}`)
+    } catch (error) {
+      setMessage(`${file.name}: ${error.message}`)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal watch-list-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Watch List</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+        <div className="modal-content">
+          <div className="modal-section">
+            <p>
+              Characters added here are highlighted, counted, offered in the insert menus and in Find &amp; Replace
+              like the built-in ones. Export the list to share one profile with the team.
+            </p>
+            <div className="modal-button-group">
+              <button
+                className="btn btn-sm btn-secondary"
+                onClick={() => downloadFile('loc-tool-watch-list.json', exportWatchList(entries), 'application/json')}
+                disabled={entries.length === 0}
+              >
+                Export
+              </button>
+              <label className="btn btn-sm btn-secondary" title="Add the characters from an exported watch list">
+                Import
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  className="visually-hidden"
+                  onChange={(e) => {
+                    if (e.target.files[0]) handleImport(e.target.files[0])
+                    e.target.value = ''
+                  }}
+                />
+              </label>
+            </div>
+            {message && <p className="workspace-status">{message}</p>}
+            {saveFailed && <p className="workspace-status error">Not saved: browser storage is full or blocked</p>}
+          </div>
+
+          <div className="modal-section">
+            <h3>Characters ({entries.length})</h3>
+            {entries.length === 0 ? (
+              <p className="issue-empty">No characters yet.</p>
+            ) : (
+              <div className="resource-table-wrapper">
+                <table className="resource-table">
+                  <thead>
+                    <tr>
+                      <th>Code</th>
+                      <th>Label</th>
+                      <th>Description</th>
+                      <th>Severity</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {entries.map((entry) => (
+                      <tr key={entry.char} className={entry.char === editingChar ? 'watch-list-editing' : undefined}>
+                        <td className="resource-line">{formatCodePoint(entry.char.codePointAt(0))}</td>
+                        <td>
+                          <span className="watch-list-swatch" style={{ backgroundColor: entry.color }} />
+                          {entry.display}
+                        </td>
+                        <td>{entry.desc}</td>
+                        <td>{WATCH_SEVERITIES[entry.severity]}</td>
+                        <td className="watch-list-actions">
+                          <button className="btn btn-sm btn-secondary" onClick={() => handleEdit(entry)}>Edit</button>
+                          <button className="btn btn-sm btn-secondary" onClick={() => handleRemove(entry)}>Remove</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="modal-section">
+            <h3>{editingChar ? `Edit ${formatCodePoint(editingChar.codePointAt(0))}` : 'Add a Character'}</h3>
+            <div className="watch-list-form">
+              <label>
+                Code point
+                <input
+                  className="replace-input"
+                  value={draft.code}
+                  onChange={(e) => handleCodeChange(e.target.value)}
+                  placeholder="U+2011, 2011 or the character itself"
+                  aria-invalid={Boolean(draft.code) && (!draftChar || duplicate)}
+                />
+              </label>
+              <label>
+                Display label
+                <input
+                  className="replace-input"
+                  value={draft.display}
+                  onChange={(e) => update({ display: e.target.value })}
+                  placeholder={draftChar ? formatCodePoint(draftChar.codePointAt(0)) : 'NBHY'}
+                />
+              </label>
+              <label>
+                Description
+                <input
+                  className="replace-input"
+                  value={draft.desc}
+                  onChange={(e) => update({ desc: e.target.value })}
+                  placeholder="Non-breaking Hyphen"
+                />
+              </label>
+              <label>
+                Colour
+                <input type="color" value={draft.color} onChange={(e) => update({ color: e.target.value })} />
+              </label>
+              <label>
+                Severity
+                <select className="bidi-select" value={draft.severity} onChange={(e) => update({ severity: e.target.value })}>
+                  {Object.entries(WATCH_SEVERITIES).map(([severity, label]) => (
+                    <option key={severity} value={severity}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="watch-list-wide">
+                Usage notes
+                <textarea
+                  className="replace-input"
+                  rows={2}
+                  value={draft.usage}
+                  onChange={(e) => update({ usage: e.target.value })}
+                  placeholder="When the character is wanted and when it is a mistake"
+                />
+              </label>
+              <label className="watch-list-wide">
+                Examples
+                <textarea
+                  className="replace-input"
+                  rows={2}
+                  value={draft.example}
+                  onChange={(e) => update({ example: e.target.value })}
+                />
+              </label>
+            </div>
+            {draft.code && !draftChar && <p className="workspace-status error">Enter one character or a code point such as U+2011; a plain space cannot be watched.</p>}
+            {duplicate && <p className="workspace-status error">{formatCodePoint(draftChar.codePointAt(0))} is already on the list; edit it there.</p>}
+            <div className="modal-button-group">
+              <button className="btn btn-primary" onClick={handleSave} disabled={!draftChar || duplicate}>
+                {editingChar ? 'Save Changes' : 'Add to Watch List'}
+              </button>
+              {editingChar && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => {
+                    setDraft(emptyDraft())
+                    setEditingChar(null)
+                  }}
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default WatchListManager
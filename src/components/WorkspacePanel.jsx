@@ -0,0 +1,136 @@
+import { useState } from 'react'
+import {
+  documentTypes,
+  getDocuments,
+  selectDocument,
+  addDocument,
+  renameDocument,
+  deleteDocument,
+  exportWorkspace,
+  importWorkspace
+} from '../utils/workspace'
+import { downloadFile } from '../utils/download'
+
+function WorkspacePanel({ workspace, saveFailed, onChange }) {
+  const [editingId, setEditingId] = useState(null)
+  const [importMessage, setImportMessage] = useState(null)
+
+  const type = workspace.view
+  const documents = getDocuments(workspace, type)
+
+  const handleRename = (doc, name) => {
+    onChange(renameDocument(workspace, doc.id, name))
+    setEditingId(null)
+  }
+
+  const handleDelete = (doc) => {
+    if (window.confirm(`Delete "${doc.name}"? This cannot be undone.`)) {
+      onChange(deleteDocument(workspace, doc.id))
+    }
+  }
+
+  const handleExport = () => {
+    downloadFile(`loc-tool-workspace-${new Date().toISOString().slice(0, 10)}.json`, exportWorkspace(workspace), 'application/json')
+  }
+
+  const handleImport = async (file) => {
+    try {
+      const { workspace: imported, count } = importWorkspace(workspace, await file.text())
+      onChange(imported)
+      setImportMessage(`Imported ${count} ${count === 1 ? 'document' : 'documents'} from ${file.name}`)
+    } catch (error) {
+      setImportMessage(`${file.name}: ${error.message}`)
+    }
+  }
+
+  return (
+    <section className="workspace-panel" aria-label="Workspace documents">
+      <div className="workspace-header">
+        <span className="workspace-title">{documentTypes[type].label}</span>
+        <button
+          className="document-action"
+          onClick={() => onChange(addDocument(workspace, type))}
+          title={`New ${documentTypes[type].defaultName.toLowerCase()}`}
+          aria-label={`New ${documentTypes[type].defaultName.toLowerCase()}`}
+        >
+          +
+        </button>
+      </div>
+
+      <ul className="document-list">
+        {documents.map((doc) => (
+          <li key={doc.id} className={`document-row ${doc.id === workspace.active[type] ? 'active' : ''}`}>
+            {editingId === doc.id ? (
+              <input
+                className="document-name-input"
+                defaultValue={doc.name}
+                aria-label="Document name"
+                autoFocus
+                onBlur={(e) => handleRename(doc, e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Escape') e.target.value = doc.name
+                  if (e.key === 'Enter' || e.key === 'Escape') e.target.blur()
+                }}
+              />
+            ) : (
+              <button
+                className="document-name"
+                onClick={() => onChange(selectDocument(workspace, doc))}
+                onDoubleClick={() => setEditingId(doc.id)}
+                title={`Last edited ${new Date(doc.updatedAt).toLocaleString()} · double-click to rename`}
+                aria-current={doc.id === workspace.active[type] ? 'true' : undefined}
+              >
+                {doc.name}
+              </button>
+            )}
+            <button
+              className="document-action"
+              onClick={() => setEditingId(doc.id)}
+              title="Rename"
+              aria-label={`Rename ${doc.name}`}
+            >
+              ✎
+            </button>
+            <button
+              className="document-action"
+              onClick={() => handleDelete(doc)}
+              title="Delete"
+              aria-label={`Delete ${doc.name}`}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="workspace-actions">
+        <button
+          className="btn btn-sm btn-secondary"
+          onClick={handleExport}
+          title="Download every text and comparison as one file"
+        >
+          Export
+        </button>
+        <label className="btn btn-sm btn-secondary" title="Add the documents from an exported workspace file">
+          Import
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="visually-hidden"
+            onChange={(e) => {
+              if (e.target.files[0]) handleImport(e.target.files[0])
+              e.target.value = ''
+            }}
+          />
+        </label>
+      </div>
+
+      <p className={`workspace-status ${saveFailed ? 'error' : ''}`}>
+        {saveFailed ? 'Not saved: browser storage is full or blocked' : 'Autosaved in this browser'}
+      </p>
+      {importMessage && <p className="workspace-status">{importMessage}</p>}
+    </section>
+  )
+}
+
+export default WorkspacePanel
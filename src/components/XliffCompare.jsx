@@ -0,0 +1,137 @@
+import { useState } from 'react'
+import MarkedText from './MarkedText'
+import { getCharInfo } from '../utils/specialChars'
+import { parseXliff } from '../utils/xliff'
+import { decodeFile } from '../utils/encoding'
+
+const XLIFF_FILE_ACCEPT = '.xlf,.xliff,.sdlxliff,.mqxliff'
+
+function SegmentContent({ tokens, onMarkerClick }) {
+  return tokens.map((token, i) =>
+    token.type === 'text' ? (
+      <MarkedText key={i} text={token.value} onMarkerClick={onMarkerClick} />
+    ) : (
+      <span key={i} className="inline-tag" title={token.content || token.label}>
+        {token.label}
+      </span>
+    )
+  )
+}
+
+function XliffCompare({ onMarkerClick }) {
+  const [xliff, setXliff] = useState(null)
+  const [onlyDifferences, setOnlyDifferences] = useState(true)
+
+  const handleFile = async (file) => {
+    try {
+      const { text, encoding } = decodeFile(await file.arrayBuffer())
+      const { version, segments } = parseXliff(text)
+      setXliff({ fileName: file.name, version, segments, encoding: encoding.label, error: null })
+    } catch (error) {
+      setXliff({ fileName: file.name, version: null, segments: [], error: error.message })
+    }
+  }
+
+  const segments = xliff ? xliff.segments : []
+  const mismatched = segments.filter((segment) => segment.differences.length > 0)
+  const visibleSegments = onlyDifferences ? mismatched : segments
+
+  return (
+    <section
+      className="extras"
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={(e) => {
+        e.preventDefault()
+        if (e.dataTransfer.files[0]) handleFile(e.dataTransfer.files[0])
+      }}
+    >
+      <div className="special-chars-section" role="region" aria-label="XLIFF source and target comparison">
+        <div className="section-header section-header-row">
+          <h3>
+            {xliff ? xliff.fileName : 'XLIFF Segments'}
+            {xliff && xliff.version && <span className="resource-format"> · XLIFF {xliff.version}</span>}
+            {xliff && xliff.encoding && <span className="resource-format"> · {xliff.encoding}</span>}
+          </h3>
+          <div className="section-header-actions">
+            {xliff && !xliff.error && (
+              <label className="resource-filter">
+                <input
+                  type="checkbox"
+                  checked={onlyDifferences}
+                  onChange={(e) => setOnlyDifferences(e.target.checked)}
+                />
+                Only segments with invisible-character differences
+              </label>
+            )}
+            <label className="btn btn-primary">
+              Open XLIFF file
+              <input
+                type="file"
+                accept={XLIFF_FILE_ACCEPT}
+                className="visually-hidden"
+                onChange={(e) => {
+                  if (e.target.files[0]) handleFile(e.target.files[0])
+                  e.target.value = ''
+                }}
+              />
+            </label>
+          </div>
+        </div>
+
+        {!xliff && (
+          <p className="issue-empty">
+            Drop an XLIFF 1.2 or 2.0 file here to compare the invisible characters of every source and target segment.
+          </p>
+        )}
+        {xliff && xliff.error && <p className="issue-empty">Could not read this file: {xliff.error}</p>}
+        {xliff && !xliff.error && (
+          <>
+            <p className="resource-summary">
+              {segments.length} segments, {mismatched.length} where the target's invisible characters differ from the source
+            </p>
+            {visibleSegments.length > 0 && (
+              <div className="resource-table-wrapper">
+                <table className="resource-table xliff-table">
+                  <thead>
+                    <tr>
+                      <th>ID</th>
+                      <th>Source</th>
+                      <th>Target</th>
+                      <th>Invisible characters</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleSegments.map((segment, i) => (
+                      <tr key={`${segment.id}-${i}`} className={segment.differences.length > 0 ? 'xliff-row-mismatch' : ''}>
+                        <td className="resource-line" title={`Line ${segment.line}`}>{segment.id}</td>
+                        <td className="resource-value">
+                          <SegmentContent tokens={segment.source} onMarkerClick={onMarkerClick} />
+                        </td>
+                        <td className="resource-value">
+                          {segment.target ? (
+                            <SegmentContent tokens={segment.target} onMarkerClick={onMarkerClick} />
+                          ) : (
+                            <span className="xliff-untranslated">No target</span>
+                          )}
+                        </td>
+                        <td>
+                          {segment.differences.map(({ char, source, target }) => (
+                            <div key={char} className="xliff-difference">
+                              <strong>{getCharInfo(char).display}</strong> {source} → {target}
+                            </div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default XliffCompare
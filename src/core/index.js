@@ -0,0 +1,94 @@
+// Framework-free entry point to the detection logic. The web UI and the command-line
+// scanner both build on this module, so a file fails CI for the same reasons the
+// analyzer flags it in the browser. Nothing here touches the DOM or React.
+
+import { specialCharRegex, getCharInfo } from '../utils/specialChars.js'
+import { validateBidi } from '../utils/bidi.js'
+import { scanSecurity, getSuspiciousIndices } from '../utils/security.js'
+import { findOccurrences } from '../utils/report.js'
+import { getTypographyMarks } from '../utils/typography.js'
+import { parseResourceFile, getResourceFormat } from '../utils/resourceParsers.js'
+
+export {
+  charCategories,
+  specialChars,
+  charRegistry,
+  specialCharRegex,
+  isSpecialChar,
+  getCharInfo,
+  formatCodePoint,
+  countSpecialChars,
+} from '../utils/specialChars.js'
+export { validateBidi, fixBidiIssues, issueLabels as bidiIssueLabels } from '../utils/bidi.js'
+export { scanSecurity } from '../utils/security.js'
+export { findOccurrences, buildReport } from '../utils/report.js'
+export { findMatches, applyMatches } from '../utils/findReplace.js'
+export { decodeFile } from '../utils/encoding.js'
+export { getResourceFormat } from '../utils/resourceParsers.js'
+
+// Registry characters as marks, from a regex pass or from offsets found earlier
+export const findSpecialMarks = (text, offsets = Array.from(text.matchAll(specialCharRegex), (match) => match.index)) =>
+  Array.from(offsets, (index) => {
+    const char = String.fromCodePoint(text.codePointAt(index))
+    return { index, char, kind: 'special', message: getCharInfo(char).desc }
+  })
+
+// Every position the analyzer marks, in text order: registry characters, then confusable
+// characters from a security report and typography violations where nothing else is marked
+export const scanText = (text, { specialMarks = findSpecialMarks(text), securityReport = null, typographyViolations = [] } = {}) => {
+  const marks = [...specialMarks]
+  const charAt = (index) => String.fromCodePoint(text.codePointAt(index))
+  if (securityReport) {
+    getSuspiciousIndices(securityReport).forEach((message, index) => {
+      marks.push({ index, char: charAt(index), kind: 'suspicious', message })
+    })
+  }
+  const marked = new Set(marks.map((mark) => mark.index))
+  getTypographyMarks(typographyViolations).forEach((message, index) => {
+    if (!marked.has(index)) marks.push({ index, char: charAt(index), kind: 'typography', message })
+  })
+  return marks.sort((a, b) => a.index - b.index)
+}
+
+// Writes each hidden character as its [ABBR] marker, e.g. "a[ZWSP]b"
+export const markSpecialChars = (text) => text.replace(specialCharRegex, (char) => `[${getCharInfo(char).display}]`)
+
+// Flat list of everything worth reporting in one text: hidden characters, unbalanced bidi
+// controls, controls that reorder visible text and confusable characters
+export const analyzeText = (text) => {
+  const security = scanSecurity(text)
+  return [
+    ...findOccurrences(text).map(({ offset, line, column, char, codePoint, display, description, category }) => ({
+      kind: 'char', index: offset, line, column, char, code: codePoint, name: display, category, message: description,
+    })),
+    ...validateBidi(text).map(({ type, index, line, column, char, message }) => ({
+      kind: 'bidi', index, line, column, char, code: getCharInfo(char).code, name: type, message,
+    })),
+    ...security.reordering.map(({ index, line, column, char, message }) => ({
+      kind: 'trojan-source', index, line, column, char, code: getCharInfo(char).code, name: getCharInfo(char).display, message,
+    })),
+    ...security.confusables.map(({ index, line, column, token, message }) => ({
+      kind: 'confusable', index, line, column, char: null, code: null, name: token, message,
+    })),
+  ].sort((a, b) => a.index - b.index)
+}
+
+// Analyzes a whole file. Resource files are scanned entry by entry, keys and values
+// separately; anything else is one text.
+export const analyzeFile = (fileName, source) => {
+  const format = getResourceFormat(fileName)
+  if (!format) {
+    return { format: 'text', findings: analyzeText(source).map((finding) => ({ ...finding, scope: 'value', key: null })) }
+  }
+
+  const findings = []
+  parseResourceFile(fileName, source).forEach((entry) => {
+    [['key', entry.key], ['value', entry.value]].forEach(([scope, text]) => {
+      analyzeText(text).forEach((finding) => {
+        // Point at the entry in the file; `index` stays relative to the key or value
+        findings.push({ ...finding, scope, key: entry.key, line: entry.line, column: null })
+      })
+    })
+  })
+  return { format, findings }
+}
@@ -0,0 +1,54 @@
+import { charCategories, charRegistry } from '../utils/specialChars.js'
+
+// Rules select findings from analyzeFile. A rule is a character abbreviation (RLO, ZWSP),
+// a code point (U+202E), a category (bidi, control), "any" for every hidden character or
+// one of the checks below, optionally limited to resource keys or values: "ZWSP@keys".
+
+const CHECKS = {
+  'bidi-issues': 'bidi',
+  'trojan-source': 'trojan-source',
+  confusables: 'confusable',
+}
+
+const SCOPES = { keys: 'key', values: 'value' }
+
+// The three whitespace controls have arrows as their display symbol
+const ALIASES = { TAB: '\t', LF: '\n', CR: '\r' }
+
+const charsByName = new Map()
+Object.entries(charRegistry).forEach(([char, info]) => {
+  const name = info.display.toUpperCase()
+  charsByName.set(name, [...(charsByName.get(name) || []), char])
+})
+
+const findChars = (selector) => {
+  if (/^U\+[0-9A-F]{4,6}$/i.test(selector)) {
+    const char = String.fromCodePoint(parseInt(selector.slice(2), 16))
+    return charRegistry[char] ? [char] : null
+  }
+  const name = selector.toUpperCase()
+  return ALIASES[name] ? [ALIASES[name]] : charsByName.get(name) || null
+}
+
+export const parseRule = (spec) => {
+  const [selector, scopeName, ...rest] = spec.trim().split('@')
+  if (rest.length > 0 || (scopeName !== undefined && !SCOPES[scopeName])) {
+    throw new Error(`Unknown scope in rule "${spec}"; use @keys or @values`)
+  }
+  const rule = { spec: spec.trim(), scope: scopeName ? SCOPES[scopeName] : null }
+
+  if (selector === 'any') return { ...rule, matches: (finding) => finding.kind === 'char' }
+  if (CHECKS[selector]) return { ...rule, matches: (finding) => finding.kind === CHECKS[selector] }
+  if (charCategories[selector]) {
+    return { ...rule, matches: (finding) => finding.kind === 'char' && finding.category === selector }
+  }
+  const chars = findChars(selector)
+  if (!chars) throw new Error(`Unknown rule "${spec}"`)
+  return { ...rule, matches: (finding) => finding.kind === 'char' && chars.includes(finding.char) }
+}
+
+// Accepts repeated and comma-separated specs: ['RLO,LRO', 'ZWSP@keys']
+export const parseRules = (specs) =>
+  specs.flatMap((spec) => spec.split(',')).filter((spec) => spec.trim()).map(parseRule)
+
+export const ruleApplies = (rule, finding) => (!rule.scope || rule.scope === finding.scope) && rule.matches(finding)
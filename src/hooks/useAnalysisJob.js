@@ -0,0 +1,97 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { createJobs } from '../workers/jobs'
+
+// Inputs at least this long are analyzed in the worker after a pause in typing;
+// shorter ones inline, so small texts never show a stale result
+export const LARGE_TEXT_LENGTH = 50_000
+const DEBOUNCE_DELAY = 200
+
+const inlineJobs = createJobs()
+const pendingJobs = new Map()
+let worker = null
+let workerFailed = false
+let nextJobId = 0
+
+// Falls back to the main thread only when the browser cannot start a worker at all
+const getWorker = () => {
+  if (worker || workerFailed || typeof Worker === 'undefined') return worker
+  let created
+  try {
+    created = new Worker(new URL('../workers/analysis.worker.js', import.meta.url), { type: 'module' })
+  } catch {
+    workerFailed = true
+    return null
+  }
+  worker = created
+  worker.onmessage = ({ data }) => {
+    const job = pendingJobs.get(data.id)
+    pendingJobs.delete(data.id)
+    if (data.error) job.reject(new Error(data.error))
+    else job.resolve(data.result)
+  }
+  // A worker that crashes, say out of memory, fails its jobs; the next job starts a new one.
+  // Large inputs are never retried on the main thread, which would freeze the page.
+  worker.onerror = (event) => {
+    created.terminate()
+    if (worker === created) worker = null
+    pendingJobs.forEach((job) => job.reject(new Error(event.message || 'Analysis worker failed')))
+    pendingJobs.clear()
+  }
+  return worker
+}
+
+const runInline = (type, payload) => inlineJobs[type](payload)[0]
+
+// Rejects when the job fails, in the worker or on the main thread
+const runJob = (type, payload) => {
+  const target = getWorker()
+  if (!target) return new Promise((resolve) => resolve(runInline(type, payload)))
+  return new Promise((resolve, reject) => {
+    const id = nextJobId++
+    pendingJobs.set(id, { resolve, reject })
+    target.postMessage({ id, type, payload })
+  })
+}
+
+// Runs a job from workers/jobs.js for a memoized payload. Returns the payload the result
+// belongs to, which lags behind the current one while a large input is being analyzed.
+// When a job fails the last result stays, since it still matches the payload it came with.
+function useAnalysisJob(type, payload, size) {
+  const large = size >= LARGE_TEXT_LENGTH
+  const [completed, setCompleted] = useState({ payload: null, result: null })
+  const [failed, setFailed] = useState({ payload: null, error: null })
+  const lastRequest = useRef(0)
+  const lastApplied = useRef(0)
+  const inline = useMemo(() => {
+    if (large) return null
+    try {
+      return { result: runInline(type, payload), error: null }
+    } catch (error) {
+      return { result: null, error: error.message }
+    }
+  }, [large, type, payload])
+
+  useEffect(() => {
+    if (!large) return
+    const timer = setTimeout(() => {
+      const request = ++lastRequest.current
+      // Results still show while typing goes on, but an older one never replaces a newer one
+      runJob(type, payload)
+        .then((result) => {
+          if (request <= lastApplied.current) return
+          lastApplied.current = request
+          setCompleted({ payload, result })
+        })
+        .catch((error) => {
+          if (request === lastRequest.current) setFailed({ payload, error: error.message })
+        })
+    }, DEBOUNCE_DELAY)
+    return () => clearTimeout(timer)
+  }, [large, type, payload])
+
+  if (!large) return { payload, ...inline, pending: false }
+  const error = failed.payload === payload ? failed.error : null
+  return { ...completed, pending: completed.payload !== payload && !error, error }
+}
+
+export default useAnalysisJob
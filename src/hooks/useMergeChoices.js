@@ -0,0 +1,39 @@
+import { useState } from 'react'
+
+const startOver = (hunks) => ({ hunks, history: [{}], index: 0 })
+
+// The side taken for each merge hunk, keyed by hunk index; hunks without a choice keep
+// Text 2. The choices have their own undo history, which starts over with new hunks,
+// that is whenever either text is edited.
+function useMergeChoices(hunks) {
+  const [merge, setMerge] = useState(() => startOver(hunks))
+
+  const current = merge.hunks === hunks ? merge : startOver(hunks)
+  const choices = current.history[current.index]
+
+  // Records one undo step choosing the same side for every given hunk, unless nothing changes
+  const choose = (indexes, choice) => {
+    const next = { ...choices }
+    indexes.forEach((i) => {
+      if (choice === 'right') delete next[i]
+      else next[i] = choice
+    })
+    if (indexes.every((i) => next[i] === choices[i])) return
+    setMerge({ hunks, history: [...current.history.slice(0, current.index + 1), next], index: current.index + 1 })
+  }
+
+  const canUndo = current.index > 0
+  const canRedo = current.index < current.history.length - 1
+
+  const undo = () => {
+    if (canUndo) setMerge({ ...current, index: current.index - 1 })
+  }
+
+  const redo = () => {
+    if (canRedo) setMerge({ ...current, index: current.index + 1 })
+  }
+
+  return { choices, choose, undo, redo, canUndo, canRedo }
+}
+
+export default useMergeChoices
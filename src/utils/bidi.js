@@ -0,0 +1,202 @@
+import { getCharInfo } from './specialChars.js'
+import { createPositionLookup } from './textPosition.js'
+import { applyEdits } from './textEdits.js'
+
+// Deepest explicit embedding level allowed by the Unicode Bidirectional Algorithm (UAX #9)
+export const MAX_DEPTH = 125
+
+const PDF = '\u202C'
+const PDI = '\u2069'
+
+const OPENERS = {
+  '\u202A': { kind: 'embedding', rtl: false, closer: PDF },
+  '\u202B': { kind: 'embedding', rtl: true, closer: PDF },
+  '\u202D': { kind: 'embedding', rtl: false, closer: PDF },
+  '\u202E': { kind: 'embedding', rtl: true, closer: PDF },
+  '\u2066': { kind: 'isolate', rtl: false, closer: PDI },
+  '\u2067': { kind: 'isolate', rtl: true, closer: PDI },
+  '\u2068': { kind: 'isolate', rtl: false, closer: PDI },
+}
+
+// Legacy embeddings that have a direct isolate equivalent
+const EMBEDDING_TO_ISOLATE = {
+  '\u202A': '\u2066',
+  '\u202B': '\u2067',
+}
+
+// Paragraph separators (bidi class B) terminate every open embedding and isolate
+const PARAGRAPH_SEPARATORS = new Set(['\n', '\r', '\u001C', '\u001D', '\u001E', '\u0085', '\u2029'])
+
+export const BIDI_CONTROL_REGEX = /[\u202A-\u202E\u2066-\u2069]/
+
+export const issueLabels = {
+  unclosed: 'Unclosed',
+  'stray-closer': 'Stray closer',
+  'isolate-closed-by-pdf': 'Wrong closer',
+  'embedding-closed-by-pdi': 'Wrong closer',
+  overflow: 'Too deep',
+}
+
+const label = (char) => getCharInfo(char).display
+
+const nextLevel = (level, rtl) => {
+  if (rtl) return level % 2 === 0 ? level + 1 : level + 2
+  return level % 2 === 0 ? level + 2 : level + 1
+}
+
+// Runs the explicit-level part of the UBA over the text and reports pairing problems.
+// Each issue carries a line/column and, where one exists, an `edit` that fixes it.
+export const validateBidi = (text, { baseLevel = 0 } = {}) => {
+  const issues = []
+  const position = createPositionLookup(text)
+  let stack = []
+
+  const addIssue = (type, index, char, message, edit = null) => {
+    issues.push({ type, index, char, ...position(index), message, edit })
+  }
+
+  const where = (entry) => {
+    const { line, column } = position(entry.index)
+    return `${label(entry.char)} at line ${line}, column ${column}`
+  }
+
+  const closeParagraph = (end) => {
+    stack.forEach((entry) => {
+      const closer = OPENERS[entry.char].closer
+      addIssue('unclosed', entry.index, entry.char, `${label(entry.char)} is never closed with ${label(closer)}`, {
+        index: end,
+        length: 0,
+        insert: closer,
+        label: `Append missing ${label(closer)}`
+      })
+    })
+    stack = []
+  }
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index]
+
+    if (PARAGRAPH_SEPARATORS.has(char)) {
+      closeParagraph(index)
+      continue
+    }
+
+    const opener = OPENERS[char]
+    if (opener) {
+      const current = stack.length > 0 ? stack[stack.length - 1].level : baseLevel
+      const level = nextLevel(current, opener.rtl)
+      if (level > MAX_DEPTH) {
+        addIssue('overflow', index, char, `${label(char)} nests deeper than the maximum embedding level ${MAX_DEPTH} and is ignored`)
+        stack.push({ char, index, kind: opener.kind, level: current })
+      } else {
+        stack.push({ char, index, kind: opener.kind, level })
+      }
+      continue
+    }
+
+    if (char === PDF) {
+      const top = stack[stack.length - 1]
+      if (!top) {
+        addIssue('stray-closer', index, char, 'PDF has no open embedding or override to close', {
+          index, length: 1, insert: '', label: 'Remove stray PDF'
+        })
+      } else {
+        if (top.kind === 'isolate') {
+          addIssue('isolate-closed-by-pdf', index, char, `PDF is used to close ${where(top)}; isolates must be closed with PDI`, {
+            index, length: 1, insert: PDI, label: 'Replace with PDI'
+          })
+        }
+        stack.pop()
+      }
+      continue
+    }
+
+    if (char === PDI) {
+      const isolateDepth = stack.findLastIndex((entry) => entry.kind === 'isolate')
+      const top = stack[stack.length - 1]
+      if (top && top.kind === 'embedding' && isolateDepth === -1) {
+        addIssue('embedding-closed-by-pdi', index, char, `PDI is used to close ${where(top)}; embeddings and overrides must be closed with PDF`, {
+          index, length: 1, insert: PDF, label: 'Replace with PDF'
+        })
+        stack.pop()
+      } else if (isolateDepth === -1) {
+        addIssue('stray-closer', index, char, 'PDI has no open isolate to close', {
+          index, length: 1, insert: '', label: 'Remove stray PDI'
+        })
+      } else {
+        // A PDI implicitly closes every embedding still open inside its isolate
+        stack.slice(isolateDepth + 1).forEach((entry) => {
+          const { line, column } = position(index)
+          addIssue('unclosed', entry.index, entry.char, `${label(entry.char)} is only closed implicitly by the PDI at line ${line}, column ${column}`, {
+            index,
+            length: 0,
+            insert: PDF,
+            label: 'Insert missing PDF'
+          })
+        })
+        stack = stack.slice(0, isolateDepth)
+      }
+    }
+  }
+
+  closeParagraph(text.length)
+
+  return issues.sort((a, b) => a.index - b.index)
+}
+
+// Lists every embedding, override and isolate with the span of text it applies to.
+// `end` is the index of the closing PDF/PDI, or the paragraph end when it is never closed.
+export const getBidiRuns = (text) => {
+  const runs = []
+  let stack = []
+
+  const close = (entry, end, closed) => runs.push({ ...entry, end, closed })
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index]
+    if (PARAGRAPH_SEPARATORS.has(char)) {
+      stack.forEach((entry) => close(entry, index, false))
+      stack = []
+    } else if (OPENERS[char]) {
+      stack.push({ char, start: index, kind: OPENERS[char].kind })
+    } else if (char === PDF && stack.length > 0 && stack[stack.length - 1].kind === 'embedding') {
+      close(stack.pop(), index, true)
+    } else if (char === PDI) {
+      const isolateDepth = stack.findLastIndex((entry) => entry.kind === 'isolate')
+      if (isolateDepth !== -1) {
+        stack.slice(isolateDepth).reverse().forEach((entry) => close(entry, index, entry.kind === 'isolate'))
+        stack = stack.slice(0, isolateDepth)
+      }
+    }
+  }
+  stack.forEach((entry) => close(entry, text.length, false))
+
+  return runs.sort((a, b) => a.start - b.start)
+}
+
+export const fixBidiIssues = (text, issues) =>
+  applyEdits(text, issues.filter((issue) => issue.edit).map((issue) => issue.edit))
+
+export const hasLegacyEmbeddings = (text) => /[\u202A\u202B]/.test(text)
+
+// Rewrites LRE/RLE as LRI/RLI and turns the PDF that closes each of them into a PDI.
+// Overrides (LRO/RLO) have no isolate equivalent and are left alone.
+export const convertEmbeddingsToIsolates = (text) => {
+  const chars = text.split('')
+  let stack = []
+
+  chars.forEach((char, index) => {
+    if (PARAGRAPH_SEPARATORS.has(char)) {
+      stack = []
+    } else if (OPENERS[char]) {
+      stack.push(index)
+    } else if ((char === PDF || char === PDI) && stack.length > 0) {
+      const openerIndex = stack.pop()
+      if (char === PDF && EMBEDDING_TO_ISOLATE[chars[openerIndex]]) {
+        chars[index] = PDI
+      }
+    }
+  })
+
+  return chars.map((char) => EMBEDDING_TO_ISOLATE[char] || char).join('')
+}
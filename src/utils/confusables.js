@@ -0,0 +1,30 @@
+import { CONFUSABLES_DATA } from './confusablesData.js'
+
+// The Unicode confusables data (UTS #39, confusables.txt): every character that can be
+// mistaken for another, mapped to its prototype. This covers the Cyrillic, Greek, Armenian
+// and Cherokee lookalikes as well as fullwidth and mathematical letters. The prototypes
+// follow confusables.txt, so `m` maps to `rn` and `0` to `O` to give them one skeleton.
+export { CONFUSABLES_VERSION } from './confusablesData.js'
+
+const fromHex = (codePoints) => String.fromCodePoint(...codePoints.split('.').map((hex) => parseInt(hex, 16)))
+
+export const confusables = new Map(
+  CONFUSABLES_DATA.trim().split(/\s+/).map((entry) => entry.split(':').map(fromHex))
+)
+
+// Compatibility forms the data misses, such as some fullwidth letters, go through NFKC
+export const toPrototype = (char) => {
+  if (confusables.has(char)) return confusables.get(char)
+  const compat = char.normalize('NFKC')
+  return compat !== char && /^[A-Za-z0-9]+$/.test(compat)
+    ? [...compat].map((c) => confusables.get(c) ?? c).join('')
+    : char
+}
+
+// Whether the character could pass for ASCII text, such as Cyrillic U+0430 for a. The data
+// also maps between other scripts and spells out letters like U+00E6 as two, which is no spoof.
+export const looksLikeAscii = (char) => {
+  if (char.codePointAt(0) <= 0x7F) return false
+  const prototype = toPrototype(char)
+  return /^[\x21-\x7E]+$/.test(prototype) && (prototype.length === 1 || char.normalize('NFKC') !== char)
+}
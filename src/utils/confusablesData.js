@@ -0,0 +1,638 @@
+// Generated by scripts/generate-confusables.js from confusables.txt, Unicode 10.0.0.
+// Do not edit; run `npm run confusables` to update. Each entry is source:prototype as hex
+// code points, with the code points of a multi-character prototype joined by dots.
+
+export const CONFUSABLES_VERSION = '10.0.0'
+
+export const CONFUSABLES_DATA = `
+0030:004f 0031:006c 05ad:0596 05ae:0598 05a8:0599 05a4:059a 1ab4:06db 20db:06db 0619:0313 08f3:0313
+0343:0313 0315:0313 064f:0313 065d:0314 059c:0301 059d:0301 0618:0301 0747:0301 0341:0301 0954:0301
+064e:0301 0340:0300 0953:0300 030c:0306 a67c:0306 0658:0306 065a:0306 036e:0306 06e8:0306.0307 0310:0306.0307
+0901:0306.0307 0981:0306.0307 0a81:0306.0307 0b01:0306.0307 0c00:0306.0307 0c81:0306.0307 0d01:0306.0307 114bf:0306.0307 1cd0:0302 0311:0302
+065b:0302 07ee:0302 a6f0:0302 05af:030a 06df:030a 17d3:030a 309a:030a 0652:030a 0b82:030a 1036:030a
+17c6:030a 11300:030a 0e4d:030a 0ecd:030a 0366:030a 2dea:030a 08eb:0308 07f3:0308 064b:030b 08f0:030b
+0342:0303 0653:0303 05c4:0307 06ec:0307 0740:0307 08ea:0307 0741:0307 0358:0307 05b9:0307 05ba:0307
+05c2:0307 05c1:0307 07ed:0307 0902:0307 0a02:0307 0a82:0307 0bcd:0307 0337:0338 1ab7:0328 0322:0328
+0345:0328 1cd2:0304 0305:0304 0659:0304 07eb:0304 a6f1:0304 1cda:030e 0657:0312 0357:0350 08ff:0350
+08f8:0350 0900:0352 1ced:0316 1cdc:0329 0656:0329 1cd5:032b 0347:0333 08f9:0354 08fa:0355 309b:ff9e
+309c:ff9f 0336:0335 302c:0309 05c5:0323 08ed:0323 1cdd:0323 05b4:0323 065c:0323 093c:0323 09bc:0323
+0a3c:0323 0abc:0323 0b3c:0323 111ca:0323 114c3:0323 10a3a:0323 08ee:0324 1cde:0324 0f37:0325 302d:0325
+0327:0326 0321:0326 0339:0326 1cd9:032d 1cd8:032e 0952:0331 0320:0331 08f1:064c 08e8:064c 08e5:064c
+fc5e:fe72.0651 08f2:064d fc5f:fe74.0651 fcf2:fe77.0651 fc60:fe76.0651 fcf3:fe79.0651 fc61:fe78.0651 061a:0650 0317:0650 fcf4:fe7b.0651
+fc62:fe7a.0651 fc63:fe7c.0670 065f:0655 030d:0670 0742:073c 0a03:0983 0c03:0983 0c83:0983 0d03:0983 0d83:0983
+1038:0983 114c1:0983 17cb:0e48 0ec8:0e48 0ec9:0e49 0eca:0e4a 0ecb:0e4b a66f:20e9 2028:0020 2029:0020
+1680:0020 2000:0020 2001:0020 2002:0020 2003:0020 2004:0020 2005:0020 2006:0020 2008:0020 2009:0020
+200a:0020 205f:0020 00a0:0020 2007:0020 202f:0020 07fa:005f fe4d:005f fe4e:005f fe4f:005f 2010:002d
+2011:002d 2012:002d 2013:002d fe58:002d 06d4:002d 2043:002d 02d7:002d 2212:002d 2796:002d 2cba:002d
+2a29:002d.0313 2e1a:002d.0308 fb29:002d.0307 2238:002d.0307 2a2a:002d.0323 a4fe:002d.002e ff5e:301c 060d:002c 066b:002c 201a:002c
+00b8:002c a4f9:002c 2e32:060c 066c:060c 037e:003b 2e35:061b 0903:003a 0a83:003a ff1a:003a 0589:003a
+0703:003a 0704:003a 16ec:003a fe30:003a 1803:003a 1809:003a 205a:003a 05c3:003a 02f8:003a a789:003a
+2236:003a 02d0:003a a4fd:003a 2a74:003a.003a.003d 29f4:003a.2192 ff01:0021 01c3:0021 2d51:0021 203c:0021.0021 2049:0021.003f
+0294:003f 0241:003f 097d:003f 13ae:003f a6eb:003f 2048:003f.0021 2047:003f.003f 2e2e:061f 1d16d:002e 2024:002e
+0701:002e 0702:002e a60e:002e 10a50:002e 0660:002e 06f0:002e a4f8:002e a4fb:002e.002c 2025:002e.002e a4fa:002e.002e
+2026:002e.002e.002e a6f4:a6f3.a6f3 30fb:00b7 ff65:00b7 16eb:00b7 0387:00b7 2e31:00b7 10101:00b7 2022:00b7 2027:00b7
+2219:00b7 22c5:00b7 a78f:00b7 1427:00b7 22ef:00b7.00b7.00b7 2d48:00b7.00b7.00b7 1444:00b7.003c 22d7:00b7.003e 1437:00b7.003e 1440:00b7.003e
+152f:00b7.0034 147a:00b7.0064 1498:00b7.004a 14b6:00b7.004c 1476:00b7.0050 1457:00b7.0055 143a:00b7.0056 143c:00b7.0245 14ae:00b7.0393 140e:00b7.0394
+1459:00b7.0548 140c:00b7.1401 1410:00b7.1404 1412:00b7.1405 1414:00b7.1406 1417:00b7.140a 1419:00b7.140b 143e:00b7.1432 1442:00b7.1434 1446:00b7.1439
+145b:00b7.144f 1454:00b7.1450 145d:00b7.1450 145f:00b7.1451 1461:00b7.1455 1463:00b7.1456 1474:00b7.146b 1478:00b7.146e 147c:00b7.1470 147e:00b7.1472
+1480:00b7.1473 1492:00b7.1489 1494:00b7.148b 1496:00b7.148c 149a:00b7.148e 149c:00b7.1490 149e:00b7.1491 14ac:00b7.14a3 14b0:00b7.14a6 14b2:00b7.14a7
+14b4:00b7.14a8 14b8:00b7.14ab 14c9:00b7.14c0 18c6:00b7.14c2 18c8:00b7.14c3 18ca:00b7.14c4 18cc:00b7.14c5 14cb:00b7.14c7 14cd:00b7.14c8 14dc:00b7.14d3
+14de:00b7.14d5 14e0:00b7.14d6 14e2:00b7.14d7 14e4:00b7.14d8 14e6:00b7.14da 14e8:00b7.14db 14f6:00b7.14ed 14f8:00b7.14ef 14fa:00b7.14f0 14fc:00b7.14f1
+14fe:00b7.14f2 1500:00b7.14f4 1502:00b7.14f5 1517:00b7.1510 1519:00b7.1511 151b:00b7.1512 151d:00b7.1513 151f:00b7.1514 1521:00b7.1515 1523:00b7.1516
+1531:00b7.1528 1533:00b7.1529 1535:00b7.152a 1537:00b7.152b 1539:00b7.152d 153b:00b7.152e 18ce:00b7.1543 18cf:00b7.1546 18d0:00b7.1547 18d1:00b7.1548
+18d2:00b7.1549 18d3:00b7.154b 154e:00b7.154c 155b:00b7.155a 1568:00b7.1567 18b3:00b7.18b1 18b6:00b7.18b4 18b9:00b7.18b8 18c2:00b7.18c0 a830:0964
+0965:0964.0964 1c3c:1c3b.1c3b 104b:104a.104a 1aa9:1aa8.1aa8 1aab:1aaa.1aa8 1b5f:1b5e.1b5e 10a57:10a56.10a56 1144c:1144b.1144b 11642:11641.11641 11c42:11c41.11c41
+1c7f:1c7e.1c7e 055d:0027 ff07:0027 2018:0027 2019:0027 201b:0027 2032:0027 2035:0027 055a:0027 05f3:0027
+0060:0027 1fef:0027 ff40:0027 00b4:0027 0384:0027 1ffd:0027 1fbd:0027 1fbf:0027 1ffe:0027 02b9:0027
+0374:0027 02c8:0027 02ca:0027 02cb:0027 02f4:0027 02bb:0027 02bd:0027 02bc:0027 02be:0027 a78c:0027
+05d9:0027 07f4:0027 07f5:0027 144a:0027 16cc:0027 16f51:0027 16f52:0027 1cd3:0027.0027 0022:0027.0027 ff02:0027.0027
+201c:0027.0027 201d:0027.0027 201f:0027.0027 2033:0027.0027 2036:0027.0027 3003:0027.0027 05f4:0027.0027 02dd:0027.0027 02ba:0027.0027 02f6:0027.0027
+02ee:0027.0027 05f2:0027.0027 2034:0027.0027.0027 2037:0027.0027.0027 2057:0027.0027.0027.0027 0181:0027.0042 018a:0027.0044 0149:0027.006e 01a4:0027.0050 01ac:0027.0054
+01b3:0027.0059 ff3b:0028 2768:0028 2772:0028 3014:0028 fd3e:0028 2e28:0028.0028 3220:0028.30fc.0029 2475:0028.0032.0029 2487:0028.0032.004f.0029
+2476:0028.0033.0029 2477:0028.0034.0029 2478:0028.0035.0029 2479:0028.0036.0029 247a:0028.0037.0029 247b:0028.0038.0029 247c:0028.0039.0029 249c:0028.0061.0029 1f110:0028.0041.0029 249d:0028.0062.0029
+1f111:0028.0042.0029 249e:0028.0063.0029 1f112:0028.0043.0029 249f:0028.0064.0029 1f113:0028.0044.0029 24a0:0028.0065.0029 1f114:0028.0045.0029 24a1:0028.0066.0029 1f115:0028.0046.0029 24a2:0028.0067.0029
+1f116:0028.0047.0029 24a3:0028.0068.0029 1f117:0028.0048.0029 24a4:0028.0069.0029 24a5:0028.006a.0029 1f119:0028.004a.0029 24a6:0028.006b.0029 1f11a:0028.004b.0029 2474:0028.006c.0029 1f118:0028.006c.0029
+24a7:0028.006c.0029 1f11b:0028.004c.0029 247f:0028.006c.0032.0029 2480:0028.006c.0033.0029 2481:0028.006c.0034.0029 2482:0028.006c.0035.0029 2483:0028.006c.0036.0029 2484:0028.006c.0037.0029 2485:0028.006c.0038.0029 2486:0028.006c.0039.0029
+247e:0028.006c.006c.0029 247d:0028.006c.004f.0029 1f11c:0028.004d.0029 24a9:0028.006e.0029 1f11d:0028.004e.0029 24aa:0028.006f.0029 1f11e:0028.004f.0029 24ab:0028.0070.0029 1f11f:0028.0050.0029 24ac:0028.0071.0029
+1f120:0028.0051.0029 24ad:0028.0072.0029 1f121:0028.0052.0029 24a8:0028.0072.006e.0029 24ae:0028.0073.0029 1f122:0028.0053.0029 1f12a:0028.0053.0029 24af:0028.0074.0029 1f123:0028.0054.0029 24b0:0028.0075.0029
+1f124:0028.0055.0029 24b1:0028.0076.0029 1f125:0028.0056.0029 24b2:0028.0077.0029 1f126:0028.0057.0029 24b3:0028.0078.0029 1f127:0028.0058.0029 24b4:0028.0079.0029 1f128:0028.0059.0029 24b5:0028.007a.0029
+1f129:0028.005a.0029 3200:0028.1100.0029 320e:0028.ac00.0029 3201:0028.1102.0029 320f:0028.b098.0029 3202:0028.1103.0029 3210:0028.b2e4.0029 3203:0028.1105.0029 3211:0028.b77c.0029 3204:0028.1106.0029
+3212:0028.b9c8.0029 3205:0028.1107.0029 3213:0028.bc14.0029 3206:0028.1109.0029 3214:0028.c0ac.0029 3207:0028.110b.0029 3215:0028.c544.0029 321d:0028.c624.c804.0029 321e:0028.c624.d6c4.0029 3208:0028.110c.0029
+3216:0028.c790.0029 321c:0028.c8fc.0029 3209:0028.110e.0029 3217:0028.cc28.0029 320a:0028.110f.0029 3218:0028.ce74.0029 320b:0028.1110.0029 3219:0028.d0c0.0029 320c:0028.1111.0029 321a:0028.d30c.0029
+320d:0028.1112.0029 321b:0028.d558.0029 3226:0028.4e03.0029 3222:0028.4e09.0029 1f241:0028.4e09.0029 3228:0028.4e5d.0029 3221:0028.4e8c.0029 1f242:0028.4e8c.0029 3224:0028.4e94.0029 3239:0028.4ee3.0029
+323d:0028.4f01.0029 3241:0028.4f11.0029 3227:0028.516b.0029 3225:0028.516d.0029 3238:0028.52b4.0029 1f247:0028.52dd.0029 3229:0028.5341.0029 323f:0028.5354.0029 3234:0028.540d.0029 323a:0028.547c.0029
+3223:0028.56db.0029 322f:0028.571f.0029 323b:0028.5b66.0029 1f243:0028.5b89.0029 1f245:0028.6253.0029 1f248:0028.6557.0029 3230:0028.65e5.0029 322a:0028.6708.0029 3232:0028.6709.0029 322d:0028.6728.0029
+1f240:0028.672c.0029 3231:0028.682a.0029 322c:0028.6c34.0029 322b:0028.706b.0029 1f244:0028.70b9.0029 3235:0028.7279.0029 1f246:0028.76d7.0029 323c:0028.76e3.0029 3233:0028.793e.0029 3237:0028.795d.0029
+3240:0028.796d.0029 3242:0028.81ea.0029 3243:0028.81f3.0029 3236:0028.8ca1.0029 323e:0028.8cc7.0029 322e:0028.91d1.0029 ff3d:0029 2769:0029 2773:0029 3015:0029
+fd3f:0029 2e29:0029.0029 2774:007b 1d114:007b 2775:007d 301a:27e6 301b:27e7 27e8:276c 2329:276c 3008:276c
+31db:276c 304f:276c 21fe8:276c 27e9:276d 232a:276d 3009:276d ff3e:fe3f 2e3f:00b6 204e:002a 066d:002a
+2217:002a 1031f:002a 1735:002f 2041:002f 2215:002f 2044:002f 2571:002f 27cb:002f 29f8:002f 1d23a:002f
+31d3:002f 3033:002f 2cc6:002f 30ce:002f 4e3f:002f 2f03:002f 29f6:002f.0304 2afd:002f.002f 2afb:002f.002f.002f ff3c:005c
+fe68:005c 2216:005c 27cd:005c 29f5:005c 29f9:005c 1d20f:005c 1d23b:005c 31d4:005c 4e36:005c 2f02:005c
+2cf9:005c.005c 244a:005c.005c 27c8:005c.1455 a778:0026 0af0:0970 110bb:0970 111c7:0970 26ac:0970 111db:a8fc 17d9:0e4f
+17d5:0e5a 17da:0e5b 0f0c:0f0b 0f0e:0f0d.0f0d 02c4:005e 02c6:005e a67e:02c7 02d8:02c7 203e:02c9 fe49:02c9
+fe4a:02c9 fe4b:02c9 fe4c:02c9 00af:02c9 ffe3:02c9 2594:02c9 044a:02c9.0062 a651:02c9.0062.0069 0375:02cf 02fb:02ea
+a716:02ea a714:02eb 3002:02f3 2e30:00b0 02da:00b0 2218:00b0 25cb:00b0 25e6:00b0 235c:00b0.0332 2364:00b0.0308
+2103:00b0.0043 2109:00b0.0046 0bf5:0bf3 0f1b:0f1a.0f1a 0f1f:0f1a.0f1d 0fce:0f1d.0f1a 0f1e:0f1d.0f1d 24b8:00a9 24c7:00ae 24c5:2117
+1d21b:2144 2bec:219e 2bed:219f 2bee:21a0 2bef:21a1 21b5:21b2 2965:21c3.21c2 296f:21c3.16da 1d6db:2202 1d715:2202
+1d74f:2202 1d789:2202 1d7c3:2202 1e8cc:2202 1e8cd:2202.0335 00f0:2202.0335 2300:2205 1d6c1:2207 1d6fb:2207 1d735:2207
+1d76f:2207 1d7a9:2207 118a8:2207 2362:2207.0308 236b:2207.0334 2588:220e 25a0:220e 2a3f:2210 16ed:002b 2795:002b
+1029b:002b 2a23:002b.0302 2a22:002b.030a 2a24:002b.0303 2214:002b.0307 2a25:002b.0323 2a26:002b.0330 2a27:002b.2082 2797:00f7 2039:003c
+276e:003c 02c2:003c 1d236:003c 1438:003c 16b2:003c 22d6:003c.00b7 2cb4:003c.00b7 1445:003c.00b7 226a:003c.003c 22d8:003c.003c.003c
+1400:003d 2e40:003d 30a0:003d a4ff:003d 225a:003d.0306 2259:003d.0302 2257:003d.030a 2250:003d.0307 2251:003d.0307.0323 2a6e:003d.20f0
+2a75:003d.003d 2a76:003d.003d.003d 225e:003d.036b 203a:003e 276f:003e 02c3:003e 1d237:003e 1433:003e 16f3f:003e 1441:003e.00b7
+2aa5:003e.003c 226b:003e.003e 2a20:003e.003e 22d9:003e.003e.003e 2053:007e 02dc:007e 1fc0:007e 223c:007e 2368:007e.0308 2e1e:007e.0307
+2a6a:007e.0307 2e1f:007e.0323 1e8c8:2220 22c0:2227 222f:222e.222e 2230:222e.222e.222e 2e2b:2234 2e2a:2235 2e2c:2237 111de:2248
+264e:224f 1f75e:224f 2263:2261 2a03:228d 2a04:228e 1d238:228f 1d239:2290 2a05:2293 2a06:2294 2a02:2297
+235f:229b 1f771:22a0 1f755:22a1 25c1:22b2 25b7:22b3 2363:22c6.0308 fe34:2307 25e0:2312 2a3d:2319 2325:2324
+29c7:233b 25ce:233e 29be:233e 29c5:2342 29b0:2349 23c3:234b 23c2:234e 23c1:2355 00d6:2365 0150:2365
+23c6:236d 2638:2388 fe35:23dc fe36:23dd fe37:23de fe38:23df fe39:23e0 fe3a:23e1 25b1:23e5 23fc:23fb
+fe31:2502 ff5c:2502 2503:2502 250f:250c 2523:251c 2590:258c 2597:2596 259d:2598 2610:25a1 ffed:25aa
+25b8:25b6 25ba:25b6 2ce9:2627 1f70a:2629 1f312:263d 1f319:263d 23fe:263e 1f318:263e 29d9:299a 1f73a:29df
+2a3e:2a1f 101a0:2ce8 2669:1d158.1d165 266a:1d158.1d165.1d16e 02d9:0971 0d4e:0971 ff0d:30fc 2014:30fc 2015:30fc 2500:30fc
+2501:30fc 31d0:30fc a7f7:30fc 1173:30fc 3161:30fc 4e00:30fc 2f00:30fc 1196:30fc.30fc d7b9:30fc.1161 d7ba:30fc.1165
+d7bb:30fc.1165.4e28 d7bc:30fc.1169 1195:30fc.116e 1174:30fc.4e28 3162:30fc.4e28 1197:30fc.4e28.116e 20a4:00a3 3012:20b8 3036:20b8 1b5c:1b50
+a9c6:a9d0 114d1:09e7 0ce7:0c67 1065:1041 2460:2780 2469:2789 23e8:2081.2080 1d7d0:0032 1d7da:0032 1d7e4:0032
+1d7ee:0032 1d7f8:0032 a75a:0032 01a7:0032 03e8:0032 a644:0032 14bf:0032 a6ef:0032 a9cf:0662 06f2:0662
+0ae8:0968 114d2:09e8 0ce8:0c68 2461:2781 01bb:0032.0335 1f103:0032.002c 2489:0032.002e 33f5:0032.0032.65e5 336e:0032.0032.70b9 33f6:0032.0033.65e5
+336f:0032.0033.70b9 33f7:0032.0034.65e5 3370:0032.0034.70b9 33f8:0032.0035.65e5 33f9:0032.0036.65e5 33fa:0032.0037.65e5 33fb:0032.0038.65e5 33fc:0032.0039.65e5 33f4:0032.006c.65e5 336d:0032.006c.70b9
+249b:0032.004f.002e 33f3:0032.004f.65e5 336c:0032.004f.70b9 0de9:0de8.0dcf 0def:0de8.0dd3 33e1:0032.65e5 32c1:0032.6708 335a:0032.70b9 1d206:0033 1d7d1:0033
+1d7db:0033 1d7e5:0033 1d7ef:0033 1d7f9:0033 a7ab:0033 021c:0033 01b7:0033 a76a:0033 2ccc:0033 0417:0033
+04e0:0033 16f3b:0033 118ca:0033 06f3:0663 1e8c9:0663 0ae9:0969 2462:2782 0498:0033.0326 1f104:0033.002c 248a:0033.002e
+33fe:0033.006c.65e5 33fd:0033.004f.65e5 33e2:0033.65e5 32c2:0033.6708 335b:0033.70b9 1d7d2:0034 1d7dc:0034 1d7e6:0034 1d7f0:0034 1d7fa:0034
+13ce:0034 118af:0034 06f4:0664 0aea:096a 2463:2783 1f105:0034.002c 248b:0034.002e 1530:0034.00b7 33e3:0034.65e5 32c3:0034.6708
+335c:0034.70b9 1d7d3:0035 1d7dd:0035 1d7e7:0035 1d7f1:0035 1d7fb:0035 01bc:0035 118bb:0035 2464:2784 1f106:0035.002c
+248c:0035.002e 33e4:0035.65e5 32c4:0035.6708 335d:0035.70b9 1d7d4:0036 1d7de:0036 1d7e8:0036 1d7f2:0036 1d7fc:0036 2cd2:0036
+0431:0036 13ee:0036 118d5:0036 06f6:0666 114d6:09ec 2465:2785 1f107:0036.002c 248d:0036.002e 33e5:0036.65e5 32c5:0036.6708
+335e:0036.70b9 1d212:0037 1d7d5:0037 1d7df:0037 1d7e9:0037 1d7f3:0037 1d7fd:0037 104d2:0037 118c6:0037 2466:2786
+1f108:0037.002c 248e:0037.002e 33e6:0037.65e5 32c6:0037.6708 335f:0037.70b9 0b03:0038 09ea:0038 0a6a:0038 1e8cb:0038 1d7d6:0038
+1d7e0:0038 1d7ea:0038 1d7f4:0038 1d7fe:0038 0223:0038 0222:0038 1031a:0038 0aee:096e 2467:2787 1f109:0038.002c
+248f:0038.002e 33e7:0038.65e5 32c7:0038.6708 3360:0038.70b9 0a67:0039 0b68:0039 09ed:0039 0d6d:0039 1d7d7:0039 1d7e1:0039
+1d7eb:0039 1d7f5:0039 1d7ff:0039 a76e:0039 2cca:0039 118cc:0039 118ac:0039 118d6:0039 0967:0669 118e4:0669
+06f9:0669 0cef:0c6f 2468:2788 1f10a:0039.002c 2490:0039.002e 33e8:0039.65e5 32c8:0039.6708 3361:0039.70b9 237a:0061 ff41:0061
+1d41a:0061 1d44e:0061 1d482:0061 1d4b6:0061 1d4ea:0061 1d51e:0061 1d552:0061 1d586:0061 1d5ba:0061 1d5ee:0061
+1d622:0061 1d656:0061 1d68a:0061 0251:0061 03b1:0061 1d6c2:0061 1d6fc:0061 1d736:0061 1d770:0061 1d7aa:0061
+0430:0061 2df6:0363 ff21:0041 1d400:0041 1d434:0041 1d468:0041 1d49c:0041 1d4d0:0041 1d504:0041 1d538:0041
+1d56c:0041 1d5a0:0041 1d5d4:0041 1d608:0041 1d63c:0041 1d670:0041 0391:0041 1d6a8:0041 1d6e2:0041 1d71c:0041
+1d756:0041 1d790:0041 0410:0041 13aa:0041 15c5:0041 a4ee:0041 16f40:0041 102a0:0041 2376:0061.0332 01ce:0103
+01cd:0102 0227:00e5 0226:00c5 1e9a:1ea3 2100:0061.002f.0063 2101:0061.002f.0073 a733:0061.0061 a732:0041.0041 00e6:0061.0065 04d5:0061.0065
+00c6:0041.0045 04d4:0041.0045 a735:0061.006f a734:0041.004f 1f707:0041.0052 a737:0061.0075 a736:0041.0055 a739:0061.0076 a73b:0061.0076 a738:0041.0056
+a73a:0041.0056 a73d:0061.0079 a73c:0041.0059 ab7a:1d00 2200:2c6f 1d217:2c6f 15c4:2c6f a4ef:2c6f 1041f:2c70 1d41b:0062
+1d44f:0062 1d483:0062 1d4b7:0062 1d4eb:0062 1d51f:0062 1d553:0062 1d587:0062 1d5bb:0062 1d5ef:0062 1d623:0062
+1d657:0062 1d68b:0062 0184:0062 042c:0062 13cf:0062 15af:0062 ff22:0042 212c:0042 1d401:0042 1d435:0042
+1d469:0042 1d4d1:0042 1d505:0042 1d539:0042 1d56d:0042 1d5a1:0042 1d5d5:0042 1d609:0042 1d63d:0042 1d671:0042
+a7b4:0042 0392:0042 1d6a9:0042 1d6e3:0042 1d71d:0042 1d757:0042 1d791:0042 0412:0042 13f4:0042 15f7:0042
+a4d0:0042 10282:0042 102a1:0042 10301:0042 0253:0062.0314 0183:0062.0304 0182:0062.0304 0411:0062.0304 0180:0062.0335 048d:0062.0335
+048c:0062.0335 0463:0062.0335 0462:0062.0335 042b:0062.006c 0432:0299 13fc:0299 ff43:0063 217d:0063 1d41c:0063 1d450:0063
+1d484:0063 1d4b8:0063 1d4ec:0063 1d520:0063 1d554:0063 1d588:0063 1d5bc:0063 1d5f0:0063 1d624:0063 1d658:0063
+1d68c:0063 1d04:0063 03f2:0063 2ca5:0063 0441:0063 abaf:0063 1043d:0063 2ded:0368 1f74c:0043 118f2:0043
+118e9:0043 ff23:0043 216d:0043 2102:0043 212d:0043 1d402:0043 1d436:0043 1d46a:0043 1d49e:0043 1d4d2:0043
+1d56e:0043 1d5a2:0043 1d5d6:0043 1d60a:0043 1d63e:0043 1d672:0043 03f9:0043 2ca4:0043 0421:0043 13df:0043
+a4da:0043 102a2:0043 10302:0043 10415:0043 1051c:0043 00a2:0063.0338 023c:0063.0338 20a1:0043.20eb 00e7:0063.0326 04ab:0063.0326
+00c7:0043.0326 04aa:0043.0326 0187:0043.0027 2105:0063.002f.006f 2106:0063.002f.0075 22f4:a793 025b:a793 03b5:a793 03f5:a793 1d6c6:a793
+1d6dc:a793 1d700:a793 1d716:a793 1d73a:a793 1d750:a793 1d774:a793 1d78a:a793 1d7ae:a793 1d7c4:a793 2c89:a793
+0454:a793 0511:a793 ab9b:a793 118ce:a793 10429:a793 20ac:a792 2c88:a792 0404:a792 2377:a793.0332 037d:a73f
+03ff:a73e 217e:0064 2146:0064 1d41d:0064 1d451:0064 1d485:0064 1d4b9:0064 1d4ed:0064 1d521:0064 1d555:0064
+1d589:0064 1d5bd:0064 1d5f1:0064 1d625:0064 1d659:0064 1d68d:0064 0501:0064 13e7:0064 146f:0064 a4d2:0064
+216e:0044 2145:0044 1d403:0044 1d437:0044 1d46b:0044 1d49f:0044 1d4d3:0044 1d507:0044 1d53b:0044 1d56f:0044
+1d5a3:0044 1d5d7:0044 1d60b:0044 1d63f:0044 1d673:0044 13a0:0044 15de:0044 15ea:0044 a4d3:0044 0257:0064.0314
+0256:0064.0328 018c:0064.0304 0111:0064.0335 0110:0044.0335 00d0:0044.0335 0189:0044.0335 20ab:0064.0335.0331 a77a:a779 147b:0064.00b7 1487:0064.0027
+02a4:0064.021d 01f3:0064.007a 02a3:0064.007a 01f2:0044.007a 01f1:0044.005a 01c6:0064.017e 01c5:0044.017e 01c4:0044.017d 02a5:0064.0291 ab70:1d05
+2e39:1e9f 03b4:1e9f 1d6c5:1e9f 1d6ff:1e9f 1d739:1e9f 1d773:1e9f 1d7ad:1e9f 056e:1e9f 1577:1e9f 212e:0065
+ff45:0065 212f:0065 2147:0065 1d41e:0065 1d452:0065 1d486:0065 1d4ee:0065 1d522:0065 1d556:0065 1d58a:0065
+1d5be:0065 1d5f2:0065 1d626:0065 1d65a:0065 1d68e:0065 ab32:0065 0435:0065 04bd:0065 2df7:0364 22ff:0045
+ff25:0045 2130:0045 1d404:0045 1d438:0045 1d46c:0045 1d4d4:0045 1d508:0045 1d53c:0045 1d570:0045 1d5a4:0045
+1d5d8:0045 1d60c:0045 1d640:0045 1d674:0045 0395:0045 1d6ac:0045 1d6e6:0045 1d720:0045 1d75a:0045 1d794:0045
+0415:0045 2d39:0045 13ac:0045 a4f0:0045 118a6:0045 118ae:0045 10286:0045 011b:0115 011a:0114 0247:0065.0338
+0246:0045.0338 04bf:0065.0328 ab7c:1d07 0259:01dd 04d9:01dd 2203:018e 2d3a:018e a4f1:018e 025a:01dd.02de 1d14:01dd.006f
+ab41:01dd.006f.0338 ab42:01dd.006f.0335 04d8:018f 1d221:0190 2107:0190 0510:0190 13cb:0190 16f2d:0190 10401:0190 1d9f:1d4b
+1d08:025c 0437:025c 0499:025c.0326 10442:025e a79d:029a 1042a:029a 1d41f:0066 1d453:0066 1d487:0066 1d4bb:0066
+1d4ef:0066 1d523:0066 1d557:0066 1d58b:0066 1d5bf:0066 1d5f3:0066 1d627:0066 1d65b:0066 1d68f:0066 ab35:0066
+a799:0066 017f:0066 1e9d:0066 0584:0066 1d213:0046 2131:0046 1d405:0046 1d439:0046 1d46d:0046 1d4d5:0046
+1d509:0046 1d53d:0046 1d571:0046 1d5a5:0046 1d5d9:0046 1d60d:0046 1d641:0046 1d675:0046 a798:0046 03dc:0046
+1d7ca:0046 15b4:0046 a4dd:0046 118c2:0046 118a2:0046 10287:0046 102a5:0046 10525:0046 0192:0066.0326 0191:0046.0326
+1d6e:0066.0334 213b:0046.0041.0058 fb00:0066.0066 fb03:0066.0066.0069 fb04:0066.0066.006c fb01:0066.0069 fb02:0066.006c 02a9:0066.014b 15b5:2132 a4de:2132
+1d230:a7fb 15b7:a7fb ff47:0067 210a:0067 1d420:0067 1d454:0067 1d488:0067 1d4f0:0067 1d524:0067 1d558:0067
+1d58c:0067 1d5c0:0067 1d5f4:0067 1d628:0067 1d65c:0067 1d690:0067 0261:0067 1d83:0067 018d:0067 0581:0067
+1d406:0047 1d43a:0047 1d46e:0047 1d4a2:0047 1d4d6:0047 1d50a:0047 1d53e:0047 1d572:0047 1d5a6:0047 1d5da:0047
+1d60e:0047 1d642:0047 1d676:0047 050c:0047 13c0:0047 13f3:0047 a4d6:0047 1da2:1d4d 0260:0067.0314 01e7:011f
+01e6:011e 01f5:0123 01e5:0067.0335 01e4:0047.0335 0193:0047.0027 050d:0262 ab90:0262 13fb:0262 ff48:0068 210e:0068
+1d421:0068 1d489:0068 1d4bd:0068 1d4f1:0068 1d525:0068 1d559:0068 1d58d:0068 1d5c1:0068 1d5f5:0068 1d629:0068
+1d65d:0068 1d691:0068 04bb:0068 0570:0068 13c2:0068 ff28:0048 210b:0048 210c:0048 210d:0048 1d407:0048
+1d43b:0048 1d46f:0048 1d4d7:0048 1d573:0048 1d5a7:0048 1d5db:0048 1d60f:0048 1d643:0048 1d677:0048 0397:0048
+1d6ae:0048 1d6e8:0048 1d722:0048 1d75c:0048 1d796:0048 2c8e:0048 041d:0048 13bb:0048 157c:0048 a4e7:0048
+102cf:0048 1d78:1d34 0266:0068.0314 a695:0068.0314 13f2:0068.0314 2c67:0048.0329 04a2:0048.0329 0127:0068.0335 210f:0068.0335 045b:0068.0335
+0126:0048.0335 04c9:0048.0326 04c7:0048.0326 043d:029c ab8b:029c 04a3:029c.0329 04ca:029c.0326 04c8:029c.0326 050a:01f6 ab80:2c76
+0370:2c75 13a8:2c75 13b0:2c75 a6b1:2c75 a795:a727 02db:0069 2373:0069 ff49:0069 2170:0069 2139:0069
+2148:0069 1d422:0069 1d456:0069 1d48a:0069 1d4be:0069 1d4f2:0069 1d526:0069 1d55a:0069 1d58e:0069 1d5c2:0069
+1d5f6:0069 1d62a:0069 1d65e:0069 1d692:0069 0131:0069 1d6a4:0069 026a:0069 0269:0069 03b9:0069 1fbe:0069
+037a:0069 1d6ca:0069 1d704:0069 1d73e:0069 1d778:0069 1d7b2:0069 0456:0069 a647:0069 04cf:0069 ab75:0069
+13a5:0069 118c3:0069 24db:24be 2378:0069.0332 01d0:012d 01cf:012c 0268:0069.0335 1d7b:0069.0335 1d7c:0069.0335 2171:0069.0069
+2172:0069.0069.0069 0133:0069.006a 2173:0069.0076 2178:0069.0078 ff4a:006a 2149:006a 1d423:006a 1d457:006a 1d48b:006a 1d4bf:006a
+1d4f3:006a 1d527:006a 1d55b:006a 1d58f:006a 1d5c3:006a 1d5f7:006a 1d62b:006a 1d65f:006a 1d693:006a 03f3:006a
+0458:006a ff2a:004a 1d409:004a 1d43d:004a 1d471:004a 1d4a5:004a 1d4d9:004a 1d50d:004a 1d541:004a 1d575:004a
+1d5a9:004a 1d5dd:004a 1d611:004a 1d645:004a 1d679:004a a7b2:004a 037f:004a 0408:004a 13ab:004a 148d:004a
+a4d9:004a 0249:006a.0335 0248:004a.0335 1499:004a.00b7 1d6a5:0237 0575:0237 ab7b:1d0a 1d424:006b 1d458:006b 1d48c:006b
+1d4c0:006b 1d4f4:006b 1d528:006b 1d55c:006b 1d590:006b 1d5c4:006b 1d5f8:006b 1d62c:006b 1d660:006b 1d694:006b
+212a:004b ff2b:004b 1d40a:004b 1d43e:004b 1d472:004b 1d4a6:004b 1d4da:004b 1d50e:004b 1d542:004b 1d576:004b
+1d5aa:004b 1d5de:004b 1d612:004b 1d646:004b 1d67a:004b 039a:004b 1d6b1:004b 1d6eb:004b 1d725:004b 1d75f:004b
+1d799:004b 2c94:004b 041a:004b 13e6:004b 16d5:004b a4d7:004b 10518:004b 0199:006b.0314 2c69:004b.0329 049a:004b.0329
+20ad:004b.0335 a740:004b.0335 049e:004b.0335 0198:004b.0027 05c0:006c 007c:006c 2223:006c 23fd:006c ffe8:006c 0661:006c
+06f1:006c 10320:006c 1e8c7:006c 1d7cf:006c 1d7d9:006c 1d7e3:006c 1d7ed:006c 1d7f7:006c 0049:006c ff29:006c
+2160:006c 2110:006c 2111:006c 1d408:006c 1d43c:006c 1d470:006c 1d4d8:006c 1d540:006c 1d574:006c 1d5a8:006c
+1d5dc:006c 1d610:006c 1d644:006c 1d678:006c 0196:006c ff4c:006c 217c:006c 2113:006c 1d425:006c 1d459:006c
+1d48d:006c 1d4c1:006c 1d4f5:006c 1d529:006c 1d55d:006c 1d591:006c 1d5c5:006c 1d5f9:006c 1d62d:006c 1d661:006c
+1d695:006c 01c0:006c 0399:006c 1d6b0:006c 1d6ea:006c 1d724:006c 1d75e:006c 1d798:006c 2c92:006c 0406:006c
+04c0:006c 05d5:006c 05df:006c 0627:006c 1ee00:006c 1ee80:006c fe8e:006c fe8d:006c 07ca:006c 2d4f:006c
+16c1:006c a4f2:006c 16f28:006c 1028a:006c 10309:006c 1d22a:004c 216c:004c 2112:004c 1d40b:004c 1d43f:004c
+1d473:004c 1d4db:004c 1d50f:004c 1d543:004c 1d577:004c 1d5ab:004c 1d5df:004c 1d613:004c 1d647:004c 1d67b:004c
+2cd0:004c 13de:004c 14aa:004c a4e1:004c 16f16:004c 118a3:004c 118b2:004c 1041b:004c 10526:004c fd3c:006c.030b
+fd3d:006c.030b 0142:006c.0338 0141:004c.0338 026d:006c.0328 0197:006c.0335 019a:006c.0335 026b:006c.0334 0625:006c.0655 fe88:006c.0655 fe87:006c.0655
+0673:006c.0655 0140:006c.00b7 013f:006c.00b7 14b7:006c.00b7 1f102:006c.002c 2488:006c.002e 05f1:006c.0027 2493:006c.0032.002e 33eb:006c.0032.65e5 32cb:006c.0032.6708
+3364:006c.0032.70b9 2494:006c.0033.002e 33ec:006c.0033.65e5 3365:006c.0033.70b9 2495:006c.0034.002e 33ed:006c.0034.65e5 3366:006c.0034.70b9 2496:006c.0035.002e 33ee:006c.0035.65e5 3367:006c.0035.70b9
+2497:006c.0036.002e 33ef:006c.0036.65e5 3368:006c.0036.70b9 2498:006c.0037.002e 33f0:006c.0037.65e5 3369:006c.0037.70b9 2499:006c.0038.002e 33f1:006c.0038.65e5 336a:006c.0038.70b9 249a:006c.0039.002e
+33f2:006c.0039.65e5 336b:006c.0039.70b9 01c9:006c.006a 0132:006c.004a 01c8:004c.006a 01c7:004c.004a 2016:006c.006c 2225:006c.006c 2161:006c.006c 01c1:006c.006c
+05f0:006c.006c 10199:006c.0335.006c.0335 2492:006c.006c.002e 2162:006c.006c.006c 10198:006c.0335.006c.0335.0053.0335 33ea:006c.006c.65e5 32ca:006c.006c.6708 3363:006c.006c.70b9 042e:006c.004f 2491:006c.004f.002e
+33e9:006c.004f.65e5 32c9:006c.004f.6708 3362:006c.004f.70b9 02aa:006c.0073 20b6:006c.0074 2163:006c.0056 2168:006c.0058 026e:006c.021d 02ab:006c.007a 0623:006c.0674
+fe84:006c.0674 fe83:006c.0674 0672:006c.0674 0675:006c.0674 fdf3:006c.0643.0628.0631 fdf2:006c.0644.0644.0651.0670.006f 33e0:006c.65e5 32c0:006c.6708 3359:006c.70b9 2cd1:029f
+abae:029f 10443:029f ff2d:004d 216f:004d 2133:004d 1d40c:004d 1d440:004d 1d474:004d 1d4dc:004d 1d510:004d
+1d544:004d 1d578:004d 1d5ac:004d 1d5e0:004d 1d614:004d 1d648:004d 1d67c:004d 039c:004d 1d6b3:004d 1d6ed:004d
+1d727:004d 1d761:004d 1d79b:004d 03fa:004d 2c98:004d 041c:004d 13b7:004d 15f0:004d 16d6:004d a4df:004d
+102b0:004d 10311:004d 04cd:004d.0326 1f76b:004d.0042 2de8:1ddf 1d427:006e 1d45b:006e 1d48f:006e 1d4c3:006e 1d4f7:006e
+1d52b:006e 1d55f:006e 1d593:006e 1d5c7:006e 1d5fb:006e 1d62f:006e 1d663:006e 1d697:006e 0578:006e 057c:006e
+ff2e:004e 2115:004e 1d40d:004e 1d441:004e 1d475:004e 1d4a9:004e 1d4dd:004e 1d511:004e 1d579:004e 1d5ad:004e
+1d5e1:004e 1d615:004e 1d649:004e 1d67d:004e 039d:004e 1d6b4:004e 1d6ee:004e 1d728:004e 1d762:004e 1d79c:004e
+2c9a:004e a4e0:004e 10513:004e 1018e:004e.030a 0273:006e.0328 019e:006e.0329 03b7:006e.0329 1d6c8:006e.0329 1d702:006e.0329 1d73c:006e.0329
+1d776:006e.0329 1d7b0:006e.0329 019d:004e.0326 1d70:006e.0334 01cc:006e.006a 01cb:004e.006a 01ca:004e.004a 2116:004e.006f 0377:1d0e 0438:1d0e
+1044d:1d0e 0146:0272 0c02:006f 0c82:006f 0d02:006f 0d82:006f 0966:006f 0a66:006f 0ae6:006f 0be6:006f
+0c66:006f 0ce6:006f 0d66:006f 0e50:006f 0ed0:006f 1040:006f 0665:006f 06f5:006f ff4f:006f 2134:006f
+1d428:006f 1d45c:006f 1d490:006f 1d4f8:006f 1d52c:006f 1d560:006f 1d594:006f 1d5c8:006f 1d5fc:006f 1d630:006f
+1d664:006f 1d698:006f 1d0f:006f 1d11:006f ab3d:006f 03bf:006f 1d6d0:006f 1d70a:006f 1d744:006f 1d77e:006f
+1d7b8:006f 03c3:006f 1d6d4:006f 1d70e:006f 1d748:006f 1d782:006f 1d7bc:006f 2c9f:006f 043e:006f 10ff:006f
+0585:006f 05e1:006f 0647:006f 1ee24:006f 1ee64:006f 1ee84:006f feeb:006f feec:006f feea:006f fee9:006f
+06be:006f fbac:006f fbad:006f fbab:006f fbaa:006f 06c1:006f fba8:006f fba9:006f fba7:006f fba6:006f
+06d5:006f 0d20:006f 101d:006f 104ea:006f 118c8:006f 118d7:006f 1042c:006f 07c0:004f 09e6:004f 0b66:004f
+3007:004f 114d0:004f 118e0:004f 1d7ce:004f 1d7d8:004f 1d7e2:004f 1d7ec:004f 1d7f6:004f ff2f:004f 1d40e:004f
+1d442:004f 1d476:004f 1d4aa:004f 1d4de:004f 1d512:004f 1d546:004f 1d57a:004f 1d5ae:004f 1d5e2:004f 1d616:004f
+1d64a:004f 1d67e:004f 039f:004f 1d6b6:004f 1d6f0:004f 1d72a:004f 1d764:004f 1d79e:004f 2c9e:004f 041e:004f
+0555:004f 2d54:004f 12d0:004f 0b20:004f 104c2:004f a4f3:004f 118b5:004f 10292:004f 102ab:004f 10404:004f
+10516:004f 2070:00ba 1d52:00ba 01d2:014f 01d1:014e 06ff:006f.0302 00f8:006f.0338 ab3e:006f.0338 00d8:004f.0338 2d41:004f.0338
+01fe:004f.0338.0301 0275:006f.0335 a74b:006f.0335 04e9:006f.0335 0473:006f.0335 ab8e:006f.0335 abbb:006f.0335 2296:004f.0335 229d:004f.0335 236c:004f.0335
+1d21a:004f.0335 1f714:004f.0335 019f:004f.0335 a74a:004f.0335 03b8:004f.0335 03d1:004f.0335 1d6c9:004f.0335 1d6dd:004f.0335 1d703:004f.0335 1d717:004f.0335
+1d73d:004f.0335 1d751:004f.0335 1d777:004f.0335 1d78b:004f.0335 1d7b1:004f.0335 1d7c5:004f.0335 0398:004f.0335 03f4:004f.0335 1d6af:004f.0335 1d6b9:004f.0335
+1d6e9:004f.0335 1d6f3:004f.0335 1d723:004f.0335 1d72d:004f.0335 1d75d:004f.0335 1d767:004f.0335 1d797:004f.0335 1d7a1:004f.0335 04e8:004f.0335 0472:004f.0335
+2d31:004f.0335 13be:004f.0335 13eb:004f.0335 ab74:006f.031b fcd9:006f.0670 1f101:004f.002c 1f100:004f.002e 01a1:006f.0027 01a0:004f.0027 13a4:004f.0027
+0025:00ba.002f.2080 066a:00ba.002f.2080 2052:00ba.002f.2080 2030:00ba.002f.2080.2080 0609:00ba.002f.2080.2080 2031:00ba.002f.2080.2080.2080 060a:00ba.002f.2080.2080.2080 0153:006f.0065 0152:004f.0045 0276:006f.1d07
+221e:006f.006f a74f:006f.006f a699:006f.006f a74e:004f.004f a698:004f.004f fcd7:006f.062c fc51:006f.062c fcd8:006f.0645 fc52:006f.0645 fd93:006f.0645.062c
+fd94:006f.0645.0645 fc53:006f.0649 fc54:006f.0649 0d5f:006f.0d30.006f 1010:006f.102c 3358:004f.70b9 2184:0254 1d10:0254 037b:0254 1044b:0254
+2183:0186 03fd:0186 a4db:0186 10423:0186 ab3f:0254.0338 ab62:0254.0065 1043f:0277 2374:0070 ff50:0070 1d429:0070
+1d45d:0070 1d491:0070 1d4c5:0070 1d4f9:0070 1d52d:0070 1d561:0070 1d595:0070 1d5c9:0070 1d5fd:0070 1d631:0070
+1d665:0070 1d699:0070 03c1:0070 03f1:0070 1d6d2:0070 1d6e0:0070 1d70c:0070 1d71a:0070 1d746:0070 1d754:0070
+1d780:0070 1d78e:0070 1d7ba:0070 1d7c8:0070 2ca3:0070 0440:0070 ff30:0050 2119:0050 1d40f:0050 1d443:0050
+1d477:0050 1d4ab:0050 1d4df:0050 1d513:0050 1d57b:0050 1d5af:0050 1d5e3:0050 1d617:0050 1d64b:0050 1d67f:0050
+03a1:0050 1d6b8:0050 1d6f2:0050 1d72c:0050 1d766:0050 1d7a0:0050 2ca2:0050 0420:0050 13e2:0050 146d:0050
+a4d1:0050 10295:0050 01a5:0070.0314 1d7d:0070.0335 1477:0070.00b7 1486:0050.0027 1d29:1d18 abb2:1d18 03c6:0278 03d5:0278
+1d6d7:0278 1d6df:0278 1d711:0278 1d719:0278 1d74b:0278 1d753:0278 1d785:0278 1d78d:0278 1d7bf:0278 1d7c7:0278
+2cab:0278 0444:0278 1d42a:0071 1d45e:0071 1d492:0071 1d4c6:0071 1d4fa:0071 1d52e:0071 1d562:0071 1d596:0071
+1d5ca:0071 1d5fe:0071 1d632:0071 1d666:0071 1d69a:0071 051b:0071 0563:0071 0566:0071 211a:0051 1d410:0051
+1d444:0051 1d478:0051 1d4ac:0051 1d4e0:0051 1d514:0051 1d57c:0051 1d5b0:0051 1d5e4:0051 1d618:0051 1d64c:0051
+1d680:0051 2d55:0051 02a0:0071.0314 1f700:0051.0045 1d90:024b 1d0b:0138 03ba:0138 03f0:0138 1d6cb:0138 1d6de:0138
+1d705:0138 1d718:0138 1d73f:0138 1d752:0138 1d779:0138 1d78c:0138 1d7b3:0138 1d7c6:0138 2c95:0138 043a:0138
+abb6:0138 049b:0138.0329 049f:0138.0335 1d42b:0072 1d45f:0072 1d493:0072 1d4c7:0072 1d4fb:0072 1d52f:0072 1d563:0072
+1d597:0072 1d5cb:0072 1d5ff:0072 1d633:0072 1d667:0072 1d69b:0072 ab47:0072 ab48:0072 1d26:0072 2c85:0072
+0433:0072 ab81:0072 1d216:0052 211b:0052 211c:0052 211d:0052 1d411:0052 1d445:0052 1d479:0052 1d4e1:0052
+1d57d:0052 1d5b1:0052 1d5e5:0052 1d619:0052 1d64d:0052 1d681:0052 01a6:0052 13a1:0052 13d2:0052 104b4:0052
+1587:0052 a4e3:0052 16f35:0052 027d:0072.0328 027c:0072.0329 024d:0072.0335 0493:0072.0335 1d72:0072.0334 0491:0072.0027 118e3:0072.006e
+006d:0072.006e 217f:0072.006e 1d426:0072.006e 1d45a:0072.006e 1d48e:0072.006e 1d4c2:0072.006e 1d4f6:0072.006e 1d52a:0072.006e 1d55e:0072.006e 1d592:0072.006e
+1d5c6:0072.006e 1d5fa:0072.006e 1d62e:0072.006e 1d662:0072.006e 1d696:0072.006e 11700:0072.006e 20a5:0072.006e.0338 0271:0072.006e.0326 1d6f:0072.006e.0334 20a8:0052.0073
+ab71:0280 aba2:0280 044f:1d19 1d73:027e.0334 2129:027f ff53:0073 1d42c:0073 1d460:0073 1d494:0073 1d4c8:0073
+1d4fc:0073 1d530:0073 1d564:0073 1d598:0073 1d5cc:0073 1d600:0073 1d634:0073 1d668:0073 1d69c:0073 a731:0073
+01bd:0073 0455:0073 abaa:0073 118c1:0073 10448:0073 ff33:0053 1d412:0053 1d446:0053 1d47a:0053 1d4ae:0053
+1d4e2:0053 1d516:0053 1d54a:0053 1d57e:0053 1d5b2:0053 1d5e6:0053 1d61a:0053 1d64e:0053 1d682:0053 0405:0053
+054f:0053 13d5:0053 13da:0053 a4e2:0053 16f3a:0053 10296:0053 10420:0053 0282:0073.0328 1d74:0073.0334 a7b5:00df
+03b2:00df 03d0:00df 1d6c3:00df 1d6fd:00df 1d737:00df 1d771:00df 1d7ab:00df 13f0:00df 1f75c:0073.0073.0073 fb06:0073.0074
+222b:0283 ab4d:0283 2211:01a9 2140:01a9 03a3:01a9 1d6ba:01a9 1d6f4:01a9 1d72e:01a9 1d768:01a9 1d7a2:01a9
+2d49:01a9 222c:0283.0283 222d:0283.0283.0283 2a0c:0283.0283.0283.0283 1d42d:0074 1d461:0074 1d495:0074 1d4c9:0074 1d4fd:0074 1d531:0074
+1d565:0074 1d599:0074 1d5cd:0074 1d601:0074 1d635:0074 1d669:0074 1d69d:0074 22a4:0054 27d9:0054 1f768:0054
+ff34:0054 1d413:0054 1d447:0054 1d47b:0054 1d4af:0054 1d4e3:0054 1d517:0054 1d54b:0054 1d57f:0054 1d5b3:0054
+1d5e7:0054 1d61b:0054 1d64f:0054 1d683:0054 03a4:0054 1d6bb:0054 1d6f5:0054 1d72f:0054 1d769:0054 1d7a3:0054
+2ca6:0054 0422:0054 13a2:0054 a4d4:0054 16f0a:0054 118bc:0054 10297:0054 102b1:0054 10315:0054 01ad:0074.0314
+2361:0054.0308 023e:0054.0338 021a:0162 01ae:0054.0328 04ac:0054.0329 20ae:0054.20eb 0167:0074.0335 0166:0054.0335 1d75:0074.0334 10a0:a786
+a728:0054.0033 02a8:0074.0255 2121:0054.0045.004c a777:0074.0066 02a6:0074.0073 02a7:0074.0283 a729:0074.021d 03c4:1d1b 1d6d5:1d1b 1d70f:1d1b
+1d749:1d1b 1d783:1d1b 1d7bd:1d1b 0442:1d1b ab72:1d1b 04ad:1d1b.0329 0163:01ab 021b:01ab 13bf:01ab 1d42e:0075
+1d462:0075 1d496:0075 1d4ca:0075 1d4fe:0075 1d532:0075 1d566:0075 1d59a:0075 1d5ce:0075 1d602:0075 1d636:0075
+1d66a:0075 1d69e:0075 a79f:0075 1d1c:0075 ab4e:0075 ab52:0075 028b:0075 03c5:0075 1d6d6:0075 1d710:0075
+1d74a:0075 1d784:0075 1d7be:0075 057d:0075 104f6:0075 118d8:0075 222a:0055 22c3:0055 1d414:0055 1d448:0055
+1d47c:0055 1d4b0:0055 1d4e4:0055 1d518:0055 1d54c:0055 1d580:0055 1d5b4:0055 1d5e8:0055 1d61c:0055 1d650:0055
+1d684:0055 054d:0055 1200:0055 104ce:0055 144c:0055 a4f4:0055 16f42:0055 118b8:0055 01d4:016d 01d3:016c
+1d7e:0075.0335 ab9c:0075.0335 0244:0055.0335 13cc:0055.0335 1458:0055.00b7 1467:0055.0027 1d6b:0075.0065 ab63:0075.006f 1e43:ab51 057a:0270
+1223:0270 2127:01b1 162e:01b1 1634:01b1 1d7f:028a.0335 2228:0076 22c1:0076 ff56:0076 2174:0076 1d42f:0076
+1d463:0076 1d497:0076 1d4cb:0076 1d4ff:0076 1d533:0076 1d567:0076 1d59b:0076 1d5cf:0076 1d603:0076 1d637:0076
+1d66b:0076 1d69f:0076 1d20:0076 03bd:0076 1d6ce:0076 1d708:0076 1d742:0076 1d77c:0076 1d7b6:0076 0475:0076
+05d8:0076 11706:0076 aba9:0076 118c0:0076 1d20d:0056 0667:0056 06f7:0056 2164:0056 1d415:0056 1d449:0056
+1d47d:0056 1d4b1:0056 1d4e5:0056 1d519:0056 1d54d:0056 1d581:0056 1d5b5:0056 1d5e9:0056 1d61d:0056 1d651:0056
+1d685:0056 0474:0056 2d38:0056 13d9:0056 142f:0056 a6df:0056 a4e6:0056 16f08:0056 118a0:0056 1051d:0056
+10197:0056.0335 143b:0056.00b7 1f76c:0056.0042 2175:0076.0069 2176:0076.0069.0069 2177:0076.0069.0069.0069 2165:0056.006c 2166:0056.006c.006c 2167:0056.006c.006c.006c 1f708:0056.1de4
+1d27:028c 104d8:028c 0668:0245 06f8:0245 039b:0245 1d6b2:0245 1d6ec:0245 1d726:0245 1d760:0245 1d79a:0245
+041b:0245 2d37:0245 104b0:0245 1431:0245 a6ce:0245 a4e5:0245 16f3d:0245 1028d:0245 04c5:0245.0326 143d:0245.00b7
+026f:0077 1d430:0077 1d464:0077 1d498:0077 1d4cc:0077 1d500:0077 1d534:0077 1d568:0077 1d59c:0077 1d5d0:0077
+1d604:0077 1d638:0077 1d66c:0077 1d6a0:0077 1d21:0077 0461:0077 051d:0077 0561:0077 1170a:0077 1170e:0077
+1170f:0077 ab83:0077 118ef:0057 118e6:0057 1d416:0057 1d44a:0057 1d47e:0057 1d4b2:0057 1d4e6:0057 1d51a:0057
+1d54e:0057 1d582:0057 1d5b6:0057 1d5ea:0057 1d61e:0057 1d652:0057 1d686:0057 051c:0057 13b3:0057 13d4:0057
+a4ea:0057 047d:0077.0486.0487 114c5:0077.0307 20a9:0057.0335 a761:0077.0326 1d0d:028d 043c:028d ab87:028d 04ce:028d.0326 166e:0078
+00d7:0078 292b:0078 292c:0078 2a2f:0078 ff58:0078 2179:0078 1d431:0078 1d465:0078 1d499:0078 1d4cd:0078
+1d501:0078 1d535:0078 1d569:0078 1d59d:0078 1d5d1:0078 1d605:0078 1d639:0078 1d66d:0078 1d6a1:0078 0445:0078
+1541:0078 157d:0078 2def:036f 166d:0058 2573:0058 10322:0058 118ec:0058 ff38:0058 2169:0058 1d417:0058
+1d44b:0058 1d47f:0058 1d4b3:0058 1d4e7:0058 1d51b:0058 1d54f:0058 1d583:0058 1d5b7:0058 1d5eb:0058 1d61f:0058
+1d653:0058 1d687:0058 a7b3:0058 03a7:0058 1d6be:0058 1d6f8:0058 1d732:0058 1d76c:0058 1d7a6:0058 2cac:0058
+0425:0058 2d5d:0058 16b7:0058 a4eb:0058 10290:0058 102b4:0058 10317:0058 10527:0058 2a30:0078.0307 04b2:0058.0329
+10196:0058.0335 217a:0078.0069 217b:0078.0069.0069 216a:0058.006c 216b:0058.006c.006c 0263:0079 1d8c:0079 ff59:0079 1d432:0079 1d466:0079
+1d49a:0079 1d4ce:0079 1d502:0079 1d536:0079 1d56a:0079 1d59e:0079 1d5d2:0079 1d606:0079 1d63a:0079 1d66e:0079
+1d6a2:0079 028f:0079 1eff:0079 ab5a:0079 03b3:0079 213d:0079 1d6c4:0079 1d6fe:0079 1d738:0079 1d772:0079
+1d7ac:0079 0443:0079 04af:0079 10e7:0079 118dc:0079 ff39:0059 1d418:0059 1d44c:0059 1d480:0059 1d4b4:0059
+1d4e8:0059 1d51c:0059 1d550:0059 1d584:0059 1d5b8:0059 1d5ec:0059 1d620:0059 1d654:0059 1d688:0059 03a5:0059
+03d2:0059 1d6bc:0059 1d6f6:0059 1d730:0059 1d76a:0059 1d7a4:0059 2ca8:0059 0423:0059 04ae:0059 13a9:0059
+13bd:0059 a4ec:0059 16f43:0059 118a4:0059 102b2:0059 01b4:0079.0314 024f:0079.0335 04b1:0079.0335 00a5:0059.0335 024e:0059.0335
+04b0:0059.0335 0292:021d a76b:021d 2ccd:021d 04e1:021d 10f3:021d 1d433:007a 1d467:007a 1d49b:007a 1d4cf:007a
+1d503:007a 1d537:007a 1d56b:007a 1d59f:007a 1d5d3:007a 1d607:007a 1d63b:007a 1d66f:007a 1d6a3:007a 1d22:007a
+ab93:007a 118c4:007a 102f5:005a 118e5:005a ff3a:005a 2124:005a 2128:005a 1d419:005a 1d44d:005a 1d481:005a
+1d4b5:005a 1d4e9:005a 1d585:005a 1d5b9:005a 1d5ed:005a 1d621:005a 1d655:005a 1d689:005a 0396:005a 1d6ad:005a
+1d6e7:005a 1d721:005a 1d75b:005a 1d795:005a 13c3:005a a4dc:005a 118a9:005a 0290:007a.0328 01b6:007a.0335 01b5:005a.0335
+0225:007a.0326 0224:005a.0326 1d76:007a.0334 01bf:00fe 03f8:00fe 03f7:00de 104c4:00de 2079:a770 1d24:01a8 03e9:01a8
+a645:01a8 044c:0185 ab9f:0185 044b:0185.0069 ab7e:0242 02e4:02c1 a6cd:02a1 2299:0298 2609:0298 2a00:0298
+a668:0298 2d59:0298 104c3:0298 213e:0393 1d6aa:0393 1d6e4:0393 1d71e:0393 1d758:0393 1d792:0393 2c84:0393
+0413:0393 13b1:0393 14a5:0393 16f07:0393 0492:0393.0335 14af:0393.00b7 0490:0393.0027 2206:0394 25b3:0394 1f702:0394
+1d6ab:0394 1d6e5:0394 1d71f:0394 1d759:0394 1d793:0394 2c86:0394 2d60:0394 1403:0394 16f1a:0394 10285:0394
+102a3:0394 2359:0394.0332 140f:0394.00b7 142c:0394.1420 1d7cb:03dd 1d6c7:03b6 1d701:03b6 1d73b:03b6 1d775:03b6 1d7af:03b6
+2ce4:03d7 1d6cc:03bb 1d706:03bb 1d740:03bb 1d77a:03bb 1d7b4:03bb 2c96:03bb 104db:03bb 00b5:03bc 1d6cd:03bc
+1d707:03bc 1d741:03bc 1d77b:03bc 1d7b5:03bc 1d6cf:03be 1d709:03be 1d743:03be 1d77d:03be 1d7b7:03be 1d6b5:039e
+1d6ef:039e 1d729:039e 1d763:039e 1d79d:039e 03d6:03c0 213c:03c0 1d6d1:03c0 1d6e1:03c0 1d70b:03c0 1d71b:03c0
+1d745:03c0 1d755:03c0 1d77f:03c0 1d78f:03c0 1d7b9:03c0 1d7c9:03c0 1d28:03c0 043f:03c0 220f:03a0 213f:03a0
+1d6b7:03a0 1d6f1:03a0 1d72b:03a0 1d765:03a0 1d79f:03a0 2ca0:03a0 041f:03a0 a6db:03a0 102ad:03d8 10312:03d8
+03db:03c2 1d6d3:03c2 1d70d:03c2 1d747:03c2 1d781:03c2 1d7bb:03c2 1d6bd:03a6 1d6f7:03a6 1d731:03a6 1d76b:03a6
+1d7a5:03a6 2caa:03a6 0424:03a6 0553:03a6 1240:03a6 16f0:03a6 102b3:03a6 ab53:03c7 ab55:03c7 1d6d8:03c7
+1d712:03c7 1d74c:03c7 1d786:03c7 1d7c0:03c7 2cad:03c7 1d6d9:03c8 1d713:03c8 1d74d:03c8 1d787:03c8 1d7c1:03c8
+0471:03c8 104f9:03c8 1d6bf:03a8 1d6f9:03a8 1d733:03a8 1d76d:03a8 1d7a7:03a8 2cae:03a8 0470:03a8 104d1:03a8
+16d8:03a8 102b5:03a8 2375:03c9 a7b7:03c9 1d6da:03c9 1d714:03c9 1d74e:03c9 1d788:03c9 1d7c2:03c9 2cb1:03c9
+a64d:03c9 2126:03a9 1d6c0:03a9 1d6fa:03a9 1d734:03a9 1d76e:03a9 1d7a8:03a9 162f:03a9 1635:03a9 102b6:03a9
+2379:03c9.0332 1f7d:1ff4 2630:2cb6 2cdc:03ec 0497:0436.0329 0496:0416.0329 1d20b:0418 0376:0418 a6a1:0418 10425:0418
+0419:040d 048a:040d.0326 045d:0439 048b:0439.0326 104bc:04c3 1d2b:043b 04c6:043b.0326 ab60:0459 104eb:a669 1dee:2dec
+104cd:040b 1d202:04fe 1d222:0460 13c7:0460 15ef:0460 047c:0460.0486.0487 18ed:0460.00b7 a7b6:a64c 04cc:04b7 04cb:04b6
+04be:04bc.0328 2cbd:0448 2cbc:0428 a650:042a.006c 2108:042d 1f701:a658 16f1c:a658 a992:2c3f 0587:0565.0582 1294:0571
+fb14:0574.0565 fb15:0574.056b fb17:0574.056d fb13:0574.0576 2229:0548 22c2:0548 1d245:0548 1260:0548 144e:0548 a4f5:0548
+145a:0548.00b7 1468:0548.0027 fb16:057e.0576 20bd:0554 02d3:0559 02bf:0559 2135:05d0 fb21:05d0 fb2f:fb2e fb30:fb2e
+fb4f:05d0.05dc 2136:05d1 2137:05d2 2138:05d3 fb22:05d3 fb23:05d4 fb39:fb1d fb24:05db fb25:05dc fb26:05dd
+fb20:05e2 fb27:05e8 fb2b:fb2a fb49:fb2a fb2d:fb2c fb28:05ea fe80:0621 06fd:0621.0348 fe82:0622 fe81:0622
+fb51:0671 fb50:0671 1ee01:0628 1ee21:0628 1ee61:0628 1ee81:0628 1eea1:0628 fe91:0628 fe92:0628 fe90:0628
+fe8f:0628 0751:0628.06db 08b6:0628.06e2 08a1:0628.0654 fca0:0628.006f fce2:0628.006f fc9c:0628.062c fc05:0628.062c fc9d:0628.062d fc06:0628.062d
+fdc2:0628.062d.0649 fc9e:0628.062e fc07:0628.062e fcd2:0628.062e fc4b:0628.062e fd9e:0628.062e.0649 fc6a:0628.0631 fc6b:0628.0632 fc9f:0628.0645 fce1:0628.0645
+fc6c:0628.0645 fc08:0628.0645 fc6d:0628.0646 fc6e:0628.0649 fc09:0628.0649 fc6f:0628.0649 fc0a:0628.0649 fb54:067b fb55:067b fb53:067b
+fb52:067b 06d0:067b fbe6:067b fbe7:067b fbe5:067b fbe4:067b fb5c:0680 fb5d:0680 fb5b:0680 fb5a:0680
+08a9:0754 0767:0754 00f6:0629 fe94:0629 fe93:0629 06c3:0629 1ee15:062a 1ee35:062a 1ee75:062a 1ee95:062a
+1eeb5:062a fe97:062a fe98:062a fe96:062a fe95:062a fca5:062a.006f fce4:062a.006f fca1:062a.062c fc0b:062a.062c fd50:062a.062c.0645
+fda0:062a.062c.0649 fd9f:062a.062c.0649 fca2:062a.062d fc0c:062a.062d fd52:062a.062d.062c fd51:062a.062d.062c fd53:062a.062d.0645 fca3:062a.062e fc0d:062a.062e fd54:062a.062e.0645
+fda2:062a.062e.0649 fda1:062a.062e.0649 fc70:062a.0631 fc71:062a.0632 fca4:062a.0645 fce3:062a.0645 fc72:062a.0645 fc0e:062a.0645 fd55:062a.0645.062c fd56:062a.0645.062d
+fd57:062a.0645.062e fda4:062a.0645.0649 fda3:062a.0645.0649 fc73:062a.0646 fc74:062a.0649 fc0f:062a.0649 fc75:062a.0649 fc10:062a.0649 fb60:067a fb61:067a
+fb5f:067a fb5e:067a fb64:067f fb65:067f fb63:067f fb62:067f 1ee02:062c 1ee22:062c 1ee42:062c 1ee62:062c
+1ee82:062c 1eea2:062c fe9f:062c fea0:062c fe9e:062c fe9d:062c fca7:062c.062d fc15:062c.062d fda6:062c.062d.0649 fdbe:062c.062d.0649
+fdfb:062c.0644.0020.062c.0644.006c.0644.006f fca8:062c.0645 fc16:062c.0645 fd59:062c.0645.062d fd58:062c.0645.062d fda7:062c.0645.0649 fda5:062c.0645.0649 fd1d:062c.0649 fd01:062c.0649 fd1e:062c.0649
+fd02:062c.0649 fb78:0683 fb79:0683 fb77:0683 fb76:0683 fb74:0684 fb75:0684 fb73:0684 fb72:0684 fb7c:0686
+fb7d:0686 fb7b:0686 fb7a:0686 fb80:0687 fb81:0687 fb7f:0687 fb7e:0687 1ee07:062d 1ee27:062d 1ee47:062d
+1ee67:062d 1ee87:062d 1eea7:062d fea3:062d fea4:062d fea2:062d fea1:062d 0685:062d.06db 0681:062d.0654 0772:062d.0654
+fca9:062d.062c fc17:062d.062c fdbf:062d.062c.0649 fcaa:062d.0645 fc18:062d.0645 fd5b:062d.0645.0649 fd5a:062d.0645.0649 fd1b:062d.0649 fcff:062d.0649 fd1c:062d.0649
+fd00:062d.0649 1ee17:062e 1ee37:062e 1ee57:062e 1ee77:062e 1ee97:062e 1eeb7:062e fea7:062e fea8:062e fea6:062e
+fea5:062e fcab:062e.062c fc19:062e.062c fc1a:062e.062d fcac:062e.0645 fc1b:062e.0645 fd1f:062e.0649 fd03:062e.0649 fd20:062e.0649 fd04:062e.0649
+102e1:062f 1ee03:062f 1ee83:062f 1eea3:062f feaa:062f fea9:062f 0688:062f.0615 fb89:062f.0615 fb88:062f.0615 068e:062f.06db
+fb87:062f.06db fb86:062f.06db 06ee:062f.0302 08ae:062f.0324.0323 1ee18:0630 1ee98:0630 1eeb8:0630 feac:0630 feab:0630 fc5b:0630.0670
+068b:068a.0615 fb85:068c fb84:068c fb83:068d fb82:068d 1ee13:0631 1ee93:0631 1eeb3:0631 feae:0631 fead:0631
+0691:0631.0615 fb8d:0631.0615 fb8c:0631.0615 0698:0631.06db fb8b:0631.06db fb8a:0631.06db 0692:0631.0306 08b9:0631.0306.0307 06ef:0631.0302 076c:0631.0654
+fc5c:0631.0670 fdf6:0631.0633.0648.0644 fdfc:0631.0649.006c.0644 1ee06:0632 1ee86:0632 1eea6:0632 feb0:0632 feaf:0632 08b2:0632.0302 0771:0697.0615
+1ee0e:0633 1ee2e:0633 1ee4e:0633 1ee6e:0633 1ee8e:0633 1eeae:0633 feb3:0633 feb4:0633 feb2:0633 feb1:0633
+0634:0633.06db 1ee14:0633.06db 1ee34:0633.06db 1ee54:0633.06db 1ee74:0633.06db 1ee94:0633.06db 1eeb4:0633.06db feb7:0633.06db feb8:0633.06db feb6:0633.06db
+feb5:0633.06db 077e:0633.0302 fd31:0633.006f fce8:0633.006f fd32:0633.06db.006f fcea:0633.06db.006f fcad:0633.062c fd34:0633.062c fc1c:0633.062c fd2d:0633.06db.062c
+fd37:0633.06db.062c fd25:0633.06db.062c fd09:0633.06db.062c fd5d:0633.062c.062d fd5e:0633.062c.0649 fd69:0633.06db.062c.0649 fcae:0633.062d fd35:0633.062d fc1d:0633.062d fd2e:0633.06db.062d
+fd38:0633.06db.062d fd26:0633.06db.062d fd0a:0633.06db.062d fd5c:0633.062d.062c fd68:0633.06db.062d.0645 fd67:0633.06db.062d.0645 fdaa:0633.06db.062d.0649 fcaf:0633.062e fd36:0633.062e fc1e:0633.062e
+fd2f:0633.06db.062e fd39:0633.06db.062e fd27:0633.06db.062e fd0b:0633.06db.062e fda8:0633.062e.0649 fdc6:0633.062e.0649 fd2a:0633.0631 fd0e:0633.0631 fd29:0633.06db.0631 fd0d:0633.06db.0631
+fcb0:0633.0645 fce7:0633.0645 fc1f:0633.0645 fd30:0633.06db.0645 fce9:0633.06db.0645 fd28:0633.06db.0645 fd0c:0633.06db.0645 fd61:0633.0645.062c fd60:0633.0645.062d fd5f:0633.0645.062d
+fd6b:0633.06db.0645.062e fd6a:0633.06db.0645.062e fd63:0633.0645.0645 fd62:0633.0645.0645 fd6d:0633.06db.0645.0645 fd6c:0633.06db.0645.0645 fd17:0633.0649 fcfb:0633.0649 fd18:0633.0649 fcfc:0633.0649
+fd19:0633.06db.0649 fcfd:0633.06db.0649 fd1a:0633.06db.0649 fcfe:0633.06db.0649 102f2:0635 1ee11:0635 1ee31:0635 1ee51:0635 1ee71:0635 1ee91:0635
+1eeb1:0635 febb:0635 febc:0635 feba:0635 feb9:0635 069e:0635.06db 08af:0635.0324.0323 fcb1:0635.062d fc20:0635.062d fd65:0635.062d.062d
+fd64:0635.062d.062d fda9:0635.062d.0649 fcb2:0635.062e fd2b:0635.0631 fd0f:0635.0631 fdf5:0635.0644.0639.0645 fdf9:0635.0644.0649 fdf0:0635.0644.0649 fdfa:0635.0644.0649.0020.006c.0644.0644.006f.0020.0639.0644.0649.006f.0020.0648.0633.0644.0645 fcb3:0635.0645
+fc21:0635.0645 fdc5:0635.0645.0645 fd66:0635.0645.0645 fd21:0635.0649 fd05:0635.0649 fd22:0635.0649 fd06:0635.0649 1ee19:0636 1ee39:0636 1ee59:0636
+1ee79:0636 1ee99:0636 1eeb9:0636 febf:0636 fec0:0636 febe:0636 febd:0636 fcb4:0636.062c fc22:0636.062c fcb5:0636.062d
+fc23:0636.062d fd6e:0636.062d.0649 fdab:0636.062d.0649 fcb6:0636.062e fc24:0636.062e fd70:0636.062e.0645 fd6f:0636.062e.0645 fd2c:0636.0631 fd10:0636.0631 fcb7:0636.0645
+fc25:0636.0645 fd23:0636.0649 fd07:0636.0649 fd24:0636.0649 fd08:0636.0649 102e8:0637 1ee08:0637 1ee68:0637 1ee88:0637 1eea8:0637
+fec3:0637 fec4:0637 fec2:0637 fec1:0637 069f:0637.06db fcb8:0637.062d fc26:0637.062d fd33:0637.0645 fd3a:0637.0645 fc27:0637.0645
+fd72:0637.0645.062d fd71:0637.0645.062d fd73:0637.0645.0645 fd74:0637.0645.0649 fd11:0637.0649 fcf5:0637.0649 fd12:0637.0649 fcf6:0637.0649 1ee1a:0638 1ee7a:0638
+1ee9a:0638 1eeba:0638 fec7:0638 fec8:0638 fec6:0638 fec5:0638 fcb9:0638.0645 fd3b:0638.0645 fc28:0638.0645 060f:0639
+1ee0f:0639 1ee2f:0639 1ee4f:0639 1ee6f:0639 1ee8f:0639 1eeaf:0639 fecb:0639 fecc:0639 feca:0639 fec9:0639
+fcba:0639.062c fc29:0639.062c fdc4:0639.062c.0645 fd75:0639.062c.0645 fdf7:0639.0644.0649.006f fcbb:0639.0645 fc2a:0639.0645 fd77:0639.0645.0645 fd76:0639.0645.0645 fd78:0639.0645.0649
+fdb6:0639.0645.0649 fd13:0639.0649 fcf7:0639.0649 fd14:0639.0649 fcf8:0639.0649 1ee1b:063a 1ee3b:063a 1ee5b:063a 1ee7b:063a 1ee9b:063a
+1eebb:063a fecf:063a fed0:063a fece:063a fecd:063a fcbc:063a.062c fc2b:063a.062c fcbd:063a.0645 fc2c:063a.0645 fd79:063a.0645.0645
+fd7b:063a.0645.0649 fd7a:063a.0645.0649 fd15:063a.0649 fcf9:063a.0649 fd16:063a.0649 fcfa:063a.0649 1ee10:0641 1ee30:0641 1ee70:0641 1ee90:0641
+1eeb0:0641 fed3:0641 fed4:0641 fed2:0641 fed1:0641 06a7:0641 fcbe:0641.062c fc2d:0641.062c fcbf:0641.062d fc2e:0641.062d
+fcc0:0641.062e fc2f:0641.062e fd7d:0641.062e.0645 fd7c:0641.062e.0645 fcc1:0641.0645 fc30:0641.0645 fdc1:0641.0645.0649 fc7c:0641.0649 fc31:0641.0649 fc7d:0641.0649
+fc32:0641.0649 1ee1e:06a1 1ee7e:06a1 08bb:06a1 066f:06a1 1ee1f:06a1 1ee5f:06a1 08bc:06a1 06a4:06a1.06db fb6c:06a1.06db
+fb6d:06a1.06db fb6b:06a1.06db fb6a:06a1.06db 06a8:06a1.06db 08a4:06a2.06db fb70:06a6 fb71:06a6 fb6f:06a6 fb6e:06a6 1ee12:0642
+1ee32:0642 1ee52:0642 1ee72:0642 1ee92:0642 1eeb2:0642 fed7:0642 fed8:0642 fed6:0642 fed5:0642 fcc2:0642.062d
+fc33:0642.062d fdf1:0642.0644.0649 fcc3:0642.0645 fc34:0642.0645 fdb4:0642.0645.062d fd7e:0642.0645.062d fd7f:0642.0645.0645 fdb2:0642.0645.0649 fc7e:0642.0649 fc35:0642.0649
+fc7f:0642.0649 fc36:0642.0649 1ee0a:0643 1ee2a:0643 1ee6a:0643 fedb:0643 fedc:0643 feda:0643 fed9:0643 06a9:0643
+fb90:0643 fb91:0643 fb8f:0643 fb8e:0643 06aa:0643 06ad:0643.06db fbd5:0643.06db fbd6:0643.06db fbd4:0643.06db fbd3:0643.06db
+0763:0643.06db fc80:0643.006c fc37:0643.006c fcc4:0643.062c fc38:0643.062c fcc5:0643.062d fc39:0643.062d fcc6:0643.062e fc3a:0643.062e fcc7:0643.0644
+fceb:0643.0644 fc81:0643.0644 fc3b:0643.0644 fcc8:0643.0645 fcec:0643.0645 fc82:0643.0645 fc3c:0643.0645 fdc3:0643.0645.0645 fdbb:0643.0645.0645 fdb7:0643.0645.0649
+fc83:0643.0649 fc3d:0643.0649 fc84:0643.0649 fc3e:0643.0649 0762:06ac fb94:06af fb95:06af fb93:06af fb92:06af 08b0:06af
+06b4:06af.06db fb9c:06b1 fb9d:06b1 fb9b:06b1 fb9a:06b1 fb98:06b3 fb99:06b3 fb97:06b3 fb96:06b3 1ee0b:0644
+1ee2b:0644 1ee4b:0644 1ee8b:0644 1eeab:0644 fedf:0644 fee0:0644 fede:0644 fedd:0644 06b7:0644.06db 06b5:0644.0306
+fefc:0644.006c fefb:0644.006c fefa:0644.006c.0655 fef9:0644.006c.0655 fef8:0644.006c.0674 fef7:0644.006c.0674 fccd:0644.006f fef6:0644.0622 fef5:0644.0622 fcc9:0644.062c
+fc3f:0644.062c fd83:0644.062c.062c fd84:0644.062c.062c fdba:0644.062c.0645 fdbc:0644.062c.0645 fdac:0644.062c.0649 fcca:0644.062d fc40:0644.062d fdb5:0644.062d.0645 fd80:0644.062d.0645
+fd82:0644.062d.0649 fd81:0644.062d.0649 fccb:0644.062e fc41:0644.062e fd86:0644.062e.0645 fd85:0644.062e.0645 fccc:0644.0645 fced:0644.0645 fc85:0644.0645 fc42:0644.0645
+fd88:0644.0645.062d fd87:0644.0645.062d fdad:0644.0645.0649 fc86:0644.0649 fc43:0644.0649 fc87:0644.0649 fc44:0644.0649 1ee0c:0645 1ee2c:0645 1ee6c:0645
+1ee8c:0645 1eeac:0645 fee3:0645 fee4:0645 fee2:0645 fee1:0645 08a7:0645.06db 06fe:0645.0348 fc88:0645.006c fcce:0645.062c
+fc45:0645.062c fd8c:0645.062c.062d fd92:0645.062c.062e fd8d:0645.062c.0645 fdc0:0645.062c.0649 fccf:0645.062d fc46:0645.062d fd89:0645.062d.062c fd8a:0645.062d.0645 fdf4:0645.062d.0645.062f
+fd8b:0645.062d.0649 fcd0:0645.062e fc47:0645.062e fd8e:0645.062e.062c fd8f:0645.062e.0645 fdb9:0645.062e.0649 fcd1:0645.0645 fc89:0645.0645 fc48:0645.0645 fdb1:0645.0645.0649
+fc49:0645.0649 fc4a:0645.0649 1ee0d:0646 1ee2d:0646 1ee4d:0646 1ee6d:0646 1ee8d:0646 1eead:0646 fee7:0646 fee8:0646
+fee6:0646 fee5:0646 0768:0646.0615 0769:0646.0306 fcd6:0646.006f fcef:0646.006f fdb8:0646.062c.062d fdbd:0646.062c.062d fd98:0646.062c.0645 fd97:0646.062c.0645
+fd99:0646.062c.0649 fdc7:0646.062c.0649 fcd3:0646.062d fc4c:0646.062d fd95:0646.062d.0645 fd96:0646.062d.0649 fdb3:0646.062d.0649 fcd4:0646.062e fc4d:0646.062e fc8a:0646.0631
+fc8b:0646.0632 fcd5:0646.0645 fcee:0646.0645 fc8c:0646.0645 fc4e:0646.0645 fd9b:0646.0645.0649 fd9a:0646.0645.0649 fc8d:0646.0646 fc8e:0646.0649 fc4f:0646.0649
+fc8f:0646.0649 fc50:0646.0649 06c2:06c0 fba5:06c0 fba4:06c0 102e4:0648 1ee05:0648 1ee85:0648 1eea5:0648 feee:0648
+feed:0648 08b1:0648 06cb:0648.06db fbdf:0648.06db fbde:0648.06db 06c7:0648.0313 fbd8:0648.0313 fbd7:0648.0313 06c6:0648.0306 fbda:0648.0306
+fbd9:0648.0306 06c9:0648.0302 fbe3:0648.0302 fbe2:0648.0302 06c8:0648.0670 fbdc:0648.0670 fbdb:0648.0670 0624:0648.0674 fe86:0648.0674 fe85:0648.0674
+0676:0648.0674 0677:0648.0313.0674 fbdd:0648.0313.0674 fdf8:0648.0633.0644.0645 fbe1:06c5 fbe0:06c5 066e:0649 1ee1c:0649 1ee7c:0649 06ba:0649
+1ee1d:0649 1ee5d:0649 fb9f:0649 fb9e:0649 08bd:0649 fbe8:0649 fbe9:0649 fef0:0649 feef:0649 064a:0649
+1ee09:0649 1ee29:0649 1ee49:0649 1ee69:0649 1ee89:0649 1eea9:0649 fef3:0649 fef4:0649 fef2:0649 fef1:0649
+06cc:0649 fbfe:0649 fbff:0649 fbfd:0649 fbfc:0649 06d2:0649 fbaf:0649 fbae:0649 0679:0649.0615 fb68:0649.0615
+fb69:0649.0615 fb67:0649.0615 fb66:0649.0615 06bb:0649.0615 fba2:0649.0615 fba3:0649.0615 fba1:0649.0615 fba0:0649.0615 067e:0649.06db fb58:0649.06db
+fb59:0649.06db fb57:0649.06db fb56:0649.06db 062b:0649.06db 1ee16:0649.06db 1ee36:0649.06db 1ee76:0649.06db 1ee96:0649.06db 1eeb6:0649.06db fe9b:0649.06db
+fe9c:0649.06db fe9a:0649.06db fe99:0649.06db 06bd:0649.06db 06d1:0649.06db 063f:0649.06db 08b7:0649.06db.06e2 0756:0649.0306 06ce:0649.0306 08ba:0649.0306.0307
+063d:0649.0302 08a8:0649.0654 fc90:0649.0670 fc5d:0649.0670 fcde:0649.006f fcf1:0649.006f fce6:0649.06db.006f 0626:0649.0674 fe8b:0649.0674 fe8c:0649.0674
+fe8a:0649.0674 fe89:0649.0674 0678:0649.0674 fbeb:0649.0674.006c fbea:0649.0674.006c fc9b:0649.0674.006f fce0:0649.0674.006f fbed:0649.0674.006f fbec:0649.0674.006f fbf8:0649.0674.067b
+fbf7:0649.0674.067b fbf6:0649.0674.067b fc97:0649.0674.062c fc00:0649.0674.062c fc98:0649.0674.062d fc01:0649.0674.062d fc99:0649.0674.062e fc64:0649.0674.0631 fc65:0649.0674.0632 fc9a:0649.0674.0645
+fcdf:0649.0674.0645 fc66:0649.0674.0645 fc02:0649.0674.0645 fc67:0649.0674.0646 fbef:0649.0674.0648 fbee:0649.0674.0648 fbf1:0649.0674.0648.0313 fbf0:0649.0674.0648.0313 fbf3:0649.0674.0648.0306 fbf2:0649.0674.0648.0306
+fbf5:0649.0674.0648.0670 fbf4:0649.0674.0648.0670 fbfb:0649.0674.0649 fbfa:0649.0674.0649 fc68:0649.0674.0649 fbf9:0649.0674.0649 fc03:0649.0674.0649 fc69:0649.0674.0649 fc04:0649.0674.0649 fcda:0649.062c
+fc55:0649.062c fc11:0649.06db.062c fdaf:0649.062c.0649 fcdb:0649.062d fc56:0649.062d fdae:0649.062d.0649 fcdc:0649.062e fc57:0649.062e fc91:0649.0631 fc76:0649.06db.0631
+fc92:0649.0632 fc77:0649.06db.0632 fcdd:0649.0645 fcf0:0649.0645 fc93:0649.0645 fc58:0649.0645 fca6:0649.06db.0645 fce5:0649.06db.0645 fc78:0649.06db.0645 fc12:0649.06db.0645
+fd9d:0649.0645.0645 fd9c:0649.0645.0645 fdb0:0649.0645.0649 fc94:0649.0646 fc79:0649.06db.0646 fc95:0649.0649 fc59:0649.0649 fc96:0649.0649 fc5a:0649.0649 fc7a:0649.06db.0649
+fc13:0649.06db.0649 fc7b:0649.06db.0649 fc14:0649.06db.0649 fbb1:06d3 fbb0:06d3 102b8:2d40 205e:2d42 2e3d:2d42 2999:2d42 fe19:2d57
+205d:2d57 22ee:2d57 0544:1206 054c:1261 053b:12ae 054a:1323 0906:0905.093e 0912:0905.093e.0946 0913:0905.093e.0947 0914:0905.093e.0948
+0904:0905.0946 0911:0905.0949 090d:090f.0945 090e:090f.0946 0910:090f.0947 0908:0930.094d.0907 0abd:093d 111dc:a8fb 111cb:093a 0ac1:0941
+0ac2:0942 0a4b:0946 0a4d:094d 0acd:094d 0986:0985.09be 09e0:098b.09c3 09e1:098b.09c3 11492:0998 11494:099a 11496:099c
+11498:099e 11499:099f 1149b:09a1 114aa:09a3 1149e:09a4 1149f:09a5 114a0:09a6 114a1:09a7 114a2:09a8 114a3:09aa
+114a9:09ac 114a7:09ae 114a8:09af 114ab:09b0 1149d:09b2 114ad:09b7 114ae:09b8 114c4:09bd 114b0:09be 114b1:09bf
+114b9:09c7 114bc:09cb 114be:09cc 114c2:09cd 114bd:09d7 0a09:0a73.0a41 0a0a:0a73.0a42 0a06:0a05.0a3e 0a10:0a05.0a48 0a14:0a05.0a4c
+0a07:0a72.0a3f 0a08:0a72.0a40 0a0f:0a72.0a47 0a86:0a85.0abe 0a91:0a85.0abe.0ac5 0a93:0a85.0abe.0ac7 0a94:0a85.0abe.0ac8 0a8d:0a85.0ac5 0a8f:0a85.0ac7 0a90:0a85.0ac8
+0b06:0b05.0b3e 0bee:0b85 0bb0:0b88 0bbe:0b88 0beb:0b88.0bc1 0be8:0b89 0d09:0b89 0b8a:0b89.0bb3 0d0a:0b89.0d57 0bed:0b8e
+0bf7:0b8e.0bb5 0b9c:0b90 0d1c:0b90 0be7:0b95 0bea:0b9a 0bec:0b9a.0bc1 0bf2:0b9a.0bc2 0d3a:0b9f.0bbf 0d23:0ba3 0bfa:0ba8.0bc0
+0bf4:0bae.0bc0 0bf0:0baf 0d34:0bb4 0bd7:0bb3 0bc8:0ba9 0d36:0bb6 0bf8:0bb7 0d3f:0bbf 0d40:0bbf 0bca:0bc6.0b88
+0bcc:0bc6.0bb3 0bcb:0bc7.0b88 0c85:0c05 0c86:0c06 0c87:0c07 0c60:0c0b.0c3e 0c61:0c0c.0c3e 0c92:0c12 0c14:0c12.0c4c 0c94:0c12.0c4c
+0c13:0c12.0c55 0c93:0c12.0c55 0c9c:0c1c 0c9e:0c1e 0c22:0c21.0323 0ca3:0c23 0c25:0c27.05bc 0c2d:0c2c.0323 0caf:0c2f 0c20:0c30.05bc
+0cb1:0c31 0cb2:0c32 0c37:0c35.0323 0c39:0c35.0c3e 0c2e:0c35.0c41 0c42:0c41.0c3e 0c44:0c43.0c3e 0ce1:0c8c.0cbe 0d08:0d07.0d57 0d10:0d0e.0d46
+0d13:0d12.0d3e 0d14:0d12.0d57 0d61:0d1e 0d6b:0d26.0d4d.0d30 0d79:0d28.0d41 0d0c:0d28.0d41 0d19:0d28.0d41 0d6f:0d28.0d4d 0d7b:0d28.0d4d 0d6c:0d28.0d4d.0d28
+0d5a:0d28.0d4d.0d2e 0d31:0d30 0d6a:0d30.0d4d 0d7c:0d30.0d4d 0d6e:0d35.0d4d.0d30 0d76:0d39.0d4d.0d2e 0d42:0d41 0d43:0d41 0d48:0d46.0d46 0dea:0da2
+0deb:0daf 11413:11434.11442.11412 11419:11434.11442.11418 11424:11434.11442.11423 1142a:11434.11442.11429 1142d:11434.11442.1142c 1142f:11434.11442.1142e 115d8:11582 115d9:11582 115da:11583
+115db:11584 115dc:115b2 115dd:115b3 0e03:0e02 0e14:0e04 0e15:0e04 0e21:0e06 0e88:0e08 0e0b:0e0a 0e0f:0e0e
+0e17:0e11 0e9a:0e1a 0e9b:0e1b 0e9d:0e1d 0e9e:0e1e 0e9f:0e1f 0e26:0e20 0e8d:0e22 17d4:0e2f 0e45:0e32
+0e33:030a.0e32 17b7:0e34 17b8:0e35 17b9:0e36 17ba:0e37 0eb8:0e38 0eb9:0e39 0e41:0e40.0e40 0edc:0eab.0e99 0edd:0eab.0ea1
+0eb3:030a.0eb2 0f02:0f60.0f74.0f82.0f7f 0f03:0f60.0f74.0f82.0f14 0f6a:0f62 0f00:0f68.0f7c.0f7e 0f77:0fb2.0f71.0f80 0f79:0fb3.0f71.0f80 11cb2:11caa 1081:1002.103e 1000:1002.102c
+1070:1003.103e 1066:1015.103e 101f:1015.102c 106f:1015.102c.103e 107e:107d.103e 1029:101e.103c 102a:101e.103c.1031.102c.103a 109e:1083.030a 17a3:17a2 19d0:199e
+19d1:19b1 1a80:1a45 1a90:1a45 aa53:aa01 aa56:aa23 1b52:1b0d 1b53:1b11 1b58:1b28 a9a3:a99d 1896:185c
+1855:1835 1ff6:13ef 140d:1401.00b7 142b:1401.1420 1411:1404.00b7 1413:1405.00b7 142d:1405.1420 1415:1406.00b7 1418:140a.00b7 142e:140a.1420
+141a:140b.00b7 18dd:141e.18df 14d1:1421 1540:1429 143f:1432.00b7 1443:1434.00b7 2369:1435 1447:1439.00b7 145c:144f.00b7 2e27:1450
+2283:1450 145e:1450.00b7 1469:1450.0027 27c9:1450.002f 2ad7:1450.1455 1460:1451.00b7 2e26:1455 2282:1455 1462:1455.00b7 146a:1455.0027
+1464:1456.00b7 1475:146b.00b7 1485:146b.0027 1479:146e.00b7 147d:1470.00b7 147f:1472.00b7 1488:1472.0027 1481:1473.00b7 1603:1489 1493:1489.00b7
+1495:148b.00b7 1497:148c.00b7 149b:148e.00b7 1602:1490 149d:1490.00b7 149f:1491.00b7 14ad:14a3.00b7 14b1:14a6.00b7 14b3:14a7.00b7 14b5:14a8.00b7
+14b9:14ab.00b7 14ca:14c0.00b7 18c7:14c2.00b7 18c9:14c3.00b7 18cb:14c4.00b7 18cd:14c5.00b7 14cc:14c7.00b7 14ce:14c8.00b7 1604:14d3 14dd:14d3.00b7
+14df:14d5.00b7 14e1:14d6.00b7 14e3:14d7.00b7 14e5:14d8.00b7 1607:14da 14e7:14da.00b7 14e9:14db.00b7 14f7:14ed.00b7 14f9:14ef.00b7 14fb:14f0.00b7
+14fd:14f1.00b7 14ff:14f2.00b7 1501:14f4.00b7 1503:14f5.00b7 150c:150b.003c 150d:150b.1455 150e:150b.1472 150f:150b.1490 1518:1510.00b7 151a:1511.00b7
+151c:1512.00b7 151e:1513.00b7 1520:1514.00b7 1522:1515.00b7 1524:1516.00b7 1532:1528.00b7 1534:1529.00b7 1536:152a.00b7 1538:152b.00b7 153a:152d.00b7
+153c:152e.00b7 1622:1543 18e0:1543.00b7 1623:1546 1624:154a 154f:154c.00b7 1581:1550.0064 157f:1550.0050 166f:1550.146b 157e:1550.146c
+1580:1550.146e 1582:1550.1470 1583:1550.1472 1584:1550.1473 1585:1550.1483 155c:155a.00b7 18e3:155e.00b7 18e4:1566.00b7 1569:1567.00b7 18e5:156b.00b7
+18e8:1586.00b7 1591:1595.004a 1670:1595.1489 158e:1595.148a 158f:1595.148b 1590:1595.148c 1592:1595.148e 1593:1595.1490 1594:1595.1491 1673:1596.004a
+1671:1596.148b 1672:1596.148c 1674:1596.148e 1675:1596.1490 1676:1596.1491 18ea:1597.00b7 1677:15a7.00b7 1678:15a8.00b7 1679:15a9.00b7 167a:15aa.00b7
+167b:15ab.00b7 167c:15ac.00b7 167d:15ad.00b7 2aab:15d2 2aaa:15d5 a4f7:15e1 18f0:15f4.00b7 18f2:161b.00b7 1dbb:1646 a4ed:1660
+1dba:18d4 1d3e:18d6 18dc:18df.141e 02e1:18f3 02b3:18f4 02e2:18f5 18db:18f5 a6b0:16b9 16e1:16bc 237f:16bd
+16c2:16bd 1d23f:16cb 2191:16cf 21bf:16d0 296e:16d0.21c2 2963:16d0.16da 2d63:16ef 21be:16da 2a21:16da 22c4:16dc
+25c7:16dc 25ca:16dc 2662:16dc 1f754:16dc 118b7:16dc 10294:16dc 235a:16dc.0332 22c8:16de 2a1d:16de 104d0:16e6
+2195:16e8 10cfc:10c82 10cfa:10ca5 3131:1100 11a8:1100 1101:1100.1100 3132:1100.1100 11a9:1100.1100 11fa:1100.1102 115a:1100.1103
+11c3:1100.1105 11fb:1100.1107 11aa:1100.1109 3133:1100.1109 11c4:1100.1109.1100 11fc:1100.110e 11fd:1100.110f 11fe:1100.1112 3134:1102 11ab:1102
+1113:1102.1100 11c5:1102.1100 1114:1102.1102 3165:1102.1102 11ff:1102.1102 1115:1102.1103 3166:1102.1103 11c6:1102.1103 d7cb:1102.1105 1116:1102.1107
+115b:1102.1109 11c7:1102.1109 3167:1102.1109 115c:1102.110c 11ac:1102.110c 3135:1102.110c d7cc:1102.110e 11c9:1102.1110 115d:1102.1112 11ad:1102.1112
+3136:1102.1112 11c8:1102.1140 3168:1102.1140 3137:1103 11ae:1103 1117:1103.1100 11ca:1103.1100 1104:1103.1103 3138:1103.1103 d7cd:1103.1103
+d7ce:1103.1103.1107 115e:1103.1105 11cb:1103.1105 a960:1103.1106 a961:1103.1107 d7cf:1103.1107 a962:1103.1109 d7d0:1103.1109 d7d1:1103.1109.1100 a963:1103.110c
+d7d2:1103.110c d7d3:1103.110e d7d4:1103.1110 3139:1105 11af:1105 a964:1105.1100 11b0:1105.1100 313a:1105.1100 a965:1105.1100.1100 d7d5:1105.1100.1100
+11cc:1105.1100.1109 3169:1105.1100.1109 d7d6:1105.1100.1112 1118:1105.1102 11cd:1105.1102 a966:1105.1103 11ce:1105.1103 316a:1105.1103 a967:1105.1103.1103 11cf:1105.1103.1112
+1119:1105.1105 11d0:1105.1105 d7d7:1105.1105.110f a968:1105.1106 11b1:1105.1106 313b:1105.1106 11d1:1105.1106.1100 11d2:1105.1106.1109 d7d8:1105.1106.1112 a969:1105.1107
+11b2:1105.1107 313c:1105.1107 d7d9:1105.1107.1103 a96a:1105.1107.1107 11d3:1105.1107.1109 316b:1105.1107.1109 a96b:1105.1107.110b 11d5:1105.1107.110b d7da:1105.1107.1111 11d4:1105.1107.1112
+a96c:1105.1109 11b3:1105.1109 313d:1105.1109 11d6:1105.1109.1109 111b:1105.110b d7dd:1105.110b a96d:1105.110c a96e:1105.110f 11d8:1105.110f 11b4:1105.1110
+313e:1105.1110 11b5:1105.1111 313f:1105.1111 111a:1105.1112 3140:1105.1112 113b:1105.1112 11b6:1105.1112 d7f2:1105.1112 11d7:1105.1140 316c:1105.1140
+d7db:1105.114c 11d9:1105.1159 316d:1105.1159 d7dc:1105.1159.1112 3141:1106 11b7:1106 a96f:1106.1100 11da:1106.1100 d7de:1106.1102 d7df:1106.1102.1102
+a970:1106.1103 11db:1106.1105 d7e0:1106.1106 111c:1106.1107 316e:1106.1107 11dc:1106.1107 d7e1:1106.1107.1109 a971:1106.1109 11dd:1106.1109 316f:1106.1109
+11de:1106.1109.1109 111d:1106.110b 3171:1106.110b 11e2:1106.110b d7e2:1106.110c 11e0:1106.110e 11e1:1106.1112 11df:1106.1140 3170:1106.1140 3142:1107
+11b8:1107 111e:1107.1100 3172:1107.1100 111f:1107.1102 1120:1107.1103 3173:1107.1103 d7e3:1107.1103 11e3:1107.1105 d7e4:1107.1105.1111 d7e5:1107.1106
+1108:1107.1107 3143:1107.1107 d7e6:1107.1107 112c:1107.1107.110b 3179:1107.1107.110b 1121:1107.1109 3144:1107.1109 11b9:1107.1109 1122:1107.1109.1100 3174:1107.1109.1100
+1123:1107.1109.1103 3175:1107.1109.1103 d7e7:1107.1109.1103 1124:1107.1109.1107 1125:1107.1109.1109 1126:1107.1109.110c a972:1107.1109.1110 112b:1107.110b 3178:1107.110b 11e6:1107.110b
+1127:1107.110c 3176:1107.110c d7e8:1107.110c 1128:1107.110e d7e9:1107.110e a973:1107.110f 1129:1107.1110 3177:1107.1110 112a:1107.1111 11e4:1107.1111
+a974:1107.1112 11e5:1107.1112 3145:1109 11ba:1109 112d:1109.1100 317a:1109.1100 11e7:1109.1100 112e:1109.1102 317b:1109.1102 112f:1109.1103
+317c:1109.1103 11e8:1109.1103 1130:1109.1105 11e9:1109.1105 1131:1109.1106 d7ea:1109.1106 1132:1109.1107 317d:1109.1107 11ea:1109.1107 1133:1109.1107.1100
+d7eb:1109.1107.110b 110a:1109.1109 3146:1109.1109 11bb:1109.1109 d7ec:1109.1109.1100 d7ed:1109.1109.1103 a975:1109.1109.1107 1134:1109.1109.1109 1135:1109.110b 1136:1109.110c
+317e:1109.110c d7ef:1109.110c 1137:1109.110e d7f0:1109.110e 1138:1109.110f 1139:1109.1110 d7f1:1109.1110 113a:1109.1111 d7ee:1109.1140 3147:110b
+11bc:110b 1141:110b.1100 11ec:110b.1100 11ed:110b.1100.1100 1142:110b.1103 a976:110b.1105 1143:110b.1106 1144:110b.1107 1145:110b.1109 11f1:110b.1109
+3182:110b.1109 1147:110b.110b 3180:110b.110b 11ee:110b.110b 1148:110b.110c 1149:110b.110e 11ef:110b.110f 114a:110b.1110 114b:110b.1111 a977:110b.1112
+1146:110b.1140 11f2:110b.1140 3183:110b.1140 3148:110c 11bd:110c d7f7:110c.1107 d7f8:110c.1107.1107 114d:110c.110b 110d:110c.110c 3149:110c.110c
+d7f9:110c.110c a978:110c.110c.1112 314a:110e 11be:110e 1152:110e.110f 1153:110e.1112 314b:110f 11bf:110f 314c:1110 11c0:1110
+a979:1110.1110 314d:1111 11c1:1111 1156:1111.1107 11f3:1111.1107 d7fa:1111.1109 1157:1111.110b 3184:1111.110b 11f4:1111.110b d7fb:1111.1110
+a97a:1111.1112 314e:1112 11c2:1112 11f5:1112.1102 11f6:1112.1105 11f7:1112.1106 11f8:1112.1107 a97b:1112.1109 1158:1112.1112 3185:1112.1112
+113d:113c.113c 113f:113e.113e 317f:1140 11eb:1140 d7f3:1140.1107 d7f4:1140.1107.110b 3181:114c 11f0:114c d7f5:114c.1106 d7f6:114c.1112
+114f:114e.114e 1151:1150.1150 3186:1159 11f9:1159 a97c:1159.1159 3164:1160 314f:1161 11a3:1161.30fc 1176:1161.1169 1177:1161.116e
+1162:1161.4e28 3150:1161.4e28 3151:1163 1178:1163.1169 1179:1163.116d 11a4:1163.116e 1164:1163.4e28 3152:1163.4e28 3153:1165 117c:1165.30fc
+117a:1165.1169 117b:1165.116e 1166:1165.4e28 3154:1165.4e28 3155:1167 11a5:1167.1163 117d:1167.1169 117e:1167.116e 1168:1167.4e28 3156:1167.4e28
+3157:1169 116a:1169.1161 3158:1169.1161 116b:1169.1161.4e28 3159:1169.1161.4e28 11a6:1169.1163 11a7:1169.1163.4e28 117f:1169.1165 1180:1169.1165.4e28 d7b0:1169.1167
+1181:1169.1167.4e28 1182:1169.1169 d7b1:1169.1169.4e28 1183:1169.116e 116c:1169.4e28 315a:1169.4e28 315b:116d d7b2:116d.1161 d7b3:116d.1161.4e28 1184:116d.1163
+3187:116d.1163 1186:116d.1163 1185:116d.1163.4e28 3188:116d.1163.4e28 d7b4:116d.1165 1187:116d.1169 1188:116d.4e28 3189:116d.4e28 315c:116e 1189:116e.1161
+118a:116e.1161.4e28 116f:116e.1165 315d:116e.1165 118b:116e.1165.30fc 1170:116e.1165.4e28 315e:116e.1165.4e28 d7b5:116e.1167 118c:116e.1167.4e28 118d:116e.116e 1171:116e.4e28
+315f:116e.4e28 d7b6:116e.4e28.4e28 3160:1172 118e:1172.1161 d7b7:1172.1161.4e28 118f:1172.1165 1190:1172.1165.4e28 1191:1172.1167 318a:1172.1167 1192:1172.1167.4e28
+318b:1172.1167.4e28 d7b8:1172.1169 1193:1172.116e 1194:1172.4e28 318c:1172.4e28 318d:119e d7c5:119e.1161 119f:119e.1165 d7c6:119e.1165.4e28 11a0:119e.116e
+11a2:119e.119e 11a1:119e.4e28 318e:119e.4e28 30d8:3078 2341:303c 29c4:303c a49e:a04a a4ac:a050 a49c:a0c0 a4a8:a132
+a4bf:a259 a4be:a2b1 a494:a2cd a4c0:a3ab a4c2:a3b5 a4ba:a3bf a4b0:a3c2 a4a7:a458 22a5:a4d5 27c2:a4d5
+1d21c:a4d5 a7b1:a4d5 a79e:a4e4 2141:a4e8 2142:a4f6 1d215:a4f6 1d22b:a4f6 16f26:a4f6 10411:a4f6 2143:16f00
+11ae6:11ae5.11aef 11ae8:11ae5.11ae5 11ae9:11ae5.11ae5.11aef 11aea:11ae5.11ae5.11af0 11ae7:11ae5.11af0 11af4:11af3.11aef 11af6:11af3.11af3 11af7:11af3.11af3.11aef 11af8:11af3.11af3.11af0 11af5:11af3.11af0
+11aec:11aeb.11aef 11aed:11aeb.11aeb 11aee:11aeb.11aeb.11aef 2295:102a8 2a01:102a8 1f728:102a8 a69a:102a8 25bd:102bc 1d214:102bc 1f704:102bc
+29d6:102c0 a79b:1043a a79a:10412 104a0:10486 103d1:10382 103d3:10393 12038:1039a 2625:1099e 132f9:1099e 3039:5344
+f967:4e0d 2f800:4e3d fa70:4e26 239c:4e28 239f:4e28 23a2:4e28 23a5:4e28 23aa:4e28 23ae:4e28 31d1:4e28
+1175:4e28 3163:4e28 2f01:4e28 119c:4e28.30fc 1198:4e28.1161 1199:4e28.1163 d7bd:4e28.1163.1169 d7be:4e28.1163.4e28 d7bf:4e28.1167 d7c0:4e28.1167.4e28
+119a:4e28.1169 d7c1:4e28.1169.4e28 d7c2:4e28.116d 119b:4e28.116e d7c3:4e28.1172 119d:4e28.119e d7c4:4e28.4e28 f905:4e32 2f801:4e38 f95e:4e39
+2f802:4e41 31e0:4e59 2f04:4e59 31df:4e5a 2e83:4e5a 31d6:4e5b 2e82:4e5b 2ef2:4e80 f91b:4e82 31da:4e85
+2f05:4e85 f9ba:4e86 30cb:4e8c 2f06:4e8c 2f803:20122 2f07:4ea0 f977:4eae 2f08:4eba 30a4:4ebb 2e85:4ebb
+f9fd:4ec0 2f819:4ecc f9a8:4ee4 2f804:4f60 5002:4f75 2f807:4f75 fa73:4f80 f92d:4f86 f9b5:4f8b fa30:4fae
+2f805:4fae 2f806:4fbb f965:4fbf 503c:5024 f9d4:502b 2f808:507a 2f809:5099 2f80b:50cf f9bb:50da fa31:50e7
+2f80a:50e7 2f80c:349e 2f09:513f fa0c:5140 2e8e:5140 fa74:5145 fa32:514d 2f80e:514d 2f80f:5154 2f810:5164
+2f0a:5165 2f814:5167 fa72:5168 f978:5169 30cf:516b 2f0b:516b f9d1:516d 2f811:5177 2f812:2051c 2f91b:20525
+fa75:5180 2f813:34b9 2f0c:5182 2f815:518d 2f816:2054b 2f8d2:5192 2f8d3:5195 2f9ca:34bb 2f8d4:6700 2f0d:5196
+2f817:5197 2f818:51a4 2f0e:51ab 2f81a:51ac fa71:51b5 2f81b:51b5 f92e:51b7 f979:51c9 f955:51cc f954:51dc
+fa15:51de 2f0f:51e0 2f80d:2063a 2f81d:51f5 2f10:51f5 2f11:5200 2e89:5202 2f81e:5203 fa00:5207 2f850:5207
+f99c:5217 f9dd:5229 2f81f:34df f9ff:523a 2f820:523b 2f821:5246 2f822:5272 2f823:5277 f9c7:5289 2f9d9:20804
+30ab:529b f98a:529b 2f12:529b f99d:52a3 2f824:3515 2f992:52b3 fa76:52c7 2f825:52c7 fa33:52c9 2f826:52c9
+f952:52d2 f92f:52de fa34:52e4 2f827:52e4 f97f:52f5 2f13:52f9 fa77:52fa 2f828:52fa 2f829:5305 2f82a:5306
+2f9dd:208de 2f14:5315 f963:5317 2f82b:5317 2f15:531a 2f16:5338 f9eb:533f 2f17:5341 3038:5341 303a:5345
+2f82c:5349 0fd6:534d 0fd5:5350 fa35:5351 2f82d:5351 2f82e:535a 30c8:535c 2f18:535c 2f19:5369 2e8b:353e
+2f82f:5373 f91c:5375 2f830:537d 2f831:537f 2f832:537f 2f833:537f 2f1a:5382 2f834:20a2c 2f1b:53b6 f96b:53c3
+2f1c:53c8 2f836:53ca 2f837:53df 2f838:20b63 30ed:53e3 2f1d:53e3 56d7:53e3 2f1e:53e3 f906:53e5 2f839:53eb
+2f83a:53f1 2f83b:5406 f9de:540f f9ed:541d 2f83d:5438 f980:5442 2f83e:5448 2f83f:5468 2f83c:549e 2f840:54a2
+f99e:54bd 439b:3588 2f841:54f6 2f842:5510 2f843:5553 555f:5553 fa79:5555 2f844:5563 2f845:5584 2f846:5584
+f90b:5587 fa7a:5599 2f847:5599 fa36:559d fa78:559d 2f848:55ab 2f849:55b3 fa0d:55c0 2f84a:55c2 fa7b:55e2
+fa37:5606 2f84c:5606 2f84e:5651 2f84f:5674 fa38:5668 f9a9:56f9 2f84b:5716 2f84d:5717 2f1f:571f 58eb:571f
+2f20:571f 2f855:578b 2f852:57ce 39b3:363d 2f853:57f4 2f854:580d 2f857:5831 2f856:5832 fa39:5840 fa10:585a
+fa7c:585a f96c:585e 586b:5861 58ff:58ab 2f858:58ac fa7d:58b3 f94a:58d8 f942:58df 2f859:214e4 2f851:58ee
+2f85a:58f2 2f85b:58f7 2f21:5902 2f85c:5906 2f22:590a 30bf:5915 2f23:5915 2f85d:591a 2f85e:5922 2f24:5927
+fa7e:5944 f90c:5948 f909:5951 fa7f:5954 2f85f:5962 f981:5973 2f25:5973 2f860:216a8 2f861:216ea 2f865:59d8
+2f862:59ec 2f863:5a1b 2f864:5a27 fa80:5a62 2f866:5a66 5b00:5aaf 2f867:36ee 2f868:36fc 2f986:5ab5 2f869:5b08
+fa81:5b28 2f86a:5b3e 2f86b:5b3e 2f26:5b50 2f27:5b80 fa04:5b85 2f86c:219c8 2f86d:5bc3 2f86e:5bd8 f95f:5be7
+f9aa:5be7 2f86f:5be7 f9bc:5bee 2f870:5bf3 2f871:21b18 2f28:5bf8 2f872:5bff 2f873:5c06 2f29:5c0f 2f875:5c22
+2e90:5c22 2f2a:5c22 2e8f:5c23 2f876:3781 2f2b:5c38 f9bd:5c3f 2f877:5c60 f94b:5c62 fa3b:5c64 f9df:5c65
+fa3c:5c6e 2f878:5c6e 2f2c:5c6e 2f8f8:21d0b 2f2d:5c71 2f879:5cc0 2f87a:5c8d 2f87b:21de4 2f87d:21de6 f9d5:5d19
+2f87c:5d43 f921:5d50 2f87f:5d6b 2f87e:5d6e 2f880:5d7c 2f9f4:5db2 f9ab:5dba 2f2e:5ddb 2f882:5de2 30a8:5de5
+2f2f:5de5 2f30:5df1 2e92:5df3 2f883:382f 2f884:5dfd 2f31:5dfe 5e32:5e21 2f885:5e28 2f886:5e3d 2f887:5e69
+2f888:3862 2f889:22183 2f32:5e72 f98e:5e74 2f939:2219f 2e93:5e7a 2f33:5e7a 2f34:5e7f fa01:5ea6 2f88a:387c
+2f88b:5eb0 2f88c:5eb3 2f88d:5eb6 f928:5eca 2f88e:5eca f9a2:5ec9 fa82:5ed2 fa0b:5ed3 fa83:5ed9 f982:5eec
+2f35:5ef4 2f890:5efe 2f36:5efe 2f891:22331 2f892:22331 f943:5f04 2f37:5f0b 2f38:5f13 2f894:5f22 2f895:5f22
+2f39:5f50 2e94:5f51 2f874:5f53 2f896:38c7 2f3a:5f61 2f899:5f62 fa84:5f69 2f89a:5f6b 2f3b:5f73 f9d8:5f8b
+2f89b:38e3 2f89c:5f9a f966:5fa9 fa85:5fad 2f3c:5fc3 2e96:5fc4 2e97:38fa 2f89d:5fcd 2f89e:5fd7 f9a3:5ff5
+2f89f:5ff9 f960:6012 f9ac:601c fa6b:6075 2f8a2:391c 2f8a1:393a 2f8a0:6081 fa3d:6094 2f8a3:6094 2f8a5:60c7
+fa86:60d8 f9b9:60e1 2f8a4:226d4 fa88:6108 fa3e:6168 f9d9:6144 2f8a6:6148 2f8a7:614c 2f8a9:614c fa87:614e
+2f8a8:614e fa8a:6160 2f8aa:617a fa3f:618e fa89:618e 2f8ab:618e f98f:6190 2f8ad:61a4 2f8ae:61af 2f8ac:61b2
+fad0:22844 facf:2284a 2f8af:61de fa40:61f2 fa8b:61f2 2f8b0:61f2 f90d:61f6 2f8b1:61f6 f990:6200 2f3d:6208
+2f8b2:6210 2f8b3:621b f9d2:622e fa8c:6234 2f3e:6236 6238:6236 2f3f:624b 2e98:624c 2f8b4:625d 2f8b5:62b1
+f925:62c9 f95b:62cf fa02:62d3 2f8b6:62d4 2f8ba:62fc f973:62fe 2f8b8:22b0c 2f8b9:633d 2f8b7:6350 2f8bb:6368
+f9a4:637b 2f8bc:6383 f975:63a0 2f8c1:63a9 fa8d:63c4 2f8bd:63e4 fa8f:6452 2f8be:22bf1 fa8e:641c 2f8bf:6422
+2f8c0:63c5 2f8c3:6469 2f8c6:6477 2f8c4:647e 2f8c2:3a2e 6409:3a41 f991:649a 2f8c5:649d f930:64c4 2f8c7:3a6c
+2f40:652f 2f41:6534 2e99:6535 fa41:654f 2f8c8:654f fa90:6556 2f8c9:656c f969:6578 2f8ca:2300a 2f42:6587
+2eeb:6589 2f43:6597 f9be:6599 2f44:65a4 2f45:65b9 f983:65c5 2f46:65e0 2e9b:65e1 fa42:65e2 2f8cb:65e3
+2f47:65e5 f9e0:6613 66f6:3ada 2f8d1:3ae4 2f8cd:6649 6669:665a fa12:6674 fa91:6674 fa43:6691 2f8cf:6691
+f9c5:6688 2f8d0:3b08 2f8d5:669c fa06:66b4 f98b:66c6 2f8ce:3b19 2f897:232b8 2f48:66f0 f901:66f4 2f8cc:66f8
+2f49:6708 2f980:2335f 80a6:670c 80d0:670f 80ca:6710 8101:6713 80f6:3b35 f929:6717 fa92:6717 2f8d8:6717
+8127:6718 fa93:671b 2f8d9:671b 2f8da:6721 5e50:3b3a 4420:3b3b 2f989:23393 81a7:6723 2f98a:2339c 2f4a:6728
+f9e1:674e 2f8dc:6753 fa94:6756 2f8db:675e 2f8dd:233c3 67ff:676e f9c8:677b 2f8e0:6785 f9f4:6797 2f8de:3b49
+fad1:233d5 f9c9:67f3 2f8df:67fa f9da:6817 2f8e5:681f 2f8e1:6852 2f8e3:2346d f97a:6881 fa44:6885 2f8e2:6885
+2f8e4:688e f9e2:68a8 2f8e6:6914 2f8e8:6942 fad2:3b9d 2f8e7:3b9d 69e9:3ba3 6a27:699d 2f8e9:69a3 2f8ea:69ea
+f914:6a02 f95c:6a02 f9bf:6a02 f94c:6a13 2f8ec:236a3 2f8eb:6aa8 f931:6ad3 2f8ed:6adb f91d:6b04 2f8ee:3c18
+2f4b:6b20 2f8ef:6b21 2f8f0:238a7 2f8f1:6b54 2f8f2:3c4e 2f4c:6b62 2eed:6b6f 2f8f3:6b72 f98c:6b77 fa95:6b79
+2f4d:6b79 2e9e:6b7a 2f8f4:6b9f f9a5:6bae 2f4e:6bb3 f970:6bba fa96:6bba 2f8f5:6bba 2f8f6:6bbb 2f8f7:23a8d
+2f4f:6bcb 2e9f:6bcd 2f8f9:23afa 2f50:6bd4 2f51:6bdb 2f52:6c0f 2ea0:6c11 2f53:6c14 2f54:6c34 2ea1:6c35
+2ea2:6c3a 2f8fa:6c4e 2f8fe:6c67 f972:6c88 2f8fc:6cbf f968:6ccc 2f8fd:6ccd f9e3:6ce5 2f8fb:23cbc f915:6d1b
+fa05:6d1e 2f907:6d34 2f900:6d3e f9ca:6d41 fa97:6d41 2f902:6d41 2f8ff:6d16 2f903:6d69 f92a:6d6a fa45:6d77
+2f901:6d77 2f904:6d78 2f905:6d85 2f906:23d1e f9f5:6dcb f94d:6dda f9d6:6dea 2f90e:6df9 fa46:6e1a 2f908:6e2f
+2f909:6e6e 6f59:6e88 fa99:6ecb 2f90b:6ecb f9cb:6e9c f9ec:6eba 2f90c:6ec7 f904:6ed1 fa98:6edb 2f90a:3d33
+f94e:6f0f fa47:6f22 fa9a:6f22 f992:6f23 2f90d:23ed1 2f90f:6f6e 2f910:23f5e 2f911:23f8e 2f912:6fc6 f922:6feb
+f984:6ffe 2f915:701b fa9b:701e 2f914:701e 2f913:7039 2f917:704a 2f916:3d96 2f55:706b 2ea3:706c 2f835:7070
+2f919:7077 2f918:707d f9fb:7099 2f91a:70ad f99f:70c8 f916:70d9 fa48:716e fa9c:716e 2f91d:24263 2f91c:7145
+f993:7149 fa6c:242ee 2f91e:719c f9c0:71ce f9ee:71d0 2f91f:243ab f932:7210 f91e:721b 2f920:7228 2f56:722a
+fa49:722b 2ea4:722b fa9e:7235 2f921:7235 2f57:7236 2f58:723b 2ea6:4e2c 2f59:723f 2f5a:7247 2f922:7250
+2f5b:7259 2f923:24608 2f5c:725b f946:7262 2f924:7280 2f925:7295 2f5d:72ac 2ea8:72ad fa9f:72af f9fa:72c0
+2f926:24735 f92b:72fc fa16:732a faa0:732a 2f927:24814 f9a7:7375 2f928:737a 2f5e:7384 f961:7387 f9db:7387
+2f5f:7389 2f929:738b 2f92a:3eac 2f92b:73a5 f9ad:73b2 2f92c:3eb8 2f92d:3eb8 f917:73de f9cc:7409 f9e4:7406
+fa4a:7422 2f92e:7447 2f92f:745c f9ae:7469 faa1:7471 2f930:7471 2f931:7485 f994:7489 f9ef:7498 2f932:74ca
+2f60:74dc 2f61:74e6 2f933:3f1b faa2:7506 2f62:7518 2f63:751f 2f934:7524 2f64:7528 2f65:7530 faa3:753b
+2f936:753e 2f935:24c36 f9cd:7559 f976:7565 f962:7570 2f938:7570 2f937:24c92 2f66:758b 2f67:7592 f9e5:75e2
+2f93a:7610 faa5:761f faa4:761d f9c1:7642 f90e:7669 2f68:7676 2f69:767d 2f93b:24fa1 2f93c:24fb8 2f6a:76ae
+2f6b:76bf 2f93d:25044 2f93e:3ffc fa17:76ca faa6:76ca faa7:76db f933:76e7 2f93f:4008 2f6c:76ee faa8:76f4
+2f940:76f4 2f942:250f2 2f941:250f3 f96d:7701 fad3:4018 2f943:25119 2f945:771e 2f946:771f 2f947:771f 2f944:25133
+faaa:7740 faa9:774a 2f948:774a 9fc3:4039 fad4:4039 2f949:4039 6663:403f 2f94b:4046 2f94a:778b fad5:25249
+fa9d:77a7 2f6d:77db 2f6e:77e2 2f6f:77f3 2f94c:4096 2f94d:2541d 784f:7814 2f94e:784e f9ce:786b f93b:788c
+2f94f:788c fa4b:7891 f947:78ca faab:78cc 2f950:78cc f964:78fb 2f951:40e3 f985:792a 2f70:793a 2ead:793b
+fa18:793c fa4c:793e fa4e:7948 fa4d:7949 2f952:25626 fa4f:7950 fa50:7956 2f953:7956 fa51:795d fa19:795e
+fa1a:7965 fa61:8996 fab8:8996 f93c:797f 2f954:2569a fa52:798d fa53:798e fa1b:798f 2f956:798f 2f955:256c5
+f9b6:79ae 2f71:79b8 2f72:79be f995:79ca 2f958:412f 2f957:79eb f956:7a1c 2f95a:7a4a fa54:7a40 2f959:7a40
+2f95b:7a4f 2f73:7a74 fa55:7a81 2f95c:2597c faac:7ab1 f9f7:7acb 2f74:7acb 2eef:7adc 2f95d:25aa7 2f95e:25aa7
+2f95f:7aee 2f75:7af9 f9f8:7b20 fa56:7bc0 faad:7bc0 2f960:4202 2f961:25bab 2f962:7bc6 2f964:4227 2f963:7bc9
+2f965:25c80 fad6:25cd0 f9a6:7c3e f944:7c60 2f76:7c73 faae:7c7b f9f9:7c92 fa1d:7cbe 2f966:7cd2 fa03:7cd6
+2f968:7ce8 2f967:42a0 2f969:7ce3 f97b:7ce7 2f77:7cf8 2eaf:7cf9 2f96b:25f86 2f96a:7d00 f9cf:7d10 f96a:7d22
+f94f:7d2f 7d76:7d55 2f96c:7d63 faaf:7d5b f93d:7da0 f957:7dbe 2f96e:7dc7 f996:7df4 fa57:7df4 fab0:7df4
+2f96f:7e02 2f96d:4301 fa58:7e09 f950:7e37 fa59:7e41 2f970:7e45 2f898:261da 2f971:4334 2f78:7f36 2f972:26228
+fab1:7f3e 2f973:26247 2f79:7f51 2eab:7f52 2eb2:7f52 2eb1:7f53 2f974:4359 fa5a:7f72 2f975:262d9 f9e6:7f79
+2f976:7f7a f90f:7f85 2f977:2633e 2f7a:7f8a 2f978:7f95 f9af:7f9a fa1e:7fbd 2f7b:7fbd 2f979:7ffa f934:8001
+2f7c:8001 2eb9:8002 fa5b:8005 fab2:8005 2f97a:8005 2f7d:800c 2f97b:264da 2f7e:8012 2f97c:26523 2f7f:8033
+f9b0:8046 2f97d:8060 2f97e:265a8 f997:806f 2f97f:8070 f945:807e 2f80:807f 2eba:8080 2f81:8089 f953:808b
+2f8d6:80ad 2f982:80b2 2f981:43d5 2f8d7:43d9 8141:80fc 2f983:8103 2f985:813e 2f984:440b 2f987:267a7 2f988:267b5
+6726:4443 f926:81d8 2f82:81e3 f9f6:81e8 2f83:81ea fa5c:81ed 2f84:81f3 2f85:81fc 2f893:8201 2f98b:8201
+2f98c:8204 2f86:820c fa6d:8218 2f87:821b 2f88:821f 2f98e:446b 2f89:826e f97c:826f 2f8a:8272 2f8b:8278
+fa5d:8279 fa5e:8279 2ebe:8279 2ebf:8279 2ec0:8279 2f990:828b 2f98f:8291 2f991:829d 2f993:82b1 2f994:82b3
+2f995:82bd f974:82e5 2f998:82e5 2f996:82e6 2f997:26b3c f9fe:8336 fab3:8352 2f99a:8363 2f999:831d 2f99c:8323
+2f99d:83bd 2f9a0:8353 f93e:83c9 2f9a1:83ca 2f9a2:83cc 2f9a3:83dc 2f99e:83e7 fab4:83ef f958:83f1 fa5f:8457
+2f99f:8457 2f9a4:26c36 2f99b:83ad f918:843d f96e:8449 853f:848d 2f9a6:26cd5 2f9a5:26d6b f999:84ee 2f9a8:84f1
+2f9a9:84f3 f9c2:84fc 2f9aa:8516 2f9a7:452b 2f9ac:8564 2f9ad:26f2c f923:85cd 2f9ae:455d 2f9b0:26fb1 2f9af:4561
+f9f0:85fa f935:8606 2f9b2:456b fa20:8612 f91f:862d 2f9b1:270d2 8641:8637 f910:863f 2f8c:864d 2ec1:864e
+2f9b3:8650 f936:865c 2f9b4:865c 2f9b5:8667 2f9b6:8669 2f8d:866b 2f9b7:86a9 2f9b8:8688 2f9ba:86e2 2f9b9:870e
+2f9bc:8728 2f9bd:876b 2f9c0:87e1 fab5:8779 2f9bb:8779 2f9be:8786 2f9bf:45d7 2f9ab:273ca f911:87ba 2f9c1:8801
+2f9c2:45f9 f927:881f 2f8e:8840 fa08:884c 2f8f:884c 2f9c3:8860 2f9c4:8863 2f90:8863 2ec2:8864 f9a0:88c2
+2f9c5:27667 f9e7:88cf 2f9c6:88d7 2f9c7:88de f9e8:88e1 f912:88f8 2f9c9:88fa 2f9c8:4635 fa60:8910 fab6:8941
+f924:8964 2f91:897e 2ec4:897f 2ec3:8980 fab7:8986 fa0a:898b 2f92:898b 2f9cb:278ae 2ec5:89c1 2f93:89d2
+2f94:8a00 2f9cc:27966 8a7d:8a2e 8a1e:46b6 2f9cd:46be 2f9ce:46c7 2f9cf:8aa0 f96f:8aaa f9a1:8aaa fab9:8abf
+fabb:8acb f97d:8ad2 f941:8ad6 fabe:8aed 2f9d0:8aed fa22:8af8 faba:8af8 f95d:8afe fabd:8afe fa62:8b01
+fabc:8b01 fa63:8b39 fabf:8b39 f9fc:8b58 f95a:8b80 8b8f:8b86 fac0:8b8a 2f9d1:8b8a 2ec8:8ba0 2f95:8c37
+2f96:8c46 f900:8c48 2f9d2:8c55 2f97:8c55 8c63:8c5c 2f98:8c78 2f9d3:27ca8 2f99:8c9d 2f9d4:8cab 2f9d5:8cc1
+f948:8cc2 f903:8cc8 fa64:8cd3 fa65:8d08 fac1:8d08 2f9d6:8d1b 2ec9:8d1d 2f9a:8d64 2f9b:8d70 2f9d7:8d77
+8d86:8d7f fad7:27ed3 2f9d8:27f2f 2f9c:8db3 2f9da:8dcb 2f9db:8dbc 8dfa:8de5 f937:8def 2f9dc:8df0 8e9b:8e97
+2f9d:8eab f902:8eca 2f9e:8eca 2f9de:8ed4 8f27:8eff f998:8f26 f9d7:8f2a fac2:8f38 2f9df:8f38 fa07:8f3b
+f98d:8f62 2ecb:8f66 2f9f:8f9b 2f98d:8f9e f971:8fb0 2fa0:8fb0 2fa1:8fb5 fa66:8fb6 2ecc:8fb6 2ecd:8fb6
+2f881:5de1 f99a:9023 fa25:9038 fa67:9038 fac3:9072 f9c3:907c 2f9e0:285d2 2f9e1:285ed f913:908f 2fa2:9091
+2f9e2:9094 f92c:90ce 90de:90ce fa2e:90ce 2f9e3:90f1 fa26:90fd 2f9e5:2872e 2f9e4:9111 2f9e6:911b 2fa3:9149
+f919:916a fac4:9199 f9b7:91b4 2fa4:91c6 f9e9:91cc 2fa5:91cc f97e:91cf f90a:91d1 2fa6:91d1 f9b1:9234
+2f9e7:9238 fac5:9276 2f9e8:92d7 2f9e9:92d8 2f9ea:927c f93f:9304 f99b:934a 93ae:93ad 2f9eb:93f9 2f9ec:9415
+2f9ed:28bfa 2ed0:9485 2ed1:9577 2fa7:9577 2ed2:9578 2ed3:957f 2fa8:9580 2f9ee:958b 2f9ef:4995 f986:95ad
+2f9f0:95b7 2f9f1:28d77 2ed4:95e8 2fa9:961c 2ecf:961d 2ed6:961d f9c6:962e f951:964b fa09:964d f959:9675
+f9d3:9678 fac6:967c f9dc:9686 f9f1:96a3 2f9f2:49e6 2faa:96b6 fa2f:96b7 96b8:96b7 f9b8:96b7 2fab:96b9
+2f9f3:96c3 f9ea:96e2 fa68:96e3 fac7:96e3 2fac:96e8 f9b2:96f6 f949:96f7 2f9f5:9723 2f9f6:29145 f938:9732
+f9b3:9748 2fad:9751 2ed8:9752 fa1c:9756 fac8:9756 2f81c:291df 2fae:975e 2faf:9762 2f9f7:2921a 2fb0:9769
+2f9f8:4a6e 2f9f9:4a76 2fb1:97cb fac9:97db 2f9fa:97e0 2ed9:97e6 2fb2:97ed 2f9fb:2940a 2fb3:97f3 fa69:97ff
+faca:97ff 2fb4:9801 2f9fc:4ab2 facb:980b 2f9fe:980b 2f9ff:980b f9b4:9818 2fa00:9829 2f9fd:29496 fa6a:983b
+facc:983b f9d0:985e 2eda:9875 2fb5:98a8 2fa01:295b6 2edb:98ce 2fb6:98db 2edc:98de 2edd:98df 2fb7:98df
+2edf:98e0 2fa02:98e2 fa2a:98ef fa2b:98fc 2fa03:4b33 fa2c:9928 2fa04:9929 2ee0:9963 2fb8:9996 2fb9:9999
+2fa05:99a7 2fba:99ac 2fa06:99c2 f91a:99f1 2fa07:99fe f987:9a6a 2ee2:9a6c 2fbb:9aa8 2fa08:4bce 2fbc:9ad8
+2fbd:9adf 2fa09:29b30 facd:9b12 2fa0a:9b12 2fbe:9b25 2fbf:9b2f 2fc0:9b32 2fc1:9b3c 2ee4:9b3c 2fc2:9b5a
+f939:9b6f 2fa0b:9c40 f9f2:9c57 2ee5:9c7c 2fc3:9ce5 2fa0c:9cfd 2fa0d:4cce 2fa0f:9d67 2fa0e:4ced 2fa10:2a0ce
+fa2d:9db4 2fa12:2a105 2fa11:4cf8 f93a:9dfa 2fa13:2a20e f920:9e1e 9e43:9e42 2fc4:9e75 f940:9e7f 2fc5:9e7f
+2fa14:2a291 f988:9e97 f9f3:9e9f 2fc6:9ea5 2ee8:9ea6 2fa15:9ebb 2fc7:9ebb 2f88f:2a392 2fc8:9ec3 2ee9:9ec4
+2fc9:9ecd f989:9ece 2fa16:4d56 2fca:9ed1 9ed2:9ed1 fa3a:58a8 2fa17:9ef9 2fcb:9ef9 2fcc:9efd 2fa19:9f05
+2fa18:9efe 2fcd:9f0e 2fa1a:9f0f 2fce:9f13 2fa1b:9f16 2fcf:9f20 2fa1c:9f3b 2fd0:9f3b fad8:9f43 2fd1:9f4a
+2eec:9f50 2fd2:9f52 2fa1d:2a600 2eee:9f7f f9c4:9f8d 2fd3:9f8d fad9:9f8e 2ef0:9f99 f907:9f9c f908:9f9c
+face:9f9c 2fd4:9f9c 2ef3:9f9f 2fd5:9fa0
+`
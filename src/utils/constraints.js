@@ -0,0 +1,211 @@
+import { LENGTH_METRICS, segmenterSupported, segmentText, countGraphemes, codePointLength, utf8Length } from './textStats.js'
+
+// Units a maximum length can be given in; pixels are measured on a canvas in the chosen font
+export const CONSTRAINT_UNITS = {
+  utf16: LENGTH_METRICS.utf16.label,
+  codePoints: LENGTH_METRICS.codePoints.label,
+  graphemes: LENGTH_METRICS.graphemes.label,
+  utf8Bytes: LENGTH_METRICS.utf8Bytes.label,
+  pixels: 'Pixels',
+}
+
+// Wrapping measures the text once per character, which is plenty for UI strings
+export const MAX_CHECKED_LENGTH = 10_000
+
+export const createConstraints = () => ({
+  unit: 'graphemes',
+  maxLength: null,
+  maxLines: null,
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: 14,
+})
+
+const positiveNumber = (value) => (typeof value === 'number' && value > 0 ? value : null)
+
+// Constraints saved in the workspace may come from an older version or a hand-edited file
+export const normalizeConstraints = (constraints) => {
+  const defaults = createConstraints()
+  if (typeof constraints !== 'object' || constraints === null) return defaults
+  return {
+    unit: CONSTRAINT_UNITS[constraints.unit] ? constraints.unit : defaults.unit,
+    maxLength: positiveNumber(constraints.maxLength),
+    maxLines: positiveNumber(constraints.maxLines),
+    fontFamily: typeof constraints.fontFamily === 'string' && constraints.fontFamily.trim() ? constraints.fontFamily : defaults.fontFamily,
+    fontSize: positiveNumber(constraints.fontSize) ?? defaults.fontSize,
+  }
+}
+
+// Text width in CSS pixels, or null where there is no canvas to measure on
+export const createPixelMeasure = ({ fontFamily, fontSize }) => {
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(1, 1)
+    : typeof document !== 'undefined' ? document.createElement('canvas') : null
+  const context = canvas?.getContext('2d')
+  if (!context) return null
+  context.font = `${fontSize}px ${fontFamily}`
+  return (text) => context.measureText(text).width
+}
+
+const UNIT_MEASURES = {
+  utf16: (text) => text.length,
+  codePoints: codePointLength,
+  graphemes: (text) => countGraphemes(text) ?? codePointLength(text),
+  utf8Bytes: utf8Length,
+}
+
+export const getMeasure = (unit, pixelMeasure) => (unit === 'pixels' ? pixelMeasure : UNIT_MEASURES[unit])
+
+const HARD_BREAK_REGEX = /^(?:\r\n|[\n\r\u2028\u2029])$/
+// Spaces a line may wrap after; NBSP, narrow NBSP and figure space hold words together
+const BREAKING_SPACE_REGEX = /^[ \t\u1680\u2000-\u2006\u2008-\u200A\u205F\u3000]$/
+// No-break spaces, word joiner, BOM and the non-breaking hyphen
+const NO_BREAK_REGEX = /^[\u00A0\u202F\u2007\u2060\uFEFF\u2011]/
+const HYPHEN_REGEX = /^[-\u2010\u2013]$/
+const CJK_REGEX = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u3000-\u303F\uFF00-\uFFEF]/u
+// Closing punctuation and small kana never start a line, opening brackets never end one
+const CJK_NO_BREAK_BEFORE = new Set('、。，．：；！？）」』】〕〉》ーゝゞヽヾぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ')
+const CJK_NO_BREAK_AFTER = new Set('（「『【〔〈《')
+// Scripts written without spaces between words; their words come from Intl.Segmenter
+const DICTIONARY_SCRIPT_REGEX = /[\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u
+const SOFT_HYPHEN = '\u00AD'
+const ZWSP = '\u200B'
+
+// Graphemes with their offsets; without Intl.Segmenter code points stand in for them
+const splitGraphemes = (text) => {
+  if (segmenterSupported) return Array.from(segmentText(text, 'grapheme'), ({ segment, index }) => ({ segment, index }))
+  const graphemes = []
+  let index = 0
+  for (const segment of text) {
+    graphemes.push({ segment, index })
+    index += segment.length
+  }
+  return graphemes
+}
+
+// Whether a line may wrap between two graphemes. A simplified version of the Unicode line
+// breaking rules: after spaces, ZWSP, soft hyphens and hyphens, between CJK characters and
+// at the word boundaries of Thai, Lao, Khmer and Myanmar, but never at a no-break character.
+const canBreakBetween = (before, after, wordBoundaries, index) => {
+  if (NO_BREAK_REGEX.test(before) || NO_BREAK_REGEX.test(after)) return false
+  if (BREAKING_SPACE_REGEX.test(before)) return !BREAKING_SPACE_REGEX.test(after)
+  if (BREAKING_SPACE_REGEX.test(after)) return false
+  if (before === ZWSP || before === SOFT_HYPHEN) return true
+  if (HYPHEN_REGEX.test(before)) return !/^\d/.test(after)
+  if (CJK_REGEX.test(before) || CJK_REGEX.test(after)) {
+    return !CJK_NO_BREAK_BEFORE.has(after[0]) && !CJK_NO_BREAK_AFTER.has(before[before.length - 1])
+  }
+  return wordBoundaries.has(index)
+}
+
+// Lines as displayed: soft hyphens only show where the line breaks, and spaces at the end hang
+const displayedLine = (text, start, end, atSoftHyphen) => {
+  let line = text.slice(start, end).replaceAll(SOFT_HYPHEN, '')
+  line = line.replace(/[ \t\u1680\u2000-\u2006\u2008-\u200A\u205F\u3000]+$/, '')
+  return atSoftHyphen ? `${line}-` : line
+}
+
+// Wraps the text into lines no longer than maxLength, breaking only where the line breaking
+// rules allow and mid-word only for a word too long for a line of its own. Each line is
+// { start, end, text, length } with end at the start of the next line.
+export const wrapText = (text, maxLength, measure) => {
+  const graphemes = splitGraphemes(text)
+  const wordBoundaries = new Set()
+  if (DICTIONARY_SCRIPT_REGEX.test(text) && segmenterSupported) {
+    for (const { index } of segmentText(text, 'word')) wordBoundaries.add(index)
+  }
+
+  const lines = []
+  let lineStart = 0
+  // The end of the last place the current line could break, and whether that is a soft hyphen
+  let lastBreak = null
+  const pushLine = (end, atSoftHyphen) => {
+    const display = displayedLine(text, lineStart, end, atSoftHyphen)
+    lines.push({ start: lineStart, end, text: display, length: measure(display) })
+    lineStart = end
+    lastBreak = null
+  }
+
+  graphemes.forEach(({ segment, index }, i) => {
+    const end = index + segment.length
+    const next = graphemes[i + 1]
+    if (HARD_BREAK_REGEX.test(segment)) {
+      const display = displayedLine(text, lineStart, index, false)
+      lines.push({ start: lineStart, end, text: display, length: measure(display) })
+      lineStart = end
+      lastBreak = null
+      return
+    }
+    if (measure(displayedLine(text, lineStart, end, segment === SOFT_HYPHEN)) > maxLength && index > lineStart) {
+      // Wrap at the last break opportunity, or right here for a word that does not fit at all
+      if (lastBreak) pushLine(lastBreak.end, lastBreak.atSoftHyphen)
+      else pushLine(index, false)
+      // The rest of the line since that break may still be too long
+      while (index > lineStart && measure(displayedLine(text, lineStart, end, false)) > maxLength) pushLine(index, false)
+    }
+    if (next && canBreakBetween(segment, next.segment, wordBoundaries, next.index)) {
+      lastBreak = { end, atSoftHyphen: segment === SOFT_HYPHEN }
+    }
+  })
+  const display = displayedLine(text, lineStart, text.length, false)
+  lines.push({ start: lineStart, end: text.length, text: display, length: measure(display) })
+  return lines
+}
+
+// The first offset in start..end at which the measured range grows past maxLength
+const findOverflow = (text, start, end, maxLength, measureRange) => {
+  const graphemes = splitGraphemes(text.slice(start, end))
+  let low = 0
+  let high = graphemes.length
+  while (low < high) {
+    const mid = (low + high) >> 1
+    const { segment, index } = graphemes[mid]
+    if (measureRange(start, start + index + segment.length) > maxLength) high = mid
+    else low = mid + 1
+  }
+  return low < graphemes.length ? start + graphemes[low].index : null
+}
+
+// Checks a text against a maximum length and a maximum number of lines. With a line limit
+// the length is the width of each line and the text wraps to it; without one it is the
+// length of the whole text, or of its widest line for pixels. truncation is the offset of
+// the first character that no longer fits, or null when everything does.
+export const checkConstraints = (text, { unit, maxLength, maxLines }, measure) => {
+  const limit = maxLength ?? Infinity
+  const measureLine = (start, end) => measure(displayedLine(text, start, end, false))
+  const lines = wrapText(text, maxLines ? limit : Infinity, measure)
+  const widest = Math.max(...lines.map((line) => line.length))
+
+  if (maxLines) {
+    // Only a single character wider than a line can still be too long after wrapping
+    const overflowing = lines.findIndex((line) => line.length > limit)
+    return {
+      lines,
+      length: widest,
+      lengthPassed: overflowing === -1,
+      linesPassed: lines.length <= maxLines,
+      truncation: overflowing !== -1 && overflowing < maxLines
+        ? findOverflow(text, lines[overflowing].start, lines[overflowing].end, limit, measureLine)
+        : lines[maxLines]?.start ?? null,
+    }
+  }
+
+  if (unit === 'pixels') {
+    const overflowing = lines.find((line) => line.length > limit)
+    return {
+      lines,
+      length: widest,
+      lengthPassed: !overflowing,
+      linesPassed: true,
+      truncation: overflowing ? findOverflow(text, overflowing.start, overflowing.end, limit, measureLine) : null,
+    }
+  }
+
+  const length = measure(text)
+  return {
+    lines,
+    length,
+    lengthPassed: length <= limit,
+    linesPassed: true,
+    truncation: length > limit ? findOverflow(text, 0, text.length, limit, (start, end) => measure(text.slice(start, end))) : null,
+  }
+}
@@ -0,0 +1,48 @@
+import { convertLineEndings } from './lineEndings.js'
+
+// Compare methods of the diff viewer, finest first
+export const DIFF_GRANULARITIES = {
+  diffChars: 'Characters',
+  diffWords: 'Words',
+  diffSentences: 'Sentences',
+  diffLines: 'Lines',
+}
+
+export const DIFF_IGNORE_OPTIONS = {
+  case: { label: 'Ignore case', description: 'Upper- and lower-case letters compare equal; differences are shown in lower case' },
+  whitespace: { label: 'Ignore whitespace', description: 'Runs of spaces and tabs compare as one space, and spaces at the start or end of a line are ignored' },
+  spaces: { label: 'Space variants as space', description: 'No-break space, narrow no-break space and thin space compare equal to a space' },
+  zeroWidth: { label: 'Ignore zero-width characters', description: 'Zero-width space, joiners, word joiner and BOM are left out of the comparison' },
+  lineEndings: { label: 'Ignore line endings', description: 'CRLF, CR and the Unicode line and paragraph separators compare equal to LF' },
+}
+
+export const createDiffOptions = () => ({ granularity: 'diffWords', splitView: true, ignore: [] })
+
+// Options saved in the workspace may come from an older version or a hand-edited file
+export const normalizeDiffOptions = (options) => {
+  const defaults = createDiffOptions()
+  if (typeof options !== 'object' || options === null) return defaults
+  return {
+    granularity: DIFF_GRANULARITIES[options.granularity] ? options.granularity : defaults.granularity,
+    splitView: typeof options.splitView === 'boolean' ? options.splitView : defaults.splitView,
+    ignore: Array.isArray(options.ignore) ? options.ignore.filter((option) => DIFF_IGNORE_OPTIONS[option]) : defaults.ignore,
+  }
+}
+
+const SPACE_VARIANT_REGEX = /[\u00A0\u202F\u2009]/g
+const ZERO_WIDTH_REGEX = /[\u200B-\u200D\u2060\uFEFF]/g
+// Horizontal whitespace only; the BOM counts as whitespace in JavaScript but is zero-width here
+const WHITESPACE_RUN_REGEX = /[^\S\r\n\u2028\u2029\uFEFF]+/g
+
+// Rewrites a text so the ignored differences disappear. Both texts go through it before
+// they reach the viewer and the similarity score, so the two always agree.
+export const normalizeForComparison = (text, ignore) => {
+  if (ignore.length === 0) return text
+  let result = text
+  if (ignore.includes('lineEndings')) result = convertLineEndings(result, 'lf')
+  if (ignore.includes('zeroWidth')) result = result.replace(ZERO_WIDTH_REGEX, '')
+  if (ignore.includes('spaces')) result = result.replace(SPACE_VARIANT_REGEX, ' ')
+  if (ignore.includes('whitespace')) result = result.replace(WHITESPACE_RUN_REGEX, ' ').replace(/^ | $/gm, '')
+  if (ignore.includes('case')) result = result.toLowerCase()
+  return result
+}
@@ -0,0 +1,259 @@
+import { diffSequences } from './lineDiff.js'
+import { getBuiltInCategory } from './specialChars.js'
+import { describeCodePoints } from './normalization.js'
+import { LINE_ENDINGS } from './lineEndings.js'
+
+export const DIFFERENCE_TYPES = {
+  whitespace: 'Whitespace',
+  'zero-width': 'Zero-width',
+  bidi: 'Bidi control',
+  'line-ending': 'Line ending',
+  normalization: 'Normalization',
+  invisible: 'Other invisible',
+  watched: 'Watch list',
+  visible: 'Visible text',
+}
+
+const MESSAGES = {
+  whitespace: { substituted: 'Whitespace variant substituted', inserted: 'Whitespace inserted', removed: 'Whitespace removed' },
+  'zero-width': { substituted: 'Zero-width character substituted', inserted: 'Zero-width character inserted', removed: 'Zero-width character removed' },
+  bidi: { substituted: 'Bidi control substituted', inserted: 'Bidi control inserted', removed: 'Bidi control removed' },
+  'line-ending': { substituted: 'Line ending changed', inserted: 'Line break inserted', removed: 'Line break removed' },
+  normalization: { substituted: 'Normalization-only difference' },
+  invisible: { substituted: 'Invisible character substituted', inserted: 'Invisible character inserted', removed: 'Invisible character removed' },
+  watched: { substituted: 'Watched character substituted', inserted: 'Watched character inserted', removed: 'Watched character removed' },
+  visible: { substituted: 'Visible text changed', inserted: 'Visible text inserted', removed: 'Visible text removed' },
+}
+
+// Combining marks stay with their base, so a composed and a decomposed letter compare as one unit
+const CLUSTER_REGEX = /\P{M}\p{M}*|\p{M}+/gu
+const LINE_BREAK_REGEX = /^[\r\n\u0085\u2028\u2029]$/
+// Edits allowed within one changed line; past it the line's changed middle counts as one change
+const MAX_LINE_EDITS = 500
+const MAX_QUOTED_LENGTH = 40
+const MAX_DESCRIBED_CHARS = 6
+
+// Watch-list characters the built-in registry does not know, visible or not; a watched
+// bidi mark or space keeps its own type
+const watchedChars = (watchList) =>
+  new Set(watchList.map(({ char }) => char).filter((char) => !getBuiltInCategory(char)))
+
+// The type of one cluster, given the set from watchedChars
+const clusterType = (cluster, watched) => {
+  if (LINE_BREAK_REGEX.test(cluster)) return 'line-ending'
+  if (getBuiltInCategory(cluster) === 'bidi') return 'bidi'
+  if (watched.has(cluster)) return 'watched'
+  // The BOM counts as whitespace in JavaScript but is a zero-width character
+  if (/^\s$/u.test(cluster) && cluster !== '\uFEFF') return 'whitespace'
+  if (/^\p{Default_Ignorable_Code_Point}$/u.test(cluster)) return 'zero-width'
+  if (/^[\p{C}\p{Z}]$/u.test(cluster)) return 'invisible'
+  return 'visible'
+}
+
+const splitClusters = (text) => {
+  const clusters = []
+  const offsets = []
+  for (const match of text.matchAll(CLUSTER_REGEX)) {
+    clusters.push(match[0])
+    offsets.push(match.index)
+  }
+  offsets.push(text.length)
+  return { clusters, offsets }
+}
+
+const quote = (text) => `"${text.length > MAX_QUOTED_LENGTH ? `${text.slice(0, MAX_QUOTED_LENGTH)}…` : text}"`
+
+// Runs of one character (indentation, padding) are counted instead of listed
+const describeChars = (text) => {
+  const chars = [...text]
+  if (chars.length > 1 && chars.every((char) => char === chars[0])) return `${describeCodePoints(chars[0])} ×${chars.length}`
+  if (chars.length > MAX_DESCRIBED_CHARS) return `${describeCodePoints(chars.slice(0, MAX_DESCRIBED_CHARS).join(''))} …`
+  return describeCodePoints(text)
+}
+
+const describeLineEnding = (sequence) =>
+  Object.values(LINE_ENDINGS).find((ending) => ending.sequence === sequence)?.label ?? (sequence ? describeCodePoints(sequence) : 'none')
+
+const describeDifference = (type, action, removed, added) => {
+  const describe = type === 'visible' ? quote : describeChars
+  if (action === 'substituted') return `${MESSAGES[type].substituted} (${describe(removed)} → ${describe(added)})`
+  return `${MESSAGES[type][action]} (${describe(action === 'inserted' ? added : removed)})`
+}
+
+// Characters worth reporting apart from a visible edit; a plain space or tab in a reworded
+// sentence is part of the edit
+const standsOut = (cluster, watched) => clusterType(cluster, watched) !== 'visible' && cluster !== ' ' && cluster !== '\t'
+
+const actionOf = (removed, added) => (removed && added ? 'substituted' : added ? 'inserted' : 'removed')
+
+// One type for a run of changed clusters: its only type, whitespace for blank space that
+// includes line breaks, the watch list for a mix with a watched character, or other
+// invisible for any other mix
+const runType = (clusters, watched) => {
+  const types = new Set(clusters.map((cluster) => clusterType(cluster, watched)))
+  if (types.size === 1) return [...types][0]
+  if (types.has('visible')) return 'visible'
+  if (types.has('watched')) return 'watched'
+  if (types.size === 2 && types.has('whitespace') && types.has('line-ending')) return 'whitespace'
+  return 'invisible'
+}
+
+// The changed stretches between two versions of a line, in clusters: each hunk has the
+// cluster index where it starts on both sides and the clusters removed and added there
+export const diffLineClusters = (oldText, newText) => {
+  const a = splitClusters(oldText)
+  const b = splitClusters(newText)
+  const steps = diffSequences(a.clusters, b.clusters, MAX_LINE_EDITS)
+
+  // A mostly rewritten line is one change between its common start and end, not a
+  // scatter of edits around the letters both versions happen to share
+  const equal = steps.filter((step) => step === 'equal').length
+  if (equal * 2 < Math.min(a.clusters.length, b.clusters.length)) {
+    let prefix = 0
+    while (steps[prefix] === 'equal') prefix++
+    let suffix = 0
+    while (steps[steps.length - 1 - suffix] === 'equal') suffix++
+    const hunk = {
+      oldStart: prefix,
+      newStart: prefix,
+      removed: a.clusters.slice(prefix, a.clusters.length - suffix),
+      added: b.clusters.slice(prefix, b.clusters.length - suffix),
+    }
+    return { a, b, hunks: [hunk] }
+  }
+
+  const hunks = []
+  let i = 0
+  let j = 0
+  let hunk = null
+  steps.forEach((step) => {
+    if (step === 'equal') {
+      hunk = null
+      i++
+      j++
+      return
+    }
+    if (!hunk) {
+      hunk = { oldStart: i, newStart: j, removed: [], added: [] }
+      hunks.push(hunk)
+    }
+    if (step === 'delete') hunk.removed.push(a.clusters[i++])
+    else hunk.added.push(b.clusters[j++])
+  })
+  return { a, b, hunks }
+}
+
+const isNormalizationOnly = (removed, added) =>
+  Boolean(removed && added) && ['NFC', 'NFKC'].some((form) => removed.normalize(form) === added.normalize(form))
+
+// The type of one change taken as a whole, with the characters on the watch list as their own type
+export const classifyChange = (removed, added, watchList = []) => {
+  const watched = watchedChars(watchList)
+  const clusters = [...splitClusters(removed).clusters, ...splitClusters(added).clusters]
+  // NFKC also folds space variants into a space; those count as whitespace
+  if (clusters.some((cluster) => clusterType(cluster, watched) === 'visible') && isNormalizationOnly(removed, added)) return 'normalization'
+  return runType(clusters, watched)
+}
+
+// Sorts the differences between two texts into types, from the rows of diffLines. Changed
+// lines are compared cluster by cluster; invisible characters next to a visible edit are
+// reported on their own so they are not hidden inside it. Positions are 1-based per side.
+export const summarizeDifferences = (rows, watchList = []) => {
+  const watched = watchedChars(watchList)
+  const differences = []
+  const lastLeft = rows.reduce((last, row) => row.left ?? last, 0)
+  const lastRight = rows.reduce((last, row) => row.right ?? last, 0)
+
+  const add = (type, action, removed, added, left, right, message) =>
+    differences.push({ type, action, removed, added, left, right, message: message ?? describeDifference(type, action, removed, added) })
+
+  const addHunk = (row, hunk, a, b) => {
+    const removed = hunk.removed.join('')
+    const added = hunk.added.join('')
+    const start = { line: row.left, column: a.offsets[hunk.oldStart] + 1 }
+    const end = { line: row.right, column: b.offsets[hunk.newStart] + 1 }
+
+    const clusters = [...hunk.removed, ...hunk.added]
+    const hasVisible = clusters.some((cluster) => clusterType(cluster, watched) === 'visible')
+
+    // NFKC also folds space variants into a space; those are reported as whitespace
+    if (hasVisible && isNormalizationOnly(removed, added)) {
+      add('normalization', 'substituted', removed, added, start, end)
+      return
+    }
+    if (!hasVisible || !clusters.some((cluster) => standsOut(cluster, watched))) {
+      const type = runType(clusters, watched)
+      const atLineEnd = hunk.oldStart + hunk.removed.length === a.clusters.length && hunk.newStart + hunk.added.length === b.clusters.length
+      if (type === 'line-ending' && atLineEnd) {
+        // A CR left before the LF that splits the lines: report the whole line ending
+        const oldEnding = removed + (row.left < lastLeft ? '\n' : '')
+        const newEnding = added + (row.right < lastRight ? '\n' : '')
+        add(type, 'substituted', removed, added, start, end,
+          `${MESSAGES[type].substituted} (${describeLineEnding(oldEnding)} → ${describeLineEnding(newEnding)})`)
+        return
+      }
+      add(type, actionOf(removed, added), removed, added, start, end)
+      return
+    }
+
+    // A visible edit with invisible characters mixed in: the visible text as one change,
+    // every run of invisible characters on its own
+    const visible = (list) => list.filter((cluster) => !standsOut(cluster, watched)).join('')
+    const visibleRemoved = visible(hunk.removed)
+    const visibleAdded = visible(hunk.added)
+    add('visible', actionOf(visibleRemoved, visibleAdded), visibleRemoved, visibleAdded, start, end)
+    const addInvisibleRuns = (list, first, offsets, side) => {
+      let runStart = null
+      list.forEach((cluster, i) => {
+        const invisible = standsOut(cluster, watched)
+        if (invisible && runStart === null) runStart = i
+        if (runStart !== null && (!invisible || i === list.length - 1)) {
+          const run = list.slice(runStart, invisible ? i + 1 : i)
+          const position = { line: side === 'left' ? row.left : row.right, column: offsets[first + runStart] + 1 }
+          const text = run.join('')
+          if (side === 'left') add(runType(run, watched), 'removed', text, '', position, end)
+          else add(runType(run, watched), 'inserted', '', text, start, position)
+          runStart = null
+        }
+      })
+    }
+    addInvisibleRuns(hunk.removed, hunk.oldStart, a.offsets, 'left')
+    addInvisibleRuns(hunk.added, hunk.newStart, b.offsets, 'right')
+  }
+
+  const compareLines = (row) => {
+    const { a, b, hunks } = diffLineClusters(row.oldText, row.newText)
+    hunks.forEach((hunk) => addHunk(row, hunk, a, b))
+  }
+
+  // Whole removed or added lines, with the line breaks that went with them
+  const addLines = (lines, side) => {
+    if (lines.length === 0) return
+    const texts = lines.map((row) => (side === 'left' ? row.oldText : row.newText))
+    const content = texts.join('\n')
+    const text = `${content}\n`
+    const type = content ? runType(splitClusters(content).clusters, watched) : 'line-ending'
+    const position = { line: side === 'left' ? lines[0].left : lines[0].right, column: 1 }
+    if (side === 'left') add(type, 'removed', text, '', position, null, describeDifference(type, 'removed', content || text, ''))
+    else add(type, 'inserted', '', text, null, position, describeDifference(type, 'inserted', '', content || text))
+  }
+
+  let removedLines = []
+  let addedLines = []
+  const flushLines = () => {
+    addLines(removedLines, 'left')
+    addLines(addedLines, 'right')
+    removedLines = []
+    addedLines = []
+  }
+  rows.forEach((row) => {
+    if (row.type === 'removed') removedLines.push(row)
+    else if (row.type === 'added') addedLines.push(row)
+    else {
+      flushLines()
+      if (row.type === 'changed') compareLines(row)
+    }
+  })
+  flushLines()
+  return differences
+}
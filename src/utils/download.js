@@ -0,0 +1,9 @@
+// Saves a string as a file through a temporary object URL
+export const downloadFile = (fileName, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,48 @@
+const hasPrefix = (bytes, prefix) => prefix.every((byte, i) => bytes[i] === byte)
+
+// Mostly-ASCII UTF-16 without a BOM has a zero in every other byte
+const sniffUtf16 = (bytes) => {
+  const sample = bytes.subarray(0, 1024)
+  let evenZeros = 0
+  let oddZeros = 0
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++
+      else oddZeros++
+    }
+  }
+  const pairs = sample.length / 2
+  if (pairs < 2) return null
+  if (oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) return 'utf-16le'
+  if (evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) return 'utf-16be'
+  return null
+}
+
+const isValidUtf8 = (bytes) => {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Works out how file bytes are encoded: from a byte order mark if there is one, otherwise
+// from the content. Bytes that are not valid UTF-8 are read as Latin-1 (Windows-1252).
+export const sniffEncoding = (buffer) => {
+  const bytes = new Uint8Array(buffer)
+  if (hasPrefix(bytes, [0xEF, 0xBB, 0xBF])) return { encoding: 'utf-8', label: 'UTF-8 with BOM' }
+  if (hasPrefix(bytes, [0xFF, 0xFE])) return { encoding: 'utf-16le', label: 'UTF-16LE with BOM' }
+  if (hasPrefix(bytes, [0xFE, 0xFF])) return { encoding: 'utf-16be', label: 'UTF-16BE with BOM' }
+
+  const utf16 = sniffUtf16(bytes)
+  if (utf16) return { encoding: utf16, label: `${utf16.toUpperCase()} without BOM` }
+  if (isValidUtf8(bytes)) return { encoding: 'utf-8', label: 'UTF-8' }
+  return { encoding: 'windows-1252', label: 'Latin-1 (Windows-1252)' }
+}
+
+// Decodes file bytes to a string, returning the detected encoding alongside it
+export const decodeFile = (buffer) => {
+  const detected = sniffEncoding(buffer)
+  return { text: new TextDecoder(detected.encoding).decode(new Uint8Array(buffer)), encoding: detected }
+}
@@ -0,0 +1,89 @@
+import { createPositionLookup } from './textPosition.js'
+import { applyEdits } from './textEdits.js'
+
+const CONTEXT_LENGTH = 24
+const MAX_MATCHES = 10000
+
+// \u{1F600} or \u00A0, so invisible characters can be typed into the find and replace fields
+const CODE_POINT_ESCAPE = /\\u\{([0-9a-fA-F]+)\}|\\u([0-9a-fA-F]{4})/g
+
+// Escapes plus the $-references String.prototype.replace understands
+const REPLACEMENT_TOKEN = new RegExp(`${CODE_POINT_ESCAPE.source}|\\$(?:(\\$)|(&)|(\`)|(')|(\\d{1,2})|<([^>]*)>)`, 'g')
+
+const decodeCodePoint = (escape, hex) => {
+  const codePoint = parseInt(hex, 16)
+  if (codePoint > 0x10FFFF) throw new SyntaxError(`${escape} is beyond U+10FFFF`)
+  return String.fromCodePoint(codePoint)
+}
+
+export const decodeEscapes = (value) =>
+  value.replace(CODE_POINT_ESCAPE, (escape, braced, fixed) => decodeCodePoint(escape, braced ?? fixed))
+
+export const toEscape = (char) =>
+  [...char].map((c) => `\\u{${c.codePointAt(0).toString(16).toUpperCase()}}`).join('')
+
+// Only syntax characters: identity escapes such as \- are errors with the u flag
+const escapeRegExp = (value) => value.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&')
+
+// Plain text is matched literally after decoding escapes; regular expressions keep their own
+// escape syntax and always run in Unicode mode so \p{…} and \u{…} work
+export const buildSearchRegex = ({ find, regex, matchCase, unicodeSets }) => {
+  const source = regex ? find : escapeRegExp(decodeEscapes(find))
+  const flags = `g${matchCase ? '' : 'i'}${regex && unicodeSets ? 'v' : 'u'}`
+  return new RegExp(source, flags)
+}
+
+// Expands a replacement template for one match; $-references only apply to regular expressions
+const expandReplacement = (template, match, text, useReferences) =>
+  template.replace(REPLACEMENT_TOKEN, (token, braced, fixed, dollar, whole, before, after, group, name) => {
+    if (braced !== undefined || fixed !== undefined) return decodeCodePoint(token, braced ?? fixed)
+    if (!useReferences) return token
+    if (dollar) return '$'
+    if (whole) return match[0]
+    if (before) return text.slice(0, match.index)
+    if (after) return text.slice(match.index + match[0].length)
+    if (group !== undefined) {
+      const groupCount = match.length - 1
+      if (Number(group) >= 1 && Number(group) <= groupCount) return match[Number(group)] ?? ''
+      // $12 with fewer than 12 groups means $1 followed by "2"
+      if (group.length === 2 && Number(group[0]) >= 1 && Number(group[0]) <= groupCount) return (match[group[0]] ?? '') + group[1]
+      return token
+    }
+    return match.groups ? match.groups[name] ?? '' : token
+  })
+
+export const findMatches = (text, query) => {
+  if (!query.find) return { matches: [], truncated: false, error: null }
+
+  let regex
+  try {
+    regex = buildSearchRegex(query)
+    decodeEscapes(query.replace)
+  } catch (error) {
+    return { matches: [], truncated: false, error: error.message }
+  }
+
+  const position = createPositionLookup(text)
+  const matches = []
+  let truncated = false
+  for (const match of text.matchAll(regex)) {
+    if (matches.length === MAX_MATCHES) {
+      truncated = true
+      break
+    }
+    const end = match.index + match[0].length
+    matches.push({
+      index: match.index,
+      length: match[0].length,
+      text: match[0],
+      replacement: expandReplacement(query.replace, match, text, query.regex),
+      before: text.slice(Math.max(0, match.index - CONTEXT_LENGTH), match.index),
+      after: text.slice(end, end + CONTEXT_LENGTH),
+      ...position(match.index)
+    })
+  }
+  return { matches, truncated, error: null }
+}
+
+export const applyMatches = (text, matches) =>
+  applyEdits(text, matches.map((match) => ({ index: match.index, length: match.length, insert: match.replacement })))
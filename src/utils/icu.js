@@ -0,0 +1,376 @@
+import { charRegistry, getCharInfo } from './specialChars.js'
+import { createPositionLookup } from './textPosition.js'
+
+// ICU MessageFormat parsing, validation and formatting.
+// AST nodes: literal, argument, simple (number/date/...), plural, selectordinal, select, pound.
+
+// ICU skips Pattern_White_Space between tokens. NBSP is not part of it, so `one<NBSP>{`
+// reads the NBSP as part of the keyword.
+const PATTERN_WHITE_SPACE = new Set(['\t', '\n', '\u000B', '\f', '\r', ' ', '\u0085', '\u200E', '\u200F', '\u2028', '\u2029'])
+
+const SIMPLE_TYPES = new Set(['number', 'date', 'time', 'spellout', 'ordinal', 'duration'])
+const SELECTOR_TYPES = new Set(['plural', 'selectordinal', 'select'])
+export const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other']
+
+const syntaxError = (message, index) => {
+  const error = new Error(message)
+  error.index = index
+  return error
+}
+
+const hiddenCharsIn = (value) => [...value].filter((char) => charRegistry[char] && !PATTERN_WHITE_SPACE.has(char))
+
+const describeHidden = (chars) =>
+  [...new Set(chars)].map((char) => `${getCharInfo(char).display} (${getCharInfo(char).code})`).join(', ')
+
+const visible = (value) =>
+  [...value].map((char) => (charRegistry[char] && char !== ' ' ? `[${getCharInfo(char).display}]` : char)).join('')
+
+// Parses a whole message; the first syntax error stops parsing, other problems are collected
+export const parseIcu = (source) => {
+  let pos = 0
+  const issues = []
+
+  const warn = (severity, code, message, index) => issues.push({ severity, code, message, index })
+
+  const peek = () => source[pos]
+
+  const skipWhiteSpace = () => {
+    while (pos < source.length && PATTERN_WHITE_SPACE.has(source[pos])) pos++
+  }
+
+  // Reads up to the next white space or syntax character
+  const readToken = () => {
+    const start = pos
+    while (pos < source.length && !PATTERN_WHITE_SPACE.has(source[pos]) && !'{},'.includes(source[pos])) {
+      pos++
+    }
+    return source.slice(start, pos)
+  }
+
+  const expect = (char, message) => {
+    skipWhiteSpace()
+    if (peek() !== char) {
+      throw syntaxError(message, pos)
+    }
+    pos++
+  }
+
+  // Message text up to an unmatched '}' (when nested) or the end of input
+  const parseMessage = (openIndex, inPlural) => {
+    const nodes = []
+    let literal = ''
+    let literalStart = pos
+    const flush = () => {
+      if (literal) nodes.push({ type: 'literal', value: literal, start: literalStart, end: pos })
+      literal = ''
+    }
+
+    while (pos < source.length) {
+      const char = peek()
+      if (char === "'") {
+        const next = source[pos + 1]
+        if (next === "'") {
+          literal += "'"
+          pos += 2
+        } else if (next === '{' || next === '}' || next === '|' || (inPlural && next === '#')) {
+          // Quoted literal: runs to the next lone apostrophe
+          const quoteStart = pos
+          pos++
+          while (pos < source.length) {
+            if (peek() === "'" && source[pos + 1] === "'") {
+              literal += "'"
+              pos += 2
+            } else if (peek() === "'") {
+              break
+            } else {
+              literal += source[pos++]
+            }
+          }
+          if (pos >= source.length) {
+            warn('warning', 'unterminated-quote', 'Quoted literal is never closed; the rest of the message is literal text', quoteStart)
+          }
+          pos++
+        } else {
+          literal += char
+          pos++
+        }
+      } else if (char === '{') {
+        flush()
+        nodes.push(parseArgument(inPlural))
+        literalStart = pos
+      } else if (char === '}') {
+        if (openIndex !== null) break
+        throw syntaxError("Unmatched '}'", pos)
+      } else if (char === '#' && inPlural) {
+        flush()
+        nodes.push({ type: 'pound', start: pos, end: pos + 1 })
+        pos++
+        literalStart = pos
+      } else {
+        literal += char
+        pos++
+      }
+    }
+    flush()
+
+    if (openIndex !== null && pos >= source.length) {
+      throw syntaxError("Unbalanced braces: this '{' is never closed", openIndex)
+    }
+    return nodes
+  }
+
+  const parseArgument = (inPlural) => {
+    const start = pos
+    pos++
+    skipWhiteSpace()
+    const nameStart = pos
+    const name = readToken()
+    if (!name) {
+      throw syntaxError(pos >= source.length ? "Unbalanced braces: this '{' is never closed" : 'Missing argument name', pos >= source.length ? start : pos)
+    }
+    const hidden = hiddenCharsIn(name)
+    if (hidden.length > 0) {
+      warn('error', 'hidden-name', `Argument name "${visible(name)}" contains ${describeHidden(hidden)}`, nameStart)
+    } else if (!/^(?:\d+|[\p{L}_][\p{L}\p{N}_-]*)$/u.test(name)) {
+      warn('error', 'invalid-name', `"${name}" is not a valid argument name`, nameStart)
+    }
+
+    skipWhiteSpace()
+    if (peek() === '}') {
+      pos++
+      return { type: 'argument', name, start, end: pos }
+    }
+    if (pos >= source.length) {
+      throw syntaxError("Unbalanced braces: this '{' is never closed", start)
+    }
+    expect(',', `Expected ',' or '}' after argument "${name}"`)
+    skipWhiteSpace()
+    const typeStart = pos
+    const argType = readToken()
+
+    if (SELECTOR_TYPES.has(argType)) {
+      expect(',', `Expected ',' before the ${argType} branches of "${name}"`)
+      return parseSelector(name, argType, start, inPlural)
+    }
+
+    if (!SIMPLE_TYPES.has(argType)) {
+      warn('error', 'unknown-type', argType ? `Unknown argument type "${visible(argType)}"` : `Missing argument type after "${name},"`, typeStart)
+    }
+    skipWhiteSpace()
+    let style = ''
+    if (peek() === ',') {
+      pos++
+      const styleStart = pos
+      // Styles may contain quoted or nested braces (number skeletons, date patterns)
+      let depth = 0
+      while (pos < source.length && !(peek() === '}' && depth === 0)) {
+        if (peek() === '{') depth++
+        if (peek() === '}') depth--
+        pos++
+      }
+      style = source.slice(styleStart, pos).trim()
+    }
+    expect('}', pos >= source.length ? "Unbalanced braces: this '{' is never closed" : `Expected '}' to close argument "${name}"`)
+    return { type: SIMPLE_TYPES.has(argType) ? 'simple' : 'argument', name, argType, style, start, end: pos }
+  }
+
+  const parseSelector = (name, argType, start, inPlural) => {
+    const node = { type: argType, name, offset: 0, options: {}, start, end: null }
+    skipWhiteSpace()
+    if (argType !== 'select' && source.startsWith('offset:', pos)) {
+      pos += 7
+      skipWhiteSpace()
+      const offset = readToken()
+      if (!/^\d+$/.test(offset)) {
+        throw syntaxError(`Invalid plural offset "${offset}"`, pos - offset.length)
+      }
+      node.offset = Number(offset)
+    }
+
+    for (;;) {
+      skipWhiteSpace()
+      if (pos >= source.length) {
+        throw syntaxError("Unbalanced braces: this '{' is never closed", start)
+      }
+      if (peek() === '}') {
+        pos++
+        break
+      }
+      const keyStart = pos
+      const key = readToken()
+      if (!key) {
+        throw syntaxError(`Expected a selector keyword in "${name}"`, pos)
+      }
+      validateSelector(node, key, keyStart)
+      expect('{', `Expected '{' after selector "${visible(key)}"`)
+      const braceIndex = pos - 1
+      // `#` stays special inside a select nested in a plural
+      const value = parseMessage(braceIndex, inPlural || argType !== 'select')
+      pos++
+      if (node.options[key]) {
+        warn('warning', 'duplicate-selector', `Selector "${visible(key)}" appears more than once in "${name}"; only the first branch is used`, keyStart)
+      } else {
+        node.options[key] = { value, start: keyStart }
+      }
+    }
+
+    node.end = pos
+    if (!node.options.other) {
+      warn('error', 'missing-other', `${argType} argument "${name}" has no "other" branch`, start)
+    }
+    return node
+  }
+
+  const validateSelector = (node, key, keyStart) => {
+    const hidden = hiddenCharsIn(key)
+    if (hidden.length > 0) {
+      warn('error', 'hidden-selector',
+        `Selector "${visible(key)}" contains ${describeHidden(hidden)}, so ICU will not match it as "${key.replace(/\P{L}/gu, '') || key}"`, keyStart)
+      return
+    }
+    if (node.type !== 'select' && !PLURAL_CATEGORIES.includes(key) && !/^=\d+(?:\.\d+)?$/.test(key)) {
+      warn('error', 'invalid-selector', `"${key}" is not a plural category (${PLURAL_CATEGORIES.join(', ')}) or an exact value like =0`, keyStart)
+    }
+  }
+
+  try {
+    return { ast: parseMessage(null, false), issues }
+  } catch (error) {
+    issues.push({ severity: 'error', code: 'syntax', message: error.message, index: error.index })
+    return { ast: null, issues }
+  }
+}
+
+const walk = (nodes, visit) => {
+  nodes.forEach((node) => {
+    visit(node)
+    if (node.options) Object.values(node.options).forEach((option) => walk(option.value, visit))
+  })
+}
+
+export const getPluralCategories = (locale, argType = 'plural') =>
+  new Intl.PluralRules(locale, { type: argType === 'selectordinal' ? 'ordinal' : 'cardinal' }).resolvedOptions().pluralCategories
+
+// Plural and selectordinal branches should cover every category the locale uses
+const checkPluralCoverage = (ast, locale, issues) => {
+  walk(ast, (node) => {
+    if (node.type !== 'plural' && node.type !== 'selectordinal') return
+    const categories = getPluralCategories(locale, node.type)
+    const missing = categories.filter((category) => !node.options[category])
+    if (missing.length > 0 && node.options.other) {
+      issues.push({
+        severity: 'warning',
+        code: 'missing-category',
+        message: `"${node.name}" has no ${missing.join(', ')} ${missing.length === 1 ? 'branch' : 'branches'} for ${locale}; those numbers fall back to "other"`,
+        index: node.start
+      })
+    }
+    Object.entries(node.options).forEach(([key, option]) => {
+      if (PLURAL_CATEGORIES.includes(key) && !categories.includes(key)) {
+        issues.push({
+          severity: 'warning',
+          code: 'unused-category',
+          message: `"${key}" branch of "${node.name}" is never selected in ${locale}`,
+          index: option.start
+        })
+      }
+    })
+  })
+}
+
+export const getArguments = (ast) => {
+  const found = new Map()
+  walk(ast, (node) => {
+    if (!node.name) return
+    const existing = found.get(node.name)
+    // A plural/select usage tells us more about the value than a plain {name}
+    if (!existing || existing.type === 'argument') {
+      found.set(node.name, { name: node.name, type: node.type, argType: node.argType, options: node.options ? Object.keys(node.options) : [] })
+    }
+  })
+  return [...found.values()]
+}
+
+export const isLocaleSupported = (locale) => {
+  try {
+    return Intl.PluralRules.supportedLocalesOf(locale).length > 0
+  } catch {
+    return false
+  }
+}
+
+export const analyzeIcu = (source, locale = 'en') => {
+  const { ast, issues } = parseIcu(source)
+  if (ast && isLocaleSupported(locale)) checkPluralCoverage(ast, locale, issues)
+
+  const position = createPositionLookup(source)
+  return {
+    ast,
+    arguments: ast ? getArguments(ast) : [],
+    issues: issues
+      .map((issue) => ({ ...issue, ...position(issue.index) }))
+      .sort((a, b) => a.index - b.index)
+  }
+}
+
+// A representative number for each plural category of a locale
+export const getPluralSamples = (locale, argType = 'plural') => {
+  const rules = new Intl.PluralRules(locale, { type: argType === 'selectordinal' ? 'ordinal' : 'cardinal' })
+  const categories = rules.resolvedOptions().pluralCategories
+  const samples = {}
+  const candidates = [...Array(201).keys(), 1000, 10000, 100000, 1000000, 0.5, 1.5, 2.5, 0.1]
+  for (const n of candidates) {
+    const category = rules.select(n)
+    if (samples[category] === undefined) samples[category] = n
+    if (Object.keys(samples).length === categories.length) break
+  }
+  return samples
+}
+
+const toNumber = (value) => (typeof value === 'number' ? value : Number(value))
+
+const formatSimple = (node, value, locale) => {
+  const number = toNumber(value)
+  if (node.argType === 'number' && !Number.isNaN(number)) {
+    const options = { percent: { style: 'percent' }, integer: { maximumFractionDigits: 0 } }[node.style] || {}
+    return new Intl.NumberFormat(locale, options).format(number)
+  }
+  if (node.argType === 'date' || node.argType === 'time') {
+    const date = value instanceof Date ? value : new Date(value)
+    if (Number.isNaN(date.getTime())) return String(value)
+    const style = ['short', 'medium', 'long', 'full'].includes(node.style) ? node.style : 'medium'
+    return new Intl.DateTimeFormat(locale, node.argType === 'date' ? { dateStyle: style } : { timeStyle: style }).format(date)
+  }
+  return String(value)
+}
+
+export const formatIcu = (ast, values, locale = 'en') => {
+  const render = (nodes, pluralValue) =>
+    nodes.map((node) => {
+      const value = values[node.name]
+      switch (node.type) {
+        case 'literal':
+          return node.value
+        case 'pound':
+          return pluralValue === undefined ? '#' : new Intl.NumberFormat(locale).format(pluralValue)
+        case 'argument':
+          return value === undefined ? `{${node.name}}` : String(value)
+        case 'simple':
+          return value === undefined ? `{${node.name}}` : formatSimple(node, value, locale)
+        case 'select': {
+          const option = node.options[String(value)] || node.options.other
+          return option ? render(option.value, pluralValue) : ''
+        }
+        default: {
+          const number = toNumber(value)
+          if (Number.isNaN(number)) return `{${node.name}}`
+          const exact = node.options[`=${number}`]
+          const category = new Intl.PluralRules(locale, { type: node.type === 'selectordinal' ? 'ordinal' : 'cardinal' }).select(number - node.offset)
+          const option = exact || node.options[category] || node.options.other
+          return option ? render(option.value, number - node.offset) : ''
+        }
+      }
+    }).join('')
+  return render(ast, undefined)
+}
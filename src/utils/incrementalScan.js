@@ -0,0 +1,56 @@
+const isHighSurrogate = (code) => code >= 0xD800 && code <= 0xDBFF
+const isLowSurrogate = (code) => code >= 0xDC00 && code <= 0xDFFF
+
+// First position in the sorted array holding a value >= target
+const lowerBound = (values, target) => {
+  let low = 0
+  let high = values.length
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (values[mid] < target) low = mid + 1
+    else high = mid
+  }
+  return low
+}
+
+const scanRange = (text, start, end, regex) =>
+  Array.from(text.slice(start, end).matchAll(regex), (match) => match.index + start)
+
+// Returns a scan function that finds the offsets of every match of charRegex, a regex from
+// buildCharRegex. Each call
+// rescans only the stretch between the text's common start and end with the previous call,
+// which is what a keystroke or a paste changes, and shifts the offsets after it.
+export const createIncrementalScanner = (charRegex) => {
+  let previous = ''
+  let offsets = new Int32Array(0)
+
+  return (text) => {
+    if (text === previous) return offsets
+
+    const shortest = Math.min(text.length, previous.length)
+    let start = 0
+    while (start < shortest && text.charCodeAt(start) === previous.charCodeAt(start)) start++
+    let end = 0
+    while (end < shortest - start &&
+      text.charCodeAt(text.length - 1 - end) === previous.charCodeAt(previous.length - 1 - end)) end++
+    // Never cut a surrogate pair in half; matches are whole code points
+    if (start > 0 && isHighSurrogate(text.charCodeAt(start - 1))) start--
+    if (end > 0 && isLowSurrogate(text.charCodeAt(text.length - end))) end--
+
+    const before = offsets.subarray(0, lowerBound(offsets, start))
+    const changed = scanRange(text, start, text.length - end, charRegex)
+    const after = offsets.subarray(lowerBound(offsets, previous.length - end))
+    const shift = text.length - previous.length
+
+    const next = new Int32Array(before.length + changed.length + after.length)
+    next.set(before)
+    next.set(changed, before.length)
+    after.forEach((offset, i) => {
+      next[before.length + changed.length + i] = offset + shift
+    })
+
+    previous = text
+    offsets = next
+    return offsets
+  }
+}
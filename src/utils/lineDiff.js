@@ -0,0 +1,161 @@
+// Line-level diff for the large-text comparison view and the difference summary. Myers'
+// algorithm runs on the items between the common head and tail, with a cap on the number of
+// edits so two unrelated multi-megabyte texts cannot stall it; past the cap the middle is
+// reported as replaced.
+
+const MAX_EDITS = 2000
+
+const commonPrefixLength = (a, b) => {
+  let length = 0
+  while (length < a.length && length < b.length && a[length] === b[length]) length++
+  return length
+}
+
+const commonSuffixLength = (a, b, prefix) => {
+  let length = 0
+  while (length < a.length - prefix && length < b.length - prefix && a[a.length - 1 - length] === b[b.length - 1 - length]) length++
+  return length
+}
+
+// Edit script between two arrays of line ids as 'equal', 'delete' and 'insert' steps,
+// or null when more than maxEdits insertions and deletions are needed
+const myers = (a, b, maxEdits) => {
+  const n = a.length
+  const m = b.length
+  const offset = Math.min(n + m, maxEdits) + 1
+  const v = new Int32Array(2 * offset + 1)
+  const trace = []
+
+  for (let d = 0; d <= Math.min(n + m, maxEdits); d++) {
+    trace.push(v.slice(offset - d, offset + d + 1))
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= n && y >= m) return backtrack(trace, a.length, b.length, d)
+    }
+  }
+  return null
+}
+
+const backtrack = (trace, n, m, depth) => {
+  const steps = []
+  let x = n
+  let y = m
+  for (let d = depth; d > 0; d--) {
+    // trace[d] holds V as it was before round d, indexed from k = -d
+    const v = trace[d]
+    const at = (k) => v[k + d]
+    const k = x - y
+    const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1
+    const previousX = at(previousK)
+    const previousY = previousX - previousK
+    while (x > previousX && y > previousY) {
+      steps.push('equal')
+      x--
+      y--
+    }
+    steps.push(x === previousX ? 'insert' : 'delete')
+    x = previousX
+    y = previousY
+  }
+  while (x > 0 && y > 0) {
+    steps.push('equal')
+    x--
+    y--
+  }
+  return steps.reverse()
+}
+
+// Edit script between two arrays of lines, characters or line ids as 'equal', 'delete'
+// and 'insert' steps
+export const diffSequences = (a, b, maxEdits = MAX_EDITS) => {
+  const prefix = commonPrefixLength(a, b)
+  const suffix = commonSuffixLength(a, b, prefix)
+  const middleA = a.slice(prefix, a.length - suffix)
+  const middleB = b.slice(prefix, b.length - suffix)
+  const steps = myers(middleA, middleB, maxEdits) ||
+    [...middleA.map(() => 'delete'), ...middleB.map(() => 'insert')]
+  return Array(prefix).fill('equal').concat(steps, Array(suffix).fill('equal'))
+}
+
+// Rows for a side-by-side view: 'equal', 'removed', 'added', or 'changed' when a removed
+// and an added line face each other. Line numbers are 1-based; the missing side is null.
+export const diffLines = (text1, text2, { maxEdits = MAX_EDITS } = {}) => {
+  const a = text1.split('\n')
+  const b = text2.split('\n')
+
+  // Compare numbers instead of strings inside the diff loop
+  const ids = new Map()
+  const toId = (line) => {
+    if (!ids.has(line)) ids.set(line, ids.size)
+    return ids.get(line)
+  }
+  const steps = diffSequences(a.map(toId), b.map(toId), maxEdits)
+
+  const rows = []
+  const equalRow = (i, j) => ({ type: 'equal', left: i + 1, right: j + 1, oldText: a[i], newText: b[j] })
+
+  let i = 0
+  let j = 0
+  let removed = []
+  let added = []
+  const flush = () => {
+    for (let pair = 0; pair < Math.max(removed.length, added.length); pair++) {
+      const left = removed[pair]
+      const right = added[pair]
+      rows.push({
+        type: left === undefined ? 'added' : right === undefined ? 'removed' : 'changed',
+        left: left === undefined ? null : left + 1,
+        right: right === undefined ? null : right + 1,
+        oldText: left === undefined ? null : a[left],
+        newText: right === undefined ? null : b[right],
+      })
+    }
+    removed = []
+    added = []
+  }
+  steps.forEach((step) => {
+    if (step === 'equal') {
+      flush()
+      rows.push(equalRow(i++, j++))
+    } else if (step === 'delete') {
+      removed.push(i++)
+    } else {
+      added.push(j++)
+    }
+  })
+  flush()
+  return rows
+}
+
+// The changed middle of two lines, after their common start and end
+export const splitChangedLine = (oldText, newText) => {
+  const prefix = commonPrefixLength(oldText, newText)
+  const suffix = commonSuffixLength(oldText, newText, prefix)
+  return {
+    prefix: oldText.slice(0, prefix),
+    removed: oldText.slice(prefix, oldText.length - suffix),
+    added: newText.slice(prefix, newText.length - suffix),
+    suffix: oldText.slice(oldText.length - suffix),
+  }
+}
+
+// Upper bound on the edit distance: each changed pair costs its longer changed middle,
+// each removed or added line its length plus the line break
+export const estimateDistance = (rows) =>
+  rows.reduce((distance, row) => {
+    if (row.type === 'changed') {
+      const { removed, added } = splitChangedLine(row.oldText, row.newText)
+      return distance + Math.max(removed.length, added.length)
+    }
+    if (row.type === 'removed') return distance + row.oldText.length + 1
+    if (row.type === 'added') return distance + row.newText.length + 1
+    return distance
+  }, 0)
@@ -0,0 +1,45 @@
+export const LINE_ENDINGS = {
+  lf: { label: 'LF', description: 'Unix, macOS', sequence: '\n' },
+  crlf: { label: 'CRLF', description: 'Windows', sequence: '\r\n' },
+  cr: { label: 'CR', description: 'Classic Mac OS', sequence: '\r' },
+  ls: { label: 'LS', description: 'Line Separator U+2028', sequence: '\u2028' },
+  ps: { label: 'PS', description: 'Paragraph Separator U+2029', sequence: '\u2029' },
+}
+
+const STYLE_BY_SEQUENCE = Object.fromEntries(Object.entries(LINE_ENDINGS).map(([style, { sequence }]) => [sequence, style]))
+
+const LINE_BREAK_REGEX = /\r\n|[\r\n\u2028\u2029]/g
+
+// Counts each line-ending style and records the lines where the style switches.
+// Every style counts as a line break, so line numbers match what an editor shows.
+export const analyzeLineEndings = (text) => {
+  const counts = Object.fromEntries(Object.keys(LINE_ENDINGS).map((style) => [style, 0]))
+  const changes = []
+  let previous = null
+  let line = 1
+
+  for (const match of text.matchAll(LINE_BREAK_REGEX)) {
+    const style = STYLE_BY_SEQUENCE[match[0]]
+    counts[style]++
+    if (previous && style !== previous) changes.push({ line, index: match.index, from: previous, to: style })
+    previous = style
+    line++
+  }
+
+  const styles = Object.keys(counts).filter((style) => counts[style] > 0)
+  return {
+    counts,
+    styles,
+    total: line - 1,
+    mixed: styles.length > 1,
+    dominant: styles.reduce((best, style) => (best && counts[best] >= counts[style] ? best : style), null),
+    changes
+  }
+}
+
+export const convertLineEndings = (text, style) => text.replace(LINE_BREAK_REGEX, LINE_ENDINGS[style].sequence)
+
+// U+2028/U+2029 end a JavaScript string literal before ES2019 and still trip up JSONP and
+// older JSON tooling; the escaped forms are safe everywhere
+export const escapeLineSeparators = (text) =>
+  text.replace(/[\u2028\u2029]/g, (char) => `\\u${char.charCodeAt(0).toString(16).toUpperCase()}`)
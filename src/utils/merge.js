@@ -0,0 +1,105 @@
+import { diffLines } from './lineDiff.js'
+import { diffLineClusters, classifyChange } from './diffSummary.js'
+
+export const MERGE_CHOICES = {
+  left: 'Take left',
+  right: 'Take right',
+  both: 'Take both',
+}
+
+const lineStarts = (text) => {
+  const starts = [0]
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1)
+  }
+  return starts
+}
+
+// The changes between two texts as hunks that can each take either side or both. A hunk
+// covers text1.slice(leftStart, leftEnd) and text2.slice(rightStart, rightEnd); an insertion
+// is an empty range on the other side. Changed lines are split cluster by cluster, so a
+// stripped NBSP is a hunk of its own; whole removed or added lines are one hunk per run.
+// Hunk types follow classifyChange, so characters on the watch list are typed as watched.
+export const computeMergeHunks = (text1, text2, watchList = []) => {
+  const rows = diffLines(text1, text2)
+  const starts1 = lineStarts(text1)
+  const starts2 = lineStarts(text2)
+  const hunks = []
+
+  const add = (leftStart, leftEnd, rightStart, rightEnd, left, right) => {
+    const leftText = text1.slice(leftStart, leftEnd)
+    const rightText = text2.slice(rightStart, rightEnd)
+    hunks.push({ leftStart, leftEnd, rightStart, rightEnd, leftText, rightText, left, right, type: classifyChange(leftText, rightText, watchList) })
+  }
+
+  // A run of lines only one side has, placed after line afterLine (0 for the start) of the
+  // other side. Lines run up to and including their line break; at the end of the text there
+  // is none after them, so the one before is taken and the run goes at the end of afterLine.
+  const addLines = (run, side, afterLine) => {
+    const [starts, text, otherStarts, otherText] = side === 'left' ? [starts1, text1, starts2, text2] : [starts2, text2, starts1, text1]
+    const lineOf = (row) => (side === 'left' ? row.left : row.right)
+    const first = lineOf(run[0])
+    const last = lineOf(run[run.length - 1])
+    const atEnd = last === starts.length && first > 1
+    const start = atEnd ? starts[first - 1] - 1 : starts[first - 1]
+    const end = last === starts.length ? text.length : starts[last]
+    let insertAt = afterLine === 0 ? 0 : otherStarts[afterLine] ?? otherText.length
+    if (atEnd && afterLine > 0) insertAt = (otherStarts[afterLine] ?? otherText.length + 1) - 1
+    if (side === 'left') add(start, end, insertAt, insertAt, { line: first, column: 1 }, null)
+    else add(insertAt, insertAt, start, end, null, { line: first, column: 1 })
+  }
+
+  let previousLeft = 0
+  let previousRight = 0
+  let removed = []
+  let added = []
+  const flush = () => {
+    if (removed.length > 0) addLines(removed, 'left', previousRight)
+    if (added.length > 0) addLines(added, 'right', previousLeft)
+    removed = []
+    added = []
+  }
+
+  rows.forEach((row) => {
+    if (row.type === 'removed') removed.push(row)
+    else if (row.type === 'added') added.push(row)
+    else {
+      flush()
+      if (row.type === 'changed') {
+        const base1 = starts1[row.left - 1]
+        const base2 = starts2[row.right - 1]
+        const { a, b, hunks: lineHunks } = diffLineClusters(row.oldText, row.newText)
+        lineHunks.forEach((hunk) => {
+          const leftStart = base1 + a.offsets[hunk.oldStart]
+          const rightStart = base2 + b.offsets[hunk.newStart]
+          add(
+            leftStart,
+            base1 + a.offsets[hunk.oldStart + hunk.removed.length],
+            rightStart,
+            base2 + b.offsets[hunk.newStart + hunk.added.length],
+            { line: row.left, column: a.offsets[hunk.oldStart] + 1 },
+            { line: row.right, column: b.offsets[hunk.newStart] + 1 }
+          )
+        })
+      }
+    }
+    if (row.left !== null) previousLeft = row.left
+    if (row.right !== null) previousRight = row.right
+  })
+  flush()
+  return hunks
+}
+
+// Text 2 with every hunk replaced by its chosen side; hunks without a choice keep Text 2
+export const applyMergeChoices = (text2, hunks, choices) => {
+  let result = ''
+  let cursor = 0
+  hunks.forEach((hunk, i) => {
+    const choice = choices[i] ?? 'right'
+    result += text2.slice(cursor, hunk.rightStart)
+    if (choice !== 'right') result += hunk.leftText
+    if (choice !== 'left') result += hunk.rightText
+    cursor = hunk.rightEnd
+  })
+  return result + text2.slice(cursor)
+}
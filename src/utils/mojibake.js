@@ -0,0 +1,117 @@
+import { createPositionLookup } from './textPosition.js'
+import { applyEdits } from './textEdits.js'
+
+// Windows-1252 bytes 0x80-0x9F. The five undefined slots decode to the C1 control
+// with the same value, as browsers do.
+const CP1252_HIGH = '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F' +
+  '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178'
+
+// Character -> the single byte it came from when UTF-8 was read as Windows-1252 or Latin-1
+const byteOf = new Map()
+for (let byte = 0; byte < 0x100; byte++) byteOf.set(String.fromCharCode(byte), byte)
+;[...CP1252_HIGH].forEach((char, i) => byteOf.set(char, 0x80 + i))
+
+const charsForBytes = (from, to) =>
+  [...byteOf].filter(([, byte]) => byte >= from && byte <= to).map(([char]) => `\\u{${char.codePointAt(0).toString(16)}}`).join('')
+
+const CONTINUATION = charsForBytes(0x80, 0xBF)
+
+// A UTF-8 lead byte followed by the right number of continuation bytes, as misread characters
+const MOJIBAKE_RUN = new RegExp(
+  `(?:[${charsForBytes(0xC2, 0xDF)}][${CONTINUATION}]|[${charsForBytes(0xE0, 0xEF)}][${CONTINUATION}]{2}|[${charsForBytes(0xF0, 0xF4)}][${CONTINUATION}]{3})+`,
+  'gu'
+)
+
+const C1_CONTROL = /[\u0080-\u009F]/u
+
+// Re-encodes misread characters to bytes and decodes them as UTF-8; null if they are not valid UTF-8
+const decodeRun = (run) => {
+  const bytes = [...run].map((char) => byteOf.get(char))
+  if (bytes.some((byte) => byte === undefined)) return null
+  try {
+    return new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(new Uint8Array(bytes))
+  } catch {
+    return null
+  }
+}
+
+// Peels off as many bad decodes as it takes (double-encoded text needs two)
+const unwrapRun = (run) => {
+  const chain = []
+  let current = run
+  for (let layer = 0; layer < 3; layer++) {
+    const decoded = decodeRun(current)
+    if (decoded === null || decoded === current) break
+    chain.push(C1_CONTROL.test(current) ? 'Latin-1' : 'Windows-1252')
+    current = decoded
+  }
+  return { decoded: current, chain }
+}
+
+export const findingLabels = {
+  mojibake: 'Mojibake',
+  bom: 'Stray BOM',
+  replacement: 'Lost bytes',
+}
+
+export const describeChain = (chain) => `UTF-8 → ${chain.join(' → ')}`
+
+export const findEncodingDamage = (text) => {
+  const position = createPositionLookup(text)
+  const findings = []
+  const add = (finding) => findings.push({ ...finding, ...position(finding.index) })
+
+  for (const match of text.matchAll(MOJIBAKE_RUN)) {
+    const { decoded, chain } = unwrapRun(match[0])
+    if (chain.length === 0) continue
+    const isBom = decoded === '\uFEFF'
+    add({
+      type: 'mojibake',
+      index: match.index,
+      length: match[0].length,
+      text: match[0],
+      chain,
+      replacement: isBom ? '' : decoded,
+      message: isBom
+        ? 'UTF-8 byte order mark decoded as text'
+        : chain.length > 1
+          ? `Double-encoded UTF-8 (decoded ${chain.length} times)`
+          : `UTF-8 decoded as ${chain[0]}`
+    })
+  }
+
+  for (const match of text.matchAll(/\uFEFF/gu)) {
+    if (match.index === 0) continue
+    add({
+      type: 'bom',
+      index: match.index,
+      length: 1,
+      text: match[0],
+      chain: [],
+      replacement: '',
+      message: 'Byte order mark in the middle of the text, usually left over from concatenated files'
+    })
+  }
+
+  for (const match of text.matchAll(/\uFFFD+/gu)) {
+    add({
+      type: 'replacement',
+      index: match.index,
+      length: match[0].length,
+      text: match[0],
+      chain: [],
+      replacement: null,
+      message: `${match[0].length === 1 ? 'Replacement character' : `${match[0].length} replacement characters`}: the original bytes were lost when decoding and cannot be restored`
+    })
+  }
+
+  return findings.sort((a, b) => a.index - b.index)
+}
+
+export const repairEncodingDamage = (text, findings) =>
+  applyEdits(
+    text,
+    findings
+      .filter((finding) => finding.replacement !== null)
+      .map((finding) => ({ index: finding.index, length: finding.length, insert: finding.replacement }))
+  )
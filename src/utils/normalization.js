@@ -0,0 +1,91 @@
+import { formatCodePoint } from './specialChars.js'
+import { createPositionLookup } from './textPosition.js'
+
+export const NORMALIZATION_FORMS = {
+  NFC: 'Canonical composition',
+  NFD: 'Canonical decomposition',
+  NFKC: 'Compatibility composition',
+  NFKD: 'Compatibility decomposition',
+}
+
+const FORMS = Object.keys(NORMALIZATION_FORMS)
+
+// A base character with its combining marks: the smallest unit normalization rewrites
+const CLUSTER_REGEX = /\P{M}\p{M}*|\p{M}+/gu
+
+export const describeCodePoints = (sequence) =>
+  [...sequence].map((char) => formatCodePoint(char.codePointAt(0))).join(' ')
+
+export const getNormalizationStatus = (text) =>
+  Object.fromEntries(FORMS.map((form) => [form, text === text.normalize(form)]))
+
+// Every distinct cluster that some normalization form would rewrite
+export const findNormalizationCandidates = (text) => {
+  const position = createPositionLookup(text)
+  const candidates = new Map()
+
+  for (const match of text.matchAll(CLUSTER_REGEX)) {
+    const sequence = match[0]
+    const existing = candidates.get(sequence)
+    if (existing) {
+      existing.count++
+      continue
+    }
+    const forms = Object.fromEntries(FORMS.map((form) => [form, sequence.normalize(form)]))
+    if (FORMS.every((form) => forms[form] === sequence)) continue
+
+    let kind = 'decomposable'
+    if (forms.NFKC !== forms.NFC) kind = 'compatibility'
+    else if (sequence !== forms.NFC) kind = 'decomposed'
+
+    candidates.set(sequence, { sequence, kind, forms, count: 1, index: match.index, ...position(match.index) })
+  }
+  return [...candidates.values()]
+}
+
+export const candidateKinds = {
+  decomposable: 'Precomposed',
+  decomposed: 'Decomposed',
+  compatibility: 'Compatibility',
+}
+
+// Normalizes the whole text, or only [start, end) when a selection is given
+export const normalizeText = (text, form, start = 0, end = text.length) =>
+  text.slice(0, start) + text.slice(start, end).normalize(form) + text.slice(end)
+
+// Pairs up the clusters of two texts that are equal under `form` but differ as written
+const alignClusters = (text1, text2, form) => {
+  const clusters1 = [...text1.matchAll(CLUSTER_REGEX)]
+  const clusters2 = [...text2.matchAll(CLUSTER_REGEX)]
+  const position1 = createPositionLookup(text1)
+  const differences = []
+  let i = 0
+  let j = 0
+
+  while (i < clusters1.length && j < clusters2.length) {
+    const index = clusters1[i].index
+    let a = clusters1[i++][0]
+    let b = clusters2[j++][0]
+    // One side may need several clusters to match the other (ﬁ against f + i)
+    while (a.normalize(form) !== b.normalize(form)) {
+      const grow1 = a.normalize(form).length < b.normalize(form).length
+      if (grow1 && i < clusters1.length) a += clusters1[i++][0]
+      else if (!grow1 && j < clusters2.length) b += clusters2[j++][0]
+      else return differences
+    }
+    if (a !== b) differences.push({ text1: a, text2: b, index, ...position1(index) })
+  }
+  return differences
+}
+
+// Classifies two differing texts that only differ in normalization
+export const compareNormalization = (text1, text2) => {
+  if (text1 === text2) return null
+  const form = ['NFC', 'NFKC'].find((candidate) => text1.normalize(candidate) === text2.normalize(candidate))
+  if (!form) return null
+  return {
+    form,
+    kind: form === 'NFC' ? 'canonical' : 'compatibility',
+    differences: alignClusters(text1, text2, form)
+  }
+}
@@ -0,0 +1,209 @@
+import { charRegistry, getCharInfo } from './specialChars.js'
+import { createPositionLookup } from './textPosition.js'
+
+// Placeholder syntaxes, in the order they claim text. Later patterns never match
+// inside a span an earlier one already took, so `{{name}}` is not also read as ICU.
+// Only ASCII whitespace is allowed inside them: `\s` would also accept a no-break space,
+// which findBrokenPlaceholders reports instead.
+const PATTERNS = [
+  { type: 'mustache', regex: /\{\{\{?[ \t\r\n]*[#/^&>]?[ \t\r\n]*[\w.-]+[ \t\r\n]*\}?\}\}/g },
+  { type: 'ruby', regex: /%\{[\w.-]+\}/g },
+  { type: 'printf', regex: /%%|%\([\w.-]+\)[-+0#]*\d*(?:\.\d+)?[diouxXeEfFgGcrsa]|%(?:\d+\$)?[-+0#]*(?:\d+|\*)?(?:\.(?:\d+|\*))?(?:hh|h|ll|l|L|z|j|t|q)?[diouxXeEfFgGaAcspn@]/g },
+  { type: 'tag', regex: /<\/?[a-zA-Z][\w:-]*(?:[ \t\r\n][^<>]*?)?\/?>/g },
+]
+
+const ICU_ARGUMENT = /^[ \t\r\n]*(\w+)[ \t\r\n]*(?:,[ \t\r\n]*(\w+)[ \t\r\n]*(?:,[\s\S]*)?)?$/
+const INDEXED_ARGUMENT = /^[ \t\r\n]*\d+[ \t\r\n]*(?:,[ \t\r\n]*-?\d+[ \t\r\n]*)?(?::[^{}]*)?$/
+const ICU_SELECTORS = new Set(['plural', 'select', 'selectordinal'])
+
+export const placeholderTypes = {
+  mustache: 'Mustache',
+  ruby: 'Ruby / i18next',
+  printf: 'printf',
+  tag: 'HTML / XML tag',
+  icu: 'ICU',
+  indexed: '.NET / indexed',
+}
+
+// Comparison key: whitespace collapsed, tag attributes dropped
+const toKey = (type, raw) => {
+  if (type === 'tag') {
+    const [, slash, name, selfClosing] = raw.match(/^<(\/?)([a-zA-Z][\w:-]*)[\s\S]*?(\/?)>$/)
+    return `<${slash}${name.toLowerCase()}${selfClosing}>`
+  }
+  return raw.replace(/\s+/g, '')
+}
+
+// Finds the brace group starting at `start`, returning the index of its closing brace
+const matchBrace = (text, start) => {
+  let depth = 0
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth++
+    else if (text[i] === '}' && --depth === 0) return i
+  }
+  return -1
+}
+
+// ICU and .NET arguments, recursing into plural/select branches and plain brace groups
+const scanBraces = (text, offset, found) => {
+  let i = 0
+  while (i < text.length) {
+    if (text[i] !== '{') {
+      i++
+      continue
+    }
+    const end = matchBrace(text, i)
+    if (end === -1) return
+    const content = text.slice(i + 1, end)
+
+    if (INDEXED_ARGUMENT.test(content)) {
+      found.push({ type: 'indexed', raw: text.slice(i, end + 1), index: offset + i })
+    } else {
+      const argument = content.match(ICU_ARGUMENT)
+      if (argument) {
+        const [, name, argType] = argument
+        const raw = argType ? `{${name}, ${argType}}` : `{${name}}`
+        found.push({ type: 'icu', raw, index: offset + i })
+        if (argType && ICU_SELECTORS.has(argType)) {
+          const branches = content.indexOf(',', content.indexOf(',') + 1)
+          scanBraces(content.slice(branches + 1), offset + i + branches + 2, found)
+        }
+      } else {
+        scanBraces(content, offset + i + 1, found)
+      }
+    }
+    i = end + 1
+  }
+}
+
+export const extractPlaceholders = (text) => {
+  const found = []
+  let masked = text
+
+  PATTERNS.forEach(({ type, regex }) => {
+    for (const match of masked.matchAll(regex)) {
+      if (match[0] === '%%' || match[0].includes('\0')) continue
+      found.push({ type, raw: match[0], index: match.index })
+    }
+    // Blank out what this syntax claimed so later patterns skip it
+    masked = masked.replace(regex, (match) => (match === '%%' ? match : '\0'.repeat(match.length)))
+  })
+  scanBraces(masked, 0, found)
+
+  return found
+    .map((placeholder) => ({ ...placeholder, key: toKey(placeholder.type, placeholder.raw) }))
+    .sort((a, b) => a.index - b.index)
+}
+
+// Invisible characters that never belong inside placeholder syntax
+const isHiddenChar = (char) => charRegistry[char] && !['\n', '\r', '\t'].includes(char)
+
+const stripHidden = (text) => [...text].filter((char) => !isHiddenChar(char)).join('')
+
+// A hidden space may stand where a plain one belongs, as in `<a[NBSP]href="…">`
+const spaceHidden = (text) => [...text].map((char) => (isHiddenChar(char) && /\p{Zs}/u.test(char) ? ' ' : char)).join('')
+
+const hasHidden = (text) => [...text].some(isHiddenChar)
+
+const BROKEN_CANDIDATES = [
+  /%\{[^{}]{1,60}\}/g,
+  /\{\{?[^{}]{1,60}\}?\}/g,
+  /\{[^{}]{1,60}/g,
+  /%[^\s%]{1,12}/g,
+  /<\/?[^<>]{1,60}>/g,
+]
+
+// Placeholders that only parse once invisible characters are removed, like `{user<ZWSP>name}`
+export const findBrokenPlaceholders = (text, otherKeys = new Set()) => {
+  const broken = []
+  const overlaps = (start, end) => broken.some((b) => start < b.index + b.raw.length && b.index < end)
+  BROKEN_CANDIDATES.forEach((regex) => {
+    for (const match of text.matchAll(regex)) {
+      if (!hasHidden(match[0]) || overlaps(match.index, match.index + match[0].length)) continue
+      const placeholder = [spaceHidden(match[0]), stripHidden(match[0])]
+        .map((candidate) => extractPlaceholders(candidate)[0])
+        // A stray % is too common in prose; only trust printf when the other text has it
+        .find((found) => found?.index === 0 && (found.type !== 'printf' || otherKeys.has(found.key)))
+      if (!placeholder) continue
+      const hidden = [...new Set([...match[0]].filter(isHiddenChar))]
+      broken.push({
+        ...placeholder,
+        raw: match[0],
+        index: match.index,
+        hidden: hidden.map((char) => getCharInfo(char).display)
+      })
+    }
+  })
+  return broken.sort((a, b) => a.index - b.index)
+}
+
+const countKeys = (placeholders) =>
+  placeholders.reduce((counts, { key }) => counts.set(key, (counts.get(key) || 0) + 1), new Map())
+
+// Unnumbered printf specifiers (%s, %d) are filled in order, so their order matters
+const positionalSequence = (placeholders) =>
+  placeholders.filter((p) => p.type === 'printf' && !/^%(\d+\$|\()/.test(p.raw)).map((p) => p.key)
+
+const describeBroken = (raw) =>
+  [...raw].map((char) => (isHiddenChar(char) ? `[${getCharInfo(char).display}]` : char)).join('')
+
+const withoutBroken = (placeholders, broken) =>
+  placeholders.filter(({ index }) => !broken.some((b) => index >= b.index && index < b.index + b.raw.length))
+
+export const comparePlaceholders = (text1, text2) => {
+  const placeholders1 = extractPlaceholders(text1)
+  const placeholders2 = extractPlaceholders(text2)
+  const broken1 = findBrokenPlaceholders(text1, new Set(placeholders2.map((p) => p.key)))
+  const broken2 = findBrokenPlaceholders(text2, new Set(placeholders1.map((p) => p.key)))
+  const positions = { 1: createPositionLookup(text1), 2: createPositionLookup(text2) }
+  const issues = []
+
+  // Every issue points at the text it concerns: Text 2 unless the placeholder only exists in Text 1
+  const addIssue = (type, severity, key, text, index, message) => {
+    const { line, column } = index === undefined ? { line: null, column: null } : positions[text](index)
+    issues.push({ type, severity, key, text, index, line, column, message })
+  }
+
+  ;[[broken1, 1], [broken2, 2]].forEach(([broken, textNumber]) => {
+    broken.forEach((placeholder) => {
+      addIssue('broken', 'high', placeholder.key, textNumber, placeholder.index,
+        `${describeBroken(placeholder.raw)} is ${placeholder.key} broken by ${placeholder.hidden.join(', ')}`)
+    })
+  })
+
+  // Broken placeholders still count as present, so they are not reported twice; a valid
+  // placeholder inside a broken one is the same placeholder seen again
+  const all1 = [...withoutBroken(placeholders1, broken1), ...broken1]
+  const all2 = [...withoutBroken(placeholders2, broken2), ...broken2]
+  const counts1 = countKeys(all1)
+  const counts2 = countKeys(all2)
+  const firstIndex = (placeholders, key) => placeholders.find((p) => p.key === key)?.index
+
+  ;[...new Set([...counts1.keys(), ...counts2.keys()])].forEach((key) => {
+    const count1 = counts1.get(key) || 0
+    const count2 = counts2.get(key) || 0
+    if (count1 === count2) return
+    if (count2 === 0) {
+      addIssue('missing', 'high', key, 1, firstIndex(all1, key), `${key} is missing from Text 2`)
+    } else if (count1 === 0) {
+      addIssue('extra', 'medium', key, 2, firstIndex(all2, key), `${key} only appears in Text 2`)
+    } else {
+      addIssue(count2 > count1 ? 'duplicated' : 'missing', count2 > count1 ? 'medium' : 'high', key, 2, firstIndex(all2, key),
+        `${key} appears ${count2}× in Text 2 but ${count1}× in Text 1`)
+    }
+  })
+
+  const sequence1 = positionalSequence(placeholders1)
+  const sequence2 = positionalSequence(placeholders2)
+  if (
+    sequence1.length > 1 &&
+    sequence1.join() !== sequence2.join() &&
+    [...sequence1].sort().join() === [...sequence2].sort().join()
+  ) {
+    const first = placeholders2.find((p) => p.type === 'printf' && !/^%(\d+\$|\()/.test(p.raw))
+    addIssue('reordered', 'high', sequence2.join(' '), 2, first.index,
+      `Unnumbered printf placeholders are reordered (${sequence1.join(', ')} → ${sequence2.join(', ')}); use positional forms such as %1$s`)
+  }
+
+  return { placeholders1, placeholders2, issues }
+}
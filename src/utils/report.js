@@ -0,0 +1,134 @@
+import { charCategories, specialCharRegex, getCharInfo, getCharColor } from './specialChars.js'
+import { createPositionLookup } from './textPosition.js'
+
+const CONTEXT_LENGTH = 20
+
+// Context snippets show hidden characters by their display symbol so they stay readable
+const toVisible = (text) => text.replace(specialCharRegex, (char) => `[${getCharInfo(char).display}]`)
+
+// Position, character details and context of registry characters at the given offsets
+export const describeOccurrences = (text, offsets) => {
+  const position = createPositionLookup(text)
+  return offsets.map((offset) => {
+    const char = String.fromCodePoint(text.codePointAt(offset))
+    const info = getCharInfo(char)
+    return {
+      offset,
+      ...position(offset),
+      codePoint: info.code,
+      char,
+      display: info.display,
+      description: info.desc,
+      category: info.category,
+      context: toVisible(text.slice(Math.max(0, offset - CONTEXT_LENGTH), offset + char.length + CONTEXT_LENGTH))
+    }
+  })
+}
+
+export const findOccurrences = (text) =>
+  describeOccurrences(text, Array.from(text.matchAll(specialCharRegex), (match) => match.index))
+
+export const buildReport = (text) => {
+  const occurrences = findOccurrences(text)
+  const characters = {}
+  const categories = {}
+  occurrences.forEach(({ char, codePoint, display, description, category }) => {
+    characters[codePoint] = characters[codePoint] || { codePoint, char, display, description, category, count: 0 }
+    characters[codePoint].count++
+    categories[category] = categories[category] || { category, label: charCategories[category].label, count: 0 }
+    categories[category].count++
+  })
+
+  return {
+    generatedAt: new Date().toISOString(),
+    // Offsets and columns count UTF-16 code units, as JavaScript strings do
+    offsetUnit: 'utf-16',
+    textLength: text.length,
+    totals: {
+      occurrences: occurrences.length,
+      characters: Object.keys(characters).length,
+      categories: Object.values(categories)
+    },
+    characters: Object.values(characters),
+    occurrences
+  }
+}
+
+export const reportToJson = (report) => JSON.stringify(report, null, 2)
+
+const csvField = (value) => {
+  const text = String(value ?? '')
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// The BOM lets Excel recognise the file as UTF-8
+export const reportToCsv = (report) =>
+  '\uFEFF' + [
+    ['offset', 'line', 'column', 'code_point', 'description', 'category', 'context'],
+    ...report.occurrences.map((o) => [o.offset, o.line, o.column, o.codePoint, o.description, charCategories[o.category].label, o.context])
+  ].map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n'
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#039;')
+
+const HTML_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #111827; margin: 32px; }
+h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 32px; }
+.meta { color: #6B7280; font-size: 13px; }
+.text { padding: 16px; background: #F9FAFB; border: 1px solid #E5E7EB; border-radius: 8px; font-family: Monaco, Consolas, monospace; font-size: 14px; line-height: 1.6; white-space: pre-wrap; word-break: break-word; }
+.mark { position: relative; border-radius: 2px; cursor: help; }
+.mark:hover::after { content: attr(data-tip); position: absolute; left: 0; top: 1.8em; z-index: 1; padding: 6px 10px; background: #111827; color: white; border-radius: 6px; font-family: sans-serif; font-size: 12px; white-space: nowrap; }
+table { border-collapse: collapse; font-size: 13px; }
+th, td { padding: 4px 10px; border-bottom: 1px solid #E5E7EB; text-align: left; vertical-align: top; }
+th { background: #F9FAFB; }
+td.mono { font-family: Monaco, Consolas, monospace; }
+`
+
+// A standalone page: highlighted text with hover tooltips, totals and every occurrence
+export const reportToHtml = (report, text) => {
+  let lastIndex = 0
+  const highlighted = report.occurrences.map((o) => {
+    const before = escapeHtml(text.slice(lastIndex, o.offset))
+    lastIndex = o.offset + o.char.length
+    const color = getCharColor(o.char)
+    const tip = escapeHtml(`${o.description} (${o.codePoint}) · Ln ${o.line}, Col ${o.column}`)
+    const lineBreak = o.char === '\n' ? '\n' : ''
+    return `${before}<span class="mark" style="background:${color};border:1px solid ${color}aa" data-tip="${tip}">${escapeHtml(o.display)}</span>${lineBreak}`
+  }).join('') + escapeHtml(text.slice(lastIndex))
+
+  const rows = (items, cells) => items.map((item) => `<tr>${cells(item).map((cell) => `<td${cell.mono ? ' class="mono"' : ''}>${escapeHtml(String(cell.value ?? cell))}</td>`).join('')}</tr>`).join('\n')
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Special character report</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Special character report</h1>
+<p class="meta">Generated ${escapeHtml(report.generatedAt)} · ${report.textLength} UTF-16 code units · ${report.totals.occurrences} occurrences of ${report.totals.characters} characters</p>
+<h2>Highlighted text</h2>
+<div class="text">${highlighted}</div>
+<h2>Totals per category</h2>
+<table><tr><th>Category</th><th>Occurrences</th></tr>
+${rows(report.totals.categories, (c) => [c.label, c.count])}
+</table>
+<h2>Characters</h2>
+<table><tr><th>Code point</th><th>Symbol</th><th>Description</th><th>Category</th><th>Count</th></tr>
+${rows(report.characters, (c) => [{ value: c.codePoint, mono: true }, c.display, c.description, charCategories[c.category].label, c.count])}
+</table>
+<h2>Occurrences</h2>
+<table><tr><th>Offset</th><th>Line</th><th>Column</th><th>Code point</th><th>Description</th><th>Context</th></tr>
+${rows(report.occurrences, (o) => [o.offset, o.line, o.column, { value: o.codePoint, mono: true }, o.description, { value: o.context, mono: true }])}
+</table>
+</body>
+</html>
+`
+}
+
+export const reportFormats = {
+  json: { label: 'JSON', mimeType: 'application/json', build: (report) => reportToJson(report) },
+  csv: { label: 'CSV', mimeType: 'text/csv', build: (report) => reportToCsv(report) },
+  html: { label: 'HTML', mimeType: 'text/html', build: (report, text) => reportToHtml(report, text) },
+}
@@ -0,0 +1,211 @@
+import { createPositionLookup } from './textPosition.js'
+import { decodeXmlEntities } from './xml.js'
+
+// Every parser returns a flat list of { key, value, line } entries
+
+const flattenJson = (node, prefix, entries, skipMetadata) => {
+  if (typeof node === 'string') {
+    entries.push({ key: prefix, value: node })
+  } else if (Array.isArray(node)) {
+    node.forEach((item, i) => flattenJson(item, `${prefix}[${i}]`, entries, skipMetadata))
+  } else if (node && typeof node === 'object') {
+    Object.entries(node).forEach(([key, value]) => {
+      if (skipMetadata && key.startsWith('@')) return
+      flattenJson(value, prefix ? `${prefix}.${key}` : key, entries, skipMetadata)
+    })
+  }
+}
+
+// Finds the line of each entry in the raw JSON so the table can point back into the file.
+// Looks for the value first (array items have no key of their own), then the key.
+const withJsonLines = (source, entries) => {
+  const position = createPositionLookup(source)
+  let searchFrom = 0
+  return entries.map((entry) => {
+    const lastKey = entry.key.split('.').pop().replace(/\[\d+\]$/, '')
+    const index = [JSON.stringify(entry.value), JSON.stringify(lastKey)]
+      .map((needle) => source.indexOf(needle, searchFrom))
+      .find((found) => found !== -1)
+    if (index === undefined) return { ...entry, line: null }
+    searchFrom = index + 1
+    return { ...entry, line: position(index).line }
+  })
+}
+
+export const parseJson = (source, { skipMetadata = false } = {}) => {
+  const entries = []
+  flattenJson(JSON.parse(source), '', entries, skipMetadata)
+  return withJsonLines(source, entries)
+}
+
+// Flutter ARB: JSON where "@key" and "@@locale" entries hold metadata, not strings
+export const parseArb = (source) => parseJson(source, { skipMetadata: true })
+
+const C_ESCAPES = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v', '"': '"', "'": "'", '\\': '\\', '?': '?' }
+
+const unescapeC = (text) =>
+  text.replace(/\\(x[0-9a-fA-F]{1,2}|[0-7]{1,3}|.)/g, (match, seq) => {
+    if (seq[0] === 'x') return String.fromCharCode(parseInt(seq.slice(1), 16))
+    if (/^[0-7]+$/.test(seq)) return String.fromCharCode(parseInt(seq, 8))
+    return C_ESCAPES[seq] ?? seq
+  })
+
+// gettext .po / .pot
+export const parsePo = (source) => {
+  const entries = []
+  const lines = source.split(/\r?\n/)
+  let current = null
+  let field = null
+
+  const flush = () => {
+    if (!current || current.msgid === undefined) return
+    const key = current.msgctxt ? `${current.msgctxt}|${current.msgid}` : current.msgid
+    const forms = Object.keys(current.msgstr)
+    if (forms.length === 0) {
+      entries.push({ key, value: current.msgid, line: current.line })
+    }
+    forms.forEach((form) => {
+      const value = current.msgstr[form] || (form === '0' || form === '' ? current.msgid : current.msgidPlural)
+      entries.push({ key: form === '' ? key : `${key}[${form}]`, value, line: current.line })
+    })
+  }
+
+  const append = (text) => {
+    if (!current || !field) return
+    if (field.startsWith('msgstr')) {
+      const form = field === 'msgstr' ? '' : field.slice(7, -1)
+      current.msgstr[form] = (current.msgstr[form] || '') + text
+    } else {
+      current[field] = (current[field] || '') + text
+    }
+  }
+
+  lines.forEach((line, i) => {
+    const trimmed = line.trim()
+    if (trimmed === '' || trimmed.startsWith('#')) {
+      if (trimmed === '' && current && Object.keys(current.msgstr).length > 0) {
+        flush()
+        current = null
+      }
+      return
+    }
+    const keyword = trimmed.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+"(.*)"$/)
+    if (keyword) {
+      const [, name, text] = keyword
+      if ((name === 'msgctxt' || name === 'msgid') && current && Object.keys(current.msgstr).length > 0) {
+        flush()
+        current = null
+      }
+      if (!current) current = { msgstr: {}, line: i + 1 }
+      field = name === 'msgid_plural' ? 'msgidPlural' : name
+      if (field.startsWith('msgstr')) append('')
+      append(unescapeC(text))
+    } else if (trimmed.startsWith('"') && trimmed.endsWith('"')) {
+      append(unescapeC(trimmed.slice(1, -1)))
+    }
+  })
+  flush()
+
+  // The header entry (empty msgid) only carries metadata
+  return entries.filter((entry) => entry.key !== '')
+}
+
+const unescapeStrings = (text) =>
+  text.replace(/\\(U[0-9a-fA-F]{4}|u[0-9a-fA-F]{4}|.)/g, (match, seq) => {
+    if (seq.length === 5) return String.fromCharCode(parseInt(seq.slice(1), 16))
+    return C_ESCAPES[seq] ?? seq
+  })
+
+// Apple .strings: "key" = "value"; with /* */ and // comments
+export const parseStrings = (source) => {
+  const entries = []
+  const position = createPositionLookup(source)
+  const token = String.raw`"((?:[^"\\]|\\.)*)"|([A-Za-z0-9_.$-]+)`
+  const pair = new RegExp(String.raw`\/\*[\s\S]*?\*\/|\/\/[^\n]*|(?:${token})\s*=\s*(?:${token})\s*;`, 'g')
+
+  for (const match of source.matchAll(pair)) {
+    const [full, quotedKey, bareKey, quotedValue, bareValue] = match
+    if (full.startsWith('/')) continue
+    entries.push({
+      key: quotedKey !== undefined ? unescapeStrings(quotedKey) : bareKey,
+      value: quotedValue !== undefined ? unescapeStrings(quotedValue) : bareValue,
+      line: position(match.index).line
+    })
+  }
+  return entries
+}
+
+const PROPERTIES_ESCAPES = { t: '\t', n: '\n', r: '\r', f: '\f' }
+
+const unescapeProperties = (text) =>
+  text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, seq) => {
+    if (seq.length === 5) return String.fromCharCode(parseInt(seq.slice(1), 16))
+    return PROPERTIES_ESCAPES[seq] ?? seq
+  })
+
+// Java .properties, including \uXXXX escapes and backslash line continuations
+export const parseProperties = (source) => {
+  const entries = []
+  const lines = source.split(/\r\n|\r|\n/)
+
+  for (let i = 0; i < lines.length; i++) {
+    const startLine = i + 1
+    let logical = lines[i].replace(/^[ \t\f]+/, '')
+    if (logical === '' || logical[0] === '#' || logical[0] === '!') continue
+
+    // An odd number of trailing backslashes continues the line
+    while (/(^|[^\\])(\\\\)*\\$/.test(logical) && i + 1 < lines.length) {
+      logical = logical.slice(0, -1) + lines[++i].replace(/^[ \t\f]+/, '')
+    }
+
+    const separator = logical.match(/^((?:[^\\:=\s]|\\.)*)\s*[:=]?\s*/)
+    const rawKey = separator[1]
+    entries.push({
+      key: unescapeProperties(rawKey),
+      value: unescapeProperties(logical.slice(separator[0].length)),
+      line: startLine
+    })
+  }
+  return entries
+}
+
+// .NET .resx: <data name="Key"><value>Text</value></data>
+export const parseResx = (source) => {
+  const position = createPositionLookup(source)
+  const dataElement = /<data\b[^>]*\bname="([^"]*)"[^>]*>([\s\S]*?)<\/data>/g
+  return [...source.matchAll(dataElement)]
+    .filter((match) => !/\btype="/.test(match[0].slice(0, match[0].indexOf('>'))))
+    .map((match) => {
+      const value = match[2].match(/<value>([\s\S]*?)<\/value>/)
+      return {
+        key: decodeXmlEntities(match[1]),
+        value: value ? decodeXmlEntities(value[1]) : '',
+        line: position(match.index).line
+      }
+    })
+}
+
+export const resourceFormats = {
+  json: { label: 'JSON', parse: parseJson },
+  arb: { label: 'Flutter ARB', parse: parseArb },
+  po: { label: 'gettext PO', parse: parsePo },
+  pot: { label: 'gettext POT', parse: parsePo },
+  strings: { label: 'Apple .strings', parse: parseStrings },
+  properties: { label: 'Java .properties', parse: parseProperties },
+  resx: { label: '.NET RESX', parse: parseResx },
+}
+
+export const RESOURCE_FILE_ACCEPT = Object.keys(resourceFormats).map((ext) => `.${ext}`).join(',')
+
+export const getResourceFormat = (fileName) => {
+  const extension = fileName.split('.').pop().toLowerCase()
+  return resourceFormats[extension] ? extension : null
+}
+
+export const parseResourceFile = (fileName, source) => {
+  const format = getResourceFormat(fileName)
+  if (!format) {
+    throw new Error(`Unsupported file type: ${fileName}. Supported: ${RESOURCE_FILE_ACCEPT}`)
+  }
+  return resourceFormats[format].parse(source)
+}
@@ -0,0 +1,172 @@
+import { getCharInfo, formatCodePoint } from './specialChars.js'
+import { getBidiRuns } from './bidi.js'
+import { toPrototype, looksLikeAscii } from './confusables.js'
+import { createPositionLookup } from './textPosition.js'
+
+const SCRIPTS = [
+  'Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Cherokee', 'Hebrew', 'Arabic', 'Syriac',
+  'Thaana', 'Devanagari', 'Bengali', 'Gurmukhi', 'Gujarati', 'Tamil', 'Telugu', 'Kannada',
+  'Malayalam', 'Sinhala', 'Thai', 'Lao', 'Tibetan', 'Myanmar', 'Khmer', 'Ethiopic', 'Mongolian',
+  'Hangul', 'Hiragana', 'Katakana', 'Bopomofo', 'Han'
+].map((name) => [name, new RegExp(`\\p{Script=${name}}`, 'u')])
+
+const COMMON_SCRIPT = /[\p{Script=Common}\p{Script=Inherited}]/u
+
+// Script combinations that UTS #39 "highly restrictive" mode accepts in a single token
+const ALLOWED_COMBINATIONS = [
+  ['Latin', 'Han', 'Hiragana', 'Katakana'],
+  ['Latin', 'Han', 'Bopomofo'],
+  ['Latin', 'Han', 'Hangul'],
+]
+
+// Words, numbers and identifiers; format characters are kept so `pay<ZWSP>pal` stays one token
+const TOKEN_REGEX = /[\p{L}\p{M}\p{N}\p{Pc}\p{Cf}.@-]+/gu
+
+const OVERRIDES = new Set(['\u202D', '\u202E'])
+
+export const getScript = (char) => {
+  if (COMMON_SCRIPT.test(char)) return null
+  const match = SCRIPTS.find(([, regex]) => regex.test(char))
+  return match ? match[0] : 'Other'
+}
+
+const getScripts = (token) => {
+  const scripts = new Set()
+  for (const char of token) {
+    const script = getScript(char)
+    if (script) scripts.add(script)
+  }
+  return [...scripts]
+}
+
+const isAllowedMix = (scripts) =>
+  scripts.length <= 1 ||
+  ALLOWED_COMBINATIONS.some((allowed) => scripts.every((script) => allowed.includes(script)))
+
+// UTS #39 skeleton: decompose, drop invisible format characters, map each
+// character to its confusable prototype and decompose again.
+export const getSkeleton = (text) =>
+  [...text.normalize('NFD').replace(/\p{Cf}/gu, '')]
+    .map(toPrototype)
+    .join('')
+    .normalize('NFD')
+
+const describeChar = (char) => `${getScript(char) || 'Common'} '${char}' (${formatCodePoint(char.codePointAt(0))})`
+
+const getDominantScript = (text) => {
+  const counts = {}
+  for (const char of text) {
+    const script = /\p{L}/u.test(char) ? getScript(char) : null
+    if (script) counts[script] = (counts[script] || 0) + 1
+  }
+  const [dominant] = Object.entries(counts).sort((a, b) => b[1] - a[1])
+  return dominant ? dominant[0] : null
+}
+
+// Approximates what an override run looks like on screen; good enough to show the spoof
+const previewOverride = (content, char) =>
+  char === '\u202E' ? [...content].reverse().join('') : content
+
+const findReorderingControls = (text, position) =>
+  getBidiRuns(text)
+    .map((run) => {
+      const content = text.slice(run.start + 1, run.end)
+      if (!/[^\s\p{Cf}]/u.test(content)) return null
+      const { display } = getCharInfo(run.char)
+      const isOverride = OVERRIDES.has(run.char)
+      const span = run.closed ? '' : ' and stays open until the end of the line'
+      return {
+        index: run.start,
+        ...position(run.start),
+        char: run.char,
+        severity: isOverride ? 'high' : 'medium',
+        content,
+        preview: isOverride ? previewOverride(content, run.char) : null,
+        message: `${display} reorders "${content}"${span}`
+      }
+    })
+    .filter(Boolean)
+
+// Runs the three Trojan Source / homoglyph checks over the text:
+// bidi controls that reorder visible text, confusable characters and mixed-script tokens.
+export const scanSecurity = (text) => {
+  const position = createPositionLookup(text)
+  const dominantScript = getDominantScript(text)
+  const tokens = [...text.matchAll(TOKEN_REGEX)].map((match) => ({
+    token: match[0],
+    index: match.index,
+    scripts: getScripts(match[0]),
+    skeleton: getSkeleton(match[0])
+  }))
+
+  const skeletons = new Map()
+  tokens.forEach(({ token, skeleton }) => {
+    if (!skeletons.has(skeleton)) skeletons.set(skeleton, new Set())
+    skeletons.get(skeleton).add(token)
+  })
+  const collisionsFor = ({ token, skeleton }) => [...skeletons.get(skeleton)].filter((other) => other !== token)
+
+  const confusables = []
+  const mixedScript = []
+
+  tokens.forEach((entry) => {
+    const { token, index, scripts, skeleton } = entry
+    const lookalikes = []
+    let offset = 0
+    for (const char of token) {
+      if (looksLikeAscii(char)) {
+        lookalikes.push({ char, index: index + offset, prototype: toPrototype(char) })
+      }
+      offset += char.length
+    }
+
+    const mixesLatin = scripts.includes('Latin') && scripts.length > 1
+    const wholeScriptSpoof = dominantScript === 'Latin' && !scripts.includes('Latin') &&
+      scripts.length > 0 && /^[\x20-\x7E]+$/.test(skeleton)
+    const compatSpoof = lookalikes.length > 0 && scripts.every((script) => script === 'Latin')
+
+    if (lookalikes.length > 0 && (mixesLatin || wholeScriptSpoof || compatSpoof)) {
+      confusables.push({
+        token,
+        index,
+        ...position(index),
+        skeleton,
+        collisions: collisionsFor(entry),
+        chars: lookalikes,
+        severity: 'high',
+        message: [...new Map(lookalikes.map((lookalike) => [lookalike.char, lookalike])).values()]
+          .map(({ char, prototype }) => `${describeChar(char)} looks like '${prototype}'`)
+          .join(', ')
+      })
+    }
+
+    if (!isAllowedMix(scripts)) {
+      mixedScript.push({
+        token,
+        index,
+        ...position(index),
+        scripts,
+        skeleton,
+        collisions: collisionsFor(entry),
+        severity: 'medium',
+        message: `Mixes ${scripts.join(' + ')}`
+      })
+    }
+  })
+
+  return {
+    reordering: findReorderingControls(text, position),
+    confusables,
+    mixedScript
+  }
+}
+
+export const getSuspiciousIndices = (report) => {
+  const indices = new Map()
+  report.confusables.forEach((finding) => {
+    finding.chars.forEach(({ char, index, prototype }) => {
+      indices.set(index, `${describeChar(char)} looks like '${prototype}'`)
+    })
+  })
+  return indices
+}
@@ -0,0 +1,68 @@
+// Share links carry the whole state in the URL fragment, so the static site needs no
+// backend and the fragment never reaches a server. The JSON is UTF-8 encoded, compressed
+// where the browser can and base64url encoded, so zero-width and other invisible
+// characters cannot be stripped or normalized on the way.
+
+const FRAGMENT_KEY = 'share='
+const COMPRESSED = 'z'
+const PLAIN = 'j'
+const VERSION = 1
+
+const toBase64Url = (bytes) => {
+  let binary = ''
+  // Chunked so long texts do not overflow the argument limit of fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const fromBase64Url = (value) => {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0))
+}
+
+const pipeBytes = (bytes, transform) =>
+  new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer().then((buffer) => new Uint8Array(buffer))
+
+export const encodeShareState = async (state) => {
+  const json = new TextEncoder().encode(JSON.stringify({ version: VERSION, ...state }))
+  if (typeof CompressionStream === 'undefined') return PLAIN + toBase64Url(json)
+  return COMPRESSED + toBase64Url(await pipeBytes(json, new CompressionStream('deflate-raw')))
+}
+
+const isString = (value) => typeof value === 'string'
+
+export const decodeShareState = async (payload) => {
+  let data
+  try {
+    const bytes = fromBase64Url(payload.slice(1))
+    const json = payload[0] === COMPRESSED ? await pipeBytes(bytes, new DecompressionStream('deflate-raw')) : bytes
+    data = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(json))
+  } catch {
+    throw new Error('The shared link is damaged or incomplete; some chat tools cut long links')
+  }
+  if (data.version > VERSION) throw new Error('The shared link was made by a newer version of the tool')
+
+  if (data.view === 'diff' && isString(data.text1) && isString(data.text2)) {
+    return { view: 'diff', text1: data.text1, text2: data.text2 }
+  }
+  if (data.view === 'analyzer' && isString(data.text)) {
+    return {
+      view: 'analyzer',
+      text: data.text,
+      bidiPreview: data.bidiPreview === 'rtl' ? 'rtl' : 'ltr',
+      hidden: Array.isArray(data.hidden) ? data.hidden.filter(isString) : [],
+    }
+  }
+  throw new Error('The shared link does not contain a text')
+}
+
+export const buildShareUrl = async (state) => {
+  const { origin, pathname, search } = window.location
+  return `${origin}${pathname}${search}#${FRAGMENT_KEY}${await encodeShareState(state)}`
+}
+
+// The encoded payload in a location hash, or null when it is not a share link
+export const readShareFragment = (hash) =>
+  hash.startsWith(`#${FRAGMENT_KEY}`) ? hash.slice(FRAGMENT_KEY.length + 1) : null
@@ -0,0 +1,26 @@
+import levenshtein from 'fast-levenshtein'
+import { diffLines, estimateDistance } from './lineDiff.js'
+
+// Exact Levenshtein is O(n·m); above this many cells the distance is estimated line by line
+const EXACT_LIMIT = 4_000_000
+
+// Similarity in percent (two decimals) from the edit distance. The common start and end
+// are cut off first, which leaves the distance unchanged and is often most of the text.
+export const measureSimilarity = (text1, text2) => {
+  const maxLength = Math.max(text1.length, text2.length)
+  if (maxLength === 0) return { value: '100.00', approximate: false }
+
+  let start = 0
+  while (start < text1.length && start < text2.length && text1[start] === text2[start]) start++
+  let end = 0
+  while (end < text1.length - start && end < text2.length - start &&
+    text1[text1.length - 1 - end] === text2[text2.length - 1 - end]) end++
+  const a = text1.slice(start, text1.length - end)
+  const b = text2.slice(start, text2.length - end)
+
+  const approximate = a.length * b.length > EXACT_LIMIT
+  const distance = approximate ? estimateDistance(diffLines(a, b)) : levenshtein.get(a, b)
+  const value = (Math.max(0, maxLength - distance) / maxLength * 100).toFixed(2)
+  // A few edits in a long text must not round up to identical
+  return { value: distance > 0 && value === '100.00' ? '99.99' : value, approximate }
+}
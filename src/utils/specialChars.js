@@ -0,0 +1,547 @@
+// Shared registry of invisible and special characters.
+//
+// `specialChars` holds the hand-curated entries shown in the insert menus and
+// character grids. `charRegistry` extends it to every character in Unicode
+// General Category Cc (C0/C1 controls), Cf (format) and Zs (space separators),
+// plus the line and paragraph separators, so nothing invisible goes unflagged.
+// `customChars` holds the user's watch list, which applyWatchList merges into both.
+
+export const charCategories = {
+  space: {
+    label: 'Space',
+    usage: 'Whitespace variant that looks like (or narrower/wider than) a regular space. Often pasted in from word processors or CAT tools and breaks string matching and wrapping.'
+  },
+  'line-break': {
+    label: 'Line break',
+    usage: 'Forces a new line. Check that the target platform and file format expect this line ending.'
+  },
+  bidi: {
+    label: 'Bidi control',
+    usage: 'Invisible bidirectional control. Changes how RTL and LTR runs are ordered on screen and must be balanced correctly.'
+  },
+  joiner: {
+    label: 'Joiner',
+    usage: 'Zero-width character that controls joining, ligatures or line breaking between its neighbours.'
+  },
+  hyphen: {
+    label: 'Hyphenation',
+    usage: 'Invisible hyphenation hint. Only shows up when the line breaks at this position.'
+  },
+  format: {
+    label: 'Format',
+    usage: 'Invisible formatting character. Has no glyph of its own and is rarely intended in translated strings.'
+  },
+  control: {
+    label: 'Control',
+    usage: 'Legacy control character. Should never appear in display text; C1 controls (U+0080–U+009F) usually point to a Windows-1252 / Latin-1 encoding mix-up.'
+  },
+  custom: {
+    label: 'Watch list',
+    usage: 'Project-specific character from the watch list.'
+  },
+}
+
+export const specialChars = {
+  '\t': { 
+    desc: 'Tab', 
+    code: 'U+0009', 
+    display: '→', 
+    fullText: 'Tab', 
+    example: 'Product Name\tPrice\tQuantity\nLaptop Computer\t$899.99\t5\nWireless Mouse\t$24.99\t50', 
+    usage: 'Creates horizontal spacing, typically 4-8 spaces wide. Common in TSV files and code indentation.',
+    category: 'space'
+  },
+  '\n': { 
+    desc: 'Line Feed', 
+    code: 'U+000A', 
+    display: '↵', 
+    fullText: 'Line Feed (new line)', 
+    example: '123 Main Street\nApartment 4B\nSpringfield, IL 62701\nUnited States of America', 
+    usage: 'Standard line break on Unix/Linux/Mac systems. In localization, watch for platform-specific line endings.',
+    category: 'line-break'
+  },
+  '\r': { 
+    desc: 'Carriage Return', 
+    code: 'U+000D', 
+    display: '⏎', 
+    fullText: 'Carriage Return', 
+    example: 'Windows line ending example:\r\nFirst line of text\r\nSecond line of text\r\nThird line of text', 
+    usage: 'Part of Windows line ending (\\r\\n). Rarely used alone in modern text. May cause issues in cross-platform files.',
+    category: 'line-break'
+  },
+  '\u00A0': { 
+    desc: 'Non-breaking Space', 
+    code: 'U+00A0', 
+    display: 'NBSP', 
+    fullText: 'Non-breaking Space', 
+    example: 'Speed: 100\u00A0km/h\nPrice: $\u00A01,299.99\nMr.\u00A0John\u00A0Smith\nMarch\u00A025,\u00A02024', 
+    usage: 'Prevents line breaks between words/numbers. Critical for: units (100 km/h), currency ($ 1,299.99), titles (Mr. Smith), dates (March 25, 2024).',
+    category: 'space'
+  },
+  '\u200B': { 
+    desc: 'Zero-width Space', 
+    code: 'U+200B', display: 'ZWSP', 
+    fullText: 'Zero-width Space', 
+    example: 'https://www.\u200Bvery\u200Blong\u200Bexample\u200Bwebsite\u200Burl\u200Baddress.\u200Bcom/path/to/resource\nsuper\u200Bcali\u200Bfragil\u200Bistic\u200Bexpi\u200Bali\u200Bdocious', 
+    usage: 'Allows line breaking in long URLs, compound words, or CJK text without visible space. Invisible but affects layout.',
+    category: 'space'
+  },
+  '\u00AD': { 
+    desc: 'Soft Hyphen', 
+    code: 'U+00AD', 
+    display: 'SHY', 
+    fullText: 'Soft Hyphen', 
+    example: 'This is a very long German word: Donau\u00ADdampf\u00ADschiff\u00ADfahrts\u00ADgesell\u00ADschafts\u00ADkapitän\nAnd another: Rechts\u00ADschutz\u00ADversiche\u00ADrungs\u00ADgesell\u00ADschaften', 
+    usage: 'Shows hyphen only when word breaks across lines. Essential for long words in German, Dutch, Finnish localization.',
+    category: 'hyphen'
+  },
+  '\u2028': { 
+    desc: 'Line Separator', 
+    code: 'U+2028', 
+    display: 'LS', 
+    fullText: 'Line Separator', 
+    example: 'This is the first semantic line of a paragraph that continues.\u2028This is the second semantic line within the same paragraph.\u2028And here is a third semantic line.', 
+    usage: 'Unicode-specific line break within paragraphs. May appear in JSON strings or international text processing.',
+    category: 'line-break'
+  },
+  '\u2029': { 
+    desc: 'Paragraph Separator', 
+    code: 'U+2029', 
+    display: 'PS', 
+    fullText: 'Paragraph Separator', 
+    example: 'This is the complete first paragraph with several words to make it substantial.\u2029This is the second paragraph that follows after the Unicode paragraph separator.\u2029And here begins the third distinct paragraph.', 
+    usage: 'Unicode paragraph boundary marker. Semantic separator for structured text, distinct from simple line breaks.',
+    category: 'line-break'
+  },
+  '\u200C': { 
+    desc: 'Zero-width Non-joiner', 
+    code: 'U+200C', 
+    display: 'ZWNJ', 
+    fullText: 'Zero-width Non-joiner', 
+    example: 'Persian example: من می\u200Cخواهم (I want) vs میخواهم (wrong)\nHindi example: क्\u200Cय vs क्य (ligature difference)\nFarsi word: نمی\u200Cدانم (I don\'t know)', 
+    usage: 'Critical for Persian, Arabic, Devanagari scripts. Prevents unwanted letter joining while maintaining proper spacing.',
+    category: 'joiner'
+  },
+  '\u200D': { 
+    desc: 'Zero-width Joiner', 
+    code: 'U+200D', 
+    display: 'ZWJ', 
+    fullText: 'Zero-width Joiner', 
+    example: 'Family emoji: 👨\u200D👩\u200D👧\u200D👦 (man+woman+girl+boy)\nProfession: 👨\u200D⚕️ (doctor) vs 👨 ⚕️ (separate)\nArabic: ل\u200Dا creates ligature', 
+    usage: 'Forms complex emoji sequences and ligatures. Essential for emoji families, skin tones, and connecting Arabic characters.',
+    category: 'joiner'
+  },
+  '\u200E': { 
+    desc: 'Left-to-right Mark', 
+    code: 'U+200E', 
+    display: 'LRM', 
+    fullText: 'Left-to-right Mark', 
+    example: 'Arabic with number: مرحبا\u200E 123 (correct) vs مرحبا 123 (may reverse)\nEmail in RTL: البريد: user@\u200Eexample.com\nMixed: שלום\u200E, how are you?', 
+    usage: 'Forces LTR direction for numbers, emails, URLs in RTL text (Arabic, Hebrew). Prevents display corruption.',
+    category: 'bidi'
+  },
+  '\u200F': { 
+    desc: 'Right-to-left Mark', 
+    code: 'U+200F', 
+    display: 'RLM', 
+    fullText: 'Right-to-left Mark', 
+    example: 'Price in Hebrew: המחיר:\u200F $99.99 (keeps $ on right)\nEnglish with RTL punctuation: Hello\u200F, שלום\nDate: התאריך:\u200F 23/11/2024', 
+    usage: 'Forces RTL direction for punctuation and numbers in bidirectional text. Critical for Hebrew/Arabic localization.',
+    category: 'bidi'
+  },
+  '\u202A': { 
+    desc: 'Left-to-right Embedding', 
+    code: 'U+202A', 
+    display: 'LRE', 
+    fullText: 'Left-to-right Embedding', 
+    example: 'Arabic text with URL: زيارة \u202Ahttps://example.com/page\u202C للمزيد\nRTL with LTR: العنوان \u202A123 Main Street\u202C في المدينة', 
+    usage: 'Embeds LTR text section within RTL content. Must be closed with PDF (U+202C). Use for URLs in Arabic text.',
+    category: 'bidi'
+  },
+  '\u202B': { 
+    desc: 'Right-to-left Embedding', 
+    code: 'U+202B', 
+    display: 'RLE', 
+    fullText: 'Right-to-left Embedding', 
+    example: 'English with Hebrew quote: He said \u202Bשלום עולם\u202C which means "hello world"\nLTR with RTL: The word is \u202Bمرحبا\u202C in Arabic', 
+    usage: 'Embeds RTL text section within LTR content. Requires PDF (U+202C) to close. Use for Hebrew/Arabic quotes.',
+    category: 'bidi'
+  },
+  '\u202C': { 
+    desc: 'Pop Directional Formatting', 
+    code: 'U+202C', 
+    display: 'PDF', 
+    fullText: 'Pop Directional Formatting', 
+    example: 'Normal text \u202AMixed direction content here\u202C back to normal\nNested: Start \u202BLTR \u202ARTL inside\u202C end LTR\u202C back to start', 
+    usage: 'Closes LRE, RLE, LRO, or RLO. Essential pair with bidirectional formatting. Missing PDF causes layout issues.',
+    category: 'bidi'
+  },
+  '\u202D': { 
+    desc: 'Left-to-right Override', 
+    code: 'U+202D', 
+    display: 'LRO', 
+    fullText: 'Left-to-right Override', 
+    example: 'Force Hebrew LTR: \u202D!שלום עולם\u202C shows as !םלוע םולש (reversed)\nOverride Arabic: \u202Dمرحبا 123\u202C all displays left-to-right', 
+    usage: 'Forces all text LTR regardless of character properties. Stronger than LRM. Use with caution, always close with PDF.',
+    category: 'bidi'
+  },
+  '\u202E': { 
+    desc: 'Right-to-left Override', 
+    code: 'U+202E', 
+    display: 'RLO', 
+    fullText: 'Right-to-left Override', 
+    example: 'Reverse English: \u202EHello World!\u202C displays as !dlroW olleH\nReverse URL: \u202Eexample.com\u202C shows as moc.elpmaxe (security risk!)', 
+    usage: 'Forces all text RTL regardless of properties. Can reverse entire strings. Security risk if misused (spoofing).',
+    category: 'bidi'
+  },
+  '\uFEFF': { 
+    desc: 'Zero-width No-break Space', 
+    code: 'U+FEFF', 
+    display: 'BOM', 
+    fullText: 'Zero-width No-break Space (BOM)', 
+    example: '\uFEFF<?xml version="1.0" encoding="UTF-8"?>\n\uFEFF{"name": "config", "type": "UTF-8"}\nFile starts with BOM: \uFEFFThis is the first line', 
+    usage: 'Byte Order Mark at file start signals UTF encoding. Also prevents word breaks. May cause parsing errors if unexpected.',
+    category: 'format'
+  },
+  '\u2060': { 
+    desc: 'Word Joiner', 
+    code: 'U+2060', 
+    display: 'WJ', 
+    fullText: 'Word Joiner', 
+    example: 'Keep\u2060together without visible space\nVersion\u20601.0.2\nISBN\u2060978-3-16-148410-0', 
+    usage: 'Zero-width non-breaking character. Prevents line breaks without adding visible space. Useful in technical docs and version numbers.',
+    category: 'joiner'
+  },
+  '\u2007': { 
+    desc: 'Figure Space', 
+    code: 'U+2007', 
+    display: 'FIGSP', 
+    fullText: 'Figure Space', 
+    example: 'Align numbers:\n\u2007\u2007123.45\n\u20071,234.56\n123,456.78', 
+    usage: 'Same width as digits (0-9). Used to align numbers in tables and financial data. Essential for tabular localization.',
+    category: 'space'
+  },
+  '\u2009': { 
+    desc: 'Thin Space', 
+    code: 'U+2009', 
+    display: 'THNSP', 
+    fullText: 'Thin Space', 
+    example: 'French punctuation\u2009: «\u2009Bonjour\u2009»\nQuestion\u2009?\nExclamation\u2009!', 
+    usage: 'Narrower than normal space. Standard in French typography before punctuation (? ! ; :) and inside guillemets.',
+    category: 'space'
+  },
+  '\u202F': { 
+    desc: 'Narrow No-break Space', 
+    code: 'U+202F', 
+    display: 'NNBSP', 
+    fullText: 'Narrow No-break Space', 
+    example: 'French: 123\u202F456\u202F789\nPercentage: 99\u202F%\nTime: 14\u202Fh\u202F30\nPrice: 1\u202F234,56\u202F€', 
+    usage: 'Required in French localization for: thousand separators (123 456), percentages (99 %), units (14 h), currency.',
+    category: 'space'
+  },
+  '\u180E': { 
+    desc: 'Mongolian Vowel Separator', 
+    code: 'U+180E', 
+    display: 'MVS', 
+    fullText: 'Mongolian Vowel Separator', 
+    example: 'Mongolian text with vowel separator\u180E(invisible formatting)', 
+    usage: 'Mongolian script-specific character. Indicates vowel separation. Rarely needed but critical for Mongolian localization.',
+    category: 'format'
+  },
+  '\u2002': { 
+    desc: 'En Space', 
+    code: 'U+2002', 
+    display: 'ENSP', 
+    fullText: 'En Space', 
+    example: 'Typography:\u2002En-width spacing\nDates:\u2002Jan\u20021–15,\u20022024', 
+    usage: 'Width of lowercase "n". Used in professional typography and publishing. Common in date ranges and lists.',
+    category: 'space'
+  },
+  '\u2003': { 
+    desc: 'Em Space', 
+    code: 'U+2003', 
+    display: 'EMSP', 
+    fullText: 'Em Space', 
+    example: 'Typography:\u2003Em-width spacing (wider)\nParagraph:\u2003Indented first line', 
+    usage: 'Width of uppercase "M". Widest standard space. Used for paragraph indentation and professional typesetting.',
+    category: 'space'
+  },
+  '\u2004': { 
+    desc: 'Three-Per-Em Space', 
+    code: 'U+2004', 
+    display: '3/M', 
+    fullText: 'Three-Per-Em Space', 
+    example: 'Fine\u2004spacing\u2004control\nList:\u2004Item\u20041,\u2004Item\u20042', 
+    usage: 'One-third of an em width. Precise spacing control in professional typography and desktop publishing.',
+    category: 'space'
+  },
+  '\u2005': { 
+    desc: 'Four-Per-Em Space', 
+    code: 'U+2005', 
+    display: '4/M', 
+    fullText: 'Four-Per-Em Space', 
+    example: 'Tighter\u2005spacing\u2005control\nNumbers:\u20051,234\u2005567', 
+    usage: 'One-quarter of an em width. Fine-grained spacing for professional layouts and justified text.',
+    category: 'space'
+  },
+  '\u2006': { 
+    desc: 'Six-Per-Em Space', 
+    code: 'U+2006', 
+    display: '6/M', 
+    fullText: 'Six-Per-Em Space', 
+    example: 'Very\u2006fine\u2006spacing\nAbbrev.:\u2006Dr.\u2006Smith', 
+    usage: 'One-sixth of an em width. Finest spacing control in professional typography. Used in abbreviations and initials.',
+    category: 'space'
+  },
+  '\u2066': { 
+    desc: 'Left-to-right Isolate', 
+    code: 'U+2066', 
+    display: 'LRI', 
+    fullText: 'Left-to-right Isolate', 
+    example: 'Modern RTL: Arabic text \u2066LTR content here\u2069 continues\nURL in RTL: Visit \u2066example.com\u2069 now', 
+    usage: 'Modern replacement for LRE (U+202A). Better isolation of LTR text in RTL context. Requires PDI (U+2069) to close.',
+    category: 'bidi'
+  },
+  '\u2067': { 
+    desc: 'Right-to-left Isolate', 
+    code: 'U+2067', 
+    display: 'RLI', 
+    fullText: 'Right-to-left Isolate', 
+    example: 'Modern LTR: English text \u2067مرحبا بك\u2069 continues\nQuote: He said \u2067שלום\u2069 to everyone', 
+    usage: 'Modern replacement for RLE (U+202B). Better isolation of RTL text in LTR context. Requires PDI (U+2069) to close.',
+    category: 'bidi'
+  },
+  '\u2068': { 
+    desc: 'First Strong Isolate', 
+    code: 'U+2068', 
+    display: 'FSI', 
+    fullText: 'First Strong Isolate', 
+    example: 'Auto-detect: \u2068Could be LTR or RTL\u2069 text\nSmart: \u2068مرحبا\u2069 or \u2068Hello\u2069', 
+    usage: 'Automatically detects text direction from first strong directional character. Most flexible modern bidirectional control.',
+    category: 'bidi'
+  },
+  '\u2069': { 
+    desc: 'Pop Directional Isolate', 
+    code: 'U+2069', 
+    display: 'PDI', 
+    fullText: 'Pop Directional Isolate', 
+    example: 'Close isolate: \u2066LTR text\u2069 back to normal\nNested: \u2067RTL \u2066inner LTR\u2069 back to RTL\u2069 normal', 
+    usage: 'Closes LRI, RLI, or FSI. Modern replacement for PDF (U+202C). Essential pair with Unicode 6.3+ isolate characters.',
+    category: 'bidi'
+  },
+}
+
+// Names and short labels for registry characters that have no curated entry
+const C0_CONTROLS = [
+  ['NUL', 'Null'], ['SOH', 'Start of Heading'], ['STX', 'Start of Text'], ['ETX', 'End of Text'],
+  ['EOT', 'End of Transmission'], ['ENQ', 'Enquiry'], ['ACK', 'Acknowledge'], ['BEL', 'Bell'],
+  ['BS', 'Backspace'], null, null, ['VT', 'Line Tabulation'],
+  ['FF', 'Form Feed'], null, ['SO', 'Shift Out'], ['SI', 'Shift In'],
+  ['DLE', 'Data Link Escape'], ['DC1', 'Device Control One'], ['DC2', 'Device Control Two'], ['DC3', 'Device Control Three'],
+  ['DC4', 'Device Control Four'], ['NAK', 'Negative Acknowledge'], ['SYN', 'Synchronous Idle'], ['ETB', 'End of Transmission Block'],
+  ['CAN', 'Cancel'], ['EM', 'End of Medium'], ['SUB', 'Substitute'], ['ESC', 'Escape'],
+  ['FS', 'File Separator'], ['GS', 'Group Separator'], ['RS', 'Record Separator'], ['US', 'Unit Separator'],
+]
+
+const C1_CONTROLS = [
+  ['PAD', 'Padding Character'], ['HOP', 'High Octet Preset'], ['BPH', 'Break Permitted Here'], ['NBH', 'No Break Here'],
+  ['IND', 'Index'], ['NEL', 'Next Line'], ['SSA', 'Start of Selected Area'], ['ESA', 'End of Selected Area'],
+  ['HTS', 'Character Tabulation Set'], ['HTJ', 'Character Tabulation with Justification'], ['VTS', 'Line Tabulation Set'], ['PLD', 'Partial Line Forward'],
+  ['PLU', 'Partial Line Backward'], ['RI', 'Reverse Line Feed'], ['SS2', 'Single Shift Two'], ['SS3', 'Single Shift Three'],
+  ['DCS', 'Device Control String'], ['PU1', 'Private Use One'], ['PU2', 'Private Use Two'], ['STS', 'Set Transmit State'],
+  ['CCH', 'Cancel Character'], ['MW', 'Message Waiting'], ['SPA', 'Start of Guarded Area'], ['EPA', 'End of Guarded Area'],
+  ['SOS', 'Start of String'], ['SGCI', 'Single Graphic Character Introducer'], ['SCI', 'Single Character Introducer'], ['CSI', 'Control Sequence Introducer'],
+  ['ST', 'String Terminator'], ['OSC', 'Operating System Command'], ['PM', 'Privacy Message'], ['APC', 'Application Program Command'],
+]
+
+const namedChars = {
+  0x007F: ['DEL', 'Delete', 'control'],
+  0x0085: ['NEL', 'Next Line', 'line-break'],
+  0x000B: ['VT', 'Line Tabulation', 'line-break'],
+  0x000C: ['FF', 'Form Feed', 'line-break'],
+  0x0600: ['ANS', 'Arabic Number Sign', 'format'],
+  0x0601: ['ASAN', 'Arabic Sign Sanah', 'format'],
+  0x0602: ['AFM', 'Arabic Footnote Marker', 'format'],
+  0x0603: ['ASF', 'Arabic Sign Safha', 'format'],
+  0x0604: ['ASV', 'Arabic Sign Samvat', 'format'],
+  0x0605: ['ANMA', 'Arabic Number Mark Above', 'format'],
+  0x061C: ['ALM', 'Arabic Letter Mark', 'bidi'],
+  0x06DD: ['AEOA', 'Arabic End of Ayah', 'format'],
+  0x070F: ['SAM', 'Syriac Abbreviation Mark', 'format'],
+  0x0890: ['APMA', 'Arabic Pound Mark Above', 'format'],
+  0x0891: ['APIA', 'Arabic Piastre Mark Above', 'format'],
+  0x08E2: ['ADEA', 'Arabic Disputed End of Ayah', 'format'],
+  0x1680: ['OGSP', 'Ogham Space Mark', 'space'],
+  0x2000: ['NQSP', 'En Quad', 'space'],
+  0x2001: ['MQSP', 'Em Quad', 'space'],
+  0x2008: ['PUNCSP', 'Punctuation Space', 'space'],
+  0x200A: ['HSP', 'Hair Space', 'space'],
+  0x205F: ['MMSP', 'Medium Mathematical Space', 'space'],
+  0x2061: ['FA', 'Function Application', 'format'],
+  0x2062: ['IT', 'Invisible Times', 'format'],
+  0x2063: ['IS', 'Invisible Separator', 'format'],
+  0x2064: ['IP', 'Invisible Plus', 'format'],
+  0x206A: ['ISS', 'Inhibit Symmetric Swapping', 'format'],
+  0x206B: ['ASS', 'Activate Symmetric Swapping', 'format'],
+  0x206C: ['IAFS', 'Inhibit Arabic Form Shaping', 'format'],
+  0x206D: ['AAFS', 'Activate Arabic Form Shaping', 'format'],
+  0x206E: ['NADS', 'National Digit Shapes', 'format'],
+  0x206F: ['NODS', 'Nominal Digit Shapes', 'format'],
+  0x3000: ['IDSP', 'Ideographic Space', 'space'],
+  0xFFF9: ['IAA', 'Interlinear Annotation Anchor', 'format'],
+  0xFFFA: ['IAS', 'Interlinear Annotation Separator', 'format'],
+  0xFFFB: ['IAT', 'Interlinear Annotation Terminator', 'format'],
+  0x110BD: ['KNS', 'Kaithi Number Sign', 'format'],
+  0x110CD: ['KNSA', 'Kaithi Number Sign Above', 'format'],
+  0x1BCA0: ['SFLO', 'Shorthand Format Letter Overlap', 'format'],
+  0x1BCA1: ['SFCO', 'Shorthand Format Continuing Overlap', 'format'],
+  0x1BCA2: ['SFDS', 'Shorthand Format Down Step', 'format'],
+  0x1BCA3: ['SFUS', 'Shorthand Format Up Step', 'format'],
+  0xE0001: ['LANG', 'Language Tag', 'format'],
+  0xE007F: ['CANCEL', 'Cancel Tag', 'format'],
+}
+
+const HIEROGLYPH_CONTROLS = [
+  'Vertical Joiner', 'Horizontal Joiner', 'Insert at Top Start', 'Insert at Bottom Start',
+  'Insert at Top End', 'Insert at Bottom End', 'Overlay Middle', 'Begin Segment',
+  'End Segment', 'Insert at Middle', 'Insert at Top', 'Insert at Bottom',
+  'Begin Enclosure', 'End Enclosure', 'Begin Walled Enclosure', 'End Walled Enclosure',
+]
+
+const MUSICAL_CONTROLS = ['Begin Beam', 'End Beam', 'Begin Tie', 'End Tie', 'Begin Slur', 'End Slur', 'Begin Phrase', 'End Phrase']
+
+const builtInCharRegex = /(?! )[\p{Cc}\p{Cf}\p{Zs}\p{Zl}\p{Zp}]/gu
+const singleSpecialChar = new RegExp(`^${builtInCharRegex.source}$`, 'u')
+
+// Matches every registry character, watch list included. Use with matchAll/replace, not
+// test(). applyWatchList replaces it, so read it where it is used rather than copying it.
+export let specialCharRegex = builtInCharRegex
+
+export const formatCodePoint = (codePoint) =>
+  `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}`
+
+const describeCodePoint = (codePoint, category) => {
+  if (namedChars[codePoint]) return namedChars[codePoint]
+  if (codePoint < 0x20) return [...C0_CONTROLS[codePoint], 'control']
+  if (codePoint >= 0x80 && codePoint <= 0x9F) return [...C1_CONTROLS[codePoint - 0x80], 'control']
+  if (codePoint >= 0x13430 && codePoint <= 0x1343F) {
+    return ['EGY', `Egyptian Hieroglyph ${HIEROGLYPH_CONTROLS[codePoint - 0x13430]}`, 'format']
+  }
+  if (codePoint >= 0x1D173 && codePoint <= 0x1D17A) {
+    return ['MUS', `Musical Symbol ${MUSICAL_CONTROLS[codePoint - 0x1D173]}`, 'format']
+  }
+  if (codePoint >= 0xE0020 && codePoint <= 0xE007E) {
+    const ascii = codePoint === 0xE0020 ? 'Space' : String.fromCharCode(codePoint - 0xE0000)
+    return [`TAG ${ascii}`, `Tag ${ascii}`, 'format']
+  }
+  return [formatCodePoint(codePoint), `${charCategories[category].label} Character`, category]
+}
+
+const buildEntry = (char) => {
+  const codePoint = char.codePointAt(0)
+  const fallbackCategory = /\p{Zs}/u.test(char) ? 'space' : /\p{Cc}/u.test(char) ? 'control' : 'format'
+  const [display, desc, category] = describeCodePoint(codePoint, fallbackCategory)
+  return {
+    desc,
+    code: formatCodePoint(codePoint),
+    display,
+    fullText: desc,
+    example: '',
+    usage: charCategories[category].usage,
+    category
+  }
+}
+
+// Planes 0, 1 and 14 are the only ones holding Cc, Cf or Zs code points
+const REGISTRY_RANGES = [[0x0000, 0x1FFFF], [0xE0000, 0xE0FFF]]
+
+const collectCodePoints = () => {
+  const codePoints = []
+  REGISTRY_RANGES.forEach(([start, end]) => {
+    for (let codePoint = start; codePoint <= end; codePoint++) {
+      if (codePoint >= 0xD800 && codePoint <= 0xDFFF) continue
+      if (singleSpecialChar.test(String.fromCodePoint(codePoint))) codePoints.push(codePoint)
+    }
+  })
+  return codePoints
+}
+
+export const charRegistry = { ...specialChars }
+collectCodePoints().forEach((codePoint) => {
+  const char = String.fromCodePoint(codePoint)
+  if (!charRegistry[char]) charRegistry[char] = buildEntry(char)
+})
+
+const builtInRegistry = { ...charRegistry }
+
+// The category a character has without any watch list, or undefined
+export const getBuiltInCategory = (char) => builtInRegistry[char]?.category
+
+// A regex like specialCharRegex for the built-in characters and the given watch list
+export const buildCharRegex = (entries) => {
+  const extra = entries.map(({ char }) => `\\u{${char.codePointAt(0).toString(16)}}`).join('')
+  return extra ? new RegExp(`${builtInCharRegex.source}|[${extra}]`, 'gu') : builtInCharRegex
+}
+
+export let customChars = {}
+
+// Makes the watch-list entries part of the registry, the regex and the highlight colours,
+// replacing the previous list. An entry for a character the registry already knows keeps
+// its category, so a watched bidi mark is still treated as one.
+export const applyWatchList = (entries) => {
+  Object.keys(customChars).forEach((char) => {
+    if (builtInRegistry[char]) charRegistry[char] = builtInRegistry[char]
+    else delete charRegistry[char]
+  })
+  customChars = Object.fromEntries(entries.map(({ char, display, desc, color, usage, example, severity }) => {
+    const category = builtInRegistry[char]?.category ?? 'custom'
+    return [char, {
+      desc,
+      code: formatCodePoint(char.codePointAt(0)),
+      display,
+      fullText: desc,
+      example,
+      usage: usage || charCategories[category].usage,
+      category,
+      color,
+      severity,
+    }]
+  }))
+  Object.assign(charRegistry, customChars)
+  specialCharRegex = buildCharRegex(entries)
+}
+
+// The characters offered in insert menus and pickers: the curated ones, then the watch list
+export const getListedChars = () => ({ ...specialChars, ...customChars })
+
+export const isSpecialChar = (char) => Object.hasOwn(charRegistry, char)
+
+export const getCharInfo = (char) => charRegistry[char] || buildEntry(char)
+
+// Occurrences of each registry character in the text, keyed by character
+export const countSpecialChars = (text) => {
+  const counts = {}
+  for (const char of text) {
+    if (charRegistry[char]) {
+      counts[char] = (counts[char] || 0) + 1
+    }
+  }
+  return counts
+}
+
+// Colors for highlighting - more distinguishable
+const colors = [
+  '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', '#98D8C8',
+  '#F7DC6F', '#BB8FCE', '#85C1E9', '#F8C471', '#82E0AA', '#F1948A', '#85C1E9',
+  '#D7BDE2', '#AED6F1', '#A3E4D7', '#F9E79F', '#D2B4DE', '#FF8C94', '#A8E6CF',
+  '#FFD3B6', '#FFAAA5', '#FF8B94', '#C7CEEA', '#B5EAD7', '#E2F0CB', '#FFDAC1',
+  '#D4A5A5', '#9CADCE', '#E8DFF5'
+]
+
+const registryKeys = Object.keys(charRegistry)
+
+export const getCharColor = (char) => {
+  if (customChars[char]) return customChars[char].color
+  const index = registryKeys.indexOf(char)
+  return colors[(index === -1 ? char.codePointAt(0) : index) % colors.length]
+}
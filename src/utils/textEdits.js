@@ -0,0 +1,7 @@
+// Applies a batch of { index, length, insert } edits to a string.
+// Edits are applied from the end of the string backwards so earlier offsets stay valid;
+// edits sharing an index are applied in the order given, so later ones end up in front.
+export const applyEdits = (text, edits) =>
+  [...edits]
+    .sort((a, b) => b.index - a.index)
+    .reduce((result, edit) => result.slice(0, edit.index) + edit.insert + result.slice(edit.index + edit.length), text)
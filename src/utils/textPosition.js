@@ -0,0 +1,21 @@
+// Converts string offsets to 1-based line/column positions.
+// Lines are split on LF, which is what a <textarea> value normalizes to.
+export const createPositionLookup = (text) => {
+  const lineStarts = [0]
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1)
+  }
+
+  return (index) => {
+    let low = 0
+    let high = lineStarts.length - 1
+    while (low < high) {
+      const mid = (low + high + 1) >> 1
+      if (lineStarts[mid] <= index) low = mid
+      else high = mid - 1
+    }
+    return { line: low + 1, column: index - lineStarts[low] + 1 }
+  }
+}
+
+export const getLineColumn = (text, index) => createPositionLookup(text)(index)
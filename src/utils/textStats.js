@@ -0,0 +1,100 @@
+// Length metrics for one text. Platforms specify string limits in different units, so each
+// is counted on its own; graphemes, words and sentences come from Intl.Segmenter, which
+// also segments Thai, Japanese and Chinese words without spaces.
+
+export const LENGTH_METRICS = {
+  utf16: { label: 'UTF-16 units', description: 'JavaScript string length, Java and .NET string length, iOS NSString length' },
+  codePoints: { label: 'Code points', description: 'Unicode scalar values, as counted by Python and Swift unicodeScalars' },
+  graphemes: { label: 'Graphemes', description: 'User-perceived characters; a ZWJ family emoji or a Devanagari conjunct counts once' },
+  utf8Bytes: { label: 'UTF-8 bytes', description: 'Storage size in UTF-8, as limited by databases, push payloads and app stores' },
+  utf16Bytes: { label: 'UTF-16 bytes', description: 'Storage size in UTF-16' },
+}
+
+export const SEGMENT_COUNTS = {
+  words: { label: 'Words', description: 'Word-like segments, without punctuation and spaces' },
+  sentences: { label: 'Sentences', description: 'Sentences that contain more than whitespace' },
+}
+
+export const segmenterSupported = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function'
+
+const segmenters = {}
+const getSegmenter = (granularity) => {
+  segmenters[granularity] = segmenters[granularity] || new Intl.Segmenter(undefined, { granularity })
+  return segmenters[granularity]
+}
+
+// Segmenting one long string takes time proportional to its length for every segment, so
+// the text goes through in chunks. A chunk ends after a line break, which always ends a
+// segment; without one, the segments close to its end may still change with what follows,
+// so the next chunk starts again at the first of them.
+const CHUNK_LENGTH = 4096
+const CHUNK_LOOKAHEAD = 64
+
+export function* segmentText(text, granularity) {
+  const segmenter = getSegmenter(granularity)
+  let start = 0
+  while (start < text.length) {
+    let end = Math.min(start + CHUNK_LENGTH, text.length)
+    const lineEnd = end < text.length ? text.lastIndexOf('\n', end - 1) + 1 : 0
+    if (lineEnd > start) end = lineEnd
+    const exact = end === text.length || end === lineEnd
+    const segments = Array.from(segmenter.segment(text.slice(start, end)))
+    let keep = segments.length
+    if (!exact) {
+      const settled = end - start - CHUNK_LOOKAHEAD
+      // A single segment that long is taken as it is rather than cut again
+      keep = Math.max(segments.findIndex(({ index, segment }) => index + segment.length > settled), 1)
+    }
+    for (let i = 0; i < keep; i++) {
+      const { segment, index, isWordLike } = segments[i]
+      yield { segment, index: start + index, isWordLike }
+    }
+    start = keep < segments.length ? start + segments[keep].index : end
+  }
+}
+
+const countSegments = (text, granularity, include = () => true) => {
+  let count = 0
+  for (const segment of segmentText(text, granularity)) {
+    if (include(segment)) count++
+  }
+  return count
+}
+
+export const countGraphemes = (text) => (segmenterSupported ? countSegments(text, 'grapheme') : null)
+
+// Code points and UTF-8 bytes in one pass; a lone surrogate is written as U+FFFD, three bytes
+const countCodePoints = (text) => {
+  let codePoints = 0
+  let utf8Bytes = 0
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i)
+    const next = text.charCodeAt(i + 1)
+    codePoints++
+    if (code >= 0xD800 && code <= 0xDBFF && next >= 0xDC00 && next <= 0xDFFF) {
+      utf8Bytes += 4
+      i++
+    } else {
+      utf8Bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : 3
+    }
+  }
+  return { codePoints, utf8Bytes }
+}
+
+export const codePointLength = (text) => countCodePoints(text).codePoints
+
+export const utf8Length = (text) => countCodePoints(text).utf8Bytes
+
+// Every metric for the text; the segment-based ones are null without Intl.Segmenter
+export const measureText = (text) => {
+  const { codePoints, utf8Bytes } = countCodePoints(text)
+  return {
+    utf16: text.length,
+    codePoints,
+    graphemes: countGraphemes(text),
+    utf8Bytes,
+    utf16Bytes: text.length * 2,
+    words: segmenterSupported ? countSegments(text, 'word', (segment) => segment.isWordLike) : null,
+    sentences: segmenterSupported ? countSegments(text, 'sentence', (segment) => segment.segment.trim() !== '') : null,
+  }
+}
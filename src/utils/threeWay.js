@@ -0,0 +1,61 @@
+import { diffLines } from './lineDiff.js'
+
+export const SEGMENT_STATUSES = {
+  unrequested: { label: 'Unrequested edit', description: 'The translation changed but its source did not' },
+  missed: { label: 'Source change not picked up', description: 'The source changed but the new translation is the previous one' },
+  updated: { label: 'Updated', description: 'The source and its translation both changed' },
+}
+
+export const createThreeWayTexts = () => ({ source: '', previousSource: '', previousTarget: '', newTarget: '' })
+
+const countLines = (text) => text.split('\n').length
+
+// Reviews a translation update segment by segment, one segment per line. The previous
+// translation follows the previous source line by line and the new translation the current
+// source; the source diff pairs up the two versions of each segment. Without a previous
+// source the source counts as unchanged, so every translation edit is unrequested.
+export const reviewTranslationUpdate = ({ source, previousSource, previousTarget, newTarget }) => {
+  const baseSource = previousSource || source
+  const sourceRows = diffLines(baseSource, source)
+  const targetRows = diffLines(previousTarget, newTarget)
+  const previousTargets = previousTarget.split('\n')
+  const newTargets = newTarget.split('\n')
+
+  const segments = []
+  sourceRows.forEach((row) => {
+    // A segment dropped from the source takes its translation with it
+    if (row.right === null) return
+    const previous = row.left === null ? null : previousTargets[row.left - 1] ?? null
+    const current = newTargets[row.right - 1] ?? null
+    const sourceChanged = row.type !== 'equal'
+    const targetChanged = (previous ?? '') !== (current ?? '')
+    // Blank lines between segments need no translation
+    if (sourceChanged && !targetChanged && !row.newText.trim()) return
+
+    // An emptied translation has not picked up the source change either
+    const updated = targetChanged && Boolean(current?.trim())
+    const status = sourceChanged ? (updated ? 'updated' : 'missed') : targetChanged ? 'unrequested' : null
+    if (!status) return
+    segments.push({
+      status,
+      line: row.right,
+      sourceChange: row.type,
+      previousSource: row.oldText,
+      source: row.newText,
+      previousTarget: previous,
+      newTarget: current,
+    })
+  })
+
+  return {
+    sourceRows: previousSource ? sourceRows : null,
+    targetRows,
+    segments,
+    lineCounts: {
+      source: countLines(source),
+      previousSource: countLines(baseSource),
+      previousTarget: countLines(previousTarget),
+      newTarget: countLines(newTarget),
+    },
+  }
+}
@@ -0,0 +1,391 @@
+import { createPositionLookup } from './textPosition.js'
+import { applyEdits } from './textEdits.js'
+import { extractPlaceholders } from './placeholders.js'
+
+const NBSP = '\u00A0'
+const NNBSP = '\u202F'
+
+// Double-level quotation marks the quote rule looks at. Single quotes are left alone
+// because ' and ’ are also apostrophes.
+const QUOTE_MARKS = '"“”„‟«»‹›‚'
+const QUOTE_CHARS = new RegExp(`[${QUOTE_MARKS}]`, 'gu')
+const GUILLEMETS = '«»‹›'
+
+// Each profile lists what it expects; the first entry of a list is what fixes write.
+// punctuationSpace maps ; : ! ? to the space that goes before them, or null for none.
+export const TYPOGRAPHY_PROFILES = {
+  'en-US': {
+    label: 'English (US)',
+    quotes: [['“', '”']],
+    quoteSpace: '',
+    punctuationSpace: null,
+    decimal: '.',
+    thousands: [','],
+    percentSpace: '',
+  },
+  'en-GB': {
+    label: 'English (UK)',
+    quotes: [['‘', '’'], ['“', '”']],
+    quoteSpace: '',
+    punctuationSpace: null,
+    decimal: '.',
+    thousands: [','],
+    percentSpace: '',
+  },
+  'fr-FR': {
+    label: 'French (France)',
+    quotes: [['«', '»'], ['“', '”']],
+    quoteSpace: NNBSP,
+    punctuationSpace: { ';': NNBSP, '!': NNBSP, '?': NNBSP, ':': NBSP },
+    decimal: ',',
+    thousands: [NNBSP, NBSP],
+    percentSpace: NNBSP,
+  },
+  'fr-CH': {
+    label: 'French (Switzerland)',
+    quotes: [['«', '»'], ['‹', '›']],
+    quoteSpace: NNBSP,
+    punctuationSpace: { ';': NNBSP, '!': NNBSP, '?': NNBSP, ':': NBSP },
+    decimal: ',',
+    thousands: [NNBSP, '’'],
+    percentSpace: NNBSP,
+  },
+  'de-DE': {
+    label: 'German (Germany)',
+    quotes: [['„', '“'], ['»', '«']],
+    quoteSpace: '',
+    punctuationSpace: null,
+    decimal: ',',
+    thousands: ['.', NNBSP],
+    percentSpace: NNBSP,
+  },
+  'de-CH': {
+    label: 'German (Switzerland)',
+    quotes: [['«', '»'], ['‹', '›']],
+    quoteSpace: '',
+    punctuationSpace: null,
+    decimal: '.',
+    thousands: ['’', "'"],
+    percentSpace: NNBSP,
+  },
+  'es-ES': {
+    label: 'Spanish (Spain)',
+    quotes: [['«', '»'], ['“', '”']],
+    quoteSpace: '',
+    punctuationSpace: null,
+    decimal: ',',
+    thousands: ['.', NNBSP],
+    percentSpace: NNBSP,
+  },
+  'it-IT': {
+    label: 'Italian',
+    quotes: [['«', '»'], ['“', '”']],
+    quoteSpace: '',
+    punctuationSpace: null,
+    decimal: ',',
+    thousands: ['.'],
+    percentSpace: null,
+  },
+  'pl-PL': {
+    label: 'Polish',
+    quotes: [['„', '”'], ['«', '»']],
+    quoteSpace: '',
+    punctuationSpace: null,
+    decimal: ',',
+    thousands: [NNBSP, NBSP],
+    percentSpace: '',
+  },
+  'ru-RU': {
+    label: 'Russian',
+    quotes: [['«', '»'], ['„', '“']],
+    quoteSpace: '',
+    punctuationSpace: null,
+    decimal: ',',
+    thousands: [NNBSP, NBSP],
+    percentSpace: null,
+  },
+  ar: {
+    label: 'Arabic',
+    quotes: [['«', '»'], ['“', '”']],
+    quoteSpace: '',
+    punctuationSpace: null,
+    decimal: '.',
+    thousands: [','],
+    // Arabic-Indic digits take the Arabic decimal and thousands separators
+    nativeDecimal: '\u066B',
+    nativeThousands: ['\u066C'],
+    percentSpace: null,
+    arabicPunctuation: true,
+  },
+}
+
+export const typographyRules = {
+  punctuation: 'Punctuation spacing',
+  quotes: 'Quotation marks',
+  guillemets: 'Guillemet spacing',
+  numbers: 'Number format',
+  percent: 'Percent sign',
+  arabic: 'Arabic punctuation',
+}
+
+const SPACE_NAMES = {
+  '': 'no space',
+  ' ': 'a space',
+  [NBSP]: 'a no-break space',
+  [NNBSP]: 'a narrow no-break space',
+  '\u2009': 'a thin space',
+}
+
+const describeSpace = (space) => SPACE_NAMES[space] || (space.length > 1 ? `${space.length} spaces` : `U+${space.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`)
+
+const isNoBreakSpace = (space) => space === NBSP || space === NNBSP
+
+// NBSP and NNBSP stand in for each other; a plain or thin space never does because it breaks
+const spaceMatches = (actual, expected) =>
+  actual === expected || (isNoBreakSpace(actual) && isNoBreakSpace(expected))
+
+const isLeadingEdge = (char) => char === undefined || /[\s([{–—-]/u.test(char) || QUOTE_MARKS.includes(char)
+const isTrailingEdge = (char) => char === undefined || /[\s.,;:!?)\]}–—-]/u.test(char) || QUOTE_MARKS.includes(char)
+
+// 'open' or 'close' from the neighbouring characters, null when they do not tell
+const quoteDirection = (text, index) => {
+  const leading = isLeadingEdge(text[index - 1])
+  const trailing = isTrailingEdge(text[index + 1])
+  if (leading && !trailing) return 'open'
+  if (trailing && !leading) return 'close'
+  return null
+}
+
+const ARABIC_PUNCTUATION = { ',': '\u060C', ';': '\u061B', '?': '\u061F' }
+
+const DECIMAL_MARKS = ['.', ',', '\u066B']
+const NUMBER = /(?<![\p{Nd}.,])\p{Nd}+(?:[.,'’\u00A0\u202F\u2009\u066B\u066C]\p{Nd}+)*/gu
+
+// Splits 1.234.567,89 into groups and a decimal part; null when the separators are not
+// a consistent grouping (dates, versions, IP addresses)
+const parseNumber = (token) => {
+  const runs = token.split(/[^\p{Nd}]/u)
+  const seps = token.match(/[^\p{Nd}]/gu) || []
+  if (seps.length === 0) return null
+  const last = seps.length - 1
+  const hasDecimal = seps.length > 1 && seps[last] !== seps[0]
+  const groupSeps = hasDecimal ? seps.slice(0, last) : seps
+  const groups = hasDecimal ? runs.slice(1, last + 1) : runs.slice(1)
+  if (groupSeps.some((sep) => sep !== groupSeps[0])) return null
+  if (hasDecimal && !DECIMAL_MARKS.includes(seps[last])) return null
+
+  if (runs[0].length > 3 || groups.some((run) => run.length !== 3)) {
+    // A lone . or , that cannot be grouping is a decimal mark
+    if (seps.length === 1 && DECIMAL_MARKS.includes(seps[0])) {
+      return { integer: runs[0], groups: [], group: null, decimal: seps[0], fraction: runs[1] }
+    }
+    return null
+  }
+  // 1,234 or 1.234: grouping in one locale, a decimal in another
+  if (seps.length === 1 && DECIMAL_MARKS.includes(seps[0])) return null
+  return {
+    integer: runs[0],
+    groups,
+    group: groupSeps[0],
+    decimal: hasDecimal ? seps[last] : null,
+    fraction: hasDecimal ? runs[last + 1] : null,
+  }
+}
+
+const formatNumber = ({ integer, groups, fraction }, thousands, decimal) =>
+  integer + groups.map((run) => thousands + run).join('') + (fraction !== null ? decimal + fraction : '')
+
+export const checkTypography = (text, profileId) => {
+  const profile = TYPOGRAPHY_PROFILES[profileId]
+  if (!profile || !text) return []
+
+  const position = createPositionLookup(text)
+  // Tags, printf and template placeholders are syntax, not prose
+  const protectedRanges = extractPlaceholders(text)
+    .filter((placeholder) => !/,\s*(plural|select|selectordinal)\}$/.test(placeholder.raw))
+    .map((placeholder) => [placeholder.index, placeholder.index + placeholder.raw.length])
+  const isProtected = (index) => protectedRanges.some(([start, end]) => index >= start && index < end)
+
+  const violations = []
+  const add = (violation) => {
+    if (isProtected(violation.anchor)) return
+    // The affected text with and without the fix, always including the anchor character
+    const start = Math.min(violation.index, violation.anchor)
+    const end = Math.max(violation.index + violation.length, violation.anchor + 1)
+    violations.push({
+      ...violation,
+      original: text.slice(start, end),
+      fixed: text.slice(start, violation.index) + violation.replacement + text.slice(violation.index + violation.length, end),
+      ...position(violation.anchor),
+    })
+  }
+
+  // Spacing before ; : ! ? when they follow a word and end a phrase
+  for (const match of text.matchAll(/(?<=[\p{L}\p{N}»”’"')\]}%])(\p{Zs}*)([;:!?])(?=[\s»”"’.,;:!?}]|$)/gu)) {
+    const [, space, mark] = match
+    const expected = profile.punctuationSpace ? profile.punctuationSpace[mark] : ''
+    if (spaceMatches(space, expected)) continue
+    add({
+      rule: 'punctuation',
+      index: match.index,
+      length: space.length,
+      anchor: match.index + space.length,
+      replacement: expected,
+      message: `${profile.label} puts ${describeSpace(expected)} before "${mark}", found ${describeSpace(space)}`,
+    })
+  }
+
+  // Quotation marks: foreign styles, and allowed marks used on the wrong side
+  const [fixOpen, fixClose] = profile.quotes[0]
+  const openers = new Set(profile.quotes.map(([open]) => open))
+  const closers = new Set(profile.quotes.map(([, close]) => close))
+  const fixSpace = GUILLEMETS.includes(fixOpen) ? profile.quoteSpace : null
+  const flaggedQuotes = new Set()
+  let quoteOpen = false
+  for (const match of text.matchAll(QUOTE_CHARS)) {
+    const mark = match[0]
+    const direction = quoteDirection(text, match.index)
+    // Spaced guillemets or "straight" quotes: marks with one role keep it, others alternate
+    if (direction === null && openers.has(mark) !== closers.has(mark)) {
+      quoteOpen = openers.has(mark)
+      continue
+    }
+    const opening = direction === null ? !quoteOpen : direction === 'open'
+    quoteOpen = opening
+    if (opening ? openers.has(mark) : closers.has(mark)) continue
+    let index = match.index
+    let length = 1
+    let replacement = opening ? fixOpen : fixClose
+    // Guillemets bring their own inner spacing, so absorb whatever space is there
+    if (fixSpace !== null) {
+      if (opening) {
+        const space = text.slice(index + 1).match(/^\p{Zs}*/u)[0]
+        length += space.length
+        replacement = fixOpen + fixSpace
+      } else {
+        const space = text.slice(0, index).match(/\p{Zs}*$/u)[0]
+        index -= space.length
+        length += space.length
+        replacement = fixSpace + fixClose
+      }
+    }
+    flaggedQuotes.add(match.index)
+    add({
+      rule: 'quotes',
+      index,
+      length,
+      anchor: match.index,
+      replacement,
+      message: openers.has(mark) || closers.has(mark)
+        ? `The ${mark} mark is used as ${opening ? 'an opening' : 'a closing'} quote; ${profile.label} writes ${opening ? fixOpen : fixClose}`
+        : `${profile.label} quotes with ${profile.quotes.map(([open, close]) => `${open}…${close}`).join(' or ')}, not the ${mark} mark`,
+    })
+  }
+
+  // Space just inside guillemets
+  profile.quotes.filter(([open]) => GUILLEMETS.includes(open)).forEach(([open, close]) => {
+    for (const match of text.matchAll(new RegExp(`${open}(\\p{Zs}*)(?=\\S)`, 'gu'))) {
+      if (flaggedQuotes.has(match.index) || spaceMatches(match[1], profile.quoteSpace)) continue
+      add({
+        rule: 'guillemets',
+        index: match.index + 1,
+        length: match[1].length,
+        anchor: match.index,
+        replacement: profile.quoteSpace,
+        message: `${profile.label} puts ${describeSpace(profile.quoteSpace)} after ${open}, found ${describeSpace(match[1])}`,
+      })
+    }
+    for (const match of text.matchAll(new RegExp(`(?<=\\S)(\\p{Zs}*)${close}`, 'gu'))) {
+      const anchor = match.index + match[1].length
+      if (flaggedQuotes.has(anchor) || spaceMatches(match[1], profile.quoteSpace)) continue
+      add({
+        rule: 'guillemets',
+        index: match.index,
+        length: match[1].length,
+        anchor,
+        replacement: profile.quoteSpace,
+        message: `${profile.label} puts ${describeSpace(profile.quoteSpace)} before ${close}, found ${describeSpace(match[1])}`,
+      })
+    }
+  })
+
+  // Decimal and thousands separators
+  for (const match of text.matchAll(NUMBER)) {
+    const number = parseNumber(match[0])
+    if (!number) continue
+    const native = profile.nativeDecimal && /[\u0660-\u0669]/u.test(match[0])
+    const decimal = native ? profile.nativeDecimal : profile.decimal
+    const thousands = native ? profile.nativeThousands : profile.thousands
+    const groupWrong = number.group !== null && !thousands.some((sep) => spaceMatches(number.group, sep))
+    const decimalWrong = number.decimal !== null && number.decimal !== decimal
+    if (!groupWrong && !decimalWrong) continue
+    // Without grouping, only trust a decimal next to a percent or currency sign (not 2.1 versions)
+    if (number.group === null) {
+      const end = match.index + match[0].length
+      const hasUnit = /^\p{Zs}?[%\p{Sc}]/u.test(text.slice(end)) || /\p{Sc}\p{Zs}?$/u.test(text.slice(0, match.index))
+      if (!hasUnit) continue
+    }
+    const replacement = formatNumber(number, groupWrong ? thousands[0] : number.group, decimal)
+    add({
+      rule: 'numbers',
+      index: match.index,
+      length: match[0].length,
+      anchor: match.index,
+      replacement,
+      message: `${profile.label} writes ${match[0]} as ${replacement}`,
+    })
+  }
+
+  // Space between a number and %
+  if (profile.percentSpace !== null) {
+    for (const match of text.matchAll(/(?<=\p{Nd})(\p{Zs}*)%/gu)) {
+      if (spaceMatches(match[1], profile.percentSpace)) continue
+      add({
+        rule: 'percent',
+        index: match.index,
+        length: match[1].length,
+        anchor: match.index + match[1].length,
+        replacement: profile.percentSpace,
+        message: `${profile.label} puts ${describeSpace(profile.percentSpace)} before %, found ${describeSpace(match[1])}`,
+      })
+    }
+  }
+
+  // Latin , ; ? after Arabic words
+  if (profile.arabicPunctuation) {
+    for (const match of text.matchAll(/(?<=(\p{L})\p{Zs}*)[,;?]/gu)) {
+      if (!/\p{Script=Arabic}/u.test(match[1])) continue
+      add({
+        rule: 'arabic',
+        index: match.index,
+        length: 1,
+        anchor: match.index,
+        replacement: ARABIC_PUNCTUATION[match[0]],
+        message: `Arabic text uses ${ARABIC_PUNCTUATION[match[0]]} instead of "${match[0]}"`,
+      })
+    }
+  }
+
+  return violations.sort((a, b) => a.anchor - b.anchor)
+}
+
+// Where two fixes touch the same text, the first one wins; the next check picks up the rest
+export const fixTypography = (text, violations) => {
+  let lastEnd = -1
+  const edits = []
+  ;[...violations].sort((a, b) => a.index - b.index).forEach((violation) => {
+    if (violation.index < lastEnd) return
+    edits.push({ index: violation.index, length: violation.length, insert: violation.replacement })
+    lastEnd = violation.index + Math.max(violation.length, 1)
+  })
+  return applyEdits(text, edits)
+}
+
+// Anchor index -> message, for marking violations inline
+export const getTypographyMarks = (violations) => {
+  const marks = new Map()
+  violations.forEach((violation) => {
+    marks.set(violation.anchor, marks.has(violation.anchor) ? `${marks.get(violation.anchor)}; ${violation.message}` : violation.message)
+  })
+  return marks
+}
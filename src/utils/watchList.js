@@ -0,0 +1,105 @@
+import { formatCodePoint } from './specialChars.js'
+
+// The watch list: project-specific characters to flag on top of the built-in registry,
+// kept in localStorage and shared as a JSON file so a team can use one profile.
+
+const STORAGE_KEY = 'loc-tool-watch-list'
+const FILE_FORMAT = 'loc-tool-watch-list'
+const VERSION = 1
+const DEFAULT_COLOR = '#F59E0B'
+
+export const WATCH_SEVERITIES = {
+  info: 'Info',
+  warning: 'Warning',
+  error: 'Error',
+}
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+
+// Accepts U+2011, 2011 or the character itself; returns the character or null
+export const parseCodePoint = (value) => {
+  const trimmed = value.trim()
+  const codePoint = /^(U\+)?[0-9A-F]{4,6}$/i.test(trimmed)
+    ? parseInt(trimmed.replace(/^U\+/i, ''), 16)
+    : [...value].length === 1 ? value.codePointAt(0) : null
+  if (codePoint === null || codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) return null
+  // A plain space is everywhere; watching it would mark every word
+  if (codePoint === 0x20) return null
+  return String.fromCodePoint(codePoint)
+}
+
+export const createWatchEntry = (char = '') => ({
+  char,
+  display: '',
+  desc: '',
+  color: DEFAULT_COLOR,
+  usage: '',
+  example: '',
+  severity: 'warning',
+})
+
+const text = (value) => (typeof value === 'string' ? value : '')
+
+// Fills in missing fields and drops entries without a usable code point. Files store the
+// code point as U+XXXX rather than the often invisible character itself.
+export const normalizeWatchEntry = (entry) => {
+  if (!isPlainObject(entry)) return null
+  const char = typeof entry.code === 'string' ? parseCodePoint(entry.code) : typeof entry.char === 'string' ? parseCodePoint(entry.char) : null
+  if (!char) return null
+  const code = formatCodePoint(char.codePointAt(0))
+  return {
+    char,
+    display: text(entry.display).trim() || code,
+    desc: text(entry.desc).trim() || `Watched character ${code}`,
+    color: /^#[0-9A-F]{6}$/i.test(entry.color) ? entry.color : DEFAULT_COLOR,
+    usage: text(entry.usage),
+    example: text(entry.example),
+    severity: WATCH_SEVERITIES[entry.severity] ? entry.severity : 'warning',
+  }
+}
+
+// One entry per character; a later entry replaces an earlier one for the same character
+const mergeEntries = (entries) => [...new Map(entries.map((entry) => [entry.char, entry])).values()]
+
+const toFileEntries = (entries) =>
+  entries.map(({ char, ...fields }) => ({ code: formatCodePoint(char.codePointAt(0)), ...fields }))
+
+export const loadWatchList = () => {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return isPlainObject(data) && Array.isArray(data.characters)
+      ? mergeEntries(data.characters.map(normalizeWatchEntry).filter(Boolean))
+      : []
+  } catch {
+    return []
+  }
+}
+
+// Returns false when the browser refuses to store the list
+export const saveWatchList = (entries) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: VERSION, characters: toFileEntries(entries) }))
+    return true
+  } catch {
+    return false
+  }
+}
+
+export const exportWatchList = (entries) =>
+  JSON.stringify({ format: FILE_FORMAT, version: VERSION, exportedAt: new Date().toISOString(), characters: toFileEntries(entries) }, null, 2)
+
+// Adds the entries from an exported file; ones for a character already listed replace it
+export const importWatchList = (entries, source) => {
+  let data
+  try {
+    data = JSON.parse(source)
+  } catch {
+    throw new Error('The file is not valid JSON')
+  }
+  if (!isPlainObject(data) || data.format !== FILE_FORMAT) throw new Error('The file is not a watch list export')
+  if (data.version > VERSION) throw new Error(`The file was written by a newer version (watch list format ${data.version})`)
+
+  const imported = (Array.isArray(data.characters) ? data.characters : []).map(normalizeWatchEntry).filter(Boolean)
+  if (imported.length === 0) throw new Error('The file contains no characters')
+  return { entries: mergeEntries([...entries, ...imported]), count: imported.length }
+}
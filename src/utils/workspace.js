@@ -0,0 +1,210 @@
+import { createDiffOptions } from './diffOptions.js'
+import { createThreeWayTexts } from './threeWay.js'
+import { createConstraints } from './constraints.js'
+
+// The workspace: named analyzer texts and comparison pairs, kept in localStorage
+// and exportable as a JSON file.
+
+const STORAGE_KEY = 'loc-tool-workspace'
+const FILE_FORMAT = 'loc-tool-workspace'
+const VERSION = 1
+// Undo steps saved per text; the full history stays in memory while the page is open
+const MAX_SAVED_HISTORY = 50
+
+export const documentTypes = {
+  analyzer: { label: 'Texts', defaultName: 'Text' },
+  diff: { label: 'Comparisons', defaultName: 'Comparison' },
+}
+
+const emptyState = {
+  analyzer: () => ({ text: '', history: [''], historyIndex: 0, highlightVisibility: {}, bidiPreview: 'ltr', constraints: createConstraints() }),
+  diff: () => ({ text1: '', text2: '', diffOptions: createDiffOptions(), threeWay: createThreeWayTexts() }),
+}
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+
+const nextName = (documents, type) => {
+  const names = new Set(documents.map((doc) => doc.name))
+  let number = documents.filter((doc) => doc.type === type).length + 1
+  while (names.has(`${documentTypes[type].defaultName} ${number}`)) number++
+  return `${documentTypes[type].defaultName} ${number}`
+}
+
+const createDocument = (type, name) => ({
+  id: crypto.randomUUID(),
+  type,
+  name,
+  updatedAt: new Date().toISOString(),
+  state: emptyState[type](),
+})
+
+export const createWorkspace = () => {
+  const analyzer = createDocument('analyzer', `${documentTypes.analyzer.defaultName} 1`)
+  const diff = createDocument('diff', `${documentTypes.diff.defaultName} 1`)
+  return {
+    version: VERSION,
+    view: 'analyzer',
+    active: { analyzer: analyzer.id, diff: diff.id },
+    documents: [analyzer, diff],
+  }
+}
+
+// Fills in missing fields and drops anything that does not look like a document
+const normalizeDocument = (doc) => {
+  if (!isPlainObject(doc) || !emptyState[doc.type] || typeof doc.id !== 'string') return null
+  const state = { ...emptyState[doc.type](), ...(isPlainObject(doc.state) ? doc.state : {}) }
+  if (doc.type === 'analyzer') {
+    const validHistory = Array.isArray(state.history) && state.history.length > 0 && state.history.every((entry) => typeof entry === 'string')
+    if (!validHistory || !(state.historyIndex >= 0 && state.historyIndex < state.history.length)) {
+      state.history = [state.text]
+      state.historyIndex = 0
+    }
+  }
+  return {
+    id: doc.id,
+    type: doc.type,
+    name: typeof doc.name === 'string' && doc.name.trim() ? doc.name : documentTypes[doc.type].defaultName,
+    updatedAt: typeof doc.updatedAt === 'string' ? doc.updatedAt : new Date().toISOString(),
+    state,
+  }
+}
+
+const normalizeWorkspace = (data) => {
+  if (!isPlainObject(data) || !Array.isArray(data.documents)) return null
+  const documents = data.documents.map(normalizeDocument).filter(Boolean)
+  const active = {}
+  Object.keys(documentTypes).forEach((type) => {
+    if (!documents.some((doc) => doc.type === type)) documents.push(createDocument(type, nextName(documents, type)))
+    const wanted = isPlainObject(data.active) ? data.active[type] : null
+    active[type] = documents.some((doc) => doc.id === wanted && doc.type === type)
+      ? wanted
+      : documents.find((doc) => doc.type === type).id
+  })
+  return {
+    version: VERSION,
+    view: documentTypes[data.view] ? data.view : 'analyzer',
+    active,
+    documents,
+  }
+}
+
+export const loadWorkspace = () => {
+  try {
+    return normalizeWorkspace(JSON.parse(localStorage.getItem(STORAGE_KEY))) || createWorkspace()
+  } catch {
+    return createWorkspace()
+  }
+}
+
+// Keeps a window of the undo history around the current step
+const trimHistory = (workspace, limit) => ({
+  ...workspace,
+  documents: workspace.documents.map((doc) => {
+    if (doc.type !== 'analyzer' || doc.state.history.length <= limit) return doc
+    const { history, historyIndex } = doc.state
+    const start = Math.max(0, Math.min(historyIndex, history.length - limit))
+    return { ...doc, state: { ...doc.state, history: history.slice(start, start + limit), historyIndex: historyIndex - start } }
+  }),
+})
+
+// Returns false when the browser refuses to store even the texts without history
+export const saveWorkspace = (workspace) => {
+  for (const limit of [MAX_SAVED_HISTORY, 1]) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(trimHistory(workspace, limit)))
+      return true
+    } catch {
+      // Quota exceeded: try again with less history
+    }
+  }
+  return false
+}
+
+export const getActiveDocument = (workspace, type) =>
+  workspace.documents.find((doc) => doc.id === workspace.active[type])
+
+export const getDocuments = (workspace, type) => workspace.documents.filter((doc) => doc.type === type)
+
+export const setView = (workspace, view) => ({ ...workspace, view })
+
+export const selectDocument = (workspace, doc) => ({ ...workspace, active: { ...workspace.active, [doc.type]: doc.id } })
+
+export const addDocument = (workspace, type) => {
+  const doc = createDocument(type, nextName(workspace.documents, type))
+  return selectDocument({ ...workspace, documents: [...workspace.documents, doc] }, doc)
+}
+
+const uniqueName = (documents, baseName) => {
+  const names = new Set(documents.map((doc) => doc.name))
+  let name = baseName
+  for (let number = 2; names.has(name); number++) name = `${baseName} ${number}`
+  return name
+}
+
+const openDocument = (workspace, view, baseName, state) => {
+  const doc = { ...createDocument(view, uniqueName(workspace.documents, baseName)), state }
+  return setView(selectDocument({ ...workspace, documents: [...workspace.documents, doc] }, doc), view)
+}
+
+// Opens the state decoded from a share link as a new document and switches to its view
+export const addSharedDocument = (workspace, { view, ...shared }) => {
+  const state = view === 'analyzer'
+    ? {
+        text: shared.text,
+        history: [shared.text],
+        historyIndex: 0,
+        highlightVisibility: Object.fromEntries(shared.hidden.map((char) => [char, false])),
+        bidiPreview: shared.bidiPreview,
+      }
+    : { ...emptyState.diff(), text1: shared.text1, text2: shared.text2 }
+  return openDocument(workspace, view, `Shared ${documentTypes[view].defaultName.toLowerCase()}`, state)
+}
+
+// Opens a text produced in another view, such as a merged comparison, in the Text Analyzer
+export const addAnalyzerDocument = (workspace, baseName, text) =>
+  openDocument(workspace, 'analyzer', baseName, { ...emptyState.analyzer(), text, history: [text] })
+
+export const renameDocument = (workspace, id, name) => ({
+  ...workspace,
+  documents: workspace.documents.map((doc) => (doc.id === id && name.trim() ? { ...doc, name: name.trim() } : doc)),
+})
+
+// Removing the last document of a type leaves a fresh empty one in its place
+export const deleteDocument = (workspace, id) =>
+  normalizeWorkspace({ ...workspace, documents: workspace.documents.filter((doc) => doc.id !== id) })
+
+// Returns the same workspace when nothing changed, so reporting unchanged state is free
+export const updateDocumentState = (workspace, id, state) => {
+  const doc = workspace.documents.find((d) => d.id === id)
+  if (!doc || Object.keys(state).every((key) => doc.state[key] === state[key])) return workspace
+  return {
+    ...workspace,
+    documents: workspace.documents.map((d) =>
+      d.id === id ? { ...d, updatedAt: new Date().toISOString(), state: { ...d.state, ...state } } : d
+    ),
+  }
+}
+
+export const exportWorkspace = (workspace) =>
+  JSON.stringify({ format: FILE_FORMAT, exportedAt: new Date().toISOString(), ...trimHistory(workspace, MAX_SAVED_HISTORY) }, null, 2)
+
+// Adds the documents from an exported file alongside the current ones, under new ids
+export const importWorkspace = (workspace, source) => {
+  let data
+  try {
+    data = JSON.parse(source)
+  } catch {
+    throw new Error('The file is not valid JSON')
+  }
+  if (!isPlainObject(data) || data.format !== FILE_FORMAT) throw new Error('The file is not a workspace export')
+  if (data.version > VERSION) throw new Error(`The file was written by a newer version (workspace format ${data.version})`)
+
+  const names = new Set(workspace.documents.map((doc) => doc.name))
+  const imported = (Array.isArray(data.documents) ? data.documents : [])
+    .map(normalizeDocument)
+    .filter(Boolean)
+    .map((doc) => ({ ...doc, id: crypto.randomUUID(), name: names.has(doc.name) ? `${doc.name} (imported)` : doc.name }))
+  if (imported.length === 0) throw new Error('The file contains no documents')
+
+  return { workspace: { ...workspace, documents: [...workspace.documents, ...imported] }, count: imported.length }
+}
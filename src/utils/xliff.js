@@ -0,0 +1,151 @@
+import { countSpecialChars } from './specialChars.js'
+import { createPositionLookup } from './textPosition.js'
+import { decodeXmlEntities, extractElements, parseAttributes } from './xml.js'
+
+// XLIFF 1.2 inline elements whose content is native code, not translatable text
+const NATIVE_CODE_ELEMENTS = new Set(['ph', 'bpt', 'ept', 'it'])
+
+const INLINE_TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:-]+)([^>]*?)(\/?)>|[^<]+/g
+
+const tagLabel = (name, attributes, kind) => {
+  if (kind === 'close') return `/${name}`
+  return attributes.id !== undefined ? `${name}#${attributes.id}` : name
+}
+
+// Splits the inner XML of a <source>/<target> into text runs and opaque inline-tag tokens
+export const tokenizeInline = (xml) => {
+  const tokens = []
+  const pushText = (value) => {
+    const last = tokens[tokens.length - 1]
+    if (last && last.type === 'text') last.value += value
+    else tokens.push({ type: 'text', value })
+  }
+
+  INLINE_TOKEN.lastIndex = 0
+  let match
+  while ((match = INLINE_TOKEN.exec(xml)) !== null) {
+    const [full, cdata, closing, name, attributeText, selfClosing] = match
+    if (full.startsWith('<!--')) continue
+    if (cdata !== undefined) {
+      pushText(cdata)
+      continue
+    }
+    if (!name) {
+      pushText(decodeXmlEntities(full))
+      continue
+    }
+
+    const attributes = parseAttributes(attributeText)
+    // XLIFF 2.0 encodes characters that are invalid in XML as <cp hex="..."/>
+    if (name === 'cp' && attributes.hex) {
+      pushText(String.fromCodePoint(parseInt(attributes.hex, 16)))
+      continue
+    }
+
+    const kind = closing ? 'close' : selfClosing ? 'standalone' : 'open'
+    if (kind === 'open' && NATIVE_CODE_ELEMENTS.has(name)) {
+      const end = xml.indexOf(`</${name}>`, INLINE_TOKEN.lastIndex)
+      const content = end === -1 ? '' : xml.slice(INLINE_TOKEN.lastIndex, end)
+      INLINE_TOKEN.lastIndex = end === -1 ? xml.length : end + name.length + 3
+      tokens.push({ type: 'tag', name, id: attributes.id, kind: 'standalone', label: tagLabel(name, attributes, 'standalone'), content: decodeXmlEntities(content) })
+      continue
+    }
+    tokens.push({ type: 'tag', name, id: attributes.id, kind, label: tagLabel(name, attributes, kind) })
+  }
+  return tokens
+}
+
+export const tokensToText = (tokens) =>
+  tokens.filter((token) => token.type === 'text').map((token) => token.value).join('')
+
+const blankOut = (xml, pattern) => xml.replace(pattern, (match) => match.replace(/[^\n]/g, ' '))
+
+const parseVersion12 = (source, position) => {
+  // Alternative translations carry their own <source>/<target>; blank them out, keeping offsets
+  const cleaned = blankOut(source, /<alt-trans\b[\s\S]*?<\/alt-trans>/g)
+  const segments = []
+
+  extractElements(cleaned, 'trans-unit').forEach((unit) => {
+    const unitId = unit.attributes.id
+    const [segSource] = extractElements(unit.inner, 'seg-source', unit.innerStart)
+    const [sourceElement] = extractElements(unit.inner, 'source', unit.innerStart)
+    const [targetElement] = extractElements(unit.inner, 'target', unit.innerStart)
+
+    if (segSource) {
+      const isSegment = (mrk) => mrk.attributes.mtype === 'seg'
+      const targetMarkers = targetElement
+        ? extractElements(targetElement.inner, 'mrk', targetElement.innerStart).filter(isSegment)
+        : []
+      extractElements(segSource.inner, 'mrk', segSource.innerStart).filter(isSegment).forEach((mrk) => {
+        const targetMrk = targetMarkers.find((candidate) => candidate.attributes.mid === mrk.attributes.mid)
+        segments.push({
+          id: `${unitId}:${mrk.attributes.mid}`,
+          source: tokenizeInline(mrk.inner),
+          target: targetMrk ? tokenizeInline(targetMrk.inner) : null,
+          line: position(mrk.start).line
+        })
+      })
+      return
+    }
+
+    segments.push({
+      id: unitId,
+      source: tokenizeInline(sourceElement ? sourceElement.inner : ''),
+      target: targetElement ? tokenizeInline(targetElement.inner) : null,
+      line: position(unit.start).line
+    })
+  })
+  return segments
+}
+
+const parseVersion20 = (source, position) => {
+  const segments = []
+  extractElements(source, 'unit').forEach((unit) => {
+    const unitSegments = extractElements(unit.inner, 'segment', unit.innerStart)
+    unitSegments.forEach((segment, i) => {
+      const [sourceElement] = extractElements(segment.inner, 'source', segment.innerStart)
+      const [targetElement] = extractElements(segment.inner, 'target', segment.innerStart)
+      const segmentId = segment.attributes.id ?? String(i + 1)
+      segments.push({
+        id: unitSegments.length > 1 ? `${unit.attributes.id}:${segmentId}` : unit.attributes.id,
+        source: tokenizeInline(sourceElement ? sourceElement.inner : ''),
+        target: targetElement ? tokenizeInline(targetElement.inner) : null,
+        line: position(segment.start).line
+      })
+    })
+  })
+  return segments
+}
+
+// Registry characters whose count differs between source and target
+export const compareInvisibleChars = (sourceText, targetText) => {
+  const sourceCounts = countSpecialChars(sourceText)
+  const targetCounts = countSpecialChars(targetText)
+  return [...new Set([...Object.keys(sourceCounts), ...Object.keys(targetCounts)])]
+    .filter((char) => (sourceCounts[char] || 0) !== (targetCounts[char] || 0))
+    .map((char) => ({ char, source: sourceCounts[char] || 0, target: targetCounts[char] || 0 }))
+}
+
+export const parseXliff = (source) => {
+  const root = source.match(/<xliff\b([^>]*)>/)
+  if (!root) {
+    throw new Error('No <xliff> root element found')
+  }
+  const version = parseAttributes(root[1]).version || '1.2'
+  const position = createPositionLookup(source)
+  const segments = version.startsWith('2') ? parseVersion20(source, position) : parseVersion12(source, position)
+
+  return {
+    version,
+    segments: segments.map((segment) => {
+      const sourceText = tokensToText(segment.source)
+      const targetText = segment.target ? tokensToText(segment.target) : null
+      return {
+        ...segment,
+        sourceText,
+        targetText,
+        differences: targetText === null ? [] : compareInvisibleChars(sourceText, targetText)
+      }
+    })
+  }
+}
@@ -0,0 +1,59 @@
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+}
+
+export const decodeXmlEntities = (text) =>
+  text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, data) => data.replace(/&/g, '&amp;'))
+    .replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (entity, body) => {
+      if (body[0] === '#') {
+        const codePoint = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10)
+        return String.fromCodePoint(codePoint)
+      }
+      return NAMED_ENTITIES[body] ?? entity
+    })
+
+export const parseAttributes = (text) => {
+  const attributes = {}
+  for (const match of text.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeXmlEntities(match[2] ?? match[3])
+  }
+  return attributes
+}
+
+// Finds the outermost <name> elements in an XML fragment, handling nesting.
+// Offsets are absolute when the fragment's own offset is passed in.
+export const extractElements = (xml, name, offset = 0) => {
+  const elements = []
+  const tag = new RegExp(`<(/?)${name}(?=[\\s/>])([^>]*?)(/?)>`, 'g')
+  let depth = 0
+  let open = null
+
+  for (const match of xml.matchAll(tag)) {
+    const [full, closing, attributeText, selfClosing] = match
+    if (closing) {
+      depth--
+      if (depth === 0 && open) {
+        elements.push({
+          attributes: parseAttributes(open.attributeText),
+          inner: xml.slice(open.innerStart, match.index),
+          start: offset + open.start,
+          innerStart: offset + open.innerStart
+        })
+        open = null
+      }
+    } else if (selfClosing) {
+      if (depth === 0) {
+        elements.push({ attributes: parseAttributes(attributeText), inner: '', start: offset + match.index, innerStart: offset + match.index })
+      }
+    } else {
+      if (depth === 0) open = { attributeText, start: match.index, innerStart: match.index + full.length }
+      depth++
+    }
+  }
+  return elements
+}
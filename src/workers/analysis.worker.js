@@ -0,0 +1,12 @@
+import { createJobs } from './jobs.js'
+
+const jobs = createJobs()
+
+self.onmessage = ({ data: { id, type, payload } }) => {
+  try {
+    const [result, transfer] = jobs[type](payload)
+    self.postMessage({ id, result }, transfer)
+  } catch (error) {
+    self.postMessage({ id, error: error.message })
+  }
+}
@@ -0,0 +1,43 @@
+import { createIncrementalScanner } from '../utils/incrementalScan.js'
+import { measureSimilarity } from '../utils/similarity.js'
+import { diffLines } from '../utils/lineDiff.js'
+import { summarizeDifferences } from '../utils/diffSummary.js'
+import { measureText } from '../utils/textStats.js'
+import { buildCharRegex } from '../utils/specialChars.js'
+
+// The work behind the analysis worker. Each job returns its result and the buffers to
+// transfer instead of copy; the same functions run inline for small texts.
+export const createJobs = () => {
+  let scan = createIncrementalScanner(buildCharRegex([]))
+  let scannedChars = ''
+
+  // The watch list comes with each job, as the worker does not share the main thread's registry
+  return {
+    scan: ({ text, watchList = [] }) => {
+      // A different list means the earlier offsets are no longer complete
+      const chars = watchList.map((entry) => entry.char).join('')
+      if (chars !== scannedChars) {
+        scannedChars = chars
+        scan = createIncrementalScanner(buildCharRegex(watchList))
+      }
+      // The scanner keeps its own array for the next call, so hand out a copy
+      const offsets = scan(text).slice()
+      const counts = {}
+      offsets.forEach((offset) => {
+        const char = String.fromCodePoint(text.codePointAt(offset))
+        counts[char] = (counts[char] || 0) + 1
+      })
+      return [{ offsets, counts }, [offsets.buffer]]
+    },
+
+    compare: ({ text1, text2, withRows, watchList = [] }) => {
+      const rows = diffLines(text1, text2)
+      return [
+        { similarity: measureSimilarity(text1, text2), rows: withRows ? rows : null, differences: summarizeDifferences(rows, watchList) },
+        [],
+      ]
+    },
+
+    stats: ({ text }) => [measureText(text), []],
+  }
+}